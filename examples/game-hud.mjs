@@ -260,7 +260,7 @@ export class GameHud extends ArrivalScript {
                     : 'linear-gradient(90deg, #f87171, #ef4444)';
         }
         const txt = ui.querySelector('.js-health-text');
-        if (txt) txt.textContent = Math.round(this.health);
+        if (txt) txt.textContent = String(Math.round(this.health));
 
         this._updateAmmo();
     }
@@ -0,0 +1,140 @@
+/**
+ * One-shot eval (-e) with several browser tabs and with --json: runs index.js
+ * as a child process and connects fake tabs to its WebSocket server.
+ *
+ *   npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+
+const CLI = path.join(__dirname, 'index.js');
+
+/**
+ * A port nothing listens on
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start the CLI and resolve once its server listens. `exited` resolves with
+ * the exit code, everything it printed (colors stripped) and its stdout alone.
+ */
+async function startCli(...args) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [CLI, '-p', String(port), ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    let stdout = '';
+    let onOutput = () => {};
+    child.stdout.on('data', (data) => {
+        stdout += data;
+        output += data;
+        onOutput();
+    });
+    child.stderr.on('data', (data) => {
+        output += data;
+        onOutput();
+    });
+    const exited = new Promise((resolve) => {
+        child.on('exit', (code) => resolve({ code, output: output.replace(/\x1b\[[0-9;]*m/g, ''), stdout }));
+    });
+    await new Promise((resolve, reject) => {
+        onOutput = () => {
+            if (output.includes('listening on')) resolve();
+        };
+        child.on('exit', () => reject(new Error(`CLI exited before listening:\n${output}`)));
+    });
+    const timer = setTimeout(() => child.kill(), 20000);
+    exited.then(() => clearTimeout(timer));
+    return { port, child, exited };
+}
+
+/**
+ * Connect a fake tab. `commands` collects the exec messages it receives.
+ */
+async function connectTab(port, room) {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+    const commands = [];
+    let notify = null;
+    ws.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        if (msg.type !== 'exec') return;
+        commands.push(msg);
+        if (notify) notify();
+    });
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+    ws.send(JSON.stringify({ type: 'info', room, user: 'tester' }));
+    const nextCommand = () => commands.length
+        ? Promise.resolve(commands[0])
+        : new Promise((resolve) => { notify = () => resolve(commands[0]); });
+    return { ws, commands, nextCommand };
+}
+
+function closeTab(tab) {
+    return new Promise((resolve) => {
+        tab.ws.once('close', resolve);
+        tab.ws.close();
+    });
+}
+
+test('another tab disconnecting does not end a running eval', async () => {
+    const cli = await startCli('-e', '6 * 7');
+    const first = await connectTab(cli.port, 'first');
+    const command = await first.nextCommand();
+    assert.equal(command.code, '6 * 7');
+
+    const second = await connectTab(cli.port, 'second');
+    await closeTab(second);
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.equal(cli.child.exitCode, null, 'the CLI exited when the other tab closed');
+    assert.equal(second.commands.length, 0, 'the eval ran again in the second tab');
+
+    first.ws.send(JSON.stringify({ type: 'result', id: command.id, result: 42 }));
+    const { code, output } = await cli.exited;
+    assert.equal(code, 0, output);
+    assert.match(output, /42/);
+    first.ws.close();
+});
+
+test('the eval fails when its own tab disconnects', async () => {
+    const cli = await startCli('-e', 'await new Promise(() => {})');
+    const first = await connectTab(cli.port, 'first');
+    await first.nextCommand();
+    await closeTab(first);
+
+    const { code, output } = await cli.exited;
+    assert.equal(code, 1);
+    assert.match(output, /Browser disconnected/);
+});
+
+test('--json writes only JSON records to stdout', async () => {
+    const cli = await startCli('--json', '-e', 'ArrivalSpace.getRoom()');
+    const tab = await connectTab(cli.port, 'first');
+    const command = await tab.nextCommand();
+    tab.ws.send(JSON.stringify({ type: 'console', level: 'log', args: ['hello from the page'] }));
+    tab.ws.send(JSON.stringify({ type: 'result', id: command.id, result: { roomId: 'first' } }));
+
+    const { code, output, stdout } = await cli.exited;
+    assert.equal(code, 0, output);
+    const records = stdout.trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(records.map((r) => r.type), ['console', 'result']);
+    assert.deepEqual(records[1].result, { roomId: 'first' });
+    assert.match(output, /Browser connected/);
+    assert.doesNotMatch(stdout, /Browser connected/);
+    tab.ws.close();
+});
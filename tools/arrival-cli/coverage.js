@@ -0,0 +1,360 @@
+/**
+ * Type Coverage
+ *
+ * Checks that every ArrivalSpace.* and this.* API the plugins use is
+ * declared in types/arrival.d.ts, so IDE autocomplete covers what the
+ * examples rely on.
+ *
+ * The declaration file is read with a small brace-matching scanner (no
+ * TypeScript dependency): value members of `namespace ArrivalSpace` (merged
+ * across declarations, nested namespaces included) and the members of
+ * `class ArrivalScript` plus the classes it extends. Interfaces and type
+ * aliases are not values; they only count as the type of a const (e.g.
+ * `const pluginStore: PluginStore`), whose members are then resolved.
+ *
+ * In plugin code, `this.<name>` counts as an API use when the plugin class
+ * does not define <name> itself: as a field, method, accessor, `static
+ * properties` key, or by assigning `this.<name>` anywhere in the class.
+ */
+
+const fs = require('fs');
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const { keyName, thisMemberName } = require('./lint');
+
+// this.constructor, this.hasOwnProperty(), ... exist on every object
+const OBJECT_MEMBERS = new Set(Object.getOwnPropertyNames(Object.prototype));
+
+// ── Declaration file ────────────────────────────────────────────────────
+
+/**
+ * Replace comments and string contents with spaces so braces and
+ * semicolons inside them do not confuse the scanner. Offsets are kept.
+ */
+function blankCommentsAndStrings(src) {
+    let out = '';
+    let i = 0;
+    while (i < src.length) {
+        const ch = src[i];
+        const next = src[i + 1];
+        if (ch === '/' && next === '*') {
+            const end = src.indexOf('*/', i + 2);
+            const stop = end === -1 ? src.length : end + 2;
+            out += src.slice(i, stop).replace(/[^\n]/g, ' ');
+            i = stop;
+        } else if (ch === '/' && next === '/') {
+            const end = src.indexOf('\n', i);
+            const stop = end === -1 ? src.length : end;
+            out += ' '.repeat(stop - i);
+            i = stop;
+        } else if (ch === '"' || ch === "'" || ch === '`') {
+            let j = i + 1;
+            while (j < src.length && src[j] !== ch) j += src[j] === '\\' ? 2 : 1;
+            out += ch + ' '.repeat(Math.max(0, j - i - 1)) + (j < src.length ? ch : '');
+            i = j + 1;
+        } else {
+            out += ch;
+            i++;
+        }
+    }
+    return out;
+}
+
+const BLOCK_HEAD = /^(?:export\s+)?(?:declare\s+)?(?:abstract\s+)?(namespace|module|class|interface|enum)\s+([\w.]+)([^{]*)$/;
+
+/**
+ * Split a declaration body into top-level statements:
+ * [{ head, body, start, headStart, bodyStart }] where body is the text
+ * inside the statement's own block (namespace / class / interface), or
+ * null. Offsets are relative to `text`: start is where the statement's
+ * leading whitespace (and comments, once blanked) begins.
+ */
+function statementsOf(text) {
+    const statements = [];
+    const headOf = (from, to) => {
+        const raw = text.slice(from, to);
+        return { head: raw.trim(), start: from, headStart: from + raw.length - raw.trimStart().length };
+    };
+    let depth = 0;
+    let start = 0;
+    let blockStart = -1;
+    let isBlock = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '{' || ch === '(' || ch === '[') {
+            if (depth === 0 && ch === '{' && blockStart === -1) {
+                isBlock = BLOCK_HEAD.test(text.slice(start, i).trim());
+                blockStart = i;
+            }
+            depth++;
+        } else if (ch === '}' || ch === ')' || ch === ']') {
+            depth--;
+            if (depth === 0 && ch === '}' && isBlock) {
+                statements.push({ ...headOf(start, blockStart), body: text.slice(blockStart + 1, i), bodyStart: blockStart + 1 });
+                start = i + 1;
+                blockStart = -1;
+                isBlock = false;
+            }
+        } else if (ch === ';' && depth === 0) {
+            if (text.slice(start, i).trim()) statements.push({ ...headOf(start, i), body: null, bodyStart: -1 });
+            start = i + 1;
+            blockStart = -1;
+            isBlock = false;
+        }
+    }
+    if (text.slice(start).trim()) statements.push({ ...headOf(start, text.length), body: null, bodyStart: -1 });
+    return statements;
+}
+
+/**
+ * Value members of a namespace body: Map name -> nested namespace (Map) or true.
+ * A const typed with an interface from `interfaces` (name -> body) or an
+ * inline object type resolves to a Map of that type's members, like a
+ * nested namespace.
+ */
+function namespaceMembers(body, interfaces, into = new Map()) {
+    for (const { head, body: block } of statementsOf(body)) {
+        const blockMatch = block !== null && head.match(BLOCK_HEAD);
+        if (blockMatch) {
+            if (blockMatch[1] === 'namespace' || blockMatch[1] === 'module') {
+                const existing = into.get(blockMatch[2]);
+                into.set(blockMatch[2], namespaceMembers(block, interfaces, existing instanceof Map ? existing : new Map()));
+            } else if (blockMatch[1] === 'class' || blockMatch[1] === 'enum') {
+                into.set(blockMatch[2], true);
+            }
+            continue;
+        }
+        const value = head.match(/^(?:export\s+)?(?:declare\s+)?(?:function|const|let|var)\s+([\w$]+)\s*(?::\s*(\{|[\w$]+))?/);
+        if (!value || into.has(value[1])) continue;
+        const typeBody = value[2] === '{'
+            ? head.slice(head.indexOf('{', value.index + value[0].length - 1) + 1, head.lastIndexOf('}'))
+            : interfaces.get(value[2]);
+        into.set(value[1], typeBody !== undefined ? new Map([...classMembers(typeBody)].map(name => [name, true])) : true);
+    }
+    return into;
+}
+
+/**
+ * Interface bodies declared directly in namespace bodies, by name
+ */
+function interfacesOf(bodies) {
+    const interfaces = new Map();
+    for (const body of bodies) {
+        for (const { head, body: block } of statementsOf(body)) {
+            const match = block !== null && head.match(BLOCK_HEAD);
+            if (match?.[1] === 'interface') interfaces.set(match[2], (interfaces.get(match[2]) || '') + block + ';');
+        }
+    }
+    return interfaces;
+}
+
+/**
+ * Member names of a class body
+ */
+function classMembers(body) {
+    const names = new Set();
+    for (const { head } of statementsOf(body)) {
+        const match = head.match(/^(?:(?:readonly|static|public|protected|private|abstract|declare)\s+)*(?:(?:get|set)\s+)?([\w$]+)\??\s*[(:<]/);
+        if (match) names.add(match[1]);
+    }
+    return names;
+}
+
+/**
+ * Read the ArrivalSpace namespace and the ArrivalScript class hierarchy
+ * from a declaration file
+ * @returns {{ namespace: Map, scriptMembers: Set<string> }}
+ */
+function parseDeclarations(source) {
+    const text = blankCommentsAndStrings(source);
+    const namespaces = new Map();       // top-level namespace name -> body texts
+    const classes = new Map();          // qualified class name -> { body, extends }
+
+    const collect = (statements, prefix) => {
+        for (const { head, body } of statements) {
+            const match = body !== null && head.match(BLOCK_HEAD);
+            if (!match) continue;
+            const name = prefix + match[2];
+            if (match[1] === 'namespace' || match[1] === 'module') {
+                if (!namespaces.has(name)) namespaces.set(name, []);
+                namespaces.get(name).push(body);
+                collect(statementsOf(body), `${name}.`);
+            } else if (match[1] === 'class') {
+                const base = match[3].match(/extends\s+([\w.]+)/);
+                classes.set(name, { body, extends: base ? base[1] : null });
+            }
+        }
+    };
+    collect(statementsOf(text), '');
+
+    const bodies = namespaces.get('ArrivalSpace') || [];
+    const interfaces = interfacesOf(bodies);
+    const namespace = new Map();
+    for (const body of bodies) namespaceMembers(body, interfaces, namespace);
+
+    const scriptMembers = new Set();
+    for (let cls = classes.get('ArrivalScript'), seen = 0; cls && seen < 10; seen++) {
+        classMembers(cls.body).forEach(name => scriptMembers.add(name));
+        cls = cls.extends ? classes.get(cls.extends) : null;
+    }
+    return { namespace, scriptMembers };
+}
+
+// ── Plugin sources ──────────────────────────────────────────────────────
+
+/**
+ * Names a plugin class defines for itself
+ */
+function ownMembers(cls) {
+    const names = new Set();
+    for (const member of cls.body.body) {
+        const name = member.computed ? null : keyName(member.key);
+        if (!name) continue;
+        if (!member.static) names.add(name);
+        if (member.static && name === 'properties' && member.value?.type === 'ObjectExpression') {
+            for (const prop of member.value.properties) {
+                if (prop.type === 'Property' && !prop.computed && keyName(prop.key)) names.add(keyName(prop.key));
+            }
+        }
+    }
+    walk.simple(cls.body, {
+        AssignmentExpression(node) {
+            const name = thisMemberName(node.left);
+            if (name) names.add(name);
+        },
+    });
+    return names;
+}
+
+/**
+ * Visit the this.* member expressions of a class whose `this` is the
+ * plugin instance: method bodies and arrow functions, but not nested
+ * function expressions or classes.
+ */
+function forEachThisMember(cls, callback) {
+    const methods = new Set(cls.body.body
+        .filter(m => !m.static && m.value?.type === 'FunctionExpression')
+        .map(m => m.value));
+
+    walk.recursive(cls.body, null, {
+        FunctionExpression(node, st, c) {
+            if (methods.has(node)) c(node.body, st);
+        },
+        FunctionDeclaration() {},
+        ClassDeclaration() {},
+        ClassExpression() {},
+        PropertyDefinition(node, st, c) {
+            if (!node.static && node.value) c(node.value, st);
+        },
+        MemberExpression(node, st, c) {
+            const name = thisMemberName(node);
+            if (name) callback(name, node);
+            c(node.object, st);
+            if (node.computed) c(node.property, st);
+        },
+    });
+}
+
+/**
+ * Resolve every ArrivalSpace.a.b.c chain in a plugin AST against the
+ * declared namespace, segment by segment until one is not a namespace.
+ * Calls callback(api, node, declared) once per chain, with api the dotted
+ * path up to the first undeclared or non-namespace segment.
+ */
+function forEachArrivalSpaceUse(ast, namespace, callback) {
+    walk.ancestor(ast, {
+        MemberExpression(node, ancestors) {
+            if (node.object.type !== 'Identifier' || node.object.name !== 'ArrivalSpace') return;
+            const names = [];
+            let current = node;
+            for (let i = ancestors.length - 1; ; i--) {
+                if (current.computed || !keyName(current.property)) break;
+                names.push(keyName(current.property));
+                const parent = ancestors[i - 1];
+                if (parent?.type !== 'MemberExpression' || parent.object !== current) break;
+                current = parent;
+            }
+
+            let scope = namespace;
+            for (let i = 0; i < names.length; i++) {
+                const entry = scope.get(names[i]);
+                const api = ['ArrivalSpace', ...names.slice(0, i + 1)].join('.');
+                if (!entry || !(entry instanceof Map) || i === names.length - 1) {
+                    callback(api, node, Boolean(entry));
+                    return;
+                }
+                scope = entry;
+            }
+        },
+    });
+}
+
+/**
+ * Check one plugin source against parsed declarations.
+ *
+ * @param {string} code - Plugin source (ESM)
+ * @param {{ namespace: Map, scriptMembers: Set<string> }} declarations
+ * @returns {Array<{line: number, column: number, api: string, message: string}>}
+ */
+function checkSource(code, declarations) {
+    const missing = [];
+    const report = (node, api, message) => {
+        missing.push({ line: node.loc.start.line, column: node.loc.start.column + 1, api, message });
+    };
+
+    let ast;
+    try {
+        ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'module', locations: true, allowHashBang: true });
+    } catch (err) {
+        return [{ line: err.loc?.line || 1, column: (err.loc?.column || 0) + 1, api: '', message: `Parse error: ${err.message}` }];
+    }
+
+    forEachArrivalSpaceUse(ast, declarations.namespace, (api, node, declared) => {
+        if (!declared) report(node, api, `${api} is not declared`);
+    });
+
+    // this.x in ArrivalScript subclasses
+    const plugins = [];
+    walk.simple(ast, {
+        ClassDeclaration: (cls) => plugins.push(cls),
+        ClassExpression: (cls) => plugins.push(cls),
+    });
+    for (const cls of plugins) {
+        if (cls.superClass?.type !== 'Identifier' || cls.superClass.name !== 'ArrivalScript') continue;
+        const own = ownMembers(cls);
+        forEachThisMember(cls, (name, node) => {
+            if (own.has(name) || declarations.scriptMembers.has(name) || OBJECT_MEMBERS.has(name)) return;
+            report(node, `this.${name}`, `this.${name} is not declared on ArrivalScript`);
+        });
+    }
+
+    return missing.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Check plugin files against a declaration file
+ * @param {string[]} files - Plugin files
+ * @param {string} typesPath - Path to arrival.d.ts
+ * @returns {Map<string, Array<{line: number, column: number, api: string, message: string}>>} Problems per file
+ */
+function checkFiles(files, typesPath) {
+    const declarations = parseDeclarations(fs.readFileSync(typesPath, 'utf-8'));
+    const results = new Map();
+    for (const file of files) {
+        results.set(file, checkSource(fs.readFileSync(file, 'utf-8'), declarations));
+    }
+    return results;
+}
+
+module.exports = {
+    parseDeclarations,
+    checkSource,
+    checkFiles,
+    forEachArrivalSpaceUse,
+    forEachThisMember,
+    ownMembers,
+    blankCommentsAndStrings,
+    statementsOf,
+    BLOCK_HEAD,
+};
@@ -0,0 +1,757 @@
+/**
+ * Docs Generator
+ *
+ * Regenerates the parts of the docs that describe other files, so they
+ * cannot drift from them:
+ *
+ *   docs/api-reference.md          The API Index section (between the
+ *                                  api-index markers): every value declared in
+ *                                  types/arrival.d.ts with its parameters and
+ *                                  the first paragraph of its JSDoc, grouped by
+ *                                  the file's section banners. Entries link to
+ *                                  the hand-written section of the same API.
+ *                                  Everything outside the markers is left alone.
+ *   docs/plugin-search-index.json  One entry per README / doc / example plus the
+ *                                  type definitions. Example entries come from
+ *                                  the header comment, `static scriptName` and
+ *                                  `static properties` of each examples/*.mjs,
+ *                                  with keywords for the ArrivalSpace and
+ *                                  ArrivalScript APIs and events it uses.
+ *                                  Curated keywords (and summaries for
+ *                                  examples without a header comment) come
+ *                                  from docs/plugin-search-overrides.json.
+ *
+ * The index's updated_at only moves when its entries change, so generating
+ * twice (or checking) on different days gives the same output.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const { keyName } = require('./lint');
+const coverage = require('./coverage');
+
+const API_REFERENCE = 'docs/api-reference.md';
+const SEARCH_INDEX = 'docs/plugin-search-index.json';
+const SEARCH_OVERRIDES = 'docs/plugin-search-overrides.json';
+const TYPES = 'types/arrival.d.ts';
+
+const INDEX_START = '<!-- api-index:start -->';
+const INDEX_END = '<!-- api-index:end -->';
+
+// Banner words kept upper case when title-casing section names
+const ACRONYMS = new Set(['API', 'NPC', 'UI', 'XR', 'HUD', 'GLB']);
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'of', 'on', 'or',
+    'the', 'to', 'with', 'plugin', 'example',
+]);
+
+// Keywords standing in for API families an example uses
+const EVENT_BUS = new Set(['fire', 'on', 'once', 'off']);
+const EVENT_BUS_KEYWORD = 'event bus';
+const NET_KEYWORD = 'multiplayer';
+
+// ArrivalScript console helpers say nothing about what an example does
+const CONSOLE_HELPERS = new Set(['log', 'warn', 'error']);
+
+// At most this many property titles per example, in declaration order
+const MAX_PROPERTY_KEYWORDS = 8;
+
+// Example summaries shorter than this take in the next paragraph too
+const MIN_SUMMARY_WORDS = 6;
+
+// ── Type definitions ────────────────────────────────────────────────────
+
+/**
+ * First paragraph of the last JSDoc comment in a stretch of source, or ''
+ */
+function jsDocSummary(raw) {
+    // The comment opens at the first /** after the previous comment (an
+    // example may contain an escaped /** ... *\/ of its own)
+    const end = raw.lastIndexOf('*/');
+    const start = end === -1 ? -1 : raw.indexOf('/**', raw.lastIndexOf('*/', end - 1) + 1);
+    if (start === -1 || start > end) return '';
+    const lines = raw.slice(start + 3, end).split('\n').map(line => line.replace(/^\s*\*?\s?/, '').trimEnd());
+    const paragraph = [];
+    for (const line of lines) {
+        if (line.startsWith('@')) break;
+        if (!line.trim()) {
+            if (paragraph.length) break;
+            continue;
+        }
+        paragraph.push(line.trim());
+    }
+    return paragraph.join(' ');
+}
+
+/**
+ * Title of the last `// ═══ / // TITLE / // ═══` banner in a stretch of source
+ */
+function bannerTitle(raw) {
+    const banners = [...raw.matchAll(/\/\/\s*[═=]{3,}\s*\n\s*\/\/\s*([^\n═=]+?)\s*\n\s*\/\/\s*[═=]{3,}/g)];
+    return banners.length ? titleCase(banners[banners.length - 1][1]) : null;
+}
+
+/**
+ * Text of the last plain `// comment` line in a stretch of source (group
+ * names inside a class body)
+ */
+function lineCommentTitle(raw) {
+    const comments = [...raw.matchAll(/^\s*\/\/(?![\s═=]*[═=]{3})\s*(.+?)\s*$/gm)];
+    return comments.length ? comments[comments.length - 1][1] : null;
+}
+
+/**
+ * "SCENE UTILITIES (available to all plugins)" -> "Scene Utilities (available to all plugins)"
+ */
+function titleCase(text) {
+    const words = text.replace(/[A-Z][A-Z-]*\b/g, (word) => ACRONYMS.has(word)
+        ? word
+        : word.toLowerCase().replace(/(^|-)([a-z])/g, (m, sep, ch) => sep + ch.toUpperCase()));
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Index of the bracket closing the one at `open`
+ */
+function closingBracket(text, open) {
+    const pairs = { '(': ')', '<': '>', '{': '}', '[': ']' };
+    const stack = [];
+    for (let i = open; i < text.length; i++) {
+        const ch = text[i];
+        if (pairs[ch]) stack.push(pairs[ch]);
+        else if (ch === stack[stack.length - 1] && !(ch === '>' && text[i - 1] === '=')) {
+            stack.pop();
+            if (stack.length === 0) return i;
+        }
+    }
+    return text.length;
+}
+
+/**
+ * Parameter names of a declaration head, as written in the docs:
+ * `loadGLB(url: string, options?: X)` -> ['url', 'options?'], or null when
+ * the member is not callable
+ */
+function paramNames(head, name) {
+    const at = head.search(new RegExp(`(^|[\\s.])${name.replace(/\$/g, '\\$')}\\s*\\??\\s*[(<]`));
+    if (at === -1) return null;
+    let i = head.indexOf(name, at) + name.length;
+    while (head[i] === '?' || head[i] === ' ') i++;
+    if (head[i] === '<') i = closingBracket(head, i) + 1;
+    if (head[i] !== '(') return null;
+    const inner = head.slice(i + 1, closingBracket(head, i));
+
+    const params = [];
+    let depth = 0;
+    let current = '';
+    for (let j = 0; j < inner.length; j++) {
+        const ch = inner[j];
+        if ('(<{['.includes(ch)) depth++;
+        else if (')}]'.includes(ch) || (ch === '>' && inner[j - 1] !== '=')) depth--;
+        if (ch === ',' && depth === 0) {
+            params.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    params.push(current);
+    return params
+        .map(p => p.trim().match(/^(\.\.\.)?([\w$]+)\s*(\?)?/))
+        .filter(Boolean)
+        .map(m => (m[1] || '') + m[2] + (m[3] || ''));
+}
+
+/**
+ * Interface bodies of a namespace with their offsets in the source
+ * @returns {Map<string, {body: string, bodyStart: number}[]>}
+ */
+function interfaceBodies(bodies) {
+    const interfaces = new Map();
+    for (const { body, bodyStart } of bodies) {
+        for (const statement of coverage.statementsOf(body)) {
+            const match = statement.body !== null && statement.head.match(coverage.BLOCK_HEAD);
+            if (match?.[1] !== 'interface') continue;
+            if (!interfaces.has(match[2])) interfaces.set(match[2], []);
+            interfaces.get(match[2]).push({ body: statement.body, bodyStart: bodyStart + statement.bodyStart });
+        }
+    }
+    return interfaces;
+}
+
+/**
+ * Read the documented API of a declaration file
+ * @returns {Array<{group: string, api: string, key: string, description: string}>}
+ *          key is the name hand-written headings use (e.g. `ArrivalSpace.loadGLB`, `find`)
+ */
+function apiEntries(source) {
+    const text = coverage.blankCommentsAndStrings(source);
+    const entries = [];
+    const seen = new Set();
+    const add = (group, api, key, gap) => {
+        if (seen.has(`${group}\n${key}`)) return;
+        seen.add(`${group}\n${key}`);
+        entries.push({ group, api, key, description: jsDocSummary(gap) });
+    };
+    const gapOf = (statement, base) => source.slice(base + statement.start, base + statement.headStart);
+    const callable = (head, name) => {
+        const params = paramNames(head, name);
+        return params ? `${name}(${params.join(', ')})` : name;
+    };
+
+    // Members of an interface or inline object type, as `<prefix><name>`
+    const addMembers = (group, prefix, body, bodyStart) => {
+        for (const statement of coverage.statementsOf(body)) {
+            const match = statement.head.match(/^(?:readonly\s+)?([\w$]+)\??\s*[(:<]/);
+            if (!match) continue;
+            add(group, prefix + callable(statement.head, match[1]), prefix + match[1], gapOf(statement, bodyStart));
+        }
+    };
+
+    const topLevel = coverage.statementsOf(text);
+    const namespaceBodies = topLevel
+        .filter(s => s.body !== null && /^declare\s+namespace\s+ArrivalSpace$/.test(s.head))
+        .map(s => ({ body: s.body, bodyStart: s.bodyStart }));
+    const interfaces = interfaceBodies(namespaceBodies);
+
+    // Globals and the ArrivalScript class
+    for (const statement of topLevel) {
+        const gap = gapOf(statement, 0);
+        const value = statement.head.match(/^declare\s+(function|const|let|var)\s+([\w$]+)/);
+        if (value) {
+            add('Globals', callable(statement.head, value[2]), value[2], gap);
+            continue;
+        }
+        if (statement.body === null || !/^declare\s+class\s+ArrivalScript\b/.test(statement.head)) continue;
+
+        let scriptGroup = 'ArrivalScript';
+        for (const member of coverage.statementsOf(statement.body)) {
+            const memberGap = gapOf(member, statement.bodyStart);
+            const comment = lineCommentTitle(memberGap.replace(/\/\*[\s\S]*?\*\//g, ''));
+            if (comment) scriptGroup = `ArrivalScript: ${comment.charAt(0).toUpperCase()}${comment.slice(1)}`;
+            const match = member.head.match(/^((?:(?:readonly|static|public|protected|private|abstract|declare)\s+)*)(?:(?:get|set)\s+)?([\w$]+)\??\s*[(:<]/);
+            if (!match) continue;
+            const name = match[2];
+            const params = paramNames(member.head, name);
+            const api = /\bstatic\b/.test(match[1])
+                ? `static ${name}`
+                : params ? `${name}(${params.join(', ')})` : `this.${name}`;
+            add(scriptGroup, api, name, memberGap);
+        }
+    }
+
+    // The ArrivalSpace namespace, nested namespaces included
+    // Section of the latest banner
+    let group = 'ArrivalSpace';
+    const walkNamespace = (body, bodyStart, prefix) => {
+        for (const statement of coverage.statementsOf(body)) {
+            const gap = gapOf(statement, bodyStart);
+            const banner = bannerTitle(gap);
+            if (banner) group = `ArrivalSpace: ${banner}`;
+
+            const block = statement.body !== null && statement.head.match(coverage.BLOCK_HEAD);
+            if (block) {
+                if (block[1] === 'namespace' || block[1] === 'module') {
+                    walkNamespace(statement.body, bodyStart + statement.bodyStart, `${prefix}${block[2]}.`);
+                }
+                continue;
+            }
+            const value = statement.head.match(/^(?:export\s+)?(?:declare\s+)?(function|const|let|var)\s+([\w$]+)\s*(?::\s*(\{|[\w$]+))?/);
+            if (!value) continue;
+            const name = value[2];
+            if (value[1] === 'function') {
+                add(group, prefix + callable(statement.head, name), prefix + name, gap);
+            } else if (value[3] === '{') {
+                const open = statement.head.indexOf('{', value.index + value[0].length - 1);
+                const close = closingBracket(statement.head, open);
+                const headOffset = bodyStart + statement.headStart;
+                addMembers(group, `${prefix}${name}.`, statement.head.slice(open + 1, close), headOffset + open + 1);
+            } else if (interfaces.has(value[3])) {
+                for (const iface of interfaces.get(value[3])) addMembers(group, `${prefix}${name}.`, iface.body, iface.bodyStart);
+            } else {
+                add(group, prefix + name, prefix + name, gap);
+            }
+        }
+    };
+    for (const { body, bodyStart } of namespaceBodies) walkNamespace(body, bodyStart, 'ArrivalSpace.');
+
+    return entries;
+}
+
+// ── API reference ───────────────────────────────────────────────────────
+
+/**
+ * GitHub's heading anchor for heading text
+ */
+function slug(heading) {
+    return heading
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .replace(/\s/g, '-');
+}
+
+/**
+ * Headings of a markdown document outside code fences: [{ level, text }]
+ */
+function headings(markdown) {
+    const found = [];
+    let inFence = false;
+    for (const line of markdown.split('\n')) {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        if (inFence) continue;
+        const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (match) found.push({ level: match[1].length, text: match[2] });
+    }
+    return found;
+}
+
+/**
+ * Anchor of the first heading documenting each API, keyed by the name in
+ * its code spans: "#### `ArrivalSpace.loadGLB(url, options?)`" -> ArrivalSpace.loadGLB
+ */
+function headingAnchors(markdown) {
+    const anchors = new Map();
+    const counts = new Map();
+    for (const { text } of headings(markdown)) {
+        let anchor = slug(text);
+        const count = counts.get(anchor) || 0;
+        counts.set(anchor, count + 1);
+        if (count > 0) anchor += `-${count}`;
+        for (const [, code] of text.matchAll(/`([^`]+)`/g)) {
+            const key = code.replace(/\(.*$/, '').replace(/^this\./, '').trim();
+            if (!anchors.has(key)) anchors.set(key, anchor);
+        }
+    }
+    return anchors;
+}
+
+function tableCell(text) {
+    return text.replace(/\|/g, '\\|');
+}
+
+/**
+ * Markdown between the api-index markers
+ */
+function renderApiIndex(entries, anchors) {
+    const lines = [
+        '',
+        `<!-- Generated from ${TYPES} by \`node tools/arrival-cli/index.js docs\`. Do not edit by hand. -->`,
+        '',
+        `Every value declared in [\`${TYPES}\`](../${TYPES}), grouped like the declarations. Linked entries have a detailed section above.`,
+    ];
+    let group = null;
+    for (const entry of entries) {
+        if (entry.group !== group) {
+            group = entry.group;
+            lines.push('', `### ${group}`, '', '| API | Description |', '|-----|-------------|');
+        }
+        const anchor = anchors.get(entry.key);
+        const api = anchor ? `[\`${entry.api}\`](#${anchor})` : `\`${entry.api}\``;
+        lines.push(`| ${api} | ${tableCell(entry.description)} |`);
+    }
+    lines.push('');
+    return lines.join('\n');
+}
+
+/**
+ * Markdown with the generated API Index content cut out (markers kept), so
+ * what is derived from it does not depend on the last generated version
+ */
+function withoutApiIndex(markdown) {
+    const start = markdown.indexOf(INDEX_START);
+    const end = markdown.indexOf(INDEX_END);
+    if (start === -1 || end < start) return markdown;
+    return markdown.slice(0, start + INDEX_START.length) + '\n' + markdown.slice(end);
+}
+
+/**
+ * api-reference.md with its API Index section regenerated
+ */
+function updateApiReference(markdown, entries) {
+    const start = markdown.indexOf(INDEX_START);
+    const end = markdown.indexOf(INDEX_END);
+    if (start === -1 || end < start) {
+        throw new Error(`${API_REFERENCE} has no ${INDEX_START} ... ${INDEX_END} section`);
+    }
+    const before = markdown.slice(0, start + INDEX_START.length);
+    const after = markdown.slice(end);
+    return before + renderApiIndex(entries, headingAnchors(withoutApiIndex(markdown))) + after;
+}
+
+// ── Search index ────────────────────────────────────────────────────────
+
+/**
+ * Lowercase search keyword for a heading or title: code spans,
+ * parentheticals, step numbers and trailing punctuation dropped
+ */
+function keyword(text) {
+    return text
+        .replace(/`/g, '')
+        .replace(/\s*\([^)]*\)/g, '')
+        .replace(/^\d+\.\s+/, '')
+        .replace(/[?!:.]+$/, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+function sentence(text) {
+    const trimmed = text.replace(/\s+/g, ' ').trim();
+    if (!trimmed) return '';
+    const capital = trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+    return /[.!?]$/.test(capital) ? capital : `${capital}.`;
+}
+
+function unique(values) {
+    return [...new Set(values.filter(Boolean))];
+}
+
+/**
+ * Search entry of a markdown file: H1 title, the paragraph under it, and
+ * the curated keywords. Without curated keywords its H2 headings stand in
+ * (generated API Index tables left out).
+ * @param {string[]} [curated] - Keywords from the overrides file
+ */
+function markdownEntry(relPath, kind, source, curated) {
+    const markdown = withoutApiIndex(source);
+    let title = '';
+    const summary = [];
+    let inFence = false;
+    let done = false;
+    for (const line of markdown.split('\n')) {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        if (inFence || done) continue;
+        const heading = line.match(/^(#{1,6})\s+(.+)$/);
+        if (heading) {
+            if (heading[1].length === 1 && !title) title = heading[2].replace(/`/g, '').trim();
+            else if (title) done = true;
+            continue;
+        }
+        if (!title) continue;
+        if (!line.trim()) {
+            if (summary.length) done = true;
+        } else if (!/^\s*([-*|>]|\d+\.)/.test(line)) {
+            summary.push(line.trim());
+        }
+    }
+    const keywords = curated ? [] : headings(markdown)
+        .filter(h => h.level === 2)
+        .map(h => keyword(h.text));
+    return {
+        path: relPath,
+        kind,
+        title,
+        summary: sentence(summary.join(' ').replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')),
+        keywords: unique(keywords),
+    };
+}
+
+/**
+ * Search entry of the type definitions: header comment and section names
+ */
+function typesEntry(relPath, source, entries) {
+    const header = source.match(/^\s*\/\*\*([\s\S]*?)\*\//);
+    const lines = header ? header[1].split('\n').map(line => line.replace(/^\s*\*\s?/, '').trim()) : [];
+    const title = lines.find(Boolean) || relPath;
+    const rest = lines.slice(lines.indexOf(title) + 1);
+    const paragraph = [];
+    for (const line of rest) {
+        if (!line) {
+            if (paragraph.length) break;
+            continue;
+        }
+        paragraph.push(line);
+    }
+    const groups = entries.map(e => keyword(e.group.replace(/^[^:]*:\s*/, '')));
+    return {
+        path: relPath,
+        kind: 'type',
+        title,
+        summary: sentence(paragraph.join(' ')),
+        keywords: unique(['typescript', 'arrivalscript', 'arrivalspace', ...groups]),
+    };
+}
+
+/**
+ * Title and summary from an example's header comment
+ */
+function parseHeader(code) {
+    const match = code.replace(/^﻿/, '').match(/^\s*\/\*\*?([\s\S]*?)\*\//);
+    if (!match) return { title: '', summary: '' };
+    const lines = match[1].split('\n').map(line => line.replace(/^\s*\*\s?/, '').trimEnd());
+    while (lines.length && !lines[0].trim()) lines.shift();
+    if (!lines.length) return { title: '', summary: '' };
+
+    // "Title", "Title - lead sentence" or a sentence ending in ':' (no
+    // title). "Procedural Splats - Fog" is a title as a whole.
+    const first = lines.shift().trim();
+    let title = '';
+    let lead = null;
+    const separator = first.match(/^(.+?)\s+[—–-]\s+(.+)$/);
+    const kind = separator?.[2].match(/^((?:[A-Z][\w-]*\s+)+)plugin\.?$/);
+    if (kind) {
+        // "Scavenger Hunt — Start Trigger plugin."
+        title = `${separator[1]} ${kind[1].trim()}`;
+    } else if (separator && !/^([A-Z0-9][\w/&]*\s*)+$/.test(separator[2])) {
+        title = separator[1];
+        lead = separator[2];
+    } else if (first.endsWith(':')) {
+        lead = first;
+    } else {
+        title = first;
+    }
+    title = title.replace(/\s*\([^)]*\)/g, '').replace(/\s+plugin$/i, '').replace(/\.$/, '').trim();
+
+    // Paragraphs up to a labelled block like "Showcase:" or "Features:",
+    // until the summary is more than a few words. A list only counts when
+    // the sentence before it introduces it ("combines:").
+    const paragraphs = [[]];
+    for (const line of [...(lead === null ? [] : [lead]), ...lines.map(l => l.trim())]) {
+        if (line) paragraphs[paragraphs.length - 1].push(line);
+        else if (paragraphs[paragraphs.length - 1].length) paragraphs.push([]);
+    }
+    const parts = [];
+    const words = () => parts.join(' ').split(/\s+/).filter(Boolean).length;
+    for (const paragraph of paragraphs) {
+        if (words() >= MIN_SUMMARY_WORDS) break;
+        const text = [];
+        const bullets = [];
+        let labelled = false;
+        for (const line of paragraph) {
+            if (/^(Showcase|Features|Features demonstrated|Usage|Note|NOTE|How it works|Demonstrates|Property Type Mapping):/.test(line)) {
+                labelled = true;
+                break;
+            }
+            const bullet = line.match(/^(?:[-*•]|\d+\.)\s+(.+)$/);
+            if (bullet) bullets.push(bullet[1].replace(/[.;]$/, ''));
+            else if (bullets.length) break;
+            else text.push(line);
+        }
+        if (!text.length) break;
+        let sentenceText = text.join(' ');
+        if (bullets.length && sentenceText.endsWith(':')) sentenceText += ` ${bullets.join('; ')}`;
+        parts.push(sentence(sentenceText));
+        if (labelled) break;
+    }
+    return { title, summary: parts.join(' ') };
+}
+
+/**
+ * "ClothPhysics" -> "Cloth Physics"
+ */
+function splitWords(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim();
+}
+
+/**
+ * Search entry of an example plugin
+ * @param {object} declarations - { namespace, scriptMembers } from coverage.parseDeclarations
+ * @param {Set<string>} scriptApi - Helper methods ArrivalScript itself declares
+ */
+function exampleEntry(relPath, code, declarations, scriptApi) {
+    const ast = acorn.parse(code.replace(/^﻿/, ''), { ecmaVersion: 'latest', sourceType: 'module', allowHashBang: true });
+    const header = parseHeader(code);
+
+    let className = '';
+    let scriptName = null;
+    const propertyTitles = [];
+    const plugins = [];
+    walk.simple(ast, {
+        ClassDeclaration: (cls) => plugins.push(cls),
+        ClassExpression: (cls) => plugins.push(cls),
+    });
+    const scripts = plugins.filter(cls => cls.superClass?.type === 'Identifier' && cls.superClass.name === 'ArrivalScript');
+    for (const cls of scripts) {
+        className = className || cls.id?.name || '';
+        for (const member of cls.body.body) {
+            if (!member.static || member.computed) continue;
+            const name = keyName(member.key);
+            if (name === 'scriptName' && typeof member.value?.value === 'string' && scriptName === null) {
+                scriptName = member.value.value;
+            }
+            if (name !== 'properties' || member.value?.type !== 'ObjectExpression') continue;
+            for (const prop of member.value.properties) {
+                if (prop.type !== 'Property' || prop.computed) continue;
+                const options = prop.value.type === 'ObjectExpression' ? prop.value.properties : [];
+                const titleProp = options.find(o => o.type === 'Property' && keyName(o.key) === 'title');
+                const title = typeof titleProp?.value.value === 'string' ? titleProp.value.value : splitWords(keyName(prop.key));
+                // "Offset X", "Offset Y", "Offset Z" -> "offset"
+                propertyTitles.push(keyword(title).replace(/\s+[xyz]$/, ''));
+            }
+        }
+    }
+
+    const title = header.title
+        || (scriptName && /\s/.test(scriptName) ? scriptName : splitWords(className || path.basename(relPath, '.mjs')));
+
+    // APIs, plugin events and network message types it uses
+    const apis = [];
+    const families = [];
+    coverage.forEachArrivalSpaceUse(ast, declarations.namespace, (api, node, declared) => {
+        if (!declared) return;
+        const name = api.replace(/^ArrivalSpace\./, '');
+        if (EVENT_BUS.has(name)) families.push(EVENT_BUS_KEYWORD);
+        else apis.push(name.toLowerCase());
+        if (name.startsWith('net.')) families.push(NET_KEYWORD);
+    });
+    for (const cls of scripts) {
+        const own = coverage.ownMembers(cls);
+        coverage.forEachThisMember(cls, (name) => {
+            if (scriptApi.has(name) && !own.has(name)) apis.push(name.toLowerCase());
+        });
+    }
+    const events = [];
+    walk.simple(ast, {
+        CallExpression(node) {
+            const callee = node.callee.type === 'ChainExpression' ? node.callee.expression : node.callee;
+            if (callee.type !== 'MemberExpression' || callee.computed) return;
+            const method = keyName(callee.property);
+            const owner = callee.object;
+            const onBus = owner.type === 'Identifier' && owner.name === 'ArrivalSpace' && ['fire', 'on', 'once', 'off'].includes(method);
+            const onNet = owner.type === 'MemberExpression' && !owner.computed && keyName(owner.property) === 'net'
+                && owner.object.type === 'Identifier' && owner.object.name === 'ArrivalSpace'
+                && ['send', 'sendTo', 'on', 'once', 'off'].includes(method);
+            if (!onBus && !onNet) return;
+            const arg = node.arguments[method === 'sendTo' ? 1 : 0];
+            if (arg?.type === 'Literal' && typeof arg.value === 'string') events.push(arg.value.toLowerCase());
+        },
+    });
+
+    const titleWords = title.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 1 && !STOPWORDS.has(w));
+    const entry = {
+        path: relPath,
+        kind: 'example',
+        title,
+        summary: header.summary,
+    };
+    if (scriptName !== null) entry.script_name = scriptName;
+    entry.keywords = unique([
+        ...titleWords,
+        ...unique(families),
+        ...unique(apis).sort(),
+        ...unique(events).sort(),
+        ...unique(propertyTitles).slice(0, MAX_PROPERTY_KEYWORDS),
+    ]);
+    return entry;
+}
+
+/**
+ * Helper methods declared by class ArrivalScript itself (not pc.Script),
+ * internal `_` members and console helpers left out
+ */
+function arrivalScriptMethods(entries) {
+    return new Set(entries
+        .filter(e => e.group.startsWith('ArrivalScript') && e.api.endsWith(')'))
+        .filter(e => !e.key.startsWith('_') && !CONSOLE_HELPERS.has(e.key))
+        .map(e => e.key));
+}
+
+/**
+ * Serialize the search index like the hand-written one: two-space
+ * indentation with keyword lists on one line
+ */
+function formatIndex(index) {
+    return JSON.stringify(index, null, 2)
+        .replace(/\[\n\s+("(?:[^"\\]|\\.)*"(?:,\n\s+"(?:[^"\\]|\\.)*")*)\n\s+\]/g, (m, items) => `[${items.replace(/,\n\s+/g, ', ')}]`) + '\n';
+}
+
+/**
+ * Merge an entry's overrides: curated keywords go first, and a curated
+ * summary fills in when the file has none of its own
+ * @param {{ summary?: string, keywords?: string[] }} [override]
+ */
+function applyOverride(entry, override) {
+    if (!override) return entry;
+    return {
+        ...entry,
+        summary: entry.summary || override.summary || '',
+        keywords: unique([...(override.keywords || []), ...entry.keywords]),
+    };
+}
+
+/**
+ * Search index of a repository: README, docs, examples, then the types
+ * @param {object} overrides - Parsed plugin-search-overrides.json, keyed by path
+ * @param {object|null} previous - Committed index, whose updated_at is kept when nothing else changed
+ */
+function buildSearchIndex(root, apis, overrides, previous, today) {
+    const read = (rel) => fs.readFileSync(path.join(root, rel), 'utf-8');
+    const listDir = (dir, ext) => fs.readdirSync(path.join(root, dir))
+        .filter(f => f.endsWith(ext))
+        .sort()
+        .map(f => `${dir}/${f}`);
+
+    const typesSource = read(TYPES);
+    const declarations = coverage.parseDeclarations(typesSource);
+    const scriptApi = arrivalScriptMethods(apis);
+
+    const curated = (rel) => overrides[rel]?.keywords;
+    const generated = [];
+    if (fs.existsSync(path.join(root, 'README.md'))) generated.push(markdownEntry('README.md', 'readme', read('README.md'), curated('README.md')));
+    for (const rel of listDir('docs', '.md')) generated.push(markdownEntry(rel, 'doc', read(rel), curated(rel)));
+    for (const rel of listDir('examples', '.mjs')) generated.push(exampleEntry(rel, read(rel), declarations, scriptApi));
+    generated.push(typesEntry(TYPES, typesSource, apis));
+
+    const paths = new Set(generated.map(e => e.path));
+    const stale = Object.keys(overrides).find(rel => !paths.has(rel));
+    if (stale) throw new Error(`${SEARCH_OVERRIDES} has an entry for ${stale}, which is not indexed`);
+    const entries = generated.map(entry => applyOverride(entry, overrides[entry.path]));
+
+    const index = {
+        version: 1,
+        updated_at: today,
+        source: 'generated',
+        total_entries: entries.length,
+        entries,
+    };
+    if (previous && formatIndex({ ...previous, updated_at: today }) === formatIndex(index)) {
+        index.updated_at = previous.updated_at;
+    }
+    return index;
+}
+
+/**
+ * Generate the API reference and search index for a repository checkout
+ * @param {string} root - Repository root
+ * @param {string} [today] - Date for updated_at when the index changed (YYYY-MM-DD)
+ * @returns {Array<{file: string, content: string, current: string|null}>}
+ *          Generated content and what is committed now, per file (relative paths)
+ */
+function generate(root, today = new Date().toISOString().slice(0, 10)) {
+    const read = (rel) => fs.existsSync(path.join(root, rel)) ? fs.readFileSync(path.join(root, rel), 'utf-8') : null;
+    const types = read(TYPES);
+    const reference = read(API_REFERENCE);
+    for (const [file, content] of [[TYPES, types], [API_REFERENCE, reference]]) {
+        if (content === null) throw new Error(`${file} not found in ${path.resolve(root)}`);
+    }
+    const apis = apiEntries(types);
+
+    const overridesSource = read(SEARCH_OVERRIDES);
+    let overrides = {};
+    try {
+        overrides = overridesSource ? JSON.parse(overridesSource) : {};
+    } catch (e) {
+        throw new Error(`${SEARCH_OVERRIDES}: ${e.message}`);
+    }
+
+    const currentIndex = read(SEARCH_INDEX);
+    let previous = null;
+    try {
+        previous = currentIndex ? JSON.parse(currentIndex) : null;
+    } catch {
+        // Unparseable: regenerate with today's date
+    }
+
+    return [
+        { file: API_REFERENCE, content: updateApiReference(reference, apis), current: reference },
+        { file: SEARCH_INDEX, content: formatIndex(buildSearchIndex(root, apis, overrides, previous, today)), current: currentIndex },
+    ];
+}
+
+module.exports = {
+    generate,
+    apiEntries,
+};
@@ -10,6 +10,13 @@
  *   npx arrival-cli              # Start interactive REPL
  *   npx arrival-cli -e "code"    # Execute code and exit
  *   npx arrival-cli -w           # Watch mode - just relay, no REPL
+ *   npx arrival-cli -s steps.txt # Run REPL commands from a file, stop on first failure
+ *   npx arrival-cli --json -e "code"  # One JSON object per command on stdout
+ *   npx arrival-cli --watch-deploy plugin.mjs  # Redeploy on every save
+ *   npx arrival-cli lint plugin.mjs  # Check plugin against the authoring rules
+ *   npx arrival-cli type-coverage    # Check the examples' API uses are declared in types/arrival.d.ts
+ *   npx arrival-cli docs [--check]   # Regenerate the API index and search index from the types and examples
+ *   npx arrival-cli search "pluginStore leaderboard" --snippet  # Find examples in the search index
  */
 
 const WebSocket = require('ws');
@@ -21,6 +28,17 @@ const pkg = require('./package.json');
 const fs = require('fs');
 const path = require('path');
 
+const { bundlePlugin } = require('../shared/bundle');
+const { lintFile } = require('./lint');
+const coverage = require('./coverage');
+const docs = require('./docs');
+const search = require('./search');
+const leakcheck = require('./leakcheck');
+const snapshot = require('./snapshot');
+const profiler = require('./profiler');
+const scene = require('./scene');
+const credentials = require('../plugin-upload/config');
+
 program
     .name('arrival-cli')
     .description('Interactive CLI for Arrival.Space development')
@@ -31,46 +49,78 @@ program
     .option('-d, --deploy <path>', 'Deploy ESM plugin from file')
     .option('-n, --new', 'Force create new plugin (skip reload check)')
     .option('-w, --watch', 'Watch mode - stay connected without REPL')
-    .option('-v, --verbose', 'Verbose output');
+    .option('-s, --script <path>', 'Run REPL commands from a file and exit; stops on the first failure')
+    .option('--json', 'Print one JSON object per command and console line on stdout (human output goes to stderr)')
+    .option('--snapshot-dir <path>', 'Where screenshots and snapshot baselines are stored', 'snapshots')
+    .option('--watch-deploy <path>', 'Deploy ESM plugin and redeploy whenever it or its imports change')
+    .option('-v, --verbose', 'Verbose output')
+    .action(() => main());
 
-program.parse();
-const options = program.opts();
+program
+    .command('lint <paths...>')
+    .description('Check plugin files (or directories of .mjs files) against the plugin authoring rules')
+    .action((paths) => {
+        process.exit(runLint(paths) ? 0 : 1);
+    });
 
-// Track if this is a plugin deployment
-let isPluginDeploy = false;
-let pluginCode = null;
-let forceNewPlugin = options.new || false;
+program
+    .command('type-coverage [paths...]')
+    .description('Check that every ArrivalSpace.* and this.* API used by plugin files is declared in the type definitions (default: the examples)')
+    .option('--types <path>', 'Declaration file to check against', path.join(__dirname, '../../types/arrival.d.ts'))
+    .action((paths, cmdOptions) => {
+        const targets = paths.length ? paths : [path.join(__dirname, '../../examples')];
+        process.exit(runTypeCoverage(targets, cmdOptions.types) ? 0 : 1);
+    });
 
-// If deploy option provided, read the plugin file
-if (options.deploy) {
-    const filePath = path.resolve(options.deploy);
-    if (!fs.existsSync(filePath)) {
-        console.error(`File not found: ${filePath}`);
-        process.exit(1);
-    }
-    pluginCode = fs.readFileSync(filePath, 'utf-8');
-    isPluginDeploy = true;
-}
+program
+    .command('docs')
+    .description('Regenerate the API index in docs/api-reference.md and docs/plugin-search-index.json from types/arrival.d.ts and the examples')
+    .option('--check', 'Do not write; fail when a generated file is out of date')
+    .option('--root <dir>', 'Repository root', path.join(__dirname, '../..'))
+    .action((cmdOptions) => {
+        process.exit(runDocs(cmdOptions.root, cmdOptions.check) ? 0 : 1);
+    });
 
-// If file option provided, read the file
-if (options.file) {
-    const filePath = path.resolve(options.file);
-    if (!fs.existsSync(filePath)) {
-        console.error(`File not found: ${filePath}`);
-        process.exit(1);
-    }
-    const fileContent = fs.readFileSync(filePath, 'utf-8');
-    
-    // Detect if it's an ESM plugin (has export class ... extends ArrivalScript)
-    if (fileContent.includes('export class') && fileContent.includes('ArrivalScript')) {
-        pluginCode = fileContent;
-        isPluginDeploy = true;
-    } else {
-        options.eval = fileContent;
-    }
-}
+program
+    .command('search <query...>')
+    .description('Rank the examples in docs/plugin-search-index.json by relevance to a query (BM25 over titles, keywords and summaries)')
+    .option('--limit <count>', 'Number of results', '5')
+    .option('--all', 'Include docs, the README and the type definitions, not only examples')
+    .option('--snippet', 'Show the most relevant source excerpt of each match')
+    .option('--root <dir>', 'Repository root', path.join(__dirname, '../..'))
+    .action((words, cmdOptions) => {
+        process.exit(runSearch(words.join(' '), cmdOptions) ? 0 : 1);
+    });
+
+program
+    .command('export-scene <out>')
+    .description('Wait for a browser, save its scene hierarchy and plugin params to JSON, then exit')
+    .action((out) => main([`export-scene ${out}`]));
 
-const PORT = parseInt(options.port, 10);
+program
+    .command('import-scene <file>')
+    .description('Wait for a browser, recreate the plugins from an export-scene file in its space, then exit')
+    .option('--no-persist', 'Create the plugins for this session only (not saved to the space)')
+    .option('--space <id>', 'Space to store the params in (default: the one open in the browser)')
+    .option('--profile <name>', 'plugin-upload credential profile used to store the params')
+    .action((file, cmdOptions) => {
+        const flags = [
+            cmdOptions.persist ? '' : '--no-persist ',
+            cmdOptions.space ? `--space ${cmdOptions.space} ` : '',
+            cmdOptions.profile ? `--profile ${cmdOptions.profile} ` : '',
+        ];
+        main([`import-scene ${flags.join('')}${file}`]);
+    });
+
+// Parsed root options, PORT and plugin state are filled in by main()
+let options = {};
+let PORT = 9222;
+let isPluginDeploy = false;
+let pluginCode = null;
+let forceNewPlugin = false;
+let watchDeployPath = null;
+let scriptLines = null;            // { name, lines } from --script or a one-shot subcommand
+let scriptStarted = false;
 
 // ANSI colors
 const c = {
@@ -85,21 +135,29 @@ const c = {
     cyan: '\x1b[36m',
 };
 
+// Human-readable output goes to stdout, or to stderr with --json, where
+// stdout carries only the JSON records (see emit)
+const print = (...args) => (options.json ? console.error : console.log)(...args);
+
 const log = {
-    info: (msg) => console.log(`${c.blue}ℹ${c.reset} ${msg}`),
-    success: (msg) => console.log(`${c.green}✓${c.reset} ${msg}`),
-    error: (msg) => console.log(`${c.red}✗${c.reset} ${msg}`),
-    warn: (msg) => console.log(`${c.yellow}⚠${c.reset} ${msg}`),
-    result: (msg) => console.log(`${c.cyan}→${c.reset}`, msg),
-    dim: (msg) => console.log(`${c.dim}${msg}${c.reset}`),
+    info: (msg) => print(`${c.blue}ℹ${c.reset} ${msg}`),
+    success: (msg) => print(`${c.green}✓${c.reset} ${msg}`),
+    error: (msg) => print(`${c.red}✗${c.reset} ${msg}`),
+    warn: (msg) => print(`${c.yellow}⚠${c.reset} ${msg}`),
+    result: (msg) => print(`${c.cyan}→${c.reset}`, msg),
+    dim: (msg) => print(`${c.dim}${msg}${c.reset}`),
+    line: (...args) => print(...args),
 };
 
-// Connected browser client
-let browserClient = null;
+// Connected browser sessions (one per tab), keyed by session number
+let sessions = new Map();
+let nextSessionId = 1;
 let pendingCallbacks = new Map();
 let callbackId = 0;
 let replStarted = false;
 let rl = null;
+let sessionWaiters = [];            // resolvers waiting for the next browser connection
+let evalSession = null;             // session running the one-shot -e / -f code
 
 /**
  * Start WebSocket server
@@ -107,7 +165,7 @@ let rl = null;
 function startServer() {
     const wss = new WebSocket.Server({ port: PORT });
     
-    console.log(`
+    log.line(`
 ${c.bright}${c.magenta}╔════════════════════════════════════════╗
 ║       Arrival.Space CLI v${pkg.version}        ║
 ╚════════════════════════════════════════╝${c.reset}
@@ -119,43 +177,50 @@ ${c.bright}${c.magenta}╔══════════════════
 
     wss.on('connection', (ws, req) => {
         const clientIP = req.socket.remoteAddress;
-        browserClient = ws;
+        const session = { id: nextSessionId++, ws, ip: clientIP, room: null, user: null };
+        sessions.set(session.id, session);
+        
+        log.success(`Browser connected from ${clientIP} ${c.dim}(session #${session.id})${c.reset}`);
         
-        log.success(`Browser connected from ${clientIP}`);
+        sessionWaiters.forEach(resolve => resolve(session));
+        sessionWaiters = [];
         
+        // Watch-deploy: deploy now if anything changed while disconnected
+        if (watchDeployPath) {
+            log.info('Watch-deploy mode - redeploying on save, relaying console output');
+            if (watchDeployPending) {
+                runWatchDeploy();
+            }
+        }
+        // Script mode: run the file once (later connections are page reloads)
+        else if (scriptLines) {
+            if (!scriptStarted) {
+                scriptStarted = true;
+                runScript(scriptLines.name, scriptLines.lines);
+            }
+        }
         // If we have a plugin to deploy, use createPlugin or reloadPlugin
-        if (isPluginDeploy && pluginCode) {
-            deployPlugin(pluginCode, forceNewPlugin).then(result => {
-                if (result?.success) {
-                    const count = result.count || 1;
-                    const action = result.action === 'reloaded' 
-                        ? (count > 1 ? `${count} plugins hot-reloaded` : 'Plugin hot-reloaded')
-                        : 'Plugin deployed';
-                    log.success(`${action} successfully!`);
-                    console.log(`  ${c.dim}ID: ${result.id}${c.reset}`);
-                    if (result.url) {
-                        console.log(`  ${c.dim}URL: ${result.url}${c.reset}`);
-                    }
-                } else {
-                    log.error(`Deployment failed: ${result?.error || 'Unknown error'}`);
-                }
-                process.exit(result?.success ? 0 : 1);
+        else if (isPluginDeploy && pluginCode) {
+            deployPlugin(pluginCode, forceNewPlugin, session).then(result => {
+                reportDeployResult(result);
+                emitOutcome(`deploy ${options.deploy || options.file}`, session, result?.success
+                    ? { ok: true, result }
+                    : { ok: false, error: result?.error || 'Unknown error', data: result });
+                exitAfterFlush(result?.success ? 0 : 1);
             }).catch(err => {
                 log.error(err.message);
-                process.exit(1);
+                emitOutcome(`deploy ${options.deploy || options.file}`, session, { ok: false, error: err.message });
+                exitAfterFlush(1);
             });
         }
-        // If we have a one-shot eval, execute it
+        // If we have a one-shot eval, execute it in the first tab only
         else if (options.eval) {
-            executeCommand(options.eval).then(result => {
-                if (result !== undefined) {
-                    console.log(formatResult(result));
-                }
-                process.exit(0);
-            }).catch(err => {
-                log.error(err.message);
-                process.exit(1);
-            });
+            if (evalSession) {
+                log.dim(`Already running in ${sessionLabel(evalSession)}, not in this tab`);
+            } else {
+                evalSession = session;
+                runEval(session);
+            }
         } else if (!options.watch) {
             // Start REPL only once
             if (!replStarted) {
@@ -172,7 +237,7 @@ ${c.bright}${c.magenta}╔══════════════════
         ws.on('message', (data) => {
             try {
                 const msg = JSON.parse(data.toString());
-                handleMessage(msg);
+                handleMessage(msg, session);
             } catch (err) {
                 if (options.verbose) {
                     log.error(`Invalid message: ${err.message}`);
@@ -181,12 +246,19 @@ ${c.bright}${c.magenta}╔══════════════════
         });
         
         ws.on('close', () => {
-            log.warn('Browser disconnected');
-            browserClient = null;
+            log.warn(`Browser disconnected (${sessionLabel(session)})`);
+            sessions.delete(session.id);
             
-            if (options.eval) {
-                process.exit(1);
+            // Fail anything still waiting on this tab instead of letting it time out
+            for (const [id, cb] of pendingCallbacks) {
+                if (cb.session === session) {
+                    pendingCallbacks.delete(id);
+                    cb.reject(new Error(`Browser disconnected (${sessionLabel(session)})`));
+                }
             }
+            
+            // A one-shot eval whose tab goes away fails through its rejected
+            // command above; other tabs may come and go
         });
         
         ws.on('error', (err) => {
@@ -207,10 +279,102 @@ ${c.bright}${c.magenta}╔══════════════════
     return wss;
 }
 
+/**
+ * Short label for a session, e.g. "#2 myroom/alice"
+ */
+function sessionLabel(session) {
+    return `#${session.id} ${session.room || '?'}/${session.user || 'anonymous'}`;
+}
+
+/**
+ * Session that commands go to by default: the most recently connected tab
+ */
+function getDefaultSession() {
+    let latest = null;
+    for (const session of sessions.values()) latest = session;
+    return latest;
+}
+
+/**
+ * Resolve with the next browser session that connects
+ */
+function waitForSession(timeoutMs = 30000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            sessionWaiters = sessionWaiters.filter(r => r !== done);
+            reject(new Error('Timed out waiting for the browser to reconnect'));
+        }, timeoutMs);
+        const done = (session) => {
+            clearTimeout(timer);
+            resolve(session);
+        };
+        sessionWaiters.push(done);
+    });
+}
+
+/**
+ * Write one JSON line to stdout. Session objects are reduced to id/room/user.
+ */
+function emit(record) {
+    const json = JSON.stringify(record, (key, value) =>
+        (value && value.ws instanceof WebSocket
+            ? { id: value.id, room: value.room, user: value.user }
+            : value));
+    process.stdout.write(json + '\n');
+}
+
+/**
+ * Emit the outcome of one command in --json mode (no-op otherwise)
+ * @param {string} command - The command line as typed
+ * @param {object|null} session - Session it ran in
+ * @param {{ok: boolean, result?: any, error?: string, data?: any}} outcome
+ */
+function emitOutcome(command, session, outcome) {
+    if (!options.json) return;
+    const record = outcome.ok
+        ? { type: 'result', command, session: session?.id ?? null, result: outcome.result ?? null }
+        : { type: 'error', command, session: session?.id ?? null, error: outcome.error };
+    if (!outcome.ok && outcome.data !== undefined) record.data = outcome.data;
+    emit(record);
+}
+
+/**
+ * Exit once stdout has been flushed, so piped JSON output is not cut off
+ */
+function exitAfterFlush(code) {
+    process.stdout.write('', () => process.exit(code));
+}
+
+/**
+ * Run the one-shot -e / -f code in a session, print the result and exit
+ */
+function runEval(session) {
+    executeCommand(options.eval, session).then(result => {
+        if (options.json) {
+            emitOutcome(options.file || options.eval, session, { ok: true, result });
+        } else if (result !== undefined) {
+            log.line(formatResult(result));
+        }
+        exitAfterFlush(0);
+    }).catch(err => {
+        log.error(err.message);
+        emitOutcome(options.file || options.eval, session, { ok: false, error: err.message });
+        exitAfterFlush(1);
+    });
+}
+
+/**
+ * Error for a failure that has already been printed. `data` is included in
+ * the --json error record.
+ */
+function reportedError(message, data) {
+    return Object.assign(new Error(message), { reported: true, data });
+}
+
 /**
  * Handle incoming message from browser
  */
-function handleMessage(msg) {
+function handleMessage(msg, session) {
     switch (msg.type) {
         case 'result':
             const cb = pendingCallbacks.get(msg.id);
@@ -226,9 +390,14 @@ function handleMessage(msg) {
             
         case 'console':
             // Forward console output from browser
+            if (options.json) {
+                emit({ type: 'console', session: session.id, level: msg.level, args: msg.args });
+                break;
+            }
             const prefix = msg.level === 'error' ? c.red : 
                           msg.level === 'warn' ? c.yellow : c.dim;
-            console.log(`${prefix}[browser]${c.reset}`, ...msg.args);
+            const source = sessions.size > 1 ? sessionLabel(session) : 'browser';
+            log.line(`${prefix}[${source}]${c.reset}`, ...msg.args);
             break;
             
         case 'event':
@@ -240,9 +409,14 @@ function handleMessage(msg) {
             
         case 'info':
             // Browser info on connect
+            session.room = msg.room || null;
+            session.user = msg.user || null;
+            if (sessions.size > 1) {
+                log.info(`Session: ${c.cyan}${sessionLabel(session)}${c.reset}`);
+            }
             log.info(`Space: ${c.cyan}${msg.room || 'none'}${c.reset}`);
             log.info(`User: ${c.cyan}${msg.user || 'anonymous'}${c.reset}`);
-            console.log();
+            log.line();
             // Now show prompt after info is displayed
             if (rl) rl.prompt();
             break;
@@ -251,16 +425,18 @@ function handleMessage(msg) {
 
 /**
  * Execute command in browser
+ * @param {string} code - JavaScript to evaluate in the page
+ * @param {object} [session] - Target session (defaults to getDefaultSession())
  */
-function executeCommand(code) {
+function executeCommand(code, session = getDefaultSession()) {
     return new Promise((resolve, reject) => {
-        if (!browserClient || browserClient.readyState !== WebSocket.OPEN) {
+        if (!session || session.ws.readyState !== WebSocket.OPEN) {
             reject(new Error('Browser not connected'));
             return;
         }
         
         const id = ++callbackId;
-        pendingCallbacks.set(id, { resolve, reject });
+        pendingCallbacks.set(id, { resolve, reject, session });
         
         // Timeout after 30 seconds
         setTimeout(() => {
@@ -270,7 +446,7 @@ function executeCommand(code) {
             }
         }, 30000);
         
-        browserClient.send(JSON.stringify({
+        session.ws.send(JSON.stringify({
             type: 'exec',
             id: id,
             code: code
@@ -281,19 +457,47 @@ function executeCommand(code) {
 /**
  * Extract scriptName from plugin code
  * Looks for: static scriptName = 'name' or static scriptName = "name"
+ * Prefers the one on the exported ArrivalScript class, since bundled code
+ * may contain other classes from inlined helper modules first.
  */
 function extractScriptName(code) {
-    const match = code.match(/static\s+scriptName\s*=\s*['"]([^'"]+)['"]/);
+    const match = code.match(/export\s+class\s+[\w$]+\s+extends\s+ArrivalScript\b[\s\S]*?static\s+scriptName\s*=\s*['"]([^'"]+)['"]/)
+        || code.match(/static\s+scriptName\s*=\s*['"]([^'"]+)['"]/);
     return match ? match[1] : null;
 }
 
+/**
+ * Escape code for embedding in a JavaScript template literal
+ */
+function escapeTemplate(code) {
+    return code
+        .replace(/\\/g, '\\\\')
+        .replace(/`/g, '\\`')
+        .replace(/\$/g, '\\$');
+}
+
+/**
+ * Execute command in every connected session
+ * @returns {Promise<Array<{session: object, result?: any, error?: Error}>>}
+ */
+async function broadcastCommand(code) {
+    return Promise.all([...sessions.values()].map(session =>
+        executeCommand(code, session).then(
+            result => ({ session, result }),
+            error => ({ session, error })
+        )
+    ));
+}
+
 /**
  * Deploy an ESM plugin - finds existing instances by scriptName and hot-reloads them
  * @param {string} code - The plugin code (ESM format)
  * @param {boolean} forceNew - Force creating a new plugin even if one exists
+ * @param {object} [session] - Target session (defaults to getDefaultSession())
+ * @param {boolean} [allowCreate] - Create a new instance when none exists
  * @returns {Promise<{success: boolean, id?: string, url?: string, action?: string, error?: string}>}
  */
-async function deployPlugin(code, forceNew = false) {
+async function deployPlugin(code, forceNew = false, session = getDefaultSession(), allowCreate = true) {
     // Extract scriptName to identify the plugin
     const scriptName = extractScriptName(code);
     
@@ -304,10 +508,7 @@ async function deployPlugin(code, forceNew = false) {
     }
     
     // Escape the code for embedding in JavaScript string
-    const escapedCode = code
-        .replace(/\\/g, '\\\\')
-        .replace(/`/g, '\\`')
-        .replace(/\$/g, '\\$');
+    const escapedCode = escapeTemplate(code);
     
     // If we have a scriptName and not forcing new, find existing plugins by name
     if (scriptName && !forceNew) {
@@ -315,7 +516,7 @@ async function deployPlugin(code, forceNew = false) {
         const findCommand = `ArrivalSpace.getPlugins().filter(p => p.name === '${scriptName}').map(p => p.id)`;
         
         try {
-            const existingIds = await executeCommand(findCommand);
+            const existingIds = await executeCommand(findCommand, session);
             
             if (Array.isArray(existingIds) && existingIds.length > 0) {
                 log.info(`Found ${existingIds.length} instance(s) of '${scriptName}' - hot-reloading...`);
@@ -326,7 +527,7 @@ async function deployPlugin(code, forceNew = false) {
                 
                 for (const pluginId of existingIds) {
                     const reloadCommand = `ArrivalSpace.reloadPlugin('${pluginId}', \`${escapedCode}\`)`;
-                    const result = await executeCommand(reloadCommand);
+                    const result = await executeCommand(reloadCommand, session);
                     if (result?.success) {
                         successCount++;
                         lastResult = result;
@@ -356,16 +557,212 @@ async function deployPlugin(code, forceNew = false) {
         }
     }
     
+    if (!allowCreate) {
+        return { success: true, action: 'none', count: 0 };
+    }
+    
     // Create new plugin
     log.info(scriptName ? `Creating new plugin '${scriptName}'...` : 'Creating new plugin...');
     const createCommand = `ArrivalSpace.createPlugin(\`${escapedCode}\`)`;
-    const result = await executeCommand(createCommand);
+    const result = await executeCommand(createCommand, session);
     if (result?.success) {
         result.action = 'created';
     }
     return result;
 }
 
+/**
+ * Deploy to every connected session. Tabs that already run the plugin are
+ * hot-reloaded; a new instance is created in one session only, since plugins
+ * persist to the space and creating one per tab would duplicate it.
+ * @returns {Promise<{success: boolean, action?: string, id?: string, url?: string, count?: number, error?: string, sessions?: Array}>}
+ */
+async function deployToSessions(code, forceNew = false, target = null) {
+    const targets = target ? [target] : [...sessions.values()];
+    if (targets.length <= 1) {
+        return deployPlugin(code, forceNew, targets[0]);
+    }
+    
+    const results = [];
+    if (!forceNew) {
+        for (const session of targets) {
+            log.dim(`${sessionLabel(session)}:`);
+            const result = await deployPlugin(code, false, session, false)
+                .catch(err => ({ success: false, error: err.message }));
+            results.push({ session, result });
+        }
+    }
+    
+    // Nothing to hot-reload anywhere (or --new): create in the default session
+    if (!results.some(r => r.result.action === 'reloaded')) {
+        const creator = getDefaultSession();
+        const result = await deployPlugin(code, forceNew, creator)
+            .catch(err => ({ success: false, error: err.message }));
+        const entry = results.find(r => r.session === creator);
+        if (entry) entry.result = result;
+        else results.push({ session: creator, result });
+    }
+    
+    const attempted = results.filter(r => r.result.action !== 'none');
+    const succeeded = attempted.filter(r => r.result?.success);
+    const first = succeeded[0]?.result;
+    return {
+        success: attempted.length > 0 && succeeded.length === attempted.length,
+        action: first?.action,
+        id: first?.id,
+        url: first?.url,
+        count: succeeded.reduce((sum, r) => sum + (r.result.count || 1), 0),
+        error: attempted.find(r => !r.result?.success)?.result?.error,
+        sessions: results,
+    };
+}
+
+/**
+ * Print the outcome of a deployPlugin() call
+ */
+function reportDeployResult(result) {
+    if (result?.sessions) {
+        printSessionTable(result.sessions);
+    }
+    if (result?.success) {
+        const count = result.count || 1;
+        const action = result.action === 'reloaded' 
+            ? (count > 1 ? `${count} plugins hot-reloaded` : 'Plugin hot-reloaded')
+            : 'Plugin deployed';
+        log.success(`${action} successfully!`);
+        log.line(`  ${c.dim}ID: ${result.id}${c.reset}`);
+        if (result.url) {
+            log.line(`  ${c.dim}URL: ${result.url}${c.reset}`);
+        }
+    } else {
+        log.error(`Deployment failed: ${result?.error || 'Unknown error'}`);
+    }
+}
+
+/**
+ * Print a per-session result table for a multi-session deploy
+ */
+function printSessionTable(entries) {
+    const labels = entries.map(e => sessionLabel(e.session));
+    const width = Math.max(...labels.map(l => l.length), 'Session'.length);
+    log.line(`\n  ${c.bright}${'Session'.padEnd(width)}  ${'Action'.padEnd(10)}  Result${c.reset}`);
+    entries.forEach((e, i) => {
+        const r = e.result;
+        const action = r?.action === 'none' ? 'not found' : (r?.action || 'failed');
+        const status = r?.success
+            ? `${c.green}✓${c.reset}${r.count > 1 ? ` ${r.count} instances` : ''}`
+            : `${c.red}✗ ${r?.error || 'Unknown error'}${c.reset}`;
+        log.line(`  ${labels[i].padEnd(width)}  ${action.padEnd(10)}  ${status}`);
+    });
+    log.line();
+}
+
+// Watch-deploy state
+const WATCH_DEBOUNCE_MS = 300;
+let watchers = new Map();           // directory -> fs.FSWatcher
+let watchedFiles = new Set();       // absolute paths of entry + local imports
+let changedFiles = new Set();
+let watchDeployTimer = null;
+let watchDeployRunning = false;
+let watchDeployQueued = false;
+let watchDeployPending = true;      // deploy as soon as a browser connects
+
+/**
+ * Sync directory watchers with the files that went into the last bundle.
+ * Directories are watched rather than files so that editors which save by
+ * writing a temp file and renaming it keep triggering events.
+ * @param {string[]} [files] - Bundled files (defaults to entry + previous set)
+ */
+function refreshWatchers(files) {
+    watchedFiles = new Set(files || [watchDeployPath, ...watchedFiles]);
+    const dirs = new Set([...watchedFiles].map(f => path.dirname(f)));
+    
+    for (const [dir, watcher] of watchers) {
+        if (!dirs.has(dir)) {
+            watcher.close();
+            watchers.delete(dir);
+        }
+    }
+    
+    for (const dir of dirs) {
+        if (watchers.has(dir)) continue;
+        const watcher = fs.watch(dir, (eventType, fileName) => {
+            if (!fileName) return;
+            const filePath = path.join(dir, fileName.toString());
+            if (watchedFiles.has(filePath)) {
+                scheduleWatchDeploy(filePath);
+            }
+        });
+        watcher.on('error', (err) => log.error(`Watcher error: ${err.message}`));
+        watchers.set(dir, watcher);
+    }
+    
+    if (options.verbose) {
+        log.dim(`Watching ${watchedFiles.size} file(s)`);
+    }
+}
+
+/**
+ * Debounce a burst of file changes into a single redeploy
+ */
+function scheduleWatchDeploy(filePath) {
+    changedFiles.add(filePath);
+    watchDeployPending = true;
+    clearTimeout(watchDeployTimer);
+    watchDeployTimer = setTimeout(() => {
+        const names = [...changedFiles].map(f => path.relative(process.cwd(), f));
+        changedFiles.clear();
+        log.info(`Changed: ${c.cyan}${names.join(', ')}${c.reset}`);
+        runWatchDeploy();
+    }, WATCH_DEBOUNCE_MS);
+}
+
+/**
+ * Deploy the watched plugin. If a deploy is already in flight, one more
+ * run is queued so the browser always ends up with the latest code.
+ */
+async function runWatchDeploy() {
+    if (watchDeployRunning) {
+        watchDeployQueued = true;
+        return;
+    }
+    if (sessions.size === 0) {
+        log.dim('Browser not connected - will deploy on reconnect');
+        return;
+    }
+    
+    watchDeployRunning = true;
+    watchDeployPending = false;
+    let files;
+    try {
+        const bundle = bundlePlugin(watchDeployPath);
+        files = bundle.files;
+        const result = await deployToSessions(bundle.code, forceNewPlugin);
+        reportDeployResult(result);
+        emitOutcome(`deploy ${watchDeployPath}`, null, result?.success
+            ? { ok: true, result }
+            : { ok: false, error: result?.error || 'Unknown error', data: result });
+        if (result?.success) {
+            // Only the first deploy may force a new instance; later saves hot-reload it
+            forceNewPlugin = false;
+        }
+    } catch (err) {
+        log.error(err.message);
+        emitOutcome(`deploy ${watchDeployPath}`, null, { ok: false, error: err.message });
+    } finally {
+        watchDeployRunning = false;
+    }
+    
+    // Imports may have been added or removed
+    refreshWatchers(files);
+    log.dim('Watching for changes...');
+    
+    if (watchDeployQueued) {
+        watchDeployQueued = false;
+        runWatchDeploy();
+    }
+}
+
 /**
  * Format result for display
  */
@@ -389,25 +786,32 @@ function formatResult(result) {
 function startREPL() {
     rl = readline.createInterface({
         input: process.stdin,
-        output: process.stdout,
+        output: options.json ? process.stderr : process.stdout,
         prompt: `${c.green}arrival>${c.reset} `,
         historySize: 100
     });
 
-    console.log(`${c.dim}Type JavaScript to execute in the browser. Special commands:${c.reset}`);
-    console.log(`${c.dim}  help          - Show available ArrivalSpace functions${c.reset}`);
-    console.log(`${c.dim}  gates         - List all static gates${c.reset}`);
-    console.log(`${c.dim}  room          - Show current room info${c.reset}`);
-    console.log(`${c.dim}  entities      - List all entities${c.reset}`);
-    console.log(`${c.dim}  plugins       - List loaded plugins${c.reset}`);
-    console.log(`${c.dim}  spaces        - List your spaces${c.reset}`);
-    console.log(`${c.dim}  screenshot    - Capture current view${c.reset}`);
-    console.log(`${c.dim}  deploy <file> - Deploy ESM plugin from file${c.reset}`);
-    console.log(`${c.dim}  newspace [t]  - Create and load new space${c.reset}`);
-    console.log(`${c.dim}  load <url>    - Load a space${c.reset}`);
-    console.log(`${c.dim}  reload        - Reload current space${c.reset}`);
-    console.log(`${c.dim}  exit          - Exit CLI${c.reset}`);
-    console.log();
+    log.line(`${c.dim}Type JavaScript to execute in the browser. Special commands:${c.reset}`);
+    log.line(`${c.dim}  help          - Show available ArrivalSpace functions${c.reset}`);
+    log.line(`${c.dim}  gates         - List all static gates${c.reset}`);
+    log.line(`${c.dim}  room          - Show current room info${c.reset}`);
+    log.line(`${c.dim}  entities      - List all entities${c.reset}`);
+    log.line(`${c.dim}  plugins       - List loaded plugins${c.reset}`);
+    log.line(`${c.dim}  sessions      - List connected browser tabs${c.reset}`);
+    log.line(`${c.dim}  spaces        - List your spaces${c.reset}`);
+    log.line(`${c.dim}  screenshot    - Capture current view${c.reset}`);
+    log.line(`${c.dim}  snapshot      - save/compare/list visual baselines${c.reset}`);
+    log.line(`${c.dim}  deploy <file> - Deploy ESM plugin from file${c.reset}`);
+    log.line(`${c.dim}  leakcheck <f> - Create, remove and audit a plugin's cleanup${c.reset}`);
+    log.line(`${c.dim}  profile <s>   - Per-plugin update timings and frame time${c.reset}`);
+    log.line(`${c.dim}  export-scene  - Save the scene and plugin params to JSON${c.reset}`);
+    log.line(`${c.dim}  import-scene  - Recreate exported plugins in this space${c.reset}`);
+    log.line(`${c.dim}  newspace [t]  - Create and load new space${c.reset}`);
+    log.line(`${c.dim}  load <url>    - Load a space${c.reset}`);
+    log.line(`${c.dim}  reload        - Reload current space${c.reset}`);
+    log.line(`${c.dim}  exit          - Exit CLI${c.reset}`);
+    log.line(`${c.dim}Prefix a line with @N to target session N, or @all to broadcast JavaScript.${c.reset}`);
+    log.line();
 
     // Don't prompt here - wait for 'info' message from browser
 
@@ -419,45 +823,115 @@ function startREPL() {
             return;
         }
 
-        // Handle special commands (with or without dot prefix)
-        const isSpecial = await handleSpecialCommand(input);
-        if (isSpecial) {
-            rl.prompt();
-            return;
-        }
+        await runInput(input);
+        rl.prompt();
+    });
 
-        // Execute as JavaScript
+    rl.on('close', () => {
+        log.line('\nGoodbye!');
+        process.exit(0);
+    });
+}
+
+/**
+ * Run one REPL line. A leading "@N" targets session N, "@all" broadcasts
+ * JavaScript to every session; otherwise the default session is used.
+ * In --json mode the outcome is also written to stdout as one JSON object.
+ * @returns {Promise<boolean>} false if the command failed
+ */
+async function runInput(input) {
+    const command = input;
+    let target = null;
+    let outcome;
+    const targetMatch = input.match(/^@(\d+|all)\s+([\s\S]+)$/);
+    if (targetMatch) {
+        input = targetMatch[2].trim();
+        if (targetMatch[1] === 'all') {
+            outcome = await runBroadcast(input);
+            emitOutcome(command, null, outcome);
+            return outcome.ok;
+        }
+        
+        target = sessions.get(parseInt(targetMatch[1], 10));
+        if (!target) {
+            outcome = { ok: false, error: `No session #${targetMatch[1]} (use 'sessions' to list them)` };
+            log.error(outcome.error);
+            emitOutcome(command, null, outcome);
+            return false;
+        }
+    }
+    
+    // Handle special commands (with or without dot prefix)
+    outcome = await handleSpecialCommand(input, target);
+    
+    // Execute as JavaScript
+    if (!outcome) {
         try {
-            const result = await executeCommand(input);
-            if (result !== undefined) {
+            const result = await executeCommand(input, target || getDefaultSession());
+            if (result !== undefined && !options.json) {
                 log.result(formatResult(result));
             }
+            outcome = { ok: true, result };
         } catch (err) {
             log.error(err.message);
+            outcome = { ok: false, error: err.message };
         }
-        
-        rl.prompt();
-    });
+    }
+    
+    emitOutcome(command, target || getDefaultSession(), outcome);
+    return outcome.ok;
+}
 
-    rl.on('close', () => {
-        console.log('\nGoodbye!');
-        process.exit(0);
+/**
+ * Run JavaScript in every session for "@all"
+ * @returns {Promise<{ok: boolean, result?: Array, error?: string, data?: Array}>}
+ */
+async function runBroadcast(input) {
+    if (await handleSpecialCommand(input, null, true)) {
+        const error = '@all only broadcasts JavaScript (deploy already targets every session)';
+        log.error(error);
+        return { ok: false, error };
+    }
+    const results = await broadcastCommand(input);
+    if (results.length === 0) {
+        log.error('Browser not connected');
+        return { ok: false, error: 'Browser not connected' };
+    }
+    
+    const entries = results.map(({ session, result, error }) => {
+        if (!options.json) log.line(`${c.dim}${sessionLabel(session)}${c.reset}`);
+        if (error) {
+            log.error(error.message);
+            return { session: session.id, error: error.message };
+        }
+        if (result !== undefined && !options.json) log.result(formatResult(result));
+        return { session: session.id, result: result ?? null };
     });
+    const failed = entries.filter(e => e.error);
+    return failed.length === 0
+        ? { ok: true, result: entries }
+        : { ok: false, error: `Failed in ${failed.length} of ${entries.length} session(s)`, data: entries };
 }
 
 /**
  * Handle special REPL commands
- * Returns true if it was a special command, false otherwise
+ * Returns false if input is not a special command, otherwise its outcome
+ * ({ ok, result } or { ok: false, error }). Handlers return their result
+ * and throw on failure.
+ * @param {string} input - The command line
+ * @param {object|null} target - Session chosen with @N (null = default session)
+ * @param {boolean} dryRun - Only report whether input is a special command
  */
-async function handleSpecialCommand(input) {
+async function handleSpecialCommand(input, target = null, dryRun = false) {
     // Normalize: remove leading dot if present
     const cmd = input.startsWith('.') ? input.slice(1) : input;
     const cmdName = cmd.split(' ')[0].toLowerCase();
     const args = cmd.slice(cmdName.length).trim();
+    const exec = (code) => executeCommand(code, target || getDefaultSession());
     
     const commands = {
         'help': async () => {
-            console.log(`
+            log.line(`
 ${c.bright}ArrivalSpace API:${c.reset}
 
 ${c.cyan}Space Access:${c.reset}
@@ -502,78 +976,112 @@ ${c.cyan}CLI Commands:${c.reset}
   room                              - Show room info
   entities                          - List entities  
   plugins                           - List plugins
+  sessions                          - List connected browser sessions
   spaces                            - List user's spaces
-  screenshot [w h]                  - Capture current view (default: 1024x768)
+  screenshot [w h]                  - Capture current view (default: 1024x768) and download it
+  snapshot save <name> [w h]        - Capture the view as baseline <name>
+  snapshot compare [--tolerance %] [--threshold t] <name>
+                                    - Capture and pixel-diff against baseline <name>
+  snapshot list                     - List saved baselines
   deploy <file>                     - Deploy ESM plugin from file
+  leakcheck [--settle s] <file>     - Check what a plugin leaves behind after removal
+  profile [--trace f.json] <sec>    - Time each plugin's update/postUpdate and frame time
+  export-scene <out.json>           - Save hierarchy, transforms and plugin params to JSON
+  import-scene [--no-persist] <f>   - Recreate the plugins of an export in this space
   newspace [title]                  - Create and load new space
   load <url|username>               - Load a space
   reload                            - Reload current space
   refresh                           - Full page refresh (F5)
+  wait <seconds>                    - Pause (useful in --script files)
   exit                              - Exit CLI
+
+${c.cyan}Sessions:${c.reset}
+  @2 <command>                      - Run JS or a CLI command in session #2
+  @all <js>                         - Run JS in every session
+  deploy <file>                     - Hot-reloads in every session
 `);
         },
         
         'gates': async () => {
-            const result = await executeCommand('ArrivalSpace.getStaticGates().map(g => ({ index: g.index, title: g.gateLogic?.titleText || "(empty)" }))');
-            console.log('\nStatic Gates:');
+            const result = await exec('ArrivalSpace.getStaticGates().map(g => ({ index: g.index, title: g.gateLogic?.titleText || "(empty)" }))');
+            log.line('\nStatic Gates:');
             if (Array.isArray(result)) {
                 result.forEach(g => {
-                    console.log(`  [${g.index}] ${g.title}`);
+                    log.line(`  [${g.index}] ${g.title}`);
                 });
             }
-            console.log();
+            log.line();
+            return result;
         },
         
         'room': async () => {
-            const result = await executeCommand('ArrivalSpace.getRoom()');
-            console.log('\nCurrent Room:');
-            console.log(`  ID: ${result?.roomId || 'none'}`);
-            console.log(`  Name: ${result?.roomName || 'none'}`);
-            console.log(`  Owner: ${result?.owner || 'none'}`);
-            console.log();
+            const result = await exec('ArrivalSpace.getRoom()');
+            log.line('\nCurrent Room:');
+            log.line(`  ID: ${result?.roomId || 'none'}`);
+            log.line(`  Name: ${result?.roomName || 'none'}`);
+            log.line(`  Owner: ${result?.owner || 'none'}`);
+            log.line();
+            return result;
         },
         
         'entities': async () => {
-            const result = await executeCommand('ArrivalSpace.getEntities().slice(0, 30)');
-            console.log('\nEntities (first 30):');
+            const result = await exec('ArrivalSpace.getEntities().slice(0, 30)');
+            log.line('\nEntities (first 30):');
             if (Array.isArray(result)) {
                 result.forEach(e => {
                     const status = e.enabled ? c.green + '●' : c.red + '○';
-                    console.log(`  ${status}${c.reset} ${e.name} ${c.dim}(${e.pos})${c.reset}`);
+                    log.line(`  ${status}${c.reset} ${e.name} ${c.dim}(${e.pos})${c.reset}`);
                 });
             }
-            console.log();
+            log.line();
+            return result;
         },
         
         'plugins': async () => {
-            const result = await executeCommand('ArrivalSpace.getPlugins().map(p => ({ id: p.id, name: p.name, url: p.url }))');
-            console.log('\nLoaded Plugins:');
+            const result = await exec('ArrivalSpace.getPlugins().map(p => ({ id: p.id, name: p.name, url: p.url }))');
+            log.line('\nLoaded Plugins:');
             if (Array.isArray(result) && result.length > 0) {
                 result.forEach(p => {
-                    console.log(`  ${c.green}●${c.reset} ${p.name}`);
-                    console.log(`    ${c.dim}ID: ${p.id}${c.reset}`);
-                    if (p.url) console.log(`    ${c.dim}URL: ${p.url}${c.reset}`);
+                    log.line(`  ${c.green}●${c.reset} ${p.name}`);
+                    log.line(`    ${c.dim}ID: ${p.id}${c.reset}`);
+                    if (p.url) log.line(`    ${c.dim}URL: ${p.url}${c.reset}`);
                 });
             } else {
-                console.log(`  ${c.dim}(no plugins loaded)${c.reset}`);
+                log.line(`  ${c.dim}(no plugins loaded)${c.reset}`);
             }
-            console.log();
+            log.line();
+            return result;
         },
         
         'spaces': async () => {
-            const result = await executeCommand('ArrivalSpace.listSpaces()');
-            console.log('\nYour Spaces:');
+            const result = await exec('ArrivalSpace.listSpaces()');
+            log.line('\nYour Spaces:');
             if (Array.isArray(result) && result.length > 0) {
                 result.forEach((s, i) => {
                     const privacy = s.privacy === 'Open' ? c.green + '🌐' : 
                                    s.privacy === 'Closed' ? c.yellow + '🔒' : c.cyan + '🔗';
-                    console.log(`  ${privacy}${c.reset} ${s.title}`);
-                    console.log(`    ${c.dim}ID: ${s.id}${c.reset}`);
+                    log.line(`  ${privacy}${c.reset} ${s.title}`);
+                    log.line(`    ${c.dim}ID: ${s.id}${c.reset}`);
                 });
             } else {
-                console.log(`  ${c.dim}(no spaces found)${c.reset}`);
+                log.line(`  ${c.dim}(no spaces found)${c.reset}`);
+            }
+            log.line();
+            return result;
+        },
+        
+        'sessions': async () => {
+            log.line('\nConnected Sessions:');
+            if (sessions.size === 0) {
+                log.line(`  ${c.dim}(no browsers connected)${c.reset}`);
+            }
+            const current = getDefaultSession();
+            for (const session of sessions.values()) {
+                const marker = session === current ? `${c.green}●${c.reset}` : `${c.dim}○${c.reset}`;
+                log.line(`  ${marker} ${sessionLabel(session)} ${c.dim}(${session.ip})${c.reset}`);
             }
-            console.log();
+            log.line();
+            return [...sessions.values()];
         },
         
         'screenshot': async () => {
@@ -584,22 +1092,24 @@ ${c.cyan}CLI Commands:${c.reset}
             const width = parts[0] ? parseInt(parts[0], 10) : 1024;
             const height = parts[1] ? parseInt(parts[1], 10) : 768;
             
-            const code = `ArrivalSpace.captureView(${width}, ${height})`;
-            const result = await executeCommand(code);
+            const { url, buffer, format } = await captureImage(exec, width, height);
+            const file = snapshot.screenshotPath(snapshotDir(), format);
+            snapshot.writeFile(file, buffer);
             
-            if (result?.success) {
-                log.success('Screenshot captured!');
-                console.log(`  ${c.cyan}URL:${c.reset} ${result.url}`);
-            } else {
-                log.error(`Failed to capture: ${result?.error || 'Unknown error'}`);
-            }
-            console.log();
+            log.success('Screenshot captured!');
+            log.line(`  ${c.cyan}URL:${c.reset} ${url}`);
+            log.line(`  ${c.cyan}File:${c.reset} ${path.relative(process.cwd(), file)}`);
+            log.line();
+            return { success: true, url, file };
+        },
+        
+        'snapshot': async () => {
+            return runSnapshot(args, exec);
         },
         
         'deploy': async () => {
             if (!args) {
-                log.error('Usage: deploy [--new] <path/to/plugin.mjs>');
-                return;
+                throw new Error('Usage: deploy [--new] <path/to/plugin.mjs>');
             }
             
             // Check for --new flag
@@ -612,27 +1122,153 @@ ${c.cyan}CLI Commands:${c.reset}
             
             const filePath = path.resolve(filePart);
             if (!fs.existsSync(filePath)) {
-                log.error(`File not found: ${filePath}`);
-                return;
+                throw new Error(`File not found: ${filePath}`);
+            }
+            
+            const { code } = bundlePlugin(filePath);
+            const result = await deployToSessions(code, forceNew, target);
+            reportDeployResult(result);
+            log.line();
+            if (!result?.success) {
+                throw reportedError(result?.error || 'Unknown error', result);
+            }
+            return result;
+        },
+        
+        'leakcheck': async () => {
+            const match = args.match(/^(?:--settle\s+([\d.]+)\s+)?(.+)$/);
+            if (!match) {
+                throw new Error('Usage: leakcheck [--settle <seconds>] <path/to/plugin.mjs>');
+            }
+            const settle = match[1] ? parseFloat(match[1]) : 2;
+            const filePath = path.resolve(match[2].trim());
+            if (!fs.existsSync(filePath)) {
+                throw new Error(`File not found: ${filePath}`);
+            }
+            
+            const { code } = bundlePlugin(filePath);
+            const findings = await runLeakcheck(code, target || getDefaultSession(), settle);
+            log.line();
+            if (findings.length > 0) {
+                throw reportedError('Leaks found', findings);
+            }
+            return findings;
+        },
+        
+        'profile': async () => {
+            const match = args.match(/^(?:--trace\s+(\S+)\s+)?([\d.]+)$/);
+            if (!match || !(parseFloat(match[2]) > 0)) {
+                throw new Error('Usage: profile [--trace <file.json>] <seconds>');
+            }
+            return runProfile(target || getDefaultSession(), parseFloat(match[2]), match[1]);
+        },
+        
+        'export-scene': async () => {
+            if (!args) {
+                throw new Error('Usage: export-scene <out.json>');
+            }
+            const filePath = path.resolve(args);
+            log.info('Exporting scene...');
+            const typesPath = path.join(__dirname, '../../types/arrival.d.ts');
+            const baseMembers = fs.existsSync(typesPath)
+                ? [...coverage.parseDeclarations(fs.readFileSync(typesPath, 'utf-8')).scriptMembers]
+                : [];
+            const result = await exec(leakcheck.callInBrowser(scene.exportScene, {
+                version: scene.SCENE_VERSION,
+                reserved: ['enabled', 'app', 'entity'],
+                baseMembers,
+            }));
+            fs.writeFileSync(filePath, JSON.stringify(result, null, 2) + '\n');
+            
+            log.success(`Saved ${result.entityCount} entities and ${result.plugins.length} plugin(s) to ${path.relative(process.cwd(), filePath)}`);
+            result.plugins.forEach(p => {
+                const count = Object.keys(p.params).length;
+                log.line(`  ${c.green}●${c.reset} ${p.name} ${c.dim}(${count} param${count === 1 ? '' : 's'})${c.reset}`);
+            });
+            log.line();
+            return { file: filePath, entities: result.entityCount, plugins: result.plugins.length };
+        },
+        
+        'import-scene': async () => {
+            const flags = { persist: true, space: null, profile: null };
+            let rest = (args || '').trim();
+            for (let m; (m = rest.match(/^(--no-persist|--space\s+\S+|--profile\s+\S+)\s+/)); rest = rest.slice(m[0].length)) {
+                const [flag, value] = m[1].split(/\s+/);
+                if (flag === '--no-persist') flags.persist = false;
+                else flags[flag.slice(2)] = value;
+            }
+            if (!rest) {
+                throw new Error('Usage: import-scene [--no-persist] [--space <id>] [--profile <name>] <scene.json>');
+            }
+            const filePath = path.resolve(rest);
+            if (!fs.existsSync(filePath)) {
+                throw new Error(`File not found: ${filePath}`);
+            }
+            let data;
+            try {
+                data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+            } catch (err) {
+                throw new Error(`Invalid JSON in ${filePath}: ${err.message}`);
+            }
+            const problem = scene.validateSceneFile(data);
+            if (problem) {
+                throw new Error(`Not an export-scene file (${problem}): ${filePath}`);
             }
             
-            const code = fs.readFileSync(filePath, 'utf-8');
-            const result = await deployPlugin(code, forceNew);
+            const persist = flags.persist;
+            // createPlugin() does not store params: they are written to the
+            // new entities through the REST API, with plugin-upload's credentials
+            let api = null;
+            if (persist && data.plugins.some(p => Object.keys(p.params || {}).length > 0)) {
+                const auth = credentials.resolveAuth({ profile: flags.profile });
+                if (!auth.apiKey) {
+                    throw new Error('No API key to store the params with: run plugin-upload init (or set ARRIVAL_API_KEY), '
+                        + 'or pass --no-persist');
+                }
+                const spaceId = flags.space || await exec('ArrivalSpace.getRoom().roomId');
+                if (!spaceId) {
+                    throw new Error('Could not tell which space is open in the browser, pass --space <id>');
+                }
+                api = { server: auth.server, apiKey: auth.apiKey, spaceId };
+            }
+            // createPlugin() takes a single uniform scale
+            for (const p of data.plugins) {
+                const s = p.scale;
+                if (s && (s.x !== s.y || s.x !== s.z)) {
+                    log.warn(`${p.name}: non-uniform scale ${s.x}, ${s.y}, ${s.z} is imported as ${s.x}`);
+                }
+            }
+            log.info(`Creating ${data.plugins.length} plugin(s)${persist ? '' : ' (not persisted)'}...`);
+            const results = await exec(leakcheck.callInBrowser(scene.importPlugins, { plugins: data.plugins, persist }));
+            if (api) {
+                for (const saved of await scene.saveParams(results, data.plugins, api)) {
+                    const r = results.find(result => result.id === saved.id);
+                    if (saved.error) {
+                        r.success = false;
+                        r.error = `created, but its params were not stored: ${saved.error}`;
+                    }
+                }
+            }
             
-            if (result?.success) {
-                const count = result.count || 1;
-                const action = result.action === 'reloaded' 
-                    ? (count > 1 ? `${count} plugins hot-reloaded` : 'Plugin hot-reloaded')
-                    : 'Plugin deployed';
-                log.success(`${action} successfully!`);
-                console.log(`  ${c.dim}ID: ${result.id}${c.reset}`);
-                if (result.url) {
-                    console.log(`  ${c.dim}URL: ${result.url}${c.reset}`);
+            for (const r of results) {
+                if (r.success) {
+                    log.line(`  ${c.green}✓${c.reset} ${r.name} ${c.dim}→ ${r.id} (${r.params} param${r.params === 1 ? '' : 's'})${c.reset}`);
+                    if (r.skipped.length) {
+                        log.line(`    ${c.yellow}Not declared by the plugin, skipped: ${r.skipped.join(', ')}${c.reset}`);
+                    }
+                } else {
+                    log.line(`  ${c.red}✗${c.reset} ${r.name}: ${r.error}`);
                 }
-            } else {
-                log.error(`Deployment failed: ${result?.error || 'Unknown error'}`);
             }
-            console.log();
+            log.line();
+            
+            const failed = results.filter(r => !r.success).length;
+            if (failed > 0) {
+                log.error(`${failed} of ${results.length} plugin(s) failed`);
+                throw reportedError(`${failed} of ${results.length} plugin(s) failed`, results);
+            }
+            log.success(`Imported ${results.length} plugin(s)${api ? `, params stored in space ${api.spaceId}` : ''}`);
+            return results;
         },
         
         'newspace': async () => {
@@ -640,35 +1276,49 @@ ${c.cyan}CLI Commands:${c.reset}
             log.info(`Creating space: "${title}"...`);
             
             const code = `ArrivalSpace.createSpace({ title: ${JSON.stringify(title)}, loadAfterCreate: true })`;
-            const result = await executeCommand(code);
+            const result = await exec(code);
             
-            if (result?.success) {
-                log.success(`Space created: ${result.roomId}`);
-                console.log(`  ${c.dim}Title: ${result.title}${c.reset}`);
-                console.log(`  ${c.dim}Room: ${result.roomName}${c.reset}`);
-            } else {
-                log.error(`Failed to create space: ${result?.error || 'Unknown error'}`);
+            if (!result?.success) {
+                throw new Error(`Failed to create space: ${result?.error || 'Unknown error'}`);
             }
-            console.log();
+            log.success(`Space created: ${result.roomId}`);
+            log.line(`  ${c.dim}Title: ${result.title}${c.reset}`);
+            log.line(`  ${c.dim}Room: ${result.roomName}${c.reset}`);
+            log.line();
+            return result;
         },
         
         'load': async () => {
             if (!args) {
-                log.error('Usage: load <url|username|spaceId>');
-                return;
+                throw new Error('Usage: load <url|username|spaceId>');
             }
             log.info(`Loading space: ${args}...`);
-            await executeCommand(`ArrivalSpace.loadSpace(${JSON.stringify(args)})`);
+            return exec(`ArrivalSpace.loadSpace(${JSON.stringify(args)})`);
         },
         
         'reload': async () => {
             log.info('Reloading space...');
-            await executeCommand('ArrivalSpace.reloadSpace()');
+            return exec('ArrivalSpace.reloadSpace()');
         },
         
         'refresh': async () => {
             log.info('Refreshing page...');
-            await executeCommand('location.reload()');
+            if (!scriptLines) {
+                return exec('location.reload()');
+            }
+            // The page unloads before it can answer, so wait for it to reconnect
+            const reconnected = waitForSession();
+            exec('location.reload()').catch(() => {});
+            const session = await reconnected;
+            log.dim(`Reconnected as session #${session.id}`);
+        },
+        
+        'wait': async () => {
+            const seconds = parseFloat(args);
+            if (!(seconds >= 0)) {
+                throw new Error('Usage: wait <seconds>');
+            }
+            await new Promise(resolve => setTimeout(resolve, seconds * 1000));
         },
         
         'exit': () => {
@@ -685,23 +1335,561 @@ ${c.cyan}CLI Commands:${c.reset}
     };
 
     const handler = commands[cmdName];
+    if (handler && dryRun) {
+        return true;
+    }
     if (handler) {
         try {
-            await handler();
+            return { ok: true, result: await handler() };
         } catch (err) {
-            log.error(err.message);
+            if (!err.reported) log.error(err.message);
+            return { ok: false, error: err.message, data: err.data };
         }
-        return true;
     }
     
     return false;
 }
 
-// Start the server
-startServer();
+/**
+ * Absolute snapshot directory (--snapshot-dir)
+ */
+function snapshotDir() {
+    return path.resolve(options.snapshotDir);
+}
+
+/**
+ * Capture the current view in the browser and download the image
+ * @param {Function} exec - Runs code in the target session
+ * @returns {Promise<{url: string, buffer: Buffer, format: string}>}
+ */
+async function captureImage(exec, width, height) {
+    const result = await exec(`ArrivalSpace.captureView(${width}, ${height})`);
+    if (!result?.success) {
+        throw new Error(`Failed to capture: ${result?.error || 'Unknown error'}`);
+    }
+    const { buffer, format } = await snapshot.downloadImage(result.url);
+    return { url: result.url, buffer, format };
+}
+
+/**
+ * The `snapshot` REPL command: save, compare or list visual baselines
+ * @param {string} args - Everything after "snapshot"
+ * @param {Function} exec - Runs code in the target session
+ */
+async function runSnapshot(args, exec) {
+    const dir = snapshotDir();
+    const [sub, ...rest] = args.split(/\s+/).filter(Boolean);
+    const usage = 'Usage: snapshot save <name> [w h] | snapshot compare [--tolerance <percent>] [--threshold <0-1>] <name> | snapshot list';
+    
+    if (sub === 'list') {
+        const names = snapshot.listBaselines(dir);
+        log.line(`\nBaselines ${c.dim}(${path.relative(process.cwd(), dir) || '.'})${c.reset}:`);
+        if (names.length === 0) {
+            log.line(`  ${c.dim}(none saved)${c.reset}`);
+        }
+        names.forEach(name => log.line(`  ${name}`));
+        log.line();
+        return names;
+    }
+    
+    if (sub === 'save') {
+        const [name, w, h] = rest;
+        if (!name) throw new Error(usage);
+        const paths = snapshot.snapshotPaths(dir, name);
+        const width = w ? parseInt(w, 10) : 1024;
+        const height = h ? parseInt(h, 10) : 768;
+        
+        log.info(`Capturing baseline '${name}' (${width}x${height})...`);
+        const { buffer } = await captureImage(exec, width, height);
+        // Re-encode as PNG so JPEG captures don't lose more quality on later saves
+        const image = snapshot.decodeImage(buffer);
+        snapshot.writeFile(paths.baseline, snapshot.encodePng(image));
+        log.success(`Saved ${path.relative(process.cwd(), paths.baseline)}`);
+        log.line();
+        return { name, file: paths.baseline, width: image.width, height: image.height };
+    }
+    
+    if (sub === 'compare') {
+        let tolerance = 0.1;
+        let threshold = 0.1;
+        let name = null;
+        for (let i = 0; i < rest.length; i++) {
+            if (rest[i] === '--tolerance') tolerance = parseFloat(rest[++i]);
+            else if (rest[i] === '--threshold') threshold = parseFloat(rest[++i]);
+            else name = rest[i];
+        }
+        if (!name || !(tolerance >= 0) || !(threshold >= 0 && threshold <= 1)) throw new Error(usage);
+        
+        const paths = snapshot.snapshotPaths(dir, name);
+        if (!fs.existsSync(paths.baseline)) {
+            throw new Error(`No baseline '${name}' - create it with: snapshot save ${name}`);
+        }
+        const baseline = snapshot.decodeImage(fs.readFileSync(paths.baseline));
+        
+        // Capture at the baseline's size so the images line up
+        log.info(`Capturing and comparing against '${name}' (${baseline.width}x${baseline.height})...`);
+        const { buffer } = await captureImage(exec, baseline.width, baseline.height);
+        const actual = snapshot.decodeImage(buffer);
+        snapshot.writeFile(paths.actual, snapshot.encodePng(actual));
+        
+        const { diffPixels, ratio, diff } = snapshot.compareImages(baseline, actual, threshold);
+        snapshot.writeFile(paths.diff, diff);
+        
+        const percent = ratio * 100;
+        const result = { name, diffPixels, percent, tolerance, threshold, actual: paths.actual, diff: paths.diff };
+        const summary = `${diffPixels} pixel(s) differ (${percent.toFixed(3)}%, tolerance ${tolerance}%)`;
+        log.line(`  ${c.dim}Actual: ${path.relative(process.cwd(), paths.actual)}${c.reset}`);
+        log.line(`  ${c.dim}Diff:   ${path.relative(process.cwd(), paths.diff)}${c.reset}`);
+        if (percent > tolerance) {
+            log.error(`'${name}' changed: ${summary}`);
+            log.line();
+            throw reportedError(`'${name}' changed: ${summary}`, result);
+        }
+        log.success(`'${name}' matches: ${summary}`);
+        log.line();
+        return result;
+    }
+    
+    throw new Error(usage);
+}
+
+/**
+ * Create a throwaway instance of a plugin, remove it again and report what it
+ * left behind (entities, listeners, DOM nodes, timers, avatar overrides)
+ * @param {string} code - Bundled plugin code
+ * @param {object} session - Browser session to run in
+ * @param {number} settle - Seconds to wait after creating and after removing
+ * @returns {Promise<Array<{category: string, items: string[]}>>} Findings, empty when nothing leaked
+ */
+async function runLeakcheck(code, session, settle) {
+    const exec = (js) => executeCommand(js, session);
+    const wait = (seconds) => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+    const label = extractScriptName(code) || 'plugin';
+    const probeConfig = {
+        overrides: [...Object.keys(leakcheck.OVERRIDES), ...Object.keys(leakcheck.RESETS)],
+    };
+    
+    let report;
+    try {
+        const baseline = await exec(leakcheck.callInBrowser(leakcheck.installProbe, probeConfig));
+        log.dim(`Baseline: ${baseline.entities} entities, ${baseline.nodes} DOM nodes`);
+        
+        // Not persisted, so the check never touches the saved space
+        log.info(`Creating '${label}'...`);
+        const created = await exec(`ArrivalSpace.createPlugin(\`${escapeTemplate(code)}\`, { persist: false })`);
+        if (!created?.success) {
+            throw new Error(`Failed to create plugin: ${created?.error || 'unknown'}`);
+        }
+        await wait(settle);
+        
+        log.info(`Removing ${created.id}...`);
+        const removed = await exec(`ArrivalSpace.removePlugin(${JSON.stringify(created.id)}, false)`);
+        if (removed === false) {
+            log.warn('removePlugin() returned false - results may include the plugin itself');
+        }
+        await wait(settle);
+        
+        report = await exec(leakcheck.callInBrowser(leakcheck.collectReport));
+    } finally {
+        await exec(leakcheck.callInBrowser(leakcheck.uninstallProbe)).catch(() => {});
+    }
+    
+    if (report?.error) {
+        throw new Error(report.error);
+    }
+    
+    const findings = leakcheck.summarizeReport(report);
+    if (findings.length === 0) {
+        log.success(`'${label}' cleaned up after itself`);
+        return findings;
+    }
+    
+    let count = 0;
+    for (const { category, items } of findings) {
+        log.line(`\n${c.bright}${category}${c.reset}`);
+        items.forEach(item => log.line(`  ${c.red}✗${c.reset} ${item}`));
+        count += items.length;
+    }
+    log.line();
+    log.error(`${count} leak(s) found after removing '${label}'`);
+    log.dim('Anything else running in the space during the check can show up here too.');
+    return findings;
+}
+
+/**
+ * Run REPL commands, one per line, in order. Blank lines and lines starting
+ * with # or // are skipped. Exits 1 on the first failing command, 0 when
+ * every command succeeded.
+ * @param {string} name - Shown with line numbers, e.g. the script file name
+ * @param {string[]} lines - The commands
+ */
+async function runScript(name, lines) {
+    let count = 0;
+    
+    for (let i = 0; i < lines.length; i++) {
+        const input = lines[i].trim();
+        if (!input || input.startsWith('#') || input.startsWith('//')) continue;
+        
+        log.line(`${c.green}${name}:${i + 1}>${c.reset} ${input}`);
+        if (!await runInput(input)) {
+            log.error(`Script stopped at ${name}:${i + 1}`);
+            exitAfterFlush(1);
+            return;
+        }
+        count++;
+    }
+    
+    log.success(`Script finished (${count} command(s))`);
+    exitAfterFlush(0);
+}
+
+/**
+ * Profile every loaded plugin for a number of seconds and print a table of
+ * update/postUpdate timings, slowest first
+ * @param {object} session - Browser session to profile
+ * @param {number} seconds - How long to sample
+ * @param {string} [traceFile] - Also write a Chrome trace-event file here
+ * @returns {Promise<object>} Summary from profiler.summarizeProfile()
+ */
+async function runProfile(session, seconds, traceFile) {
+    const exec = (js) => executeCommand(js, session);
+    const config = { methods: profiler.METHODS, maxSamples: profiler.MAX_SAMPLES };
+    
+    let profile;
+    try {
+        const installed = await exec(leakcheck.callInBrowser(profiler.installProfiler, config));
+        log.info(`Profiling ${installed.plugins} plugin(s) for ${seconds}s...`);
+        await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+        profile = await exec(leakcheck.callInBrowser(profiler.collectProfile));
+    } finally {
+        // No-op after a successful collect; restores the plugins if anything failed
+        await exec(leakcheck.callInBrowser(profiler.uninstallProfiler)).catch(() => {});
+    }
+    if (profile?.error) {
+        throw new Error(profile.error);
+    }
+    
+    const summary = profiler.summarizeProfile(profile);
+    const ms = (n) => n.toFixed(3).padStart(8);
+    const width = Math.max(6, ...summary.rows.map(r => r.plugin.length));
+    
+    log.line(`\n${c.bright}${'Plugin'.padEnd(width)}  ${'Method'.padEnd(10)}  ${'Calls'.padStart(6)}  ${'Mean ms'.padStart(8)}  ${'p95 ms'.padStart(8)}  ${'Max ms'.padStart(8)}${c.reset}`);
+    if (summary.rows.length === 0) {
+        log.line(`  ${c.dim}(no plugin update() calls recorded)${c.reset}`);
+    }
+    for (const row of summary.rows) {
+        log.line(`${row.plugin.padEnd(width)}  ${row.method.padEnd(10)}  ${String(row.calls).padStart(6)}  ${ms(row.mean)}  ${ms(row.p95)}  ${ms(row.max)}`);
+    }
+    
+    const { frames } = summary;
+    log.line();
+    log.line(`${c.cyan}Frames:${c.reset} ${frames.count} in ${summary.duration.toFixed(1)}s (${frames.fps.toFixed(1)} fps) - mean ${frames.mean.toFixed(2)} ms, p95 ${frames.p95.toFixed(2)} ms, max ${frames.max.toFixed(2)} ms`);
+    if (frames.drawCalls) {
+        log.line(`${c.cyan}Draw calls:${c.reset} mean ${Math.round(frames.drawCalls.mean)}, max ${frames.drawCalls.max}`);
+    }
+    if (summary.dropped > 0) {
+        log.warn(`Sample limit reached - ${summary.dropped} sample(s) dropped. Profile for fewer seconds.`);
+    }
+    
+    if (traceFile) {
+        const file = path.resolve(traceFile);
+        fs.writeFileSync(file, JSON.stringify(profiler.toChromeTrace(profile)));
+        log.success(`Trace written to ${path.relative(process.cwd(), file)} ${c.dim}(open in chrome://tracing or ui.perfetto.dev)${c.reset}`);
+        summary.trace = file;
+    }
+    log.line();
+    return summary;
+}
+
+/**
+ * Lint plugin files and print problems grouped per file
+ * @param {string[]} paths - Files or directories (directories lint every .mjs inside)
+ * @returns {boolean} true when no problems were found
+ */
+function runLint(paths) {
+    const files = pluginFiles(paths);
+    if (!files) return false;
+    
+    let problemCount = 0;
+    let fileCount = 0;
+    for (const file of files) {
+        const problems = lintFile(file);
+        if (problems.length === 0) continue;
+        problemCount += problems.length;
+        fileCount++;
+        
+        log.line(`\n${c.bright}${path.relative(process.cwd(), file)}${c.reset}`);
+        const width = Math.max(...problems.map(p => `${p.line}:${p.column}`.length));
+        const ruleWidth = Math.max(...problems.map(p => p.rule.length));
+        for (const p of problems) {
+            log.line(`  ${c.dim}${`${p.line}:${p.column}`.padEnd(width)}${c.reset}  ${c.red}${p.rule.padEnd(ruleWidth)}${c.reset}  ${p.message}`);
+        }
+    }
+    
+    log.line();
+    if (problemCount > 0) {
+        log.error(`${problemCount} problem(s) in ${fileCount} of ${files.length} file(s)`);
+        return false;
+    }
+    log.success(`${files.length} file(s) passed`);
+    return true;
+}
+
+/**
+ * Expand files and directories (every .mjs inside) into a list of plugin files
+ * @returns {string[]|null} null when a path does not exist (already reported)
+ */
+function pluginFiles(paths) {
+    const files = [];
+    for (const p of paths) {
+        const resolved = path.resolve(p);
+        if (!fs.existsSync(resolved)) {
+            log.error(`File not found: ${resolved}`);
+            return null;
+        }
+        if (fs.statSync(resolved).isDirectory()) {
+            fs.readdirSync(resolved)
+                .filter(f => f.endsWith('.mjs'))
+                .sort()
+                .forEach(f => files.push(path.join(resolved, f)));
+        } else {
+            files.push(resolved);
+        }
+    }
+    return files;
+}
+
+/**
+ * Check plugin files for API uses missing from the type definitions and
+ * print them grouped per file
+ * @param {string[]} paths - Files or directories
+ * @param {string} typesPath - Declaration file (arrival.d.ts)
+ * @returns {boolean} true when everything used is declared
+ */
+function runTypeCoverage(paths, typesPath) {
+    const files = pluginFiles(paths);
+    if (!files) return false;
+    if (!fs.existsSync(typesPath)) {
+        log.error(`File not found: ${path.resolve(typesPath)}`);
+        return false;
+    }
+
+    const results = coverage.checkFiles(files, typesPath);
+    const missingApis = new Set();
+    let useCount = 0;
+    for (const [file, missing] of results) {
+        if (missing.length === 0) continue;
+        useCount += missing.length;
+        missing.forEach(m => missingApis.add(m.api));
+
+        log.line(`\n${c.bright}${path.relative(process.cwd(), file)}${c.reset}`);
+        const width = Math.max(...missing.map(m => `${m.line}:${m.column}`.length));
+        for (const m of missing) {
+            log.line(`  ${c.dim}${`${m.line}:${m.column}`.padEnd(width)}${c.reset}  ${c.red}${m.message}${c.reset}`);
+        }
+    }
+
+    log.line();
+    const typesName = path.relative(process.cwd(), path.resolve(typesPath));
+    if (useCount > 0) {
+        log.error(`${missingApis.size} API(s) used ${useCount} time(s) are missing from ${typesName}`);
+        return false;
+    }
+    log.success(`All API uses in ${files.length} file(s) are declared in ${typesName}`);
+    return true;
+}
+
+/**
+ * Regenerate the docs derived from the type definitions and examples, or
+ * with check set, report the ones that differ from what is committed
+ * @param {string} root - Repository root
+ * @param {boolean} check - Compare instead of writing
+ * @returns {boolean} true when written, or (check) when everything is up to date
+ */
+function runDocs(root, check) {
+    let outputs;
+    try {
+        outputs = docs.generate(root);
+    } catch (err) {
+        log.error(err.message);
+        return false;
+    }
+
+    let stale = 0;
+    for (const { file, content, current } of outputs) {
+        if (content === current) {
+            log.dim(`  ${file} is up to date`);
+        } else if (check) {
+            stale++;
+            log.error(`${file} is out of date`);
+        } else {
+            fs.writeFileSync(path.join(root, file), content);
+            log.success(`Wrote ${file}`);
+        }
+    }
+    if (stale > 0) {
+        log.info('Run `node tools/arrival-cli/index.js docs` and commit the result');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Search the plugin index and print the best matches, optionally with the
+ * most relevant excerpt of each file
+ * @param {string} query
+ * @param {{ limit: string, all?: boolean, snippet?: boolean, root: string }} opts
+ * @returns {boolean} true when something matched
+ */
+function runSearch(query, opts) {
+    const limit = parseInt(opts.limit, 10);
+    if (!(limit > 0)) {
+        log.error(`Invalid --limit: ${opts.limit}`);
+        return false;
+    }
+    const indexPath = path.join(opts.root, 'docs/plugin-search-index.json');
+    if (!fs.existsSync(indexPath)) {
+        log.error(`File not found: ${path.resolve(indexPath)}`);
+        return false;
+    }
+    let index;
+    try {
+        index = search.loadIndex(indexPath);
+    } catch (err) {
+        log.error(`Cannot read ${path.resolve(indexPath)}: ${err.message}`);
+        return false;
+    }
+
+    // camelCase API names split the lowercased compound keywords of the index
+    const typesPath = path.join(opts.root, 'types/arrival.d.ts');
+    const apiNames = fs.existsSync(typesPath)
+        ? docs.apiEntries(fs.readFileSync(typesPath, 'utf-8')).map(e => e.key)
+        : [];
+    const searcher = search.createSearcher(index, apiNames);
+    const results = searcher.search(query, { kinds: opts.all ? null : ['example'], limit });
+    if (results.length === 0) {
+        log.warn(`No ${opts.all ? 'entries' : 'examples'} match "${query}"`);
+        return false;
+    }
+
+    const terms = searcher.terms(query);
+    results.forEach(({ entry, score, matched }, i) => {
+        const scriptName = entry.script_name ? `  ${c.cyan}scriptName "${entry.script_name}"${c.reset}` : '';
+        log.line(`\n${c.bright}${i + 1}. ${entry.title}${c.reset}${scriptName}  ${c.dim}${score.toFixed(2)}${c.reset}`);
+        log.line(`   ${entry.path}${entry.kind === 'example' ? '' : ` ${c.dim}(${entry.kind})${c.reset}`}`);
+        if (entry.summary) log.line(`   ${c.dim}${entry.summary}${c.reset}`);
+        log.line(`   ${c.dim}matched: ${matched.join(', ')}${c.reset}`);
+
+        if (!opts.snippet) return;
+        const file = path.join(opts.root, entry.path);
+        if (!fs.existsSync(file)) {
+            log.warn(`${entry.path} not found`);
+            return;
+        }
+        const excerpt = search.bestSnippet(fs.readFileSync(file, 'utf-8'), terms, searcher.idf);
+        if (!excerpt) return;
+        const width = String(excerpt.start + excerpt.lines.length - 1).length;
+        log.line();
+        excerpt.lines.forEach((line, j) => {
+            log.line(`   ${c.dim}${String(excerpt.start + j).padStart(width)} │${c.reset} ${line}`);
+        });
+    });
+    log.line();
+    return true;
+}
+
+/**
+ * Default command: start the WebSocket server and the REPL / one-shot / watch mode
+ * @param {string[]} [commands] - REPL commands to run once a browser connects
+ *   (used by subcommands such as export-scene)
+ */
+function main(commands) {
+    options = program.opts();
+    PORT = parseInt(options.port, 10);
+
+    forceNewPlugin = options.new || false;
+
+    if (options.script) {
+        const scriptPath = path.resolve(options.script);
+        if (!fs.existsSync(scriptPath)) {
+            console.error(`File not found: ${scriptPath}`);
+            process.exit(1);
+        }
+        scriptLines = {
+            name: path.basename(scriptPath),
+            lines: fs.readFileSync(scriptPath, 'utf-8').split(/\r?\n/),
+        };
+    }
+
+    // If deploy option provided, read the plugin file
+    if (options.deploy) {
+        const filePath = path.resolve(options.deploy);
+        if (!fs.existsSync(filePath)) {
+            console.error(`File not found: ${filePath}`);
+            process.exit(1);
+        }
+        try {
+            pluginCode = bundlePlugin(filePath).code;
+        } catch (err) {
+            console.error(`Bundling failed: ${err.message}`);
+            process.exit(1);
+        }
+        isPluginDeploy = true;
+    }
+
+    // If watch-deploy option provided, make sure the entry file exists up front
+    if (options.watchDeploy) {
+        watchDeployPath = path.resolve(options.watchDeploy);
+        if (!fs.existsSync(watchDeployPath)) {
+            console.error(`File not found: ${watchDeployPath}`);
+            process.exit(1);
+        }
+    }
+
+    // If file option provided, read the file
+    if (options.file) {
+        const filePath = path.resolve(options.file);
+        if (!fs.existsSync(filePath)) {
+            console.error(`File not found: ${filePath}`);
+            process.exit(1);
+        }
+        const fileContent = fs.readFileSync(filePath, 'utf-8');
+
+        // Detect if it's an ESM plugin (has export class ... extends ArrivalScript)
+        if (fileContent.includes('export class') && fileContent.includes('ArrivalScript')) {
+            try {
+                pluginCode = bundlePlugin(filePath).code;
+            } catch (err) {
+                console.error(`Bundling failed: ${err.message}`);
+                process.exit(1);
+            }
+            isPluginDeploy = true;
+        } else {
+            options.eval = fileContent;
+        }
+    }
+
+    if (commands) {
+        scriptLines = { name: 'arrival-cli', lines: commands };
+    }
+
+    // Start the server
+    startServer();
+
+    if (watchDeployPath) {
+        try {
+            refreshWatchers(bundlePlugin(watchDeployPath).files);
+        } catch (err) {
+            log.error(err.message);
+            refreshWatchers([watchDeployPath]);
+        }
+    }
+}
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
-    console.log('\nShutting down...');
+    log.line('\nShutting down...');
     process.exit(0);
 });
+
+program.parse();
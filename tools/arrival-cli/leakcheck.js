@@ -0,0 +1,387 @@
+/**
+ * Plugin Leak Check
+ *
+ * Runtime counterpart of the cleanup checklist in docs/00-agent-quickstart.md.
+ * A probe is installed in the browser before the plugin is created. It wraps
+ * the subscription, timer and avatar-override APIs and snapshots the scene
+ * graph and DOM. After the plugin is removed, the report lists everything the
+ * plugin left behind.
+ *
+ * The browser-side functions below are sent with Function#toString(), so they
+ * must not reference anything outside their own body.
+ */
+
+// Avatar/player overrides the plugin must undo. `key` groups calls that
+// override the same thing; `isReset` recognises the call that undoes it.
+const OVERRIDES = {
+    setPlayerAvatarOffset: {
+        key: () => 'avatar offset',
+        isReset: (x, y, z) => !x && !y && !z,
+        hint: 'setPlayerAvatarOffset(0, 0, 0)',
+    },
+    setPlayerAnimation: {
+        key: (state) => `animation '${state}'`,
+        isReset: (state, url) => url == null,
+        hint: 'setPlayerAnimation(state, null)',
+    },
+    setPlayerSpeed: {
+        key: () => 'player speed',
+        isReset: (multiplier) => multiplier === 1,
+        hint: 'setPlayerSpeed(1)',
+    },
+    setPlayerAnimSpeed: {
+        key: (state) => `animation speed '${state}'`,
+        isReset: (state, speed) => speed == null,
+        hint: 'setPlayerAnimSpeed(state, null)',
+    },
+    setAvatarParts: {
+        key: () => 'avatar parts',
+        isReset: () => false,
+        hint: 'resetAvatar()',
+    },
+    setAppUIVisible: {
+        key: () => 'app UI visibility',
+        isReset: (visible) => visible === true,
+        hint: 'setAppUIVisible(true)',
+    },
+    setPhysicsStepRate: {
+        key: () => 'physics step rate',
+        isReset: (stepHz) => stepHz === 60,
+        hint: 'setPhysicsStepRate(60, 10)',
+    },
+};
+
+// Calls that undo several overrides at once
+const RESETS = {
+    resetAvatar: ['avatar parts'],
+};
+
+/**
+ * Browser side: wrap the tracked APIs and take the "before" snapshot.
+ * State lives on window.__arrivalLeakcheck until uninstallProbe() runs.
+ */
+function installProbe(config) {
+    if (window.__arrivalLeakcheck) {
+        window.__arrivalLeakcheck.uninstall();
+    }
+
+    const app = pc.Application.getApplication();
+    const restore = [];
+    const state = {
+        bus: [],            // { event, callback, removed }
+        subscriptions: [],  // { kind, type, callback, removed }
+        listeners: [],      // { target, type, listener, removed }
+        intervals: new Map(),
+        timeouts: new Map(),
+        frames: new Set(),
+        overrides: [],      // { name, args }
+    };
+
+    const patch = (obj, name, makeWrapper) => {
+        if (!obj || typeof obj[name] !== 'function') return;
+        const original = obj[name];
+        obj[name] = makeWrapper(original);
+        restore.push(() => { obj[name] = original; });
+    };
+
+    const allEntities = () => {
+        const seen = new Set();
+        const stack = [app.root];
+        while (stack.length) {
+            const entity = stack.pop();
+            seen.add(entity);
+            stack.push(...entity.children);
+        }
+        return seen;
+    };
+
+    const callbackCounts = () => {
+        const targets = { app, keyboard: app.keyboard, mouse: app.mouse, touch: app.touch, scene: app.scene };
+        const counts = {};
+        for (const [label, target] of Object.entries(targets)) {
+            const callbacks = target && target._callbacks;
+            if (!callbacks) continue;
+            const entries = callbacks instanceof Map ? [...callbacks] : Object.entries(callbacks);
+            for (const [event, list] of entries) {
+                counts[`${label}:${event}`] = list ? list.length : 0;
+            }
+        }
+        return counts;
+    };
+
+    const safeArgs = (args) => {
+        try {
+            return JSON.parse(JSON.stringify(args, (k, v) => (typeof v === 'function' ? '[function]' : v)));
+        } catch (e) {
+            return args.map(a => String(a));
+        }
+    };
+
+    // Plugin event bus
+    patch(ArrivalSpace, 'on', original => function (event, callback) {
+        state.bus.push({ event, callback, removed: false });
+        return original.apply(this, arguments);
+    });
+    patch(ArrivalSpace, 'off', original => function (event, callback) {
+        for (const entry of state.bus) {
+            if (entry.event === event && (!callback || entry.callback === callback)) entry.removed = true;
+        }
+        return original.apply(this, arguments);
+    });
+
+    // Subscriptions that return an unsubscribe function
+    const trackSubscription = (obj, name, label) => patch(obj, name, original => function (...args) {
+        const type = typeof args[0] === 'string' ? args[0] : null;
+        const entry = { kind: label, type, callback: args[type ? 1 : 0], removed: false };
+        state.subscriptions.push(entry);
+        const unsubscribe = original.apply(this, args);
+        if (typeof unsubscribe !== 'function') return unsubscribe;
+        return function () {
+            entry.removed = true;
+            return unsubscribe.apply(this, arguments);
+        };
+    });
+    const net = ArrivalSpace.net;
+    for (const name of ['on', 'once', 'onPlayerJoin', 'onPlayerLeave', 'onConnect', 'onDisconnect']) {
+        trackSubscription(net, name, `net.${name}`);
+    }
+    trackSubscription(ArrivalSpace, 'onStandingObjectChanged', 'onStandingObjectChanged');
+    patch(net, 'off', original => function (type, callback) {
+        for (const entry of state.subscriptions) {
+            if (entry.kind.startsWith('net.') && entry.type === type && (!callback || entry.callback === callback)) {
+                entry.removed = true;
+            }
+        }
+        return original.apply(this, arguments);
+    });
+
+    // window / document listeners
+    for (const [label, target] of [['window', window], ['document', document]]) {
+        patch(target, 'addEventListener', original => function (type, listener) {
+            state.listeners.push({ target: label, type, listener, removed: false });
+            return original.apply(this, arguments);
+        });
+        patch(target, 'removeEventListener', original => function (type, listener) {
+            for (const entry of state.listeners) {
+                if (entry.target === label && entry.type === type && entry.listener === listener) entry.removed = true;
+            }
+            return original.apply(this, arguments);
+        });
+    }
+
+    // Timers
+    patch(window, 'setInterval', original => function () {
+        const id = original.apply(this, arguments);
+        state.intervals.set(id, true);
+        return id;
+    });
+    patch(window, 'clearInterval', original => function (id) {
+        state.intervals.delete(id);
+        return original.apply(this, arguments);
+    });
+    patch(window, 'setTimeout', original => function (callback, ...rest) {
+        let id = null;
+        const wrapped = typeof callback === 'function'
+            ? function () { state.timeouts.delete(id); return callback.apply(this, arguments); }
+            : callback;
+        id = original.call(this, wrapped, ...rest);
+        state.timeouts.set(id, rest[0] || 0);
+        return id;
+    });
+    patch(window, 'clearTimeout', original => function (id) {
+        state.timeouts.delete(id);
+        return original.apply(this, arguments);
+    });
+    patch(window, 'requestAnimationFrame', original => function (callback) {
+        let id = null;
+        id = original.call(this, function () {
+            state.frames.delete(id);
+            return callback.apply(this, arguments);
+        });
+        state.frames.add(id);
+        return id;
+    });
+    patch(window, 'cancelAnimationFrame', original => function (id) {
+        state.frames.delete(id);
+        return original.apply(this, arguments);
+    });
+
+    // Avatar / player overrides
+    for (const name of config.overrides) {
+        patch(ArrivalSpace, name, original => function (...args) {
+            state.overrides.push({ name, args: safeArgs(args) });
+            return original.apply(this, args);
+        });
+    }
+
+    const before = {
+        entities: allEntities(),
+        nodes: new Set(document.body.querySelectorAll('*')),
+        callbacks: callbackCounts(),
+    };
+
+    window.__arrivalLeakcheck = {
+        state,
+        before,
+        allEntities,
+        callbackCounts,
+        uninstall() {
+            restore.reverse().forEach(fn => fn());
+            delete window.__arrivalLeakcheck;
+        },
+    };
+
+    return { entities: before.entities.size, nodes: before.nodes.size };
+}
+
+/**
+ * Browser side: diff against the "before" snapshot and collect what is left
+ */
+function collectReport() {
+    const probe = window.__arrivalLeakcheck;
+    if (!probe) return { error: 'Leak check probe is not installed (was the page reloaded?)' };
+    const { state, before } = probe;
+
+    const entityPath = (entity) => {
+        const parts = [];
+        for (let e = entity; e; e = e.parent) parts.unshift(e.name);
+        return parts.join('/');
+    };
+    const describeNode = (node) => {
+        let label = node.tagName.toLowerCase();
+        if (node.id) label += `#${node.id}`;
+        if (typeof node.className === 'string' && node.className.trim()) {
+            label += `.${node.className.trim().split(/\s+/).join('.')}`;
+        }
+        return label;
+    };
+
+    // Only report the top of each new subtree
+    const entities = [...probe.allEntities()]
+        .filter(e => !before.entities.has(e) && before.entities.has(e.parent))
+        .map(e => ({ path: entityPath(e), descendants: e.find(() => true).length - 1 }));
+
+    const nodes = [...document.body.querySelectorAll('*')]
+        .filter(n => !before.nodes.has(n) && (n.parentElement === document.body || before.nodes.has(n.parentElement)))
+        .map(n => ({
+            node: describeNode(n),
+            parent: n.parentElement ? describeNode(n.parentElement) : null,
+            text: (n.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 60),
+        }));
+
+    const callbacks = [];
+    const after = probe.callbackCounts();
+    for (const [key, count] of Object.entries(after)) {
+        const delta = count - (before.callbacks[key] || 0);
+        if (delta > 0) callbacks.push({ key, delta });
+    }
+
+    const countBy = (entries, keyOf) => {
+        const counts = new Map();
+        for (const entry of entries) {
+            const key = keyOf(entry);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        return [...counts].map(([key, count]) => ({ key, count }));
+    };
+
+    return {
+        entities,
+        nodes,
+        bus: countBy(state.bus.filter(e => !e.removed), e => e.event),
+        subscriptions: countBy(state.subscriptions.filter(e => !e.removed),
+            e => (e.type ? `${e.kind}('${e.type}')` : `${e.kind}()`)),
+        listeners: countBy(state.listeners.filter(e => !e.removed), e => `${e.target} '${e.type}'`),
+        callbacks,
+        intervals: state.intervals.size,
+        timeouts: [...state.timeouts.values()],
+        frames: state.frames.size,
+        overrides: state.overrides,
+    };
+}
+
+/**
+ * Browser side: restore every wrapped function
+ */
+function uninstallProbe() {
+    if (window.__arrivalLeakcheck) window.__arrivalLeakcheck.uninstall();
+    return true;
+}
+
+/**
+ * Expression that runs a browser-side function with JSON arguments
+ */
+function callInBrowser(fn, ...args) {
+    return `(${fn.toString()})(${args.map(a => JSON.stringify(a)).join(', ')})`;
+}
+
+/**
+ * Replay the recorded override calls and return the ones never undone
+ * @param {Array<{name: string, args: any[]}>} calls - In call order
+ * @returns {Array<{what: string, call: string, hint: string}>}
+ */
+function unresolvedOverrides(calls) {
+    const active = new Map();
+    for (const { name, args } of calls) {
+        if (RESETS[name]) {
+            RESETS[name].forEach(key => active.delete(key));
+            continue;
+        }
+        const rule = OVERRIDES[name];
+        if (!rule) continue;
+        const key = rule.key(...args);
+        if (rule.isReset(...args)) {
+            active.delete(key);
+        } else {
+            const shown = args.map(a => JSON.stringify(a)).join(', ');
+            active.set(key, { what: key, call: `${name}(${shown})`, hint: rule.hint });
+        }
+    }
+    return [...active.values()];
+}
+
+/**
+ * Turn a browser report into findings grouped by checklist item
+ * @returns {Array<{category: string, items: string[]}>}
+ */
+function summarizeReport(report) {
+    const findings = [];
+    const add = (category, items) => {
+        if (items.length) findings.push({ category, items });
+    };
+
+    add('Orphaned entities', report.entities.map(e =>
+        e.descendants ? `${e.path} (+${e.descendants} descendants)` : e.path));
+    add('Event bus handlers', report.bus.map(b =>
+        `ArrivalSpace.on('${b.key}')${b.count > 1 ? ` x${b.count}` : ''} never removed with ArrivalSpace.off()`));
+    add('Network subscriptions', report.subscriptions.map(s =>
+        `${s.key}${s.count > 1 ? ` x${s.count}` : ''} never unsubscribed`));
+    add('Engine listeners', report.callbacks.map(cb =>
+        `${cb.key} has ${cb.delta} more listener(s) than before`));
+    add('DOM listeners', report.listeners.map(l =>
+        `${l.key}${l.count > 1 ? ` x${l.count}` : ''} never removed`));
+    add('DOM nodes', report.nodes.map(n =>
+        `<${n.node}>${n.parent ? ` in <${n.parent}>` : ''}${n.text ? ` "${n.text}"` : ''}`));
+
+    const timers = [];
+    if (report.intervals) timers.push(`${report.intervals} interval(s) still running`);
+    if (report.timeouts.length) timers.push(`${report.timeouts.length} timeout(s) still pending`);
+    if (report.frames) timers.push('requestAnimationFrame loop still scheduled');
+    add('Timers', timers);
+
+    add('Overrides', unresolvedOverrides(report.overrides).map(o =>
+        `${o.what} left set by ${o.call} - reset with ${o.hint}`));
+
+    return findings;
+}
+
+module.exports = {
+    OVERRIDES,
+    RESETS,
+    installProbe,
+    collectReport,
+    uninstallProbe,
+    callInBrowser,
+    unresolvedOverrides,
+    summarizeReport,
+};
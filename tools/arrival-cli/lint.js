@@ -0,0 +1,368 @@
+/**
+ * Plugin Linter
+ *
+ * Static checks for the "Hard Rules" and cleanup checklist in
+ * docs/00-agent-quickstart.md. Parses the plugin with acorn and reports each
+ * violation with its line and column.
+ *
+ * Rules:
+ *   single-export      Export exactly one class that extends ArrivalScript
+ *   script-name        Each exported class sets `static scriptName` to a string
+ *   reserved-property  No plugin properties named enabled / app / entity
+ *   root-add-child     No untracked entities added with this.app.root.addChild()
+ *   event-bus-cleanup  Every ArrivalSpace.on() has a matching off() in destroy()
+ *   net-unsubscribe    Every ArrivalSpace.net.on*() subscription is released in destroy()
+ */
+
+const fs = require('fs');
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+const RESERVED_PROPERTIES = ['enabled', 'app', 'entity'];
+const NET_SUBSCRIBE_METHODS = ['on', 'onPlayerJoin', 'onPlayerLeave', 'onConnect', 'onDisconnect'];
+
+/**
+ * Source text of a node, used to compare event names and handlers
+ */
+function textOf(code, node) {
+    return code.slice(node.start, node.end);
+}
+
+/**
+ * Name of a non-computed property key (Identifier or string Literal)
+ */
+function keyName(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier' || node.type === 'PrivateIdentifier') return node.name;
+    if (node.type === 'Literal') return String(node.value);
+    return null;
+}
+
+/**
+ * Match a member expression chain against dotted names, e.g.
+ * isMember(node, ['ArrivalSpace', 'net', 'on']). 'this' matches ThisExpression.
+ */
+function isMember(node, names) {
+    for (let i = names.length - 1; i > 0; i--) {
+        if (!node || node.type !== 'MemberExpression' || node.computed) return false;
+        if (keyName(node.property) !== names[i]) return false;
+        node = node.object;
+    }
+    if (names[0] === 'this') return node?.type === 'ThisExpression';
+    return node?.type === 'Identifier' && node.name === names[0];
+}
+
+/**
+ * Name of a `this.<name>` member expression, or null
+ */
+function thisMemberName(node) {
+    if (node?.type === 'ChainExpression') node = node.expression;
+    if (node?.type === 'MemberExpression' && !node.computed && node.object.type === 'ThisExpression') {
+        return keyName(node.property);
+    }
+    return null;
+}
+
+/**
+ * Find the exported ArrivalScript classes of a module
+ */
+function findPluginClasses(ast) {
+    const topLevelClasses = new Map();
+    for (const node of ast.body) {
+        if (node.type === 'ClassDeclaration' && node.id) topLevelClasses.set(node.id.name, node);
+    }
+
+    const extendsArrivalScript = (cls) => cls?.superClass?.type === 'Identifier' && cls.superClass.name === 'ArrivalScript';
+    const exported = [];
+
+    for (const node of ast.body) {
+        if (node.type === 'ExportNamedDeclaration' && node.declaration?.type === 'ClassDeclaration') {
+            if (extendsArrivalScript(node.declaration)) exported.push(node.declaration);
+        } else if (node.type === 'ExportNamedDeclaration' && !node.source) {
+            for (const spec of node.specifiers) {
+                const cls = topLevelClasses.get(spec.local.name);
+                if (extendsArrivalScript(cls)) exported.push(cls);
+            }
+        } else if (node.type === 'ExportDefaultDeclaration') {
+            const decl = node.declaration;
+            const cls = decl.type === 'Identifier' ? topLevelClasses.get(decl.name) : decl;
+            if ((cls?.type === 'ClassDeclaration' || cls?.type === 'ClassExpression') && extendsArrivalScript(cls)) {
+                exported.push(cls);
+            }
+        }
+    }
+    return exported;
+}
+
+/**
+ * Collect the function bodies reachable from destroy() through this.method()
+ * calls. Handlers registered with this.on('destroy', ...) / this.once('destroy', ...)
+ * count as destroy() too.
+ */
+function destroyReachableBodies(cls) {
+    const methods = new Map();
+    for (const member of cls.body.body) {
+        if (member.static) continue;
+        const name = keyName(member.key);
+        if (member.type === 'MethodDefinition' && name) {
+            methods.set(name, member.value);
+        } else if (member.type === 'PropertyDefinition' && name &&
+                   ['ArrowFunctionExpression', 'FunctionExpression'].includes(member.value?.type)) {
+            methods.set(name, member.value);
+        }
+    }
+
+    const bodies = [];
+    const seen = new Set();
+    const queue = methods.has('destroy') ? ['destroy'] : [];
+
+    walk.simple(cls.body, {
+        CallExpression(node) {
+            const isDestroyListener = (isMember(node.callee, ['this', 'on']) || isMember(node.callee, ['this', 'once'])) &&
+                node.arguments[0]?.type === 'Literal' && node.arguments[0].value === 'destroy';
+            if (!isDestroyListener || !node.arguments[1]) return;
+            const handler = node.arguments[1];
+            if (['ArrowFunctionExpression', 'FunctionExpression'].includes(handler.type)) {
+                queue.push(handler);
+            } else if (thisMemberName(handler)) {
+                queue.push(thisMemberName(handler));
+            }
+        },
+    });
+
+    while (queue.length) {
+        const item = queue.shift();
+        const fn = typeof item === 'string' ? methods.get(item) : item;
+        if (!fn || seen.has(fn)) continue;
+        seen.add(fn);
+        bodies.push(fn);
+        walk.simple(fn.body, {
+            CallExpression(node) {
+                const callee = thisMemberName(node.callee);
+                if (callee && methods.has(callee)) queue.push(callee);
+            },
+        });
+    }
+    return bodies;
+}
+
+/**
+ * Lint plugin source code.
+ *
+ * @param {string} code - Plugin source (ESM)
+ * @returns {Array<{line: number, column: number, rule: string, message: string}>}
+ */
+function lintSource(code) {
+    const problems = [];
+    const report = (node, rule, message) => {
+        problems.push({ line: node.loc.start.line, column: node.loc.start.column + 1, rule, message });
+    };
+
+    let ast;
+    try {
+        ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'module', locations: true, allowHashBang: true });
+    } catch (err) {
+        return [{ line: err.loc?.line || 1, column: (err.loc?.column || 0) + 1, rule: 'parse-error', message: err.message }];
+    }
+
+    // ── single-export ───────────────────────────────────────────────────
+    const classes = findPluginClasses(ast);
+    if (classes.length === 0) {
+        report(ast, 'single-export', 'Plugin must export a class that extends ArrivalScript');
+        return problems;
+    }
+    for (const extra of classes.slice(1)) {
+        report(extra, 'single-export', `Plugin exports ${classes.length} ArrivalScript classes - export exactly one`);
+    }
+    for (const cls of classes) lintClass(code, cls, report);
+
+    return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Per-class rules, run on every exported ArrivalScript class
+ *
+ * @param {string} code - Plugin source
+ * @param {object} cls - Class node
+ * @param {(node: object, rule: string, message: string) => void} report
+ */
+function lintClass(code, cls, report) {
+    const members = cls.body.body;
+
+    // ── script-name ─────────────────────────────────────────────────────
+    const scriptName = members.find(m => m.type === 'PropertyDefinition' && m.static && keyName(m.key) === 'scriptName');
+    if (!scriptName) {
+        report(cls, 'script-name', `Class ${cls.id?.name || '(anonymous)'} is missing "static scriptName"`);
+    } else {
+        const value = scriptName.value;
+        const isString = (value?.type === 'Literal' && typeof value.value === 'string') ||
+            (value?.type === 'TemplateLiteral' && value.expressions.length === 0);
+        if (!isString) {
+            report(scriptName, 'script-name', '"static scriptName" must be a string literal (hot-reload matches on it)');
+        }
+    }
+
+    // ── reserved-property ───────────────────────────────────────────────
+    for (const member of members) {
+        if (member.type !== 'PropertyDefinition' || member.computed) continue;
+        const name = keyName(member.key);
+        if (!member.static && RESERVED_PROPERTIES.includes(name)) {
+            report(member, 'reserved-property', `"${name}" is a reserved name - use e.g. "is${name[0].toUpperCase()}${name.slice(1)}" instead`);
+        }
+        if (member.static && name === 'properties' && member.value?.type === 'ObjectExpression') {
+            for (const prop of member.value.properties) {
+                const propName = prop.type === 'Property' && !prop.computed ? keyName(prop.key) : null;
+                if (RESERVED_PROPERTIES.includes(propName)) {
+                    report(prop, 'reserved-property', `"${propName}" is a reserved name and cannot be a plugin property`);
+                }
+            }
+        }
+    }
+
+    const cleanupBodies = destroyReachableBodies(cls);
+    const cleanupOff = [];          // { event, handler } from ArrivalSpace.off()
+    const cleanupNetOff = [];       // message types from ArrivalSpace.net.off()
+    const cleanupMembers = new Set();
+
+    for (const body of cleanupBodies) {
+        walk.full(body, (node) => {
+            const member = thisMemberName(node);
+            if (member) cleanupMembers.add(member);
+            if (node.type !== 'CallExpression') return;
+            if (isMember(node.callee, ['ArrivalSpace', 'off']) && node.arguments.length >= 2) {
+                cleanupOff.push({ event: textOf(code, node.arguments[0]), handler: textOf(code, node.arguments[1]) });
+            }
+            if (isMember(node.callee, ['ArrivalSpace', 'net', 'off']) && node.arguments.length >= 1) {
+                cleanupNetOff.push(textOf(code, node.arguments[0]));
+            }
+        });
+    }
+
+    walk.ancestor(cls.body, {
+        CallExpression(node, ancestors) {
+            const callee = node.callee;
+
+            // ── root-add-child ──────────────────────────────────────────
+            if (isMember(callee, ['this', 'app', 'root', 'addChild']) && node.arguments.length) {
+                if (!isTrackedEntity(node.arguments[0], ancestors)) {
+                    report(node, 'root-add-child',
+                        'Entity added to this.app.root is never stored or destroyed - parent it to this.entity so it is removed with the plugin');
+                }
+            }
+
+            // ── event-bus-cleanup ───────────────────────────────────────
+            if (isMember(callee, ['ArrivalSpace', 'on']) && node.arguments.length >= 2) {
+                const [event, handler] = node.arguments;
+                if (['ArrowFunctionExpression', 'FunctionExpression'].includes(handler.type)) {
+                    report(node, 'event-bus-cleanup',
+                        `ArrivalSpace.on(${textOf(code, event)}) uses an inline handler that ArrivalSpace.off() can never remove - store it on this first`);
+                } else {
+                    const eventText = textOf(code, event);
+                    const handlerText = textOf(code, handler);
+                    const matched = cleanupOff.some(off => off.event === eventText && off.handler === handlerText);
+                    if (!matched) {
+                        report(node, 'event-bus-cleanup',
+                            `ArrivalSpace.on(${eventText}, ${handlerText}) has no matching ArrivalSpace.off() in destroy()`);
+                    }
+                }
+            }
+
+            // ── net-unsubscribe ─────────────────────────────────────────
+            const netMethod = NET_SUBSCRIBE_METHODS.find(m => isMember(callee, ['ArrivalSpace', 'net', m]));
+            if (netMethod) {
+                const status = netSubscriptionStatus(node, ancestors);
+                const typeText = netMethod === 'on' && node.arguments.length ? textOf(code, node.arguments[0]) : null;
+                const released = status.member
+                    ? cleanupMembers.has(status.member)
+                    : status.discarded && typeText !== null && cleanupNetOff.includes(typeText);
+                if (!released && (status.member || status.discarded)) {
+                    const what = `ArrivalSpace.net.${netMethod}(${typeText || ''})`;
+                    report(node, 'net-unsubscribe', status.member
+                        ? `${what} unsubscribe function stored in this.${status.member} is never called in destroy()`
+                        : `${what} result is discarded - keep the returned unsubscribe function and call it in destroy()`);
+                }
+            }
+        },
+    });
+
+    /**
+     * Whether an entity passed to root.addChild() is kept or destroyed by the
+     * plugin: stored on this, handed to a this.* collection, or destroyed in
+     * the same function (for example from a timer).
+     */
+    function isTrackedEntity(arg, ancestors) {
+        if (thisMemberName(arg)) return true;
+        if (arg.type !== 'Identifier') return false;
+
+        const fn = [...ancestors].reverse().find(n => n.type.includes('Function') || n.type === 'MethodDefinition');
+        let tracked = false;
+        walk.ancestor(fn?.body || cls.body, {
+            Identifier(id, idAncestors) {
+                if (tracked || id.name !== arg.name) return;
+                const parent = idAncestors[idAncestors.length - 2];
+                const grand = idAncestors[idAncestors.length - 3];
+                // x.destroy()
+                if (parent.type === 'MemberExpression' && parent.object === id && keyName(parent.property) === 'destroy' &&
+                    grand?.type === 'CallExpression') tracked = true;
+                // this.foo = x
+                if (parent.type === 'AssignmentExpression' && parent.right === id && thisMemberName(parent.left)) tracked = true;
+                // this._list.push(x) / this._list.push({ entity: x })
+                const call = idAncestors.slice(0, -1).reverse().find(n => n.type === 'CallExpression');
+                if (call && call !== parent && thisMemberName(call.callee.object ?? null)) tracked = true;
+                if (parent.type === 'CallExpression' && parent.arguments.includes(id) && thisMemberName(parent.callee.object ?? null)) tracked = true;
+            },
+        });
+        return tracked;
+    }
+
+    /**
+     * How the unsubscribe function returned by a net subscription is kept:
+     * { member } when it ends up on this.<member>, { discarded } when the
+     * result is thrown away, {} when it escapes in a way we cannot follow.
+     */
+    function netSubscriptionStatus(node, ancestors) {
+        const parent = ancestors[ancestors.length - 2];
+        if (parent.type === 'ExpressionStatement') return { discarded: true };
+
+        // this._unsub = ArrivalSpace.net.on(...)
+        if (parent.type === 'AssignmentExpression' && parent.right === node) {
+            const member = thisMemberName(parent.left);
+            return member ? { member } : {};
+        }
+
+        // this._unsubs.push(ArrivalSpace.net.on(...))
+        if (parent.type === 'CallExpression' && parent.arguments.includes(node)) {
+            const member = thisMemberName(parent.callee.object ?? null);
+            return member ? { member } : {};
+        }
+
+        // const unsub = ArrivalSpace.net.on(...); this._unsubs.push(unsub)
+        if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+            const fn = [...ancestors].reverse().find(n => n.type.includes('Function'));
+            let member = null;
+            walk.ancestor(fn?.body || cls.body, {
+                Identifier(id, idAncestors) {
+                    if (member || id.name !== parent.id.name || id === parent.id) return;
+                    const use = idAncestors[idAncestors.length - 2];
+                    if (use.type === 'CallExpression' && use.arguments.includes(id)) {
+                        member = thisMemberName(use.callee.object ?? null);
+                    } else if (use.type === 'AssignmentExpression' && use.right === id) {
+                        member = thisMemberName(use.left);
+                    }
+                },
+            });
+            return member ? { member } : {};
+        }
+        return {};
+    }
+}
+
+/**
+ * Lint a plugin file
+ * @returns {Array<{line: number, column: number, rule: string, message: string}>}
+ */
+function lintFile(filePath) {
+    return lintSource(fs.readFileSync(filePath, 'utf-8'));
+}
+
+module.exports = { lintSource, lintFile, keyName, thisMemberName };
@@ -0,0 +1,247 @@
+/**
+ * Plugin Profiler
+ *
+ * Times every loaded plugin's update() / postUpdate() and samples frame time
+ * and draw calls for a fixed duration. The browser side records raw samples;
+ * the Node side turns them into a per-plugin table or a Chrome trace file
+ * (chrome://tracing, Perfetto, speedscope).
+ *
+ * installProfiler() and collectProfile() run in the page (see callInBrowser
+ * in leakcheck.js), so they may only use browser globals.
+ */
+
+const METHODS = ['update', 'postUpdate'];
+const MAX_SAMPLES = 200000;
+
+/**
+ * Browser side: wrap update/postUpdate on every script instance of every
+ * loaded plugin and start sampling frames. Returns what is being profiled.
+ */
+function installProfiler(config) {
+    if (window.__arrivalProfiler) {
+        window.__arrivalProfiler.uninstall();
+    }
+
+    const app = pc.Application.getApplication();
+    const now = () => performance.now();
+    const restore = [];
+    const state = {
+        start: now(),
+        calls: [],      // [target index, method index, start, duration]
+        frames: [],     // [start, duration, draw calls]
+        targets: [],    // { plugin, id, script }
+        dropped: 0,
+    };
+
+    const record = (list, sample) => {
+        if (state.calls.length + state.frames.length >= config.maxSamples) {
+            state.dropped++;
+            return;
+        }
+        list.push(sample);
+    };
+
+    // Each plugin instance can own several scripts (child entities included)
+    const seenNames = {};
+    for (const plugin of ArrivalSpace.getPlugins()) {
+        if (!plugin.entity) continue;
+        seenNames[plugin.name] = (seenNames[plugin.name] || 0) + 1;
+        const label = seenNames[plugin.name] > 1 ? `${plugin.name} #${seenNames[plugin.name]}` : plugin.name;
+
+        const stack = [plugin.entity];
+        while (stack.length) {
+            const entity = stack.pop();
+            stack.push(...entity.children);
+            const scripts = (entity.script && entity.script.scripts) || [];
+
+            for (const script of scripts) {
+                const targetIndex = state.targets.length;
+                let wrapped = false;
+
+                config.methods.forEach((method, methodIndex) => {
+                    if (typeof script[method] !== 'function') return;
+                    const hadOwn = Object.prototype.hasOwnProperty.call(script, method);
+                    const original = script[method];
+                    script[method] = function () {
+                        const t = now();
+                        try {
+                            return original.apply(this, arguments);
+                        } finally {
+                            record(state.calls, [targetIndex, methodIndex, t, now() - t]);
+                        }
+                    };
+                    restore.push(() => {
+                        if (hadOwn) script[method] = original;
+                        else delete script[method];
+                    });
+                    wrapped = true;
+                });
+
+                if (wrapped) {
+                    const scriptName = script.constructor.scriptName || script.__scriptType?.__name || script.constructor.name;
+                    state.targets.push({ plugin: label, id: plugin.id, script: scriptName });
+                }
+            }
+        }
+    }
+
+    // Draw call counters moved between engine versions
+    const drawCalls = () => {
+        const stats = app.stats;
+        if (stats && stats.drawCalls && typeof stats.drawCalls.total === 'number') return stats.drawCalls.total;
+        if (stats && stats.frame && typeof stats.frame.drawCalls === 'number') return stats.frame.drawCalls;
+        return null;
+    };
+
+    let frameStart = now();
+    const onFrameEnd = () => {
+        const t = now();
+        record(state.frames, [frameStart, t - frameStart, drawCalls()]);
+        frameStart = t;
+    };
+    app.on('frameend', onFrameEnd);
+    restore.push(() => app.off('frameend', onFrameEnd));
+
+    state.uninstall = () => {
+        restore.reverse().forEach(fn => fn());
+        delete window.__arrivalProfiler;
+    };
+    window.__arrivalProfiler = state;
+
+    return { targets: state.targets.length, plugins: Object.keys(seenNames).length };
+}
+
+/**
+ * Browser side: stop profiling, restore the original methods and return the
+ * raw samples
+ */
+function collectProfile() {
+    const state = window.__arrivalProfiler;
+    if (!state) {
+        return { error: 'Profiler is not installed (was the page reloaded?)' };
+    }
+    state.uninstall();
+    return {
+        start: state.start,
+        end: performance.now(),
+        targets: state.targets,
+        calls: state.calls,
+        frames: state.frames,
+        dropped: state.dropped,
+    };
+}
+
+/**
+ * Browser side: remove the profiler without collecting
+ */
+function uninstallProfiler() {
+    if (window.__arrivalProfiler) window.__arrivalProfiler.uninstall();
+}
+
+/**
+ * Mean, 95th percentile and max of a list of milliseconds
+ */
+function stats(values) {
+    if (values.length === 0) return { mean: 0, p95: 0, max: 0, total: 0 };
+    const sorted = [...values].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, v) => sum + v, 0);
+    return {
+        mean: total / sorted.length,
+        p95: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+        max: sorted[sorted.length - 1],
+        total,
+    };
+}
+
+/**
+ * Per-plugin timings and frame statistics from collectProfile() output
+ * @returns {{duration: number, rows: Array, frames: object, dropped: number}}
+ *   rows are { plugin, method, calls, mean, p95, max, total } in ms, slowest total first
+ */
+function summarizeProfile(profile) {
+    const byKey = new Map();
+    for (const [targetIndex, methodIndex, , duration] of profile.calls) {
+        const target = profile.targets[targetIndex];
+        const key = `${target.plugin}\0${METHODS[methodIndex]}`;
+        if (!byKey.has(key)) byKey.set(key, { plugin: target.plugin, method: METHODS[methodIndex], durations: [] });
+        byKey.get(key).durations.push(duration);
+    }
+
+    // Scripts on a plugin's child entities are reported under the plugin
+    const rows = [...byKey.values()].map(({ plugin, method, durations }) => ({
+        plugin,
+        method,
+        calls: durations.length,
+        ...stats(durations),
+    })).sort((a, b) => b.total - a.total);
+
+    const frameTimes = profile.frames.map(f => f[1]);
+    const drawCalls = profile.frames.map(f => f[2]).filter(n => n !== null);
+    const frameStats = stats(frameTimes);
+    return {
+        duration: (profile.end - profile.start) / 1000,
+        rows,
+        frames: {
+            count: frameTimes.length,
+            fps: frameStats.mean > 0 ? 1000 / frameStats.mean : 0,
+            mean: frameStats.mean,
+            p95: frameStats.p95,
+            max: frameStats.max,
+            drawCalls: drawCalls.length ? { mean: stats(drawCalls).mean, max: stats(drawCalls).max } : null,
+        },
+        dropped: profile.dropped,
+    };
+}
+
+/**
+ * Chrome trace-event JSON: one thread per plugin with a complete ("X") event
+ * per call, a "Frames" thread and a draw call counter
+ */
+function toChromeTrace(profile) {
+    const us = (ms) => Math.round((ms - profile.start) * 1000);
+    const pid = 1;
+    const events = [
+        { name: 'process_name', ph: 'M', pid, tid: 0, args: { name: 'Arrival.Space' } },
+        { name: 'thread_name', ph: 'M', pid, tid: 0, args: { name: 'Frames' } },
+    ];
+
+    const tids = new Map();
+    for (const target of profile.targets) {
+        if (tids.has(target.plugin)) continue;
+        const tid = tids.size + 1;
+        tids.set(target.plugin, tid);
+        events.push({ name: 'thread_name', ph: 'M', pid, tid, args: { name: target.plugin } });
+    }
+
+    for (const [start, duration, drawCalls] of profile.frames) {
+        events.push({ name: 'frame', cat: 'frame', ph: 'X', pid, tid: 0, ts: us(start), dur: Math.round(duration * 1000) });
+        if (drawCalls !== null) {
+            events.push({ name: 'draw calls', ph: 'C', pid, tid: 0, ts: us(start), args: { drawCalls } });
+        }
+    }
+    for (const [targetIndex, methodIndex, start, duration] of profile.calls) {
+        const target = profile.targets[targetIndex];
+        events.push({
+            name: `${target.script}.${METHODS[methodIndex]}`,
+            cat: 'plugin',
+            ph: 'X',
+            pid,
+            tid: tids.get(target.plugin),
+            ts: us(start),
+            dur: Math.round(duration * 1000),
+            args: { plugin: target.plugin, id: target.id },
+        });
+    }
+
+    return { traceEvents: events, displayTimeUnit: 'ms' };
+}
+
+module.exports = {
+    METHODS,
+    MAX_SAMPLES,
+    installProfiler,
+    collectProfile,
+    uninstallProfiler,
+    summarizeProfile,
+    toChromeTrace,
+};
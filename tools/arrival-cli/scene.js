@@ -0,0 +1,283 @@
+/**
+ * Scene Export / Import
+ *
+ * exportScene() serializes the whole entity hierarchy of the connected space
+ * (names, tags, local transforms, component and script names) plus every
+ * plugin with its world transform and current param values. importPlugins()
+ * recreates those plugins in another space with createPlugin() and applies
+ * the saved params to the live scripts. createPlugin() has no params option,
+ * so saveParams() then writes them into each new entity's stored params
+ * (entity_data.params) through the REST API, where a reload picks them up.
+ *
+ * Plugin params are the serializable fields of the running script (number,
+ * boolean, string, color hex, vec3-like object) other than the members
+ * ArrivalScript declares, and the keys of its `static properties` - the same
+ * values the editor shows. Plugin classes are never constructed for this.
+ *
+ * exportScene() and importPlugins() run in the page (see callInBrowser in
+ * leakcheck.js), so they may only use browser globals.
+ */
+
+const SCENE_VERSION = 1;
+
+// Time allowed for each REST API call of saveParams()
+const API_TIMEOUT_MS = 30000;
+
+/**
+ * Browser side: serialize the scene and the plugins in it
+ */
+function exportScene(config) {
+    const app = pc.Application.getApplication();
+    const round = (n) => Math.round(n * 1e5) / 1e5;
+    const vec = (v) => ({ x: round(v.x), y: round(v.y), z: round(v.z) });
+
+    const isParamValue = (value) => {
+        if (['number', 'boolean', 'string'].includes(typeof value)) return true;
+        if (Array.isArray(value)) return value.every(isParamValue);
+        if (value && typeof value === 'object') {
+            const proto = Object.getPrototypeOf(value);
+            return (proto === Object.prototype || proto === null) && Object.values(value).every(isParamValue);
+        }
+        return false;
+    };
+
+    const findPluginScript = (root) => {
+        const stack = [root];
+        while (stack.length) {
+            const entity = stack.pop();
+            const scripts = (entity.script && entity.script.scripts) || [];
+            const script = scripts.find(s => s instanceof ArrivalScript);
+            if (script) return script;
+            stack.push(...entity.children);
+        }
+        return null;
+    };
+
+    // Declared fields = own keys of the running script minus the members
+    // ArrivalScript and pc.ScriptType declare (config.baseMembers). Reading
+    // the live instance avoids constructing plugin classes, whose field
+    // initializers may add listeners, entities or network traffic.
+    const baseMembers = new Set(config.baseMembers);
+    const paramsOf = (script) => {
+        const Class = script.constructor;
+        const names = new Set(Object.keys(Class.properties || {}));
+        for (const key of Object.keys(script)) {
+            if (!baseMembers.has(key) && !key.startsWith('_')) names.add(key);
+        }
+        const params = {};
+        for (const name of names) {
+            if (config.reserved.includes(name) || !isParamValue(script[name])) continue;
+            params[name] = JSON.parse(JSON.stringify(script[name]));
+        }
+        return params;
+    };
+
+    const plugins = [];
+    const pluginIds = new Map();
+    for (const plugin of ArrivalSpace.getPlugins()) {
+        if (!plugin.entity) continue;
+        const script = findPluginScript(plugin.entity);
+        pluginIds.set(plugin.entity, plugin.id);
+        plugins.push({
+            id: plugin.id,
+            name: plugin.name,
+            url: plugin.url,
+            scriptName: script ? script.constructor.scriptName : null,
+            position: vec(plugin.entity.getPosition()),
+            rotation: vec(plugin.entity.getEulerAngles()),
+            scale: vec(plugin.entity.getScale()),
+            params: script ? paramsOf(script) : {},
+        });
+    }
+
+    let count = 0;
+    const serialize = (entity) => {
+        count++;
+        const node = {
+            name: entity.name,
+            enabled: entity.enabled,
+            tags: entity.tags.list(),
+            position: vec(entity.getLocalPosition()),
+            rotation: vec(entity.getLocalEulerAngles()),
+            scale: vec(entity.getLocalScale()),
+            components: Object.keys(entity.c || {}),
+        };
+        if (entity.script) {
+            node.scripts = entity.script.scripts.map(s =>
+                s.constructor.scriptName || (s.__scriptType && s.__scriptType.__name) || s.constructor.name);
+        }
+        if (pluginIds.has(entity)) node.plugin = pluginIds.get(entity);
+        // Skip bare graph nodes (model bones and mesh nodes)
+        const children = entity.children.filter(child => child instanceof pc.Entity);
+        if (children.length) node.children = children.map(serialize);
+        return node;
+    };
+    const root = serialize(app.root);
+
+    const room = ArrivalSpace.getRoom() || {};
+    return {
+        version: config.version,
+        exportedAt: new Date().toISOString(),
+        room: { roomId: room.roomId, roomName: room.roomName },
+        entityCount: count,
+        plugins,
+        root,
+    };
+}
+
+/**
+ * Browser side: create each exported plugin with createPlugin() and apply its
+ * params the way the editor does (assign, then onPropertyChanged). Storing
+ * them is left to saveParams(); createPlugin() takes a uniform scale, so
+ * scale.x stands for all three axes.
+ */
+async function importPlugins(config) {
+    const sources = new Map();
+    const results = [];
+
+    for (const plugin of config.plugins) {
+        const entry = { name: plugin.name, from: plugin.id };
+        results.push(entry);
+        try {
+            if (!sources.has(plugin.url)) {
+                const res = await fetch(plugin.url);
+                if (!res.ok) throw new Error(`Fetching ${plugin.url} failed (${res.status})`);
+                sources.set(plugin.url, await res.text());
+            }
+            const created = await ArrivalSpace.createPlugin(sources.get(plugin.url), {
+                name: plugin.name,
+                position: plugin.position,
+                rotation: plugin.rotation,
+                scale: plugin.scale ? plugin.scale.x : 1,
+                persist: config.persist,
+            });
+            if (!created || !created.success) throw new Error((created && created.error) || 'createPlugin failed');
+            entry.id = created.id;
+
+            const stack = created.entity ? [created.entity] : [];
+            let script = null;
+            while (stack.length && !script) {
+                const entity = stack.pop();
+                const scripts = (entity.script && entity.script.scripts) || [];
+                script = scripts.find(s => s instanceof ArrivalScript) || null;
+                stack.push(...entity.children);
+            }
+
+            entry.params = 0;
+            entry.skipped = [];
+            for (const [name, value] of Object.entries(plugin.params || {})) {
+                if (!script || !(name in script)) {
+                    entry.skipped.push(name);
+                    continue;
+                }
+                const oldValue = script[name];
+                script[name] = value;
+                if (typeof script.onPropertyChanged === 'function') {
+                    script.onPropertyChanged(name, value, oldValue);
+                }
+                entry.params++;
+            }
+            entry.success = true;
+        } catch (e) {
+            entry.success = false;
+            entry.error = e.message;
+        }
+    }
+    return results;
+}
+
+/**
+ * Call the REST API and return the `data` of its JSON reply
+ */
+async function apiRequest(api, method, endpoint, body = null) {
+    const res = await fetch(`${api.server}/api/v1${endpoint}`, {
+        method,
+        headers: { Authorization: `Bearer ${api.apiKey}`, 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(API_TIMEOUT_MS),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        // reported below
+    }
+    if (!res.ok || !json || json.status === 'error') {
+        const message = (json && (json.message || json.msg)) || text.substring(0, 200) || 'empty reply';
+        throw new Error(`${method} ${endpoint} failed (${res.status}): ${message}`);
+    }
+    return json.data;
+}
+
+/**
+ * Node side: write the params importPlugins() applied into the stored params
+ * of the entities it created, merged over what the entities already store.
+ *
+ * @param {object[]} results - importPlugins() results, in the order of plugins
+ * @param {object[]} plugins - The plugins passed to importPlugins()
+ * @param {{server: string, apiKey: string, spaceId: string}} api - Where the entities live
+ * @returns {Promise<Array<{name: string, id: string, saved: number, error?: string}>>}
+ *   One entry per plugin that had params applied
+ */
+async function saveParams(results, plugins, api) {
+    const pending = results
+        .map((result, i) => ({ result, params: plugins[i].params || {} }))
+        .filter(({ result }) => result.success && result.params > 0);
+    if (pending.length === 0) return [];
+
+    const entities = new Map();
+    let cursor = null;
+    do {
+        const query = cursor ? `?limit=200&cursor=${encodeURIComponent(cursor)}` : '?limit=200';
+        const page = await apiRequest(api, 'GET', `/spaces/${api.spaceId}/entities${query}`);
+        for (const entity of page.entities) entities.set(entity.entity_id, entity);
+        cursor = page.hasMore ? page.nextCursor : null;
+    } while (cursor);
+
+    const saved = [];
+    for (const { result, params } of pending) {
+        const entry = { name: result.name, id: result.id, saved: 0 };
+        saved.push(entry);
+        const entity = entities.get(result.id);
+        if (!entity) {
+            entry.error = `not found in space ${api.spaceId}`;
+            continue;
+        }
+        const applied = {};
+        for (const [name, value] of Object.entries(params)) {
+            if (!result.skipped.includes(name)) applied[name] = value;
+        }
+        try {
+            await apiRequest(api, 'POST', `/spaces/${api.spaceId}/entities`, {
+                entity_id: entity.entity_id,
+                entity_data: { ...entity.entity_data, params: { ...entity.entity_data.params, ...applied } },
+            });
+            entry.saved = Object.keys(applied).length;
+        } catch (e) {
+            entry.error = e.message;
+        }
+    }
+    return saved;
+}
+
+/**
+ * Check that a parsed file looks like exportScene() output
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateSceneFile(scene) {
+    if (!scene || typeof scene !== 'object') return 'not a JSON object';
+    if (scene.version !== SCENE_VERSION) return `unsupported version ${scene.version} (expected ${SCENE_VERSION})`;
+    if (!Array.isArray(scene.plugins)) return '"plugins" must be an array';
+    const bad = scene.plugins.findIndex(p => !p || typeof p.url !== 'string' || !p.url);
+    if (bad !== -1) return `plugins[${bad}] has no "url"`;
+    return null;
+}
+
+module.exports = {
+    SCENE_VERSION,
+    exportScene,
+    importPlugins,
+    saveParams,
+    validateSceneFile,
+};
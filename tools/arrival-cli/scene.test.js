@@ -0,0 +1,111 @@
+/**
+ * import-scene round trip: importPlugins() applies the exported params to a
+ * plugin created in the plugin harness, saveParams() stores them on the
+ * entity in plugin-upload's mock server, and a reload that spawns the plugin
+ * from the stored entity gets them back.
+ *
+ *   npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scene = require('./scene');
+const { createRuntime } = require('../plugin-harness');
+const { createMockServer } = require('../plugin-upload/mock-server');
+
+const API_KEY = 'test-key';
+const SPACE = '12345678_1234';
+
+const PLUGIN = `export class Beacon extends ArrivalScript {
+    static scriptName = 'beacon';
+    static properties = { radius: { title: 'Radius', min: 0, max: 10 } };
+    radius = 2;
+    color = '#ff0000';
+    label = 'beacon';
+}
+`;
+
+let tmpDir;
+let server;
+let api;
+
+before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arrival-scene-'));
+    fs.writeFileSync(path.join(tmpDir, 'beacon.mjs'), PLUGIN);
+    server = createMockServer({ port: 0, dataDir: path.join(tmpDir, 'mock-data'), keys: [API_KEY], quiet: true });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    api = { server: `http://127.0.0.1:${server.address().port}`, apiKey: API_KEY, spaceId: SPACE };
+});
+
+after(async () => {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function request(method, body) {
+    const res = await fetch(`${api.server}/api/v1/spaces/${SPACE}/entities`, {
+        method,
+        headers: { Authorization: `Bearer ${API_KEY}`, 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    return (await res.json()).data;
+}
+
+test('imported params are stored on the entity and come back after a reload', async () => {
+    // What createPlugin() leaves on the server: the entity, without params
+    const stored = await request('POST', { entity_data: { glbUrl: 'https://example.com/beacon.mjs', scale: 1 } });
+
+    const plugins = [{
+        name: 'Beacon',
+        url: `data:text/javascript,${encodeURIComponent(PLUGIN)}`,
+        position: { x: 1, y: 0, z: 2 },
+        rotation: { x: 0, y: 90, z: 0 },
+        scale: { x: 1, y: 1, z: 1 },
+        params: { radius: 7, color: '#00ff00', removed: 3 },
+    }];
+
+    let rt = createRuntime();
+    try {
+        const Beacon = await rt.load(path.join(tmpDir, 'beacon.mjs'));
+        let created = null;
+        rt.ArrivalSpace.createPlugin = async () => {
+            created = await rt.spawn(Beacon, { id: stored.entity_id });
+            return { success: true, id: stored.entity_id, entity: created.entity.parent };
+        };
+
+        const results = await scene.importPlugins({ plugins, persist: true });
+        assert.equal(results[0].success, true, results[0].error);
+        assert.deepEqual(results[0].skipped, ['removed']);
+        assert.equal(created.radius, 7);
+
+        const saved = await scene.saveParams(results, plugins, api);
+        assert.deepEqual(saved, [{ name: 'Beacon', id: stored.entity_id, saved: 2 }]);
+    } finally {
+        rt.dispose();
+    }
+
+    // Reload: the space creates the plugin from the stored entity
+    const [entity] = (await request('GET')).entities;
+    assert.deepEqual(entity.entity_data.params, { radius: 7, color: '#00ff00' });
+    assert.equal(entity.entity_data.glbUrl, 'https://example.com/beacon.mjs');
+
+    rt = createRuntime();
+    try {
+        const Beacon = await rt.load(path.join(tmpDir, 'beacon.mjs'));
+        const reloaded = await rt.spawn(Beacon, { params: entity.entity_data.params });
+        assert.equal(reloaded.radius, 7);
+        assert.equal(reloaded.color, '#00ff00');
+        assert.equal(reloaded.label, 'beacon');
+    } finally {
+        rt.dispose();
+    }
+});
+
+test('saveParams reports plugins whose entity is not in the space', async () => {
+    const results = [{ name: 'Gone', id: 'missing', success: true, params: 1, skipped: [] }];
+    const saved = await scene.saveParams(results, [{ params: { radius: 1 } }], api);
+    assert.deepEqual(saved, [{ name: 'Gone', id: 'missing', saved: 0, error: `not found in space ${SPACE}` }]);
+});
@@ -0,0 +1,225 @@
+/**
+ * Plugin Search
+ *
+ * Ranks the entries of docs/plugin-search-index.json against a free-text
+ * query with BM25, so patterns like "standing-object hooks" or "pluginStore
+ * leaderboard" lead straight to the examples that use them.
+ *
+ * Each entry is one document made of weighted fields: title and script name
+ * count most, then keywords, then the summary. Words are lowercased, split
+ * at camelCase and punctuation, and plural -s is dropped. The index stores
+ * API names lowercased ("onstandingobjectchanged"), so they are split again
+ * with the camelCase names declared in types/arrival.d.ts.
+ *
+ * With snippets, the source of each matched file is scanned for the window
+ * of lines covering the most query terms, weighted by how rare each term is
+ * across the index, with more hits breaking ties. The leading header comment
+ * is skipped; its text is already the entry's summary.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// BM25 term-frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// How many times a field's words count towards an entry's term frequencies
+const FIELD_WEIGHTS = { title: 3, script_name: 3, keywords: 2, summary: 1 };
+
+// Lines per snippet, and how much a repeated term hit in it counts
+// compared to a distinct one
+const SNIPPET_LINES = 8;
+const REPEAT_WEIGHT = 0.25;
+
+/**
+ * Normalize one word: lowercase, plural -s dropped ("hooks" -> "hook")
+ */
+function stem(word) {
+    const lower = word.toLowerCase();
+    return lower.length > 3 && lower.endsWith('s') && !lower.endsWith('ss') ? lower.slice(0, -1) : lower;
+}
+
+/**
+ * Search terms of a text. Compound words keep their whole form next to
+ * their parts: "pluginStore.get" -> pluginstore, plugin, store, get.
+ * @param {string} text
+ * @param {Map<string, string[]>} [compounds] - Lowercased compound -> its words
+ * @returns {string[]}
+ */
+function tokenize(text, compounds = new Map()) {
+    const terms = [];
+    for (const word of text.match(/[A-Za-z0-9]+/g) || []) {
+        const parts = word.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[0-9]+/g) || [word];
+        const known = compounds.get(word.toLowerCase());
+        const split = parts.length > 1 ? parts : known || [];
+        terms.push(stem(word));
+        for (const part of split) {
+            if (part.toLowerCase() !== word.toLowerCase()) terms.push(stem(part));
+        }
+    }
+    return terms;
+}
+
+/**
+ * Compound words of camelCase API names: "onStandingObjectChanged" ->
+ * onstandingobjectchanged => [on, Standing, Object, Changed]
+ * @param {string[]} names - API names or dotted paths
+ * @returns {Map<string, string[]>}
+ */
+function compoundsOf(names) {
+    const compounds = new Map();
+    for (const name of names) {
+        for (const segment of name.split('.')) {
+            const parts = segment.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[0-9]+/g) || [];
+            if (parts.length > 1) compounds.set(segment.toLowerCase(), parts);
+        }
+    }
+    return compounds;
+}
+
+/**
+ * Term frequencies of an index entry, fields weighted
+ * @returns {{ tf: Map<string, number>, length: number }}
+ */
+function entryTerms(entry, compounds) {
+    const tf = new Map();
+    let length = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        const value = entry[field];
+        if (!value) continue;
+        const text = Array.isArray(value) ? value.join(' ') : String(value);
+        for (const term of tokenize(text, compounds)) {
+            tf.set(term, (tf.get(term) || 0) + weight);
+            length += weight;
+        }
+    }
+    return { tf, length };
+}
+
+/**
+ * Prepare an index for searching
+ * @param {{ entries: object[] }} index - Parsed plugin-search-index.json
+ * @param {string[]} [apiNames] - camelCase API names used to split compound keywords
+ */
+function createSearcher(index, apiNames = []) {
+    const compounds = compoundsOf(apiNames);
+    const docs = index.entries.map(entry => ({ entry, ...entryTerms(entry, compounds) }));
+    const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+    const df = new Map();
+    for (const doc of docs) {
+        for (const term of doc.tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+    }
+    const idf = (term) => {
+        const n = df.get(term) || 0;
+        return Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+    };
+
+    return {
+        /**
+         * Query terms, duplicates removed
+         */
+        terms(query) {
+            return [...new Set(tokenize(query, compounds))];
+        },
+
+        idf,
+
+        /**
+         * Entries ranked by BM25 score, best first, zero scores left out
+         * @param {string} query
+         * @param {{ kinds?: string[], limit?: number }} [options]
+         * @returns {Array<{ entry: object, score: number, matched: string[] }>}
+         */
+        search(query, { kinds = null, limit = Infinity } = {}) {
+            const terms = this.terms(query);
+            const results = [];
+            for (const doc of docs) {
+                if (kinds && !kinds.includes(doc.entry.kind)) continue;
+                let score = 0;
+                const matched = [];
+                for (const term of terms) {
+                    const tf = doc.tf.get(term);
+                    if (!tf) continue;
+                    matched.push(term);
+                    score += idf(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+                }
+                if (score > 0) results.push({ entry: doc.entry, score, matched });
+            }
+            return results
+                .sort((a, b) => b.score - a.score || a.entry.path.localeCompare(b.entry.path))
+                .slice(0, limit);
+        },
+    };
+}
+
+/**
+ * Number of lines of a file's leading block comment (after a BOM, blank
+ * lines and a hashbang), 0 when it has none
+ */
+function headerLines(lines) {
+    let i = 0;
+    while (i < lines.length && (!lines[i].replace(/^﻿/, '').trim() || lines[i].startsWith('#!'))) i++;
+    if (i >= lines.length || !lines[i].replace(/^﻿/, '').trim().startsWith('/*')) return 0;
+    while (i < lines.length && !lines[i].includes('*/')) i++;
+    return i + 1;
+}
+
+/**
+ * Most relevant excerpt of a source file: the window of lines whose
+ * distinct query terms have the highest total idf, then the most hits
+ * @param {string} code - File contents
+ * @param {string[]} terms - Query terms (from searcher.terms())
+ * @param {(term: string) => number} idf - Term weight
+ * @param {number} [size] - Lines per excerpt
+ * @returns {{ start: number, lines: string[] } | null} start is the 1-based line number, null when nothing matches
+ */
+function bestSnippet(code, terms, idf, size = SNIPPET_LINES) {
+    const lines = code.split(/\r?\n/);
+    const wanted = new Set(terms);
+    const lineTerms = lines.map(line => new Set(tokenize(line).filter(t => wanted.has(t))));
+    const skip = headerLines(lines);
+
+    let best = null;
+    for (let start = skip; start < lines.length; start++) {
+        if (lineTerms[start].size === 0) continue;
+        // Covering every term counts most; repeated hits break ties
+        const found = new Set();
+        let hits = 0;
+        for (let i = start; i < Math.min(start + size, lines.length); i++) {
+            lineTerms[i].forEach(t => {
+                found.add(t);
+                hits += idf(t);
+            });
+        }
+        const score = [...found].reduce((sum, t) => sum + idf(t), 0) + hits * REPEAT_WEIGHT;
+        if (!best || score > best.score) best = { start, score };
+    }
+    if (!best) return null;
+
+    // Start a line early for context (a comment or signature) when the window has room
+    const early = best.start > skip && best.start + size - 1 < lines.length && lines[best.start - 1].trim();
+    const start = early ? best.start - 1 : best.start;
+    const excerpt = lines.slice(start, start + size);
+    while (excerpt.length && !excerpt[excerpt.length - 1].trim()) excerpt.pop();
+    return { start: start + 1, lines: excerpt };
+}
+
+/**
+ * Read a search index file
+ * @param {string} indexPath
+ */
+function loadIndex(indexPath) {
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    if (!Array.isArray(index.entries)) {
+        throw new Error(`${path.basename(indexPath)} has no entries array`);
+    }
+    return index;
+}
+
+module.exports = {
+    createSearcher,
+    bestSnippet,
+    loadIndex,
+    tokenize,
+};
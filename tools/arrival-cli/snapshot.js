@@ -0,0 +1,165 @@
+/**
+ * Screenshots and Visual Baselines
+ *
+ * Downloads images returned by ArrivalSpace.captureView() and compares them
+ * against named baselines with pixelmatch.
+ *
+ * Layout of the snapshot directory:
+ *   screenshots/<timestamp>.<ext>   Every `screenshot` capture, as downloaded
+ *   baselines/<name>.png            Saved with `snapshot save <name>`
+ *   diffs/<name>.actual.png         Last capture from `snapshot compare <name>`
+ *   diffs/<name>.diff.png           Differing pixels marked in red
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const pixelmatch = require('pixelmatch');
+
+const NAME_PATTERN = /^[\w.-]+$/;
+
+// Time allowed for a capture download, body included
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+/**
+ * Image type from the first bytes of a file
+ * @returns {'png'|'jpg'|null}
+ */
+function sniffFormat(buffer) {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'png';
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+    return null;
+}
+
+/**
+ * Fetch a captured image (http(s) or data: URL)
+ * @param {string} url
+ * @param {number} [timeoutMs] - Abort when the download takes longer
+ * @returns {Promise<{buffer: Buffer, format: 'png'|'jpg'}>}
+ */
+async function downloadImage(url, timeoutMs = DOWNLOAD_TIMEOUT_MS) {
+    let res;
+    let buffer;
+    try {
+        res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+        if (!res.ok) {
+            throw new Error(`Download failed (${res.status}): ${url}`);
+        }
+        buffer = Buffer.from(await res.arrayBuffer());
+    } catch (e) {
+        if (e.name === 'TimeoutError') {
+            throw new Error(`Download timed out after ${timeoutMs / 1000}s: ${url}`);
+        }
+        throw e;
+    }
+    const format = sniffFormat(buffer);
+    if (!format) {
+        throw new Error(`Unsupported image format (${res.headers.get('content-type') || 'unknown type'}): ${url}`);
+    }
+    return { buffer, format };
+}
+
+/**
+ * Decode a PNG or JPEG into RGBA pixels
+ * @returns {{width: number, height: number, data: Buffer}}
+ */
+function decodeImage(buffer) {
+    const format = sniffFormat(buffer);
+    if (format === 'png') {
+        const { width, height, data } = PNG.sync.read(buffer);
+        return { width, height, data };
+    }
+    if (format === 'jpg') {
+        const { width, height, data } = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+        return { width, height, data: Buffer.from(data.buffer, data.byteOffset, data.byteLength) };
+    }
+    throw new Error('Unsupported image format (expected PNG or JPEG)');
+}
+
+/**
+ * Encode RGBA pixels as PNG
+ */
+function encodePng({ width, height, data }) {
+    const png = new PNG({ width, height });
+    png.data.set(data);
+    return PNG.sync.write(png);
+}
+
+/**
+ * Pixel diff of two decoded images of the same size
+ * @param {object} baseline - Decoded baseline
+ * @param {object} actual - Decoded capture
+ * @param {number} threshold - pixelmatch colour threshold, 0 (exact) to 1 (anything goes)
+ * @returns {{diffPixels: number, ratio: number, diff: Buffer}} ratio is differing / total pixels, diff is a PNG
+ */
+function compareImages(baseline, actual, threshold = 0.1) {
+    if (baseline.width !== actual.width || baseline.height !== actual.height) {
+        throw new Error(`Size mismatch: baseline is ${baseline.width}x${baseline.height}, capture is ${actual.width}x${actual.height}`);
+    }
+    const { width, height } = baseline;
+    const diff = new PNG({ width, height });
+    const diffPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, { threshold });
+    return {
+        diffPixels,
+        ratio: diffPixels / (width * height),
+        diff: PNG.sync.write(diff),
+    };
+}
+
+/**
+ * Paths for one baseline name inside the snapshot directory
+ */
+function snapshotPaths(dir, name) {
+    if (!NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid snapshot name '${name}' (letters, digits, '.', '-' and '_' only)`);
+    }
+    return {
+        baseline: path.join(dir, 'baselines', `${name}.png`),
+        actual: path.join(dir, 'diffs', `${name}.actual.png`),
+        diff: path.join(dir, 'diffs', `${name}.diff.png`),
+    };
+}
+
+/**
+ * Path for a new timestamped screenshot, e.g. screenshots/2024-05-01_12-30-05.png
+ */
+function screenshotPath(dir, format) {
+    const stamp = new Date().toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+    let file = path.join(dir, 'screenshots', `${stamp}.${format}`);
+    for (let n = 2; fs.existsSync(file); n++) {
+        file = path.join(dir, 'screenshots', `${stamp}-${n}.${format}`);
+    }
+    return file;
+}
+
+/**
+ * Write a file, creating parent directories
+ */
+function writeFile(file, buffer) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, buffer);
+}
+
+/**
+ * Names of the saved baselines, sorted
+ */
+function listBaselines(dir) {
+    const baselineDir = path.join(dir, 'baselines');
+    if (!fs.existsSync(baselineDir)) return [];
+    return fs.readdirSync(baselineDir)
+        .filter(f => f.endsWith('.png'))
+        .map(f => f.slice(0, -4))
+        .sort();
+}
+
+module.exports = {
+    downloadImage,
+    decodeImage,
+    encodePng,
+    compareImages,
+    snapshotPaths,
+    screenshotPath,
+    writeFile,
+    listBaselines,
+};
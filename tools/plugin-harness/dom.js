@@ -0,0 +1,447 @@
+/**
+ * Fake DOM
+ *
+ * Just enough of the DOM for plugin UI code to run headless: elements parsed
+ * from innerHTML, simple selectors, classList, style, text and event
+ * listeners. There is no layout or CSS; tests assert on structure and text.
+ *
+ * Supported selectors: tag, #id, .class, [attr], [attr="value"], compounds of
+ * those (button.primary#go) and descendant chains ("#panel .row span").
+ */
+
+const VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea']);
+
+const TOKEN_RE = /<!--[\s\S]*?-->|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|[^<]+|</g;
+const ATTR_RE = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+function decode(text) {
+    return text.replace(/&(#\d+|#x[\da-f]+|\w+);/gi, (m, name) => {
+        if (name in ENTITIES) return ENTITIES[name];
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return m;
+    });
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+class EventTarget {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    addEventListener(type, listener) {
+        if (!this._listeners.has(type)) this._listeners.set(type, []);
+        const list = this._listeners.get(type);
+        if (!list.includes(listener)) list.push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        const list = this._listeners.get(type);
+        if (!list) return;
+        const idx = list.indexOf(listener);
+        if (idx >= 0) list.splice(idx, 1);
+    }
+
+    dispatchEvent(event) {
+        if (!event.target) event.target = this;
+        event.currentTarget = this;
+        for (const listener of (this._listeners.get(event.type) || []).slice()) {
+            if (typeof listener === 'function') listener.call(this, event);
+            else listener.handleEvent(event);
+        }
+        const handler = this[`on${event.type}`];
+        if (typeof handler === 'function') handler.call(this, event);
+        if (event.bubbles && !event._stopped && this.parentNode) {
+            this.parentNode.dispatchEvent(event);
+        }
+        return !event.defaultPrevented;
+    }
+
+    listenerCount(type) {
+        if (type) return (this._listeners.get(type) || []).length;
+        let total = 0;
+        for (const list of this._listeners.values()) total += list.length;
+        return total;
+    }
+}
+
+class Event {
+    constructor(type, init = {}) {
+        this.type = type;
+        this.bubbles = !!init.bubbles;
+        this.defaultPrevented = false;
+        this.target = null;
+        this.currentTarget = null;
+        this._stopped = false;
+        Object.assign(this, init);
+    }
+
+    preventDefault() { this.defaultPrevented = true; }
+    stopPropagation() { this._stopped = true; }
+    stopImmediatePropagation() { this._stopped = true; }
+}
+
+class TextNode {
+    constructor(text) {
+        this.nodeType = 3;
+        this.parentNode = null;
+        this.textContent = text;
+    }
+
+    get nodeValue() { return this.textContent; }
+    remove() { if (this.parentNode) this.parentNode.removeChild(this); }
+}
+
+class ClassList {
+    constructor(element) {
+        this._element = element;
+    }
+
+    _list() { return this._element.className.split(/\s+/).filter(Boolean); }
+    _write(list) { this._element.className = list.join(' '); }
+
+    add(...names) { this._write([...new Set([...this._list(), ...names])]); }
+    remove(...names) { this._write(this._list().filter(n => !names.includes(n))); }
+    contains(name) { return this._list().includes(name); }
+    toggle(name, force) {
+        const on = force === undefined ? !this.contains(name) : force;
+        if (on) this.add(name);
+        else this.remove(name);
+        return on;
+    }
+    get length() { return this._list().length; }
+    [Symbol.iterator]() { return this._list()[Symbol.iterator](); }
+}
+
+/**
+ * Style declaration: plain properties plus setProperty/cssText
+ */
+function createStyle() {
+    const style = {};
+    Object.defineProperties(style, {
+        setProperty: { value: (name, value) => { style[name] = value; } },
+        getPropertyValue: { value: name => style[name] || '' },
+        removeProperty: { value: name => { delete style[name]; } },
+        cssText: {
+            get: () => Object.keys(style).map(k => `${k}: ${style[k]}`).join('; '),
+            set: text => {
+                for (const k of Object.keys(style)) delete style[k];
+                for (const decl of String(text).split(';')) {
+                    const idx = decl.indexOf(':');
+                    if (idx < 0) continue;
+                    const name = decl.slice(0, idx).trim()
+                        .replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+                    if (name) style[name] = decl.slice(idx + 1).trim();
+                }
+            },
+        },
+    });
+    return style;
+}
+
+/**
+ * Parse one compound selector ("button.primary#go[type=submit]")
+ */
+function parseCompound(text) {
+    const part = { tag: null, id: null, classes: [], attrs: [] };
+    const re = /([#.]?)([\w-]+)|\[([\w-]+)(?:=["']?([^"'\]]*)["']?)?\]|(\*)/g;
+    let m;
+    while ((m = re.exec(text))) {
+        if (m[5]) continue;
+        if (m[3]) part.attrs.push({ name: m[3], value: m[4] });
+        else if (m[1] === '#') part.id = m[2];
+        else if (m[1] === '.') part.classes.push(m[2]);
+        else part.tag = m[2].toLowerCase();
+    }
+    return part;
+}
+
+function matchesCompound(el, part) {
+    if (part.tag && el.tagName.toLowerCase() !== part.tag) return false;
+    if (part.id && el.id !== part.id) return false;
+    for (const cls of part.classes) if (!el.classList.contains(cls)) return false;
+    for (const attr of part.attrs) {
+        if (!el.hasAttribute(attr.name)) return false;
+        if (attr.value !== undefined && el.getAttribute(attr.name) !== attr.value) return false;
+    }
+    return true;
+}
+
+function matchesSelector(el, selector) {
+    return selector.split(',').some(alternative => {
+        const chain = alternative.trim().split(/\s+/).filter(p => p !== '>').map(parseCompound);
+        if (!chain.length || !matchesCompound(el, chain[chain.length - 1])) return false;
+        let node = el.parentNode;
+        for (let i = chain.length - 2; i >= 0; i--) {
+            while (node && !(node instanceof Element && matchesCompound(node, chain[i]))) {
+                node = node.parentNode;
+            }
+            if (!node) return false;
+            node = node.parentNode;
+        }
+        return true;
+    });
+}
+
+class Element extends EventTarget {
+    constructor(tagName, ownerDocument = null) {
+        super();
+        this.nodeType = 1;
+        this.tagName = tagName.toUpperCase();
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.childNodes = [];
+        this.attributes = {};
+        this.style = createStyle();
+        this.classList = new ClassList(this);
+        this.dataset = {};
+        this.value = '';
+        this.checked = false;
+        this.disabled = false;
+        this.focused = false;
+    }
+
+    get nodeName() { return this.tagName; }
+    get id() { return this.attributes.id || ''; }
+    set id(value) { this.attributes.id = String(value); }
+    get className() { return this.attributes.class || ''; }
+    set className(value) { this.attributes.class = String(value); }
+    get children() { return this.childNodes.filter(n => n instanceof Element); }
+    get firstChild() { return this.childNodes[0] || null; }
+    get lastChild() { return this.childNodes[this.childNodes.length - 1] || null; }
+    get firstElementChild() { return this.children[0] || null; }
+    get parentElement() { return this.parentNode instanceof Element ? this.parentNode : null; }
+    get isConnected() {
+        let node = this;
+        while (node.parentNode) node = node.parentNode;
+        return !!(this.ownerDocument && node === this.ownerDocument.documentElement);
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+        if (name.startsWith('data-')) {
+            this.dataset[name.slice(5).replace(/-([a-z])/g, (m, c) => c.toUpperCase())] = String(value);
+        }
+        if (name === 'style') this.style.cssText = value;
+        if (name === 'value') this.value = String(value);
+    }
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+    hasAttribute(name) { return name in this.attributes; }
+    removeAttribute(name) { delete this.attributes[name]; }
+
+    appendChild(child) {
+        if (child.parentNode) child.parentNode.removeChild(child);
+        child.parentNode = this;
+        this.childNodes.push(child);
+        return child;
+    }
+    append(...nodes) {
+        for (const n of nodes) this.appendChild(typeof n === 'string' ? new TextNode(n) : n);
+    }
+    prepend(...nodes) {
+        for (const n of nodes.reverse()) {
+            this.insertBefore(typeof n === 'string' ? new TextNode(n) : n, this.firstChild);
+        }
+    }
+    insertBefore(child, ref) {
+        if (!ref) return this.appendChild(child);
+        if (child.parentNode) child.parentNode.removeChild(child);
+        child.parentNode = this;
+        this.childNodes.splice(this.childNodes.indexOf(ref), 0, child);
+        return child;
+    }
+    removeChild(child) {
+        const idx = this.childNodes.indexOf(child);
+        if (idx >= 0) {
+            this.childNodes.splice(idx, 1);
+            child.parentNode = null;
+        }
+        return child;
+    }
+    replaceChildren(...nodes) {
+        for (const n of this.childNodes) n.parentNode = null;
+        this.childNodes = [];
+        this.append(...nodes);
+    }
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+    contains(node) {
+        for (let n = node; n; n = n.parentNode) if (n === this) return true;
+        return false;
+    }
+
+    get textContent() {
+        return this.childNodes.map(n => n.textContent).join('');
+    }
+    set textContent(text) {
+        this.replaceChildren();
+        if (text !== '' && text != null) this.appendChild(new TextNode(String(text)));
+    }
+    get innerText() { return this.textContent; }
+    set innerText(text) { this.textContent = text; }
+
+    get innerHTML() {
+        return this.childNodes.map(n => (n instanceof Element ? n.outerHTML : escapeText(n.textContent))).join('');
+    }
+    set innerHTML(html) {
+        this.replaceChildren();
+        parseInto(this, String(html));
+    }
+    get outerHTML() {
+        const tag = this.tagName.toLowerCase();
+        const attrs = Object.entries(this.attributes).map(([k, v]) => ` ${k}="${v.replace(/"/g, '&quot;')}"`).join('');
+        if (VOID_TAGS.has(tag)) return `<${tag}${attrs}>`;
+        return `<${tag}${attrs}>${this.innerHTML}</${tag}>`;
+    }
+
+    /** Insert parsed HTML relative to this element ('beforeend' etc.) */
+    insertAdjacentHTML(position, html) {
+        const holder = new Element('div', this.ownerDocument);
+        parseInto(holder, html);
+        const nodes = holder.childNodes.slice();
+        if (position === 'beforeend') nodes.forEach(n => this.appendChild(n));
+        else if (position === 'afterbegin') nodes.reverse().forEach(n => this.insertBefore(n, this.firstChild));
+        else if (this.parentNode) {
+            const parent = this.parentNode;
+            const ref = position === 'beforebegin' ? this : parent.childNodes[parent.childNodes.indexOf(this) + 1];
+            nodes.forEach(n => parent.insertBefore(n, ref || null));
+        }
+    }
+
+    matches(selector) { return matchesSelector(this, selector); }
+    closest(selector) {
+        for (let n = this; n instanceof Element; n = n.parentNode) if (n.matches(selector)) return n;
+        return null;
+    }
+    querySelectorAll(selector) {
+        const results = [];
+        const walk = node => {
+            for (const child of node.children) {
+                if (matchesSelector(child, selector)) results.push(child);
+                walk(child);
+            }
+        };
+        walk(this);
+        return results;
+    }
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+    getElementsByTagName(tag) { return this.querySelectorAll(tag); }
+    getElementsByClassName(cls) { return this.querySelectorAll(`.${cls}`); }
+
+    click() { this.dispatchEvent(new Event('click', { bubbles: true })); }
+    focus() { this.focused = true; this.dispatchEvent(new Event('focus')); }
+    blur() { this.focused = false; this.dispatchEvent(new Event('blur')); }
+    getBoundingClientRect() {
+        return { x: 0, y: 0, top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 };
+    }
+    scrollIntoView() {}
+
+    /** Canvas stub: drawing calls are accepted and do nothing */
+    getContext() {
+        if (!this._context) {
+            this._context = new Proxy({ canvas: this }, {
+                get: (ctx, prop) => (prop in ctx || typeof prop !== 'string' ? ctx[prop] : () => undefined),
+            });
+        }
+        return this._context;
+    }
+    toDataURL() { return 'data:image/png;base64,'; }
+    get scrollHeight() { return 0; }
+    get offsetWidth() { return 0; }
+    get offsetHeight() { return 0; }
+}
+
+/**
+ * Parse an HTML fragment and append the resulting nodes to `parent`
+ */
+function parseInto(parent, html) {
+    const stack = [parent];
+    const top = () => stack[stack.length - 1];
+    TOKEN_RE.lastIndex = 0;
+    let m;
+    while ((m = TOKEN_RE.exec(html))) {
+        const [token, closeTag, openTag, attrText, selfClose] = m;
+        if (token.startsWith('<!--')) continue;
+        if (closeTag) {
+            const tag = closeTag.toUpperCase();
+            const idx = stack.map(n => n.tagName).lastIndexOf(tag);
+            if (idx > 0) stack.length = idx;
+            continue;
+        }
+        if (!openTag) {
+            top().appendChild(new TextNode(decode(token)));
+            continue;
+        }
+
+        const el = new Element(openTag, parent.ownerDocument);
+        ATTR_RE.lastIndex = 0;
+        let a;
+        while ((a = ATTR_RE.exec(attrText || ''))) {
+            el.setAttribute(a[1], decode(a[2] ?? a[3] ?? a[4] ?? ''));
+        }
+        top().appendChild(el);
+
+        const tag = openTag.toLowerCase();
+        if (RAW_TEXT_TAGS.has(tag)) {
+            const end = html.toLowerCase().indexOf(`</${tag}`, TOKEN_RE.lastIndex);
+            const stop = end < 0 ? html.length : end;
+            const text = html.slice(TOKEN_RE.lastIndex, stop);
+            if (text) el.appendChild(new TextNode(tag === 'textarea' ? decode(text) : text));
+            if (tag === 'textarea') el.value = el.textContent;
+            TOKEN_RE.lastIndex = end < 0 ? html.length : html.indexOf('>', end) + 1;
+        } else if (!selfClose && !VOID_TAGS.has(tag)) {
+            stack.push(el);
+        }
+    }
+}
+
+class Document extends EventTarget {
+    constructor() {
+        super();
+        this.documentElement = new Element('html', this);
+        this.head = new Element('head', this);
+        this.body = new Element('body', this);
+        this.documentElement.appendChild(this.head);
+        this.documentElement.appendChild(this.body);
+        this.activeElement = this.body;
+    }
+
+    createElement(tag) { return new Element(tag, this); }
+    createTextNode(text) { return new TextNode(String(text)); }
+    createDocumentFragment() { return new Element('#fragment', this); }
+    getElementById(id) { return this.documentElement.querySelector(`#${id}`); }
+    querySelector(selector) { return this.documentElement.querySelector(selector); }
+    querySelectorAll(selector) { return this.documentElement.querySelectorAll(selector); }
+}
+
+/**
+ * Create a fresh document plus a `window`-like object around it
+ */
+function createDom() {
+    const document = new Document();
+    const window = new EventTarget();
+    Object.assign(window, {
+        document,
+        innerWidth: 1280,
+        innerHeight: 720,
+        devicePixelRatio: 1,
+        location: { href: 'http://localhost/', hostname: 'localhost', search: '' },
+        navigator: { userAgent: 'plugin-harness', maxTouchPoints: 0 },
+        getComputedStyle: el => el.style,
+    });
+    return { document, window };
+}
+
+module.exports = { createDom, Document, Element, TextNode, Event, EventTarget };
@@ -0,0 +1,73 @@
+/**
+ * Smoke test: run a few examples in the harness and check that they play
+ * and clean up after themselves.
+ *
+ *   npm test
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createRuntime } = require('.');
+
+const EXAMPLES = path.join(__dirname, '..', '..', 'examples');
+
+// Examples that run here without stubs from the test (see Limitations in the README)
+const SMOKE = ['hello-world', 'lamp', 'pendulum', 'game-hud', 'info-panel', 'persistent-inventory', 'simple-chat'];
+
+let rt = null;
+
+afterEach(() => {
+    if (rt) rt.dispose();
+    rt = null;
+});
+
+test('scavenger hunt counts a collected item and removes its listeners', async () => {
+    rt = createRuntime();
+    const Item = await rt.load(path.join(EXAMPLES, 'scavenger-item.mjs'));
+    const Hunt = await rt.load(path.join(EXAMPLES, 'scavenger-hunt.mjs'));
+
+    const item = await rt.spawn(Item, { position: { x: 5, y: 0, z: 0 } });
+    const hunt = await rt.spawn(Hunt, { params: { autoReset: false } });
+    assert.ok(rt.busListenerCount() > 0);
+
+    rt.update();
+    assert.equal(item.collected, false);
+
+    rt.player.setPosition(5, 0, 0);
+    rt.update();
+    assert.equal(item.collected, true);
+    assert.equal(hunt.getUIContainer().querySelector('.js-progress').textContent, '1 / 1 collected');
+
+    rt.destroy(hunt);
+    rt.destroy(item);
+    assert.equal(rt.busListenerCount(), 0);
+    assert.equal(rt.pendingTimers, 0);
+});
+
+test('vibes challenge plugins subscribe together and unsubscribe on destroy', async () => {
+    rt = createRuntime();
+    const names = ['vibes-challenge-main', 'vibes-challenge-start-trigger', 'vibes-challenge-collectible', 'vibes-challenge-status'];
+    const scripts = [];
+    for (const name of names) {
+        scripts.push(await rt.spawn(await rt.load(path.join(EXAMPLES, `${name}.mjs`))));
+    }
+    rt.advance(1);
+    assert.ok(rt.busListenerCount() > 0);
+
+    for (const script of scripts) rt.destroy(script);
+    assert.equal(rt.busListenerCount(), 0);
+    assert.equal(rt.net.listenerCount(), 0);
+});
+
+for (const name of SMOKE) {
+    test(`${name} runs and leaves no listeners or timers`, async () => {
+        rt = createRuntime();
+        const script = await rt.spawn(await rt.load(path.join(EXAMPLES, `${name}.mjs`)));
+        rt.advance(1);
+        rt.destroy(script);
+        assert.equal(rt.busListenerCount(), 0);
+        assert.equal(rt.net.listenerCount(), 0);
+        assert.equal(rt.pendingTimers, 0);
+    });
+}
@@ -0,0 +1,851 @@
+/**
+ * Plugin Harness
+ *
+ * Headless ArrivalSpace runtime for unit-testing plugins in Node. Installs fake
+ * `pc`, `ArrivalScript`, `attribute` and `ArrivalSpace` globals, loads plugin
+ * modules and lets a test drive their lifecycle frame by frame.
+ *
+ * Usage:
+ *   const { createRuntime } = require('./tools/plugin-harness');
+ *
+ *   const rt = createRuntime();
+ *   const Hunt = await rt.load('examples/scavenger-hunt.mjs');
+ *   const hunt = await rt.spawn(Hunt, { params: { resetDelay: 5 } });
+ *   rt.update(1 / 60);
+ *   await rt.setProperty(hunt, 'showHud', false);
+ *   rt.destroy(hunt);
+ *   rt.dispose();
+ *
+ * Fakes follow the shapes in types/arrival.d.ts. ArrivalSpace functions the
+ * harness does not model are recorded in `rt.calls` and return undefined;
+ * assign to `rt.ArrivalSpace.<name>` to stub them.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createPc } = require('./pc');
+const { createDom } = require('./dom');
+
+const INSTALLED_GLOBALS = [
+    'pc', 'ArrivalScript', 'attribute', 'ArrivalSpace', 'document', 'window',
+    'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval',
+    'requestAnimationFrame', 'cancelAnimationFrame',
+];
+
+// Names that must stay undefined so the ArrivalSpace proxy is not mistaken
+// for a promise or serialised as a function bag
+const UNRECORDED = new Set(['then', 'toJSON', 'constructor', 'inspect']);
+
+const KEY_ALIASES = {
+    ' ': 'SPACE', arrowup: 'UP', arrowdown: 'DOWN', arrowleft: 'LEFT', arrowright: 'RIGHT',
+    esc: 'ESCAPE', enter: 'RETURN',
+};
+
+let activeRuntime = null;
+let loadCount = 0;
+
+/**
+ * Wrapper returned by the fake attribute(); unwrapped when a plugin spawns
+ */
+class Attribute {
+    constructor(defaultValue, options = {}) {
+        this.defaultValue = defaultValue;
+        this.options = options;
+    }
+}
+
+/**
+ * Normalise a key name ('w', 'Space', pc.KEY_W) to the pc constant name
+ */
+function keyName(key) {
+    const str = String(key);
+    if (str.startsWith('KEY_')) return str;
+    const alias = KEY_ALIASES[str.toLowerCase()];
+    return `KEY_${alias || str.toUpperCase()}`;
+}
+
+/**
+ * Create a headless runtime and install its globals.
+ *
+ * @param {object} [options]
+ * @param {object} [options.user] - Local user (getUser / net player info)
+ * @param {object} [options.room] - Room info returned by getRoom()
+ * @param {boolean} [options.isOwner=true] - Whether the local user owns the space
+ * @param {boolean} [options.isMobile=false] - Value of `this.isMobile` in plugins
+ * @param {{document, window}} [options.dom] - DOM to use instead of the built-in fake (e.g. jsdom)
+ * @param {boolean} [options.verbose=false] - Print plugin log()/warn() output
+ * @returns {object} Runtime handle
+ */
+function createRuntime(options = {}) {
+    if (activeRuntime) {
+        throw new Error('A plugin-harness runtime is already active - call dispose() first');
+    }
+
+    const pc = createPc();
+    const { document, window } = options.dom || createDom();
+    const app = new pc.Application();
+    const bus = new pc.EventHandler();
+
+    const user = {
+        userID: 'user-1',
+        userName: 'Tester',
+        uniqueName: 'tester',
+        avatar: null,
+        ...options.user,
+    };
+    const room = {
+        roomId: 'test-room',
+        roomName: 'Test Room',
+        roomData: {},
+        owner: options.isOwner === false ? 'someone-else' : user.userID,
+        ...options.room,
+    };
+    const isOwner = options.isOwner !== false;
+
+    const player = new pc.Entity('CharacterController');
+    const camera = new pc.Entity('Camera');
+    camera.addComponent('camera', { fov: 60 });
+    app.root.addChild(player);
+    app.root.addChild(camera);
+
+    const plugins = [];             // { id, url, name, entity, script }
+    const attributeMeta = new WeakMap(); // script -> Map(name -> { options, setRaw })
+    const keyListeners = [];        // { type, key, callback }
+    const timers = new Set();
+    const saved = new Map();
+    let pluginCount = 0;
+    let postEffects = {};
+
+    const rt = {
+        pc,
+        app,
+        document,
+        window,
+        player,
+        camera,
+        user,
+        room,
+        time: 0,
+        frame: 0,
+        calls: [],
+        logs: [],
+        input: {
+            move: { forward: 0, strafe: 0, jump: false },
+            leftStick: { x: 0, y: 0 },
+            rightStick: { x: 0, y: 0 },
+            keys: new Set(),
+            inputLocked: false,
+            keyboardLocked: false,
+        },
+    };
+
+    // ── Timers ──
+    // Tracked so dispose() can clear whatever a plugin forgot to
+
+    const real = {
+        setTimeout: globalThis.setTimeout,
+        clearTimeout: globalThis.clearTimeout,
+        setInterval: globalThis.setInterval,
+        clearInterval: globalThis.clearInterval,
+    };
+    const timerApi = {
+        setTimeout(fn, ms, ...args) {
+            const handle = real.setTimeout(() => {
+                timers.delete(handle);
+                fn(...args);
+            }, ms);
+            timers.add(handle);
+            return handle;
+        },
+        clearTimeout(handle) {
+            timers.delete(handle);
+            real.clearTimeout(handle);
+        },
+        setInterval(fn, ms, ...args) {
+            const handle = real.setInterval(fn, ms, ...args);
+            timers.add(handle);
+            return handle;
+        },
+        clearInterval(handle) {
+            timers.delete(handle);
+            real.clearInterval(handle);
+        },
+        requestAnimationFrame: fn => timerApi.setTimeout(() => fn(rt.time * 1000), 16),
+        cancelAnimationFrame: handle => timerApi.clearTimeout(handle),
+    };
+
+    // ── Keyboard ──
+
+    app.keyboard = Object.assign(new pc.EventHandler(), {
+        isPressed: key => rt.input.keys.has(keyName(key)),
+        wasPressed: key => rt.input.keys.has(keyName(key)),
+    });
+
+    const addKeyListener = (type, key, callback) => {
+        const entry = { type, key: keyName(key), callback };
+        keyListeners.push(entry);
+        return () => {
+            const idx = keyListeners.indexOf(entry);
+            if (idx >= 0) keyListeners.splice(idx, 1);
+        };
+    };
+
+    const pressKey = (type, key) => {
+        const name = keyName(key);
+        if (type === 'keydown') rt.input.keys.add(name);
+        else rt.input.keys.delete(name);
+        const event = { key: name, event: { key: String(key), preventDefault() {} } };
+        app.keyboard.fire(type, event);
+        for (const l of keyListeners.slice()) {
+            if (l.type === type && l.key === name) l.callback(event);
+        }
+    };
+
+    // ── Network ──
+
+    const netListeners = new Map();     // type -> [callback]
+    const lifecycle = { join: [], leave: [], connect: [], disconnect: [] };
+    const remotePlayers = [];
+    let connected = true;
+
+    const localPlayerInfo = () => ({
+        userID: user.userID,
+        userName: user.userName,
+        avatar: user.avatar,
+        isOwner,
+        entity: player,
+        socketId: 'local',
+    });
+
+    const subscribe = (list, callback) => {
+        list.push(callback);
+        return () => {
+            const idx = list.indexOf(callback);
+            if (idx >= 0) list.splice(idx, 1);
+        };
+    };
+
+    const net = {
+        get isConnected() { return connected; },
+        send(type, data = {}, sendOptions = {}) {
+            rt.net.sent.push({ type, data, to: null, options: sendOptions });
+        },
+        sendTo(targetUserId, type, data = {}) {
+            rt.net.sent.push({ type, data, to: targetUserId, options: {} });
+        },
+        on(type, callback) {
+            if (!netListeners.has(type)) netListeners.set(type, []);
+            return subscribe(netListeners.get(type), callback);
+        },
+        once(type, callback) {
+            const unsubscribe = net.on(type, (data, sender) => {
+                unsubscribe();
+                callback(data, sender);
+            });
+            return unsubscribe;
+        },
+        off(type, callback) {
+            if (!callback) {
+                netListeners.delete(type);
+                return;
+            }
+            const list = netListeners.get(type) || [];
+            const idx = list.indexOf(callback);
+            if (idx >= 0) list.splice(idx, 1);
+        },
+        getPlayers: () => [localPlayerInfo(), ...remotePlayers],
+        onPlayerJoin: callback => subscribe(lifecycle.join, callback),
+        onPlayerLeave: callback => subscribe(lifecycle.leave, callback),
+        onConnect: callback => subscribe(lifecycle.connect, callback),
+        onDisconnect: callback => subscribe(lifecycle.disconnect, callback),
+    };
+
+    rt.net = {
+        /** Messages sent by plugins: { type, data, to, options } */
+        sent: [],
+        /** Local writes to `sync: true` attributes: { script, name, value } */
+        synced: [],
+
+        /** Deliver a message from another player to net.on() listeners */
+        receive(type, data = {}, sender = remotePlayers[0] || rt.net.join()) {
+            for (const callback of (netListeners.get(type) || []).slice()) callback(data, sender);
+        },
+        /** Add a remote player and notify onPlayerJoin listeners */
+        join(info = {}) {
+            const n = remotePlayers.length + 1;
+            const playerInfo = {
+                userID: `remote-${n}`,
+                userName: `Remote ${n}`,
+                avatar: null,
+                isOwner: false,
+                socketId: `socket-${n}`,
+                ...info,
+            };
+            if (!playerInfo.entity) {
+                playerInfo.entity = new pc.Entity(`Player_${playerInfo.userName}`);
+                app.root.addChild(playerInfo.entity);
+            }
+            remotePlayers.push(playerInfo);
+            lifecycle.join.slice().forEach(cb => cb(playerInfo));
+            return playerInfo;
+        },
+        /** Remove a remote player (by userID or info) and notify onPlayerLeave listeners */
+        leave(userIdOrInfo) {
+            const userID = typeof userIdOrInfo === 'object' ? userIdOrInfo.userID : userIdOrInfo;
+            const idx = remotePlayers.findIndex(p => p.userID === userID);
+            if (idx < 0) return;
+            const [playerInfo] = remotePlayers.splice(idx, 1);
+            lifecycle.leave.slice().forEach(cb => cb(playerInfo));
+            playerInfo.entity?.destroy();
+        },
+        connect() {
+            connected = true;
+            lifecycle.connect.slice().forEach(cb => cb());
+        },
+        disconnect() {
+            connected = false;
+            lifecycle.disconnect.slice().forEach(cb => cb());
+        },
+        /** Number of live net.on() subscriptions (for one type, or all) */
+        listenerCount(type) {
+            if (type) return (netListeners.get(type) || []).length;
+            let total = 0;
+            for (const list of netListeners.values()) total += list.length;
+            return total + Object.values(lifecycle).reduce((s, l) => s + l.length, 0);
+        },
+    };
+
+    // ── Storage ──
+
+    const storeEntries = new Map();     // `${spaceId}/${key}` -> [entry]
+    const userValues = new Map();       // `${namespace}/${userId}/${key}` -> string
+
+    const pluginStore = {
+        async push(key, value, pushOptions = {}) {
+            const { numval = null, mode = 'unique', spaceId = room.roomId } = pushOptions;
+            const storeKey = `${spaceId}/${key}`;
+            const entries = storeEntries.get(storeKey) || [];
+            const entry = { userId: user.userID, value: String(value), numval, updatedAt: new Date().toISOString() };
+            const own = entries.findIndex(e => e.userId === user.userID);
+
+            if (mode === 'append' || own < 0) {
+                entries.push(entry);
+            } else if (mode === 'unique'
+                || (mode === 'min' && numval < entries[own].numval)
+                || (mode === 'max' && numval > entries[own].numval)) {
+                entries[own] = entry;
+            } else {
+                return entries[own];
+            }
+            storeEntries.set(storeKey, entries);
+            return entry;
+        },
+        async get(key, getOptions = {}) {
+            const { sort = 'asc', limit = 10, spaceId = room.roomId } = getOptions;
+            const dir = sort === 'desc' ? -1 : 1;
+            return (storeEntries.get(`${spaceId}/${key}`) || [])
+                .slice()
+                .sort((a, b) => ((a.numval ?? 0) - (b.numval ?? 0)) * dir)
+                .slice(0, Math.min(limit, 100))
+                .map(e => ({ ...e }));
+        },
+        async delete(key, deleteOptions = {}) {
+            const storeKey = `${deleteOptions.spaceId || room.roomId}/${key}`;
+            const entries = storeEntries.get(storeKey) || [];
+            storeEntries.set(storeKey, entries.filter(e => e.userId !== user.userID));
+            return true;
+        },
+    };
+
+    const userData = {
+        async set(namespace, key, value) {
+            userValues.set(`${namespace}/${user.userID}/${key}`,
+                typeof value === 'string' ? value : JSON.stringify(value));
+            return true;
+        },
+        async get(namespace, key, getOptions = {}) {
+            const raw = userValues.get(`${namespace}/${getOptions.userId || user.userID}/${key}`);
+            if (raw === undefined) return null;
+            if (getOptions.raw) return raw;
+            try {
+                return JSON.parse(raw);
+            } catch {
+                return raw;
+            }
+        },
+        async delete(namespace, key) {
+            return userValues.delete(`${namespace}/${user.userID}/${key}`);
+        },
+        async keys(namespace, keyOptions = {}) {
+            const { prefix = '', userId = user.userID, limit = 100 } = keyOptions;
+            const scope = `${namespace}/${userId}/`;
+            return [...userValues.keys()]
+                .filter(k => k.startsWith(scope + prefix))
+                .map(k => k.slice(scope.length))
+                .slice(0, limit);
+        },
+    };
+
+    // ── Scene helpers ──
+
+    const resolveEntity = nameOrEntity => (typeof nameOrEntity === 'string'
+        ? app.root.findByName(nameOrEntity)
+        : nameOrEntity);
+
+    const placeEntity = (entity, placement = {}) => {
+        (placement.parent || app.root).addChild(entity);
+        const { position, rotation, scale } = placement;
+        if (position) entity.setLocalPosition(position.x, position.y, position.z);
+        if (rotation) entity.setLocalEulerAngles(rotation.x, rotation.y, rotation.z);
+        if (scale !== undefined) entity.setLocalScale(scale, scale, scale);
+        return entity;
+    };
+
+    const loadEntity = async (kind, url, loadOptions = {}) => {
+        const entity = placeEntity(new pc.Entity(loadOptions.name || path.basename(String(url))), loadOptions);
+        const asset = new pc.Asset(path.basename(String(url)), kind, { url });
+        asset.resource = entity;
+        asset.loaded = true;
+        rt.calls.push({ name: kind === 'container' ? 'loadGLB' : 'loadSplat', args: [url, loadOptions] });
+        if (loadOptions.onLoad) loadOptions.onLoad(entity, asset);
+        return { entity, asset };
+    };
+
+    // ── ArrivalSpace ──
+
+    const api = {
+        VERSION: 'plugin-harness',
+        debug: undefined,
+
+        fire: (event, ...args) => { bus.fire(event, ...args); },
+        on: (event, callback) => { bus.on(event, callback); },
+        off: (event, callback) => { bus.off(event, callback); },
+        once: (event, callback) => { bus.once(event, callback); },
+
+        loadGLB: (url, loadOptions) => loadEntity('container', url, loadOptions),
+        loadSplat: (url, loadOptions) => loadEntity('gsplat', url, loadOptions),
+        async loadTexture(url, loadOptions = {}) {
+            rt.calls.push({ name: 'loadTexture', args: [url, loadOptions] });
+            const texture = new pc.Texture(null, { name: path.basename(String(url)) });
+            const asset = new pc.Asset(texture.name, 'texture', { url });
+            asset.resource = texture;
+            asset.loaded = true;
+            return { texture, asset };
+        },
+        async playSound(url, soundOptions = {}) {
+            rt.calls.push({ name: 'playSound', args: [url, soundOptions] });
+            const entity = placeEntity(new pc.Entity(`Sound_${path.basename(String(url))}`), soundOptions);
+            const slot = new pc.SoundSlot('default', soundOptions);
+            entity.addComponent('sound', { slots: { default: slot } });
+            slot.play();
+            return { entity, slot };
+        },
+        createMaterial: (materialOptions = {}) => Object.assign(new pc.StandardMaterial(), materialOptions),
+        createHTMLPanel: (panelOptions = {}) => placeEntity(new pc.Entity(panelOptions.name || 'HTMLPanel'), panelOptions),
+        createTexturePanel: async (panelOptions = {}) => placeEntity(new pc.Entity(panelOptions.name || 'TexturePanel'), panelOptions),
+        disposeEntity(entity) {
+            if (entity && !entity._destroyed) entity.destroy();
+        },
+
+        getStaticGates: () => [],
+        getStaticGate: () => null,
+        getCenterAsset: () => null,
+        setPostEffects(params) {
+            postEffects = { ...postEffects, ...params };
+            return true;
+        },
+        getPostEffects: () => ({ ...postEffects }),
+
+        getRoom: () => ({ ...room }),
+        getEntities: () => app.root.find(() => true).slice(1).map(e => ({
+            name: e.name,
+            enabled: e.enabled,
+            pos: e.getPosition().toString(),
+            children: e.children.length,
+        })),
+        findEntity: name => app.root.findByName(name),
+        findByTag: tag => app.root.findByTag(tag),
+        moveEntity(nameOrEntity, x, y, z) {
+            const entity = resolveEntity(nameOrEntity);
+            if (!entity) return false;
+            entity.setPosition(x, y, z);
+            return true;
+        },
+        rotateEntity(nameOrEntity, x, y, z) {
+            const entity = resolveEntity(nameOrEntity);
+            if (!entity) return false;
+            entity.setEulerAngles(x, y, z);
+            return true;
+        },
+        scaleEntity(nameOrEntity, s) {
+            const entity = resolveEntity(nameOrEntity);
+            if (!entity) return false;
+            entity.setLocalScale(s, s, s);
+            return true;
+        },
+        getPlayer: () => player,
+        getMoveInput: () => ({ ...rt.input.move }),
+        getCamera: () => camera,
+        getUser: () => ({ ...user }),
+        async captureView() {
+            return { success: false, error: 'captureView is not available in plugin-harness' };
+        },
+
+        getPlugins: () => plugins.map(({ id, url, entity, name }) => ({ id, url, entity, name })),
+        async removePlugin(pluginId) {
+            const record = plugins.find(p => p.id === pluginId);
+            if (!record) return false;
+            rt.destroy(record.script);
+            return true;
+        },
+
+        pluginStore,
+        userData,
+        net,
+
+        xr: {
+            active: false,
+            enter: async () => false,
+            exit: async () => {},
+            getState: () => ({ active: false, supported: false }),
+            onStateChange: () => () => {},
+        },
+    };
+
+    const ArrivalSpace = new Proxy(api, {
+        get(target, prop) {
+            if (prop in target || typeof prop !== 'string' || UNRECORDED.has(prop)) return target[prop];
+            return (...args) => {
+                rt.calls.push({ name: prop, args });
+                return undefined;
+            };
+        },
+    });
+
+    // ── ArrivalScript ──
+
+    class ArrivalScript extends pc.Script {
+        get space() { return { ...room }; }
+        get isOwner() { return isOwner; }
+        get isMobile() { return !!options.isMobile; }
+        get standingObject() { return rt.standingObject || null; }
+
+        get position() { return this.entity.getPosition().clone(); }
+        set position(v) { this.entity.setPosition(v.x, v.y, v.z); }
+        get localPosition() { return this.entity.getLocalPosition().clone(); }
+        set localPosition(v) { this.entity.setLocalPosition(v.x, v.y, v.z); }
+        get rotation() { return this.entity.getEulerAngles().clone(); }
+        set rotation(v) { this.entity.setEulerAngles(v.x, v.y, v.z); }
+
+        find(name) { return app.root.findByName(name); }
+        findByTag(tag) { return app.root.findByTag(tag); }
+        findChild(name) { return this.entity.findByName(name); }
+
+        log(...args) { this._harnessLog('log', args); }
+        warn(...args) { this._harnessLog('warn', args); }
+        error(...args) { this._harnessLog('error', args); }
+        _harnessLog(level, args) {
+            rt.logs.push({ level, script: this, args });
+            if (options.verbose) console[level](`[${this.constructor.scriptName}]`, ...args);
+        }
+
+        // UI
+
+        getUIContainer() {
+            if (!this._uiContainer) {
+                this._uiContainer = document.createElement('div');
+                this._uiContainer.setAttribute('data-plugin', this.constructor.scriptName || '');
+                document.body.appendChild(this._uiContainer);
+            }
+            return this._uiContainer;
+        }
+        createUI(tagName, uiOptions = {}) {
+            const el = document.createElement(tagName);
+            if (uiOptions.id) el.id = uiOptions.id;
+            if (uiOptions.className) el.className = uiOptions.className;
+            if (typeof uiOptions.style === 'string') el.style.cssText = uiOptions.style;
+            else if (uiOptions.style) Object.assign(el.style, uiOptions.style);
+            if (uiOptions.html !== undefined) el.innerHTML = uiOptions.html;
+            if (uiOptions.text !== undefined) el.textContent = uiOptions.text;
+            (uiOptions.parent || this.getUIContainer()).appendChild(el);
+            return el;
+        }
+        createPanel(panelOptions = {}) {
+            return this.createUI('div', { ...panelOptions, className: panelOptions.className || 'arrival-panel' });
+        }
+        removeUI() {
+            if (this._uiContainer) this._uiContainer.remove();
+            this._uiContainer = null;
+        }
+        setUIVisible(visible) {
+            this.getUIContainer().style.display = visible ? '' : 'none';
+        }
+
+        // Input
+
+        lockInput() { rt.input.inputLocked = true; }
+        unlockInput() { rt.input.inputLocked = false; }
+        lockKeyboard() { rt.input.keyboardLocked = true; }
+        unlockKeyboard() { rt.input.keyboardLocked = false; }
+        getLeftStick() { return { ...rt.input.leftStick }; }
+        getRightStick() { return { ...rt.input.rightStick }; }
+        getMoveInput() { return ArrivalSpace.getMoveInput(); }
+        onKeyDown(key, callback) { return addKeyListener('keydown', key, callback); }
+        onKeyUp(key, callback) { return addKeyListener('keyup', key, callback); }
+
+        // Param schema
+
+        refreshParamSchema() {
+            rt.calls.push({ name: 'refreshParamSchema', args: [], script: this });
+        }
+        setParamOptions(name, paramOptions, refresh = true) {
+            this._paramOptions = { ...this._paramOptions, [name]: paramOptions.slice() };
+            if (refresh) this.refreshParamSchema();
+        }
+        appendParamOptions(name, optionsToAdd, refresh = true) {
+            const current = this.getParamOptions(name);
+            const merged = current.concat(optionsToAdd.filter(o =>
+                !current.some(c => JSON.stringify(c) === JSON.stringify(o))));
+            this.setParamOptions(name, merged, refresh);
+        }
+        getParamOptions(name) {
+            const fromSchema = this.constructor.properties?.[name]?.options || [];
+            return (this._paramOptions?.[name] || fromSchema).slice();
+        }
+
+        // Pass-throughs to ArrivalSpace
+
+        setPostEffects(params) { return ArrivalSpace.setPostEffects(params); }
+        getPostEffects() { return ArrivalSpace.getPostEffects(); }
+        setPhysicsStepRate(...args) { ArrivalSpace.setPhysicsStepRate(...args); return true; }
+        setPlayerAvatarOffset(...args) { ArrivalSpace.setPlayerAvatarOffset(...args); }
+        createNPC(npcOptions) { return ArrivalSpace.createNPC(npcOptions); }
+    }
+
+    /**
+     * Fake attribute(): returns a wrapper that spawn() turns into a property
+     */
+    function attribute(defaultValue, attributeOptions) {
+        return new Attribute(defaultValue, attributeOptions);
+    }
+
+    /**
+     * Replace attribute() wrappers on a fresh script with accessors that run
+     * the onChange callback and record synced writes
+     */
+    const setupAttributes = (script) => {
+        const meta = new Map();
+        for (const key of Object.keys(script)) {
+            const wrapper = script[key];
+            if (!(wrapper instanceof Attribute)) continue;
+            let current = wrapper.defaultValue;
+            const attrOptions = wrapper.options;
+            meta.set(key, { options: attrOptions, setRaw: v => { current = v; } });
+            Object.defineProperty(script, key, {
+                enumerable: true,
+                configurable: true,
+                get: () => current,
+                set: (value) => {
+                    const old = current;
+                    current = value;
+                    if (attrOptions.sync) rt.net.synced.push({ script, name: key, value });
+                    if (old !== value && attrOptions.onChange) {
+                        script[attrOptions.onChange]?.(value, old, false);
+                    }
+                },
+            });
+        }
+        attributeMeta.set(script, meta);
+    };
+
+    const liveScripts = () => plugins.map(p => p.script)
+        .filter(s => s.enabled && s.entity.enabledInHierarchy);
+
+    // ── Runtime API ──
+    // (defineProperties rather than Object.assign so the getters stay live)
+
+    Object.defineProperties(rt, Object.getOwnPropertyDescriptors({
+        ArrivalSpace,
+        ArrivalScript,
+        attribute,
+        bus,
+
+        /** Plugin scripts currently spawned, in spawn order */
+        get plugins() {
+            return plugins.map(p => p.script);
+        },
+
+        /**
+         * Import a plugin module and return its ArrivalScript class. Each call
+         * re-evaluates the file, so edits between loads are picked up.
+         */
+        async load(file) {
+            const url = pathToFileURL(path.resolve(file));
+            url.search = `?harness=${++loadCount}`;
+            const mod = await import(url.href);
+            const Plugin = Object.values(mod).find(v =>
+                typeof v === 'function' && v.prototype instanceof ArrivalScript);
+            if (!Plugin) throw new Error(`${file} does not export an ArrivalScript class`);
+            return Plugin;
+        },
+
+        /**
+         * Create a plugin instance the way the space does: a UserModelEntity
+         * with a Plugin_<scriptName> child that carries the script. Params are
+         * applied before initialize() runs.
+         *
+         * @param {Function} Plugin - ArrivalScript subclass (from load())
+         * @param {object} [spawnOptions]
+         * @param {object} [spawnOptions.params] - Property values to apply
+         * @param {{x,y,z}} [spawnOptions.position] - World position
+         * @param {{x,y,z}} [spawnOptions.rotation] - Euler rotation in degrees
+         * @param {number} [spawnOptions.scale] - Uniform scale
+         * @param {string} [spawnOptions.id] - Plugin id reported by getPlugins()
+         * @returns {Promise<object>} The initialized script instance
+         */
+        async spawn(Plugin, spawnOptions = {}) {
+            const scriptName = Plugin.scriptName || Plugin.name;
+            const id = spawnOptions.id || `plugin-${++pluginCount}`;
+            const entity = placeEntity(new pc.Entity(`UserModelEntity_${id}`), spawnOptions);
+            const host = new pc.Entity(`Plugin_${scriptName}`);
+            entity.addChild(host);
+            host.addComponent('script');
+
+            const script = new Plugin({ app, entity: host });
+            setupAttributes(script);
+            for (const [name, value] of Object.entries(spawnOptions.params || {})) {
+                if (!(name in script)) {
+                    throw new Error(`${scriptName} has no property '${name}'`);
+                }
+                const meta = attributeMeta.get(script).get(name);
+                if (meta) meta.setRaw(value);
+                else script[name] = value;
+            }
+
+            host.script.scripts.push(script);
+            plugins.push({ id, url: spawnOptions.url || `harness://${id}.mjs`, name: scriptName, entity, script });
+
+            if (typeof script.initialize === 'function') await script.initialize();
+            if (typeof script.postInitialize === 'function') await script.postInitialize();
+            return script;
+        },
+
+        /**
+         * Advance one frame: update() on every enabled plugin, then postUpdate()
+         */
+        update(dt = 1 / 60) {
+            rt.time += dt;
+            rt.frame++;
+            for (const script of liveScripts()) {
+                if (typeof script.update === 'function') script.update(dt);
+            }
+            app.fire('update', dt);
+            for (const script of liveScripts()) {
+                if (typeof script.postUpdate === 'function') script.postUpdate(dt);
+            }
+            app.fire('postupdate', dt);
+        },
+
+        /**
+         * Run update() repeatedly until `seconds` of simulated time have passed
+         */
+        advance(seconds, dt = 1 / 60) {
+            const frames = Math.max(1, Math.round(seconds / dt));
+            for (let i = 0; i < frames; i++) rt.update(dt);
+            return frames;
+        },
+
+        /**
+         * Change a property as the editor would: onChange (for attributes)
+         * then onPropertyChanged(name, value, oldValue). With `remote: true`
+         * it simulates a synced value arriving from another player instead,
+         * which only runs the attribute's onChange with isRemote = true.
+         */
+        async setProperty(script, name, value, { remote = false } = {}) {
+            if (!(name in script)) {
+                throw new Error(`${script.constructor.scriptName} has no property '${name}'`);
+            }
+            const oldValue = script[name];
+            if (remote) {
+                const meta = attributeMeta.get(script)?.get(name);
+                if (!meta?.options.sync) throw new Error(`'${name}' is not a synced attribute`);
+                meta.setRaw(value);
+                if (meta.options.onChange) await script[meta.options.onChange]?.(value, oldValue, true);
+                return;
+            }
+            script[name] = value;
+            if (typeof script.onPropertyChanged === 'function') {
+                await script.onPropertyChanged(name, value, oldValue);
+            }
+        },
+
+        /**
+         * Remove a plugin: destroys its entity (which calls destroy() and
+         * fires the script 'destroy' event) and removes its UI container
+         */
+        destroy(script) {
+            const idx = plugins.findIndex(p => p.script === script);
+            if (idx < 0) return false;
+            const [record] = plugins.splice(idx, 1);
+            record.entity.destroy();
+            if (script._uiContainer) script._uiContainer.remove();
+            return true;
+        },
+
+        keyDown: key => pressKey('keydown', key),
+        keyUp: key => pressKey('keyup', key),
+
+        /** Number of ArrivalSpace.on() listeners (for one event, or all) */
+        busListenerCount(event) {
+            if (event) return (bus._callbacks.get(event) || []).length;
+            let total = 0;
+            for (const list of bus._callbacks.values()) total += list.length;
+            return total;
+        },
+
+        /** Timers created by plugins that are still pending */
+        get pendingTimers() {
+            return timers.size;
+        },
+
+        /**
+         * Destroy remaining plugins, clear leftover timers and restore globals
+         */
+        dispose() {
+            for (const script of rt.plugins.reverse()) rt.destroy(script);
+            for (const handle of timers) real.clearInterval(handle);
+            timers.clear();
+            for (const [name, descriptor] of saved) {
+                if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+                else delete globalThis[name];
+            }
+            saved.clear();
+            activeRuntime = null;
+        },
+    }));
+
+    // ── Install globals ──
+
+    const globals = {
+        pc,
+        ArrivalScript,
+        attribute,
+        ArrivalSpace,
+        document,
+        window,
+        ...timerApi,
+    };
+    for (const name of INSTALLED_GLOBALS) {
+        saved.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+        Object.defineProperty(globalThis, name, {
+            value: globals[name],
+            writable: true,
+            configurable: true,
+        });
+    }
+    activeRuntime = rt;
+
+    return rt;
+}
+
+module.exports = { createRuntime, Attribute };
@@ -0,0 +1,657 @@
+/**
+ * Fake PlayCanvas
+ *
+ * The subset of the `pc` namespace that plugins touch, implemented in plain
+ * JavaScript so plugin logic can run in Node without a GPU. Shapes follow
+ * types/arrival.d.ts.
+ *
+ * Transforms are simplified: world positions compose parent translations only.
+ * Rotation and scale are stored and returned but not applied to children.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Minimal event emitter, shared by entities, scripts and the application
+ */
+class EventHandler {
+    constructor() {
+        this._callbacks = new Map();
+    }
+
+    on(name, callback, scope) {
+        if (!this._callbacks.has(name)) this._callbacks.set(name, []);
+        this._callbacks.get(name).push({ callback, scope, once: false });
+        return this;
+    }
+
+    once(name, callback, scope) {
+        this.on(name, callback, scope);
+        const list = this._callbacks.get(name);
+        list[list.length - 1].once = true;
+        return this;
+    }
+
+    off(name, callback, scope) {
+        if (!name) {
+            this._callbacks.clear();
+            return this;
+        }
+        const list = this._callbacks.get(name);
+        if (!list) return this;
+        const kept = list.filter(e =>
+            (callback && e.callback !== callback) || (scope && e.scope !== scope));
+        if (kept.length) this._callbacks.set(name, kept);
+        else this._callbacks.delete(name);
+        return this;
+    }
+
+    fire(name, ...args) {
+        const list = this._callbacks.get(name);
+        if (!list) return this;
+        for (const e of list.slice()) {
+            if (e.once) this.off(name, e.callback, e.scope);
+            e.callback.apply(e.scope || this, args);
+        }
+        return this;
+    }
+
+    hasEvent(name) {
+        return (this._callbacks.get(name) || []).length > 0;
+    }
+}
+
+class Vec2 {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    set(x, y) { this.x = x; this.y = y; return this; }
+    copy(v) { return this.set(v.x, v.y); }
+    clone() { return new Vec2(this.x, this.y); }
+    add(v) { this.x += v.x; this.y += v.y; return this; }
+    sub(v) { this.x -= v.x; this.y -= v.y; return this; }
+    scale(s) { this.x *= s; this.y *= s; return this; }
+    length() { return Math.hypot(this.x, this.y); }
+    distance(v) { return Math.hypot(this.x - v.x, this.y - v.y); }
+    toString() { return `[${this.x}, ${this.y}]`; }
+}
+
+class Vec3 {
+    constructor(x = 0, y = 0, z = 0) {
+        if (Array.isArray(x)) [x, y, z] = x;
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    set(x, y, z) { this.x = x; this.y = y; this.z = z; return this; }
+    copy(v) { return this.set(v.x, v.y, v.z); }
+    clone() { return new Vec3(this.x, this.y, this.z); }
+    add(v) { this.x += v.x; this.y += v.y; this.z += v.z; return this; }
+    add2(a, b) { return this.set(a.x + b.x, a.y + b.y, a.z + b.z); }
+    sub(v) { this.x -= v.x; this.y -= v.y; this.z -= v.z; return this; }
+    sub2(a, b) { return this.set(a.x - b.x, a.y - b.y, a.z - b.z); }
+    mul(v) { this.x *= v.x; this.y *= v.y; this.z *= v.z; return this; }
+    mulScalar(s) { return this.scale(s); }
+    scale(s) { this.x *= s; this.y *= s; this.z *= s; return this; }
+    dot(v) { return this.x * v.x + this.y * v.y + this.z * v.z; }
+    cross(a, b) {
+        return this.set(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+    }
+    length() { return Math.hypot(this.x, this.y, this.z); }
+    lengthSq() { return this.dot(this); }
+    normalize() {
+        const len = this.length();
+        return len > 0 ? this.scale(1 / len) : this;
+    }
+    distance(v) { return Math.hypot(this.x - v.x, this.y - v.y, this.z - v.z); }
+    lerp(a, b, t) {
+        return this.set(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, a.z + (b.z - a.z) * t);
+    }
+    equals(v) { return this.x === v.x && this.y === v.y && this.z === v.z; }
+    toString() { return `[${this.x}, ${this.y}, ${this.z}]`; }
+}
+
+Vec3.ZERO = Object.freeze(new Vec3(0, 0, 0));
+Vec3.ONE = Object.freeze(new Vec3(1, 1, 1));
+Vec3.UP = Object.freeze(new Vec3(0, 1, 0));
+Vec3.DOWN = Object.freeze(new Vec3(0, -1, 0));
+Vec3.RIGHT = Object.freeze(new Vec3(1, 0, 0));
+Vec3.LEFT = Object.freeze(new Vec3(-1, 0, 0));
+Vec3.FORWARD = Object.freeze(new Vec3(0, 0, -1));
+Vec3.BACK = Object.freeze(new Vec3(0, 0, 1));
+
+class Vec4 {
+    constructor(x = 0, y = 0, z = 0, w = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+    }
+
+    set(x, y, z, w) { this.x = x; this.y = y; this.z = z; this.w = w; return this; }
+    copy(v) { return this.set(v.x, v.y, v.z, v.w); }
+    clone() { return new Vec4(this.x, this.y, this.z, this.w); }
+}
+
+class Color {
+    constructor(r = 0, g = 0, b = 0, a = 1) {
+        this.r = r;
+        this.g = g;
+        this.b = b;
+        this.a = a;
+    }
+
+    set(r, g, b, a = 1) { this.r = r; this.g = g; this.b = b; this.a = a; return this; }
+    copy(c) { return this.set(c.r, c.g, c.b, c.a); }
+    clone() { return new Color(this.r, this.g, this.b, this.a); }
+    lerp(a, b, t) {
+        return this.set(a.r + (b.r - a.r) * t, a.g + (b.g - a.g) * t,
+            a.b + (b.b - a.b) * t, a.a + (b.a - a.a) * t);
+    }
+    fromString(hex) {
+        const n = parseInt(hex.replace('#', ''), 16);
+        return this.set(((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255, 1);
+    }
+    toString() {
+        const h = v => Math.round(v * 255).toString(16).padStart(2, '0');
+        return `#${h(this.r)}${h(this.g)}${h(this.b)}`;
+    }
+}
+
+Color.WHITE = Object.freeze(new Color(1, 1, 1, 1));
+Color.BLACK = Object.freeze(new Color(0, 0, 0, 1));
+
+/**
+ * Quaternion that remembers the Euler angles it was built from, which is all
+ * the fake entity transform needs.
+ */
+class Quat {
+    constructor(x = 0, y = 0, z = 0, w = 1) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+        this._euler = new Vec3();
+    }
+
+    set(x, y, z, w) { this.x = x; this.y = y; this.z = z; this.w = w; return this; }
+    copy(q) { this._euler.copy(q._euler || Vec3.ZERO); return this.set(q.x, q.y, q.z, q.w); }
+    clone() { return new Quat().copy(this); }
+
+    setFromEulerAngles(ex, ey, ez) {
+        if (typeof ex === 'object') ({ x: ex, y: ey, z: ez } = ex);
+        this._euler.set(ex, ey, ez);
+        const [hx, hy, hz] = [ex, ey, ez].map(a => a * DEG_TO_RAD * 0.5);
+        const [sx, cx, sy, cy, sz, cz] = [Math.sin(hx), Math.cos(hx), Math.sin(hy),
+            Math.cos(hy), Math.sin(hz), Math.cos(hz)];
+        return this.set(
+            sx * cy * cz - cx * sy * sz,
+            cx * sy * cz + sx * cy * sz,
+            cx * cy * sz - sx * sy * cz,
+            cx * cy * cz + sx * sy * sz
+        );
+    }
+
+    setFromAxisAngle(axis, angle) {
+        return this.setFromEulerAngles(axis.x * angle, axis.y * angle, axis.z * angle);
+    }
+
+    mul(rhs) { return this.mul2(this, rhs); }
+    mul2(lhs, rhs) {
+        this._euler = lhs.getEulerAngles().add(rhs.getEulerAngles());
+        return this.setFromEulerAngles(this._euler);
+    }
+    invert() { return this.setFromEulerAngles(this._euler.clone().scale(-1)); }
+
+    getEulerAngles(out = new Vec3()) {
+        return out.copy(this._euler);
+    }
+
+    transformVector(v, out = new Vec3()) {
+        const { x, y, z, w } = this;
+        const ix = w * v.x + y * v.z - z * v.y;
+        const iy = w * v.y + z * v.x - x * v.z;
+        const iz = w * v.z + x * v.y - y * v.x;
+        const iw = -x * v.x - y * v.y - z * v.z;
+        return out.set(
+            ix * w + iw * -x + iy * -z - iz * -y,
+            iy * w + iw * -y + iz * -x - ix * -z,
+            iz * w + iw * -z + ix * -y - iy * -x
+        );
+    }
+}
+
+Quat.IDENTITY = Object.freeze(new Quat());
+
+/**
+ * Set of tags on an entity
+ */
+class Tags {
+    constructor() {
+        this._set = new Set();
+    }
+
+    add(...names) { names.flat().forEach(n => this._set.add(n)); return true; }
+    remove(...names) { names.flat().forEach(n => this._set.delete(n)); return true; }
+    has(...names) { return names.flat().some(n => this._set.has(n)); }
+    list() { return [...this._set]; }
+    clear() { this._set.clear(); }
+    get size() { return this._set.size; }
+}
+
+let nextGuid = 1;
+
+class Entity extends EventHandler {
+    constructor(name = 'Untitled') {
+        super();
+        this.name = name;
+        this.enabled = true;
+        this.parent = null;
+        this.children = [];
+        this.tags = new Tags();
+        this.c = {};
+        this._guid = `entity-${nextGuid++}`;
+        this._localPosition = new Vec3();
+        this._localEuler = new Vec3();
+        this._localScale = new Vec3(1, 1, 1);
+        this._destroyed = false;
+    }
+
+    getGuid() { return this._guid; }
+
+    // Transform
+
+    getLocalPosition() { return this._localPosition; }
+    setLocalPosition(x, y, z) {
+        if (typeof x === 'object') this._localPosition.copy(x);
+        else this._localPosition.set(x, y, z);
+    }
+    getPosition() {
+        const pos = this._localPosition.clone();
+        for (let p = this.parent; p; p = p.parent) pos.add(p._localPosition);
+        return pos;
+    }
+    setPosition(x, y, z) {
+        const target = typeof x === 'object' ? x.clone() : new Vec3(x, y, z);
+        if (this.parent) target.sub(this.parent.getPosition());
+        this._localPosition.copy(target);
+    }
+    translate(x, y, z) {
+        const d = typeof x === 'object' ? x : new Vec3(x, y, z);
+        this._localPosition.add(d);
+    }
+    translateLocal(x, y, z) { this.translate(x, y, z); }
+
+    getLocalEulerAngles() { return this._localEuler; }
+    setLocalEulerAngles(x, y, z) {
+        if (typeof x === 'object') this._localEuler.copy(x);
+        else this._localEuler.set(x, y, z);
+    }
+    getEulerAngles() {
+        const euler = this._localEuler.clone();
+        for (let p = this.parent; p; p = p.parent) euler.add(p._localEuler);
+        return euler;
+    }
+    setEulerAngles(x, y, z) {
+        const target = typeof x === 'object' ? x.clone() : new Vec3(x, y, z);
+        if (this.parent) target.sub(this.parent.getEulerAngles());
+        this._localEuler.copy(target);
+    }
+    getLocalRotation() { return new Quat().setFromEulerAngles(this._localEuler); }
+    setLocalRotation(q) { this._localEuler.copy(q.getEulerAngles()); }
+    getRotation() { return new Quat().setFromEulerAngles(this.getEulerAngles()); }
+    setRotation(q) { this.setEulerAngles(q.getEulerAngles()); }
+    rotate(x, y, z) {
+        const d = typeof x === 'object' ? x : new Vec3(x, y, z);
+        this._localEuler.add(d);
+    }
+    rotateLocal(x, y, z) { this.rotate(x, y, z); }
+    lookAt(x, y, z) {
+        const target = typeof x === 'object' ? x : new Vec3(x, y, z);
+        const d = target.clone().sub(this.getPosition());
+        const yaw = Math.atan2(-d.x, -d.z) * RAD_TO_DEG;
+        const pitch = Math.atan2(d.y, Math.hypot(d.x, d.z)) * RAD_TO_DEG;
+        this.setEulerAngles(pitch, yaw, 0);
+    }
+
+    getLocalScale() { return this._localScale; }
+    setLocalScale(x, y, z) {
+        if (typeof x === 'object') this._localScale.copy(x);
+        else this._localScale.set(x, y === undefined ? x : y, z === undefined ? x : z);
+    }
+    getScale() { return this._localScale.clone(); }
+
+    get forward() { return new Vec3(0, 0, -1); }
+    get right() { return new Vec3(1, 0, 0); }
+    get up() { return new Vec3(0, 1, 0); }
+
+    // Hierarchy
+
+    addChild(child) {
+        if (child.parent) child.parent.removeChild(child);
+        child.parent = this;
+        this.children.push(child);
+    }
+    insertChild(child, index) {
+        if (child.parent) child.parent.removeChild(child);
+        child.parent = this;
+        this.children.splice(index, 0, child);
+    }
+    removeChild(child) {
+        const idx = this.children.indexOf(child);
+        if (idx >= 0) {
+            this.children.splice(idx, 1);
+            child.parent = null;
+        }
+    }
+    reparent(parent, index) {
+        if (index === undefined) parent.addChild(this);
+        else parent.insertChild(this, index);
+    }
+    isDescendantOf(node) {
+        for (let p = this.parent; p; p = p.parent) if (p === node) return true;
+        return false;
+    }
+    get root() {
+        let node = this;
+        while (node.parent) node = node.parent;
+        return node;
+    }
+    forEach(callback) {
+        callback(this);
+        for (const child of this.children.slice()) child.forEach(callback);
+    }
+    find(test) {
+        const results = [];
+        this.forEach(e => { if (test(e)) results.push(e); });
+        return results;
+    }
+    findOne(test) {
+        return this.find(test)[0] || null;
+    }
+    findByName(name) {
+        return this.findOne(e => e.name === name);
+    }
+    findByTag(...tags) {
+        return this.find(e => e !== this && e.tags.has(...tags));
+    }
+    findComponents(type) {
+        return this.find(e => !!e.c[type]).map(e => e.c[type]);
+    }
+    findComponent(type) {
+        return this.findComponents(type)[0] || null;
+    }
+    findByPath(path) {
+        let node = this;
+        for (const part of path.split('/')) {
+            node = node && node.children.find(c => c.name === part);
+        }
+        return node || null;
+    }
+    get enabledInHierarchy() {
+        for (let e = this; e; e = e.parent) if (!e.enabled) return false;
+        return true;
+    }
+
+    // Components
+
+    addComponent(type, data = {}) {
+        if (this.c[type]) return null;
+        const component = type === 'script'
+            ? new ScriptComponent(this)
+            : stubMethods(Object.assign(new EventHandler(), { type, entity: this, enabled: true }, data));
+        this.c[type] = component;
+        this[type] = component;
+        return component;
+    }
+    removeComponent(type) {
+        delete this.c[type];
+        delete this[type];
+    }
+
+    clone() {
+        const copy = new Entity(this.name);
+        copy.enabled = this.enabled;
+        copy.tags.add(this.tags.list());
+        copy._localPosition.copy(this._localPosition);
+        copy._localEuler.copy(this._localEuler);
+        copy._localScale.copy(this._localScale);
+        for (const child of this.children) copy.addChild(child.clone());
+        return copy;
+    }
+
+    destroy() {
+        if (this._destroyed) return;
+        this._destroyed = true;
+        for (const child of this.children.slice()) child.destroy();
+        if (this.script) {
+            for (const script of this.script.scripts.slice()) {
+                script.fire('destroy');
+                if (typeof script.destroy === 'function') script.destroy();
+            }
+        }
+        if (this.parent) this.parent.removeChild(this);
+        this.fire('destroy', this);
+        this.off();
+    }
+}
+
+/**
+ * Script component - holds script instances attached to an entity
+ */
+class ScriptComponent extends EventHandler {
+    constructor(entity) {
+        super();
+        this.type = 'script';
+        this.entity = entity;
+        this.enabled = true;
+        this.scripts = [];
+    }
+
+    has(name) {
+        return this.scripts.some(s => s.constructor.scriptName === name || s.__scriptType === name);
+    }
+    get(name) {
+        return this.scripts.find(s => s.constructor.scriptName === name) || null;
+    }
+}
+
+class Script extends EventHandler {
+    constructor({ app, entity } = {}) {
+        super();
+        this.app = app;
+        this.entity = entity;
+        this.enabled = true;
+    }
+}
+
+class StandardMaterial {
+    constructor() {
+        this.name = '';
+        this.diffuse = new Color(1, 1, 1);
+        this.emissive = new Color(0, 0, 0);
+        this.emissiveIntensity = 1;
+        this.opacity = 1;
+        this.metalness = 0;
+        this.gloss = 0.25;
+        this.diffuseMap = null;
+        this.normalMap = null;
+        this.emissiveMap = null;
+        this.cull = 1;
+        this.blendType = 3;
+        this.useLighting = true;
+        this.updateCount = 0;
+    }
+
+    update() { this.updateCount++; }
+    clone() { return Object.assign(new StandardMaterial(), this); }
+    destroy() {}
+}
+
+class Texture {
+    constructor(device, options = {}) {
+        this.device = device;
+        this.name = options.name || '';
+        this.width = options.width || 4;
+        this.height = options.height || 4;
+        this.mipmaps = options.mipmaps !== false;
+        this.anisotropy = options.anisotropy || 1;
+        this.addressU = options.addressU;
+        this.addressV = options.addressV;
+    }
+
+    setSource() {}
+    upload() {}
+    destroy() {}
+}
+
+let nextAssetId = 1;
+
+class Asset extends EventHandler {
+    constructor(name = '', type = '', file = null, data = {}) {
+        super();
+        this.id = nextAssetId++;
+        this.name = name;
+        this.type = type;
+        this.file = file;
+        this.data = data;
+        this.resource = null;
+        this.loaded = false;
+    }
+
+    ready(callback) {
+        if (this.loaded) callback(this);
+        else this.once('load', callback);
+    }
+    unload() { this.resource = null; this.loaded = false; }
+}
+
+class SoundSlot extends EventHandler {
+    constructor(name = 'slot', options = {}) {
+        super();
+        this.name = name;
+        Object.assign(this, { volume: 1, pitch: 1, loop: false }, options);
+        this.isPlaying = false;
+    }
+
+    play() { this.isPlaying = true; }
+    stop() { this.isPlaying = false; this.fire('stop'); }
+    pause() { this.isPlaying = false; }
+    resume() { this.isPlaying = true; }
+}
+
+class Application extends EventHandler {
+    constructor() {
+        super();
+        this.root = new Entity('Root');
+        this.scene = { layers: { getLayerByName: () => null } };
+        this.graphicsDevice = { width: 1280, height: 720, canvas: null };
+        this.assets = new AssetRegistry();
+        this.systems = {};
+        this.timeScale = 1;
+    }
+}
+
+class AssetRegistry extends EventHandler {
+    constructor() {
+        super();
+        this._assets = new Map();
+    }
+
+    add(asset) { this._assets.set(asset.id, asset); this.fire('add', asset); }
+    remove(asset) { this._assets.delete(asset.id); this.fire('remove', asset); }
+    get(id) { return this._assets.get(id) || null; }
+    list() { return [...this._assets.values()]; }
+    load(asset) {
+        asset.loaded = true;
+        asset.fire('load', asset);
+    }
+}
+
+const math = {
+    DEG_TO_RAD,
+    RAD_TO_DEG,
+    clamp: (v, min, max) => Math.min(Math.max(v, min), max),
+    lerp: (a, b, t) => a + (b - a) * t,
+    lerpAngle: (a, b, t) => a + (((((b - a) % 360) + 540) % 360) - 180) * t,
+    random: (min, max) => min + Math.random() * (max - min),
+    smoothstep: (min, max, x) => {
+        const t = math.clamp((x - min) / (max - min), 0, 1);
+        return t * t * (3 - 2 * t);
+    },
+};
+
+/**
+ * Let unknown methods on an engine object (rigidbody.teleport,
+ * render.meshInstances...) be called as no-ops
+ */
+function stubMethods(target) {
+    return new Proxy(target, {
+        get: (obj, prop) => {
+            if (prop in obj || typeof prop !== 'string' || prop === 'then' || prop === 'toJSON') return obj[prop];
+            return () => undefined;
+        },
+    });
+}
+
+/**
+ * Placeholder for engine classes the harness does not model (Mesh, CurveSet,
+ * GSplatData, ...). Construction succeeds and any method call is a no-op.
+ */
+function stubClass(name) {
+    const Stub = class {
+        constructor(...args) {
+            this.args = args;
+            return stubMethods(this);
+        }
+    };
+    Object.defineProperty(Stub, 'name', { value: name });
+    return Stub;
+}
+
+const known = {
+    EventHandler,
+    Vec2,
+    Vec3,
+    Vec4,
+    Color,
+    Quat,
+    Tags,
+    Entity,
+    GraphNode: Entity,
+    ScriptComponent,
+    Script,
+    StandardMaterial,
+    Texture,
+    Asset,
+    SoundSlot,
+    Application,
+    AssetRegistry,
+    math,
+};
+
+/**
+ * Create the fake `pc` namespace. Unknown UPPER_CASE names resolve to their
+ * own name (so constants compare and pass through), unknown capitalised names
+ * resolve to stub classes.
+ */
+function createPc() {
+    const stubs = new Map();
+    return new Proxy({ ...known }, {
+        get(target, prop) {
+            if (prop in target || typeof prop !== 'string') return target[prop];
+            if (/^[A-Z0-9_]+$/.test(prop)) return prop;
+            if (/^[A-Z]/.test(prop)) {
+                if (!stubs.has(prop)) stubs.set(prop, stubClass(prop));
+                return stubs.get(prop);
+            }
+            return undefined;
+        },
+    });
+}
+
+module.exports = { createPc, ...known };
@@ -0,0 +1,46 @@
+/**
+ * Asset Types
+ *
+ * File types `asset` can upload, with the content type sent to the server
+ * and the kind shown by `list`.
+ */
+
+const path = require("path");
+
+const ASSET_TYPES = {
+    ".glb": { kind: "model", contentType: "model/gltf-binary" },
+    ".gltf": { kind: "model", contentType: "model/gltf+json" },
+    ".ply": { kind: "splat", contentType: "application/ply" },
+    ".sog": { kind: "splat", contentType: "application/octet-stream" },
+    ".spz": { kind: "splat", contentType: "application/octet-stream" },
+    ".jpg": { kind: "texture", contentType: "image/jpeg" },
+    ".jpeg": { kind: "texture", contentType: "image/jpeg" },
+    ".png": { kind: "texture", contentType: "image/png" },
+    ".webp": { kind: "texture", contentType: "image/webp" },
+    ".ktx2": { kind: "texture", contentType: "image/ktx2" },
+    ".hdr": { kind: "texture", contentType: "image/vnd.radiance" },
+    ".mp3": { kind: "audio", contentType: "audio/mpeg" },
+    ".ogg": { kind: "audio", contentType: "audio/ogg" },
+    ".wav": { kind: "audio", contentType: "audio/wav" },
+    ".m4a": { kind: "audio", contentType: "audio/mp4" },
+};
+
+/**
+ * Type info for a file name, or null when it is not a supported asset
+ * @returns {{kind: 'model'|'splat'|'texture'|'audio', contentType: string}|null}
+ */
+function assetType(fileName) {
+    return ASSET_TYPES[path.extname(fileName).toLowerCase()] || null;
+}
+
+/**
+ * Supported extensions, for error messages
+ */
+function supportedExtensions() {
+    return Object.keys(ASSET_TYPES).join(", ");
+}
+
+module.exports = {
+    assetType,
+    supportedExtensions,
+};
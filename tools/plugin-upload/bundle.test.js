@@ -0,0 +1,105 @@
+/**
+ * Tests for the plugin bundler (../shared/bundle.js): bundles small plugins
+ * from a temp dir and imports the result.
+ *
+ *   npm test
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { bundlePlugin } = require("../shared/bundle");
+
+let tmpDir;
+
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "plugin-bundle-"));
+});
+
+after(() => {
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Write files into a fresh directory and bundle its entry.mjs
+ */
+function bundle(name, files) {
+    const dir = path.join(tmpDir, name);
+    fs.mkdirSync(dir);
+    for (const [file, code] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, file), code);
+    }
+    return { dir, ...bundlePlugin(path.join(dir, "entry.mjs")) };
+}
+
+/**
+ * Import bundled code as an ES module
+ */
+async function load(dir, code) {
+    const file = path.join(dir, "bundle.mjs");
+    fs.writeFileSync(file, code);
+    return import(pathToFileURL(file).href);
+}
+
+const COUNTER = `export let count = 0;
+export function inc() {
+    count++;
+}
+`;
+
+test("a namespace import sees a mutated export let", async () => {
+    const { dir, code, files } = bundle("namespace", {
+        "counter.mjs": COUNTER,
+        "reexport.mjs": `export * from "./counter.mjs";\n`,
+        "entry.mjs": `import * as counter from "./counter.mjs";
+import * as again from "./reexport.mjs";
+import { inc } from "./counter.mjs";
+export function read() {
+    inc();
+    inc();
+    return [counter.count, again.count];
+}
+`,
+    });
+    assert.equal(files.length, 3);
+    const { read } = await load(dir, code);
+    assert.deepEqual(read(), [2, 2]);
+});
+
+test("importing an export let by name is an error", () => {
+    assert.throws(
+        () => bundle("named", {
+            "counter.mjs": COUNTER,
+            "entry.mjs": `import { count, inc } from "./counter.mjs";\nexport { count, inc };\n`,
+        }),
+        /'count' is a let\/var export of '\.\/counter\.mjs'/,
+    );
+    assert.throws(
+        () => bundle("listed", {
+            "counter.mjs": `var total = 0;\nexport { total as default };\n`,
+            "entry.mjs": `import total from "./counter.mjs";\nexport { total };\n`,
+        }),
+        /'default' is a let\/var export/,
+    );
+});
+
+test("const, function and default imports are bound by name", async () => {
+    const { dir, code } = bundle("const", {
+        "math.mjs": `export const TWO = 2;
+export function double(x) {
+    return x * TWO;
+}
+export default function square(x) {
+    return x * x;
+}
+`,
+        "entry.mjs": `import square, { double as times2 } from "./math.mjs";
+export const result = times2(square(3));
+`,
+    });
+    const { result } = await load(dir, code);
+    assert.equal(result, 18);
+});
@@ -0,0 +1,104 @@
+/**
+ * Upload Cache
+ *
+ * Remembers the SHA-256 of every uploaded plugin bundle with the resource_key
+ * the server returned, per server. When the same content is uploaded again
+ * under the same file name, the resource_key is reused and the presigned
+ * upload, S3 PUT and upload-complete (or job polling) are skipped.
+ *
+ *   {
+ *     "https://user.arrival.space": {
+ *       "<sha256>": { "fileName": "collectible.mjs", "resourceKey": "...", "url": "...", "size": 2048, "uploadedAt": "..." }
+ *     }
+ *   }
+ *
+ * Stored next to the credentials (see config.js). A cached key that the
+ * server no longer knows can be bypassed with --force.
+ *
+ * Uploads the server is still processing are tracked by job id until the job
+ * finishes, so an interrupted run can resume polling instead of uploading
+ * again.
+ */
+
+const crypto = require("crypto");
+const config = require("./config");
+
+function loadCache() {
+    return config.readJson(config.configPath(".arrival-cache.json"));
+}
+
+function saveCache(cache) {
+    config.writeJson(config.configPath(".arrival-cache.json"), cache);
+}
+
+/**
+ * Hex SHA-256 of a buffer or string
+ */
+function hashContent(content) {
+    return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * An earlier upload of the same content and file name, or null
+ * @returns {{fileName: string, resourceKey: string, url?: string, size: number, uploadedAt: string}|null}
+ */
+function lookup(server, hash, fileName) {
+    const entry = loadCache()[server]?.[hash];
+    return entry && entry.fileName === fileName ? entry : null;
+}
+
+/**
+ * Remember an upload
+ * @param {object} upload - { fileName, resourceKey, url, size }
+ */
+function record(server, hash, upload) {
+    const cache = loadCache();
+    cache[server] = cache[server] || {};
+    cache[server][hash] = { ...upload, uploadedAt: new Date().toISOString() };
+    saveCache(cache);
+}
+
+function loadJobs() {
+    return config.readJson(config.configPath(".arrival-jobs.json"));
+}
+
+function saveJobs(jobs) {
+    config.writeJson(config.configPath(".arrival-jobs.json"), jobs);
+}
+
+/**
+ * Remember a processing job before polling it
+ * @param {object} info - { pollUrl, fileName, fileUrl, hash, size }
+ */
+function recordJob(server, jobId, info) {
+    const jobs = loadJobs();
+    jobs[server] = jobs[server] || {};
+    jobs[server][jobId] = { ...info, startedAt: new Date().toISOString() };
+    saveJobs(jobs);
+}
+
+/**
+ * Unfinished jobs of a server as [{ jobId, pollUrl, fileName, fileUrl, hash, size, startedAt }]
+ */
+function pendingJobs(server) {
+    return Object.entries(loadJobs()[server] || {}).map(([jobId, job]) => ({ jobId, ...job }));
+}
+
+/**
+ * Forget a job once it completed, failed or disappeared
+ */
+function finishJob(server, jobId) {
+    const jobs = loadJobs();
+    if (!jobs[server]?.[jobId]) return;
+    delete jobs[server][jobId];
+    saveJobs(jobs);
+}
+
+module.exports = {
+    hashContent,
+    lookup,
+    record,
+    recordJob,
+    pendingJobs,
+    finishJob,
+};
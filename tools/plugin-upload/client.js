@@ -0,0 +1,146 @@
+/**
+ * HTTP Client
+ *
+ * fetch() with a per-request timeout, retries with exponential backoff and
+ * errors that say what went wrong. Used for every call to the API, the S3
+ * upload and plugin code downloads.
+ *
+ * Retries: requests that are safe to repeat (GET, PUT, DELETE) on 429, 5xx,
+ * timeouts and connection failures. A POST may already have been acted on,
+ * so it is only retried when the connection failed before anything was sent
+ * (refused, DNS lookup failed) or on a 429 that carries Retry-After.
+ * Retry-After is honoured.
+ *
+ * With verbose on (--verbose), each request and response is logged to stderr.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 4;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+
+// Connection errors where the request never left this machine
+const NOT_SENT_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+/**
+ * A request that failed for good
+ *   kind: "auth" (401), "rate-limit" (429), "client" (other 4xx), "server" (5xx),
+ *         "timeout", "network"
+ */
+class HttpError extends Error {
+    constructor(message, { kind, status = null, url, body = "" }) {
+        super(message);
+        this.name = "HttpError";
+        this.kind = kind;
+        this.status = status;
+        this.url = url;
+        this.body = body;
+    }
+}
+
+let verbose = false;
+
+function setVerbose(on) {
+    verbose = on;
+}
+
+function trace(msg) {
+    if (verbose) console.error(`\x1b[2m${msg}\x1b[0m`);
+}
+
+function kindOf(status) {
+    if (status === 401) return "auth";
+    if (status === 429) return "rate-limit";
+    if (status >= 500) return "server";
+    return "client";
+}
+
+/**
+ * Delay before retry `attempt` (0-based): Retry-After when given, otherwise
+ * exponential with jitter
+ */
+function backoff(attempt, retryAfter) {
+    const seconds = Number(retryAfter);
+    if (retryAfter && Number.isFinite(seconds)) return Math.min(seconds * 1000, 60000);
+    const exp = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+    return exp / 2 + Math.random() * (exp / 2);
+}
+
+/**
+ * Drop query strings that carry credentials (presigned S3 URLs) before logging
+ */
+function redact(url) {
+    return /[?&](x-amz-|sig|signature|token|credential)/i.test(url) ? url.split("?")[0] : url;
+}
+
+/**
+ * Message for an error response: the API's message field for JSON bodies,
+ * otherwise the start of the body
+ */
+function describe(res, text) {
+    try {
+        const json = JSON.parse(text);
+        const msg = json.message || json.msg || json.error;
+        if (msg) return typeof msg === "string" ? msg : JSON.stringify(msg);
+    } catch {
+        // not JSON (HTML error page, S3 XML, ...)
+    }
+    const snippet = text.replace(/\s+/g, " ").trim().substring(0, 200);
+    return `HTTP ${res.status}${snippet ? `: ${snippet}` : ""}`;
+}
+
+/**
+ * fetch() with timeout and retries
+ * @param {string} url
+ * @param {object} [opts] - fetch options plus timeoutMs and retries
+ * @returns {Promise<Response>} A response with a 2xx/3xx status
+ * @throws {HttpError}
+ */
+async function request(url, opts = {}) {
+    const { timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, ...fetchOpts } = opts;
+    const method = (fetchOpts.method || "GET").toUpperCase();
+    const idempotent = method !== "POST";
+
+    for (let attempt = 0; ; attempt++) {
+        const start = Date.now();
+        trace(`  → ${method} ${redact(url)}${attempt > 0 ? ` (retry ${attempt})` : ""}`);
+
+        let res;
+        let error;
+        try {
+            res = await fetch(url, { ...fetchOpts, signal: AbortSignal.timeout(timeoutMs) });
+        } catch (e) {
+            const timedOut = e.name === "TimeoutError" || e.name === "AbortError";
+            error = timedOut
+                ? new HttpError(`${method} ${redact(url)} timed out after ${timeoutMs / 1000}s`, { kind: "timeout", url })
+                : new HttpError(`${method} ${redact(url)} failed: ${e.cause?.message || e.message}`, { kind: "network", url });
+            trace(`  ← ${error.kind} after ${Date.now() - start} ms`);
+            if (!idempotent && (timedOut || !NOT_SENT_CODES.includes(e.cause?.code))) throw error;
+        }
+
+        if (res) {
+            trace(`  ← ${res.status} ${res.statusText} (${Date.now() - start} ms)`);
+            if (res.ok || (res.status >= 300 && res.status < 400)) return res;
+
+            const text = await res.text().catch(() => "");
+            const kind = kindOf(res.status);
+            error = new HttpError(describe(res, text), { kind, status: res.status, url, body: text });
+
+            const retryable = idempotent
+                ? res.status === 429 || kind === "server"
+                : res.status === 429 && res.headers.has("retry-after");
+            if (!retryable) throw error;
+        }
+
+        if (attempt >= retries) throw error;
+        const delay = backoff(attempt, res?.headers.get("retry-after"));
+        trace(`  … waiting ${(delay / 1000).toFixed(1)}s before retrying`);
+        await new Promise((r) => setTimeout(r, delay));
+    }
+}
+
+module.exports = {
+    HttpError,
+    setVerbose,
+    request,
+};
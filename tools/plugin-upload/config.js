@@ -0,0 +1,138 @@
+/**
+ * Credential Profiles
+ *
+ * Credentials live per user in $XDG_CONFIG_HOME/arrival-space (~/.config on
+ * Linux and macOS, %APPDATA% on Windows), readable only by the owner:
+ *
+ *   .arrival-api.json
+ *   {
+ *     "defaultProfile": "default",
+ *     "profiles": {
+ *       "default": { "server": "https://user.arrival.space", "apiKey": "..." },
+ *       "staging": { "server": "https://staging.arrival.space", "apiKey": "..." }
+ *     }
+ *   }
+ *
+ * The upload cache and version history are stored in the same directory.
+ *
+ * Resolution order for each value: command-line flag, environment variable
+ * (ARRIVAL_PROFILE, ARRIVAL_SERVER, ARRIVAL_API_KEY), profile, default server.
+ * A `.arrival-api.json` left in the tool directory by older versions is moved
+ * to the config directory as the "default" profile.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DEFAULT_SERVER = "https://user.arrival.space";
+const DEFAULT_PROFILE = "default";
+
+const CONFIG_HOME =
+    process.env.XDG_CONFIG_HOME || (process.platform === "win32" && process.env.APPDATA) || path.join(os.homedir(), ".config");
+const CONFIG_DIR = path.join(CONFIG_HOME, "arrival-space");
+const CONFIG_FILE = path.join(CONFIG_DIR, ".arrival-api.json");
+
+/**
+ * Path of a file in the config directory, moving a copy left in the tool
+ * directory by older versions
+ */
+function configPath(name) {
+    const file = path.join(CONFIG_DIR, name);
+    const legacy = path.join(__dirname, name);
+    if (!fs.existsSync(file) && fs.existsSync(legacy)) {
+        writePrivate(file, fs.readFileSync(legacy, "utf-8"));
+        fs.unlinkSync(legacy);
+    }
+    return file;
+}
+
+/**
+ * Write a file only the current user can read (0600, directory 0700)
+ */
+function writePrivate(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, content, { mode: 0o600 });
+    fs.chmodSync(file, 0o600);
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch {
+        return {};
+    }
+}
+
+function writeJson(file, data) {
+    writePrivate(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+/**
+ * All profiles, upgrading the old single-credential format
+ * @returns {{defaultProfile: string, profiles: Object<string, {server: string, apiKey: string}>}}
+ */
+function loadConfig() {
+    const cfg = readJson(configPath(".arrival-api.json"));
+    if (cfg.apiKey && !cfg.profiles) {
+        return { defaultProfile: DEFAULT_PROFILE, profiles: { [DEFAULT_PROFILE]: { server: cfg.server, apiKey: cfg.apiKey } } };
+    }
+    return { defaultProfile: cfg.defaultProfile || DEFAULT_PROFILE, profiles: cfg.profiles || {} };
+}
+
+function saveConfig(cfg) {
+    writeJson(CONFIG_FILE, cfg);
+}
+
+/**
+ * Store credentials under a profile. The first profile saved becomes the default.
+ */
+function saveProfile(name, credentials) {
+    const cfg = loadConfig();
+    if (Object.keys(cfg.profiles).length === 0) cfg.defaultProfile = name;
+    cfg.profiles[name] = credentials;
+    saveConfig(cfg);
+}
+
+/**
+ * Server and API key for a command
+ * @param {object} opts - Command options (--key, --server, --profile)
+ * @returns {{profile: string, server: string, apiKey: string|undefined, keySource: 'flag'|'env'|'profile'|null}}
+ */
+function resolveAuth(opts = {}) {
+    const cfg = loadConfig();
+    const profile = opts.profile || process.env.ARRIVAL_PROFILE || cfg.defaultProfile;
+    const stored = cfg.profiles[profile] || {};
+
+    let apiKey = stored.apiKey;
+    let keySource = apiKey ? "profile" : null;
+    if (process.env.ARRIVAL_API_KEY) {
+        apiKey = process.env.ARRIVAL_API_KEY;
+        keySource = "env";
+    }
+    if (opts.key) {
+        apiKey = opts.key;
+        keySource = "flag";
+    }
+
+    return {
+        profile,
+        server: opts.server || process.env.ARRIVAL_SERVER || stored.server || DEFAULT_SERVER,
+        apiKey,
+        keySource,
+    };
+}
+
+module.exports = {
+    DEFAULT_SERVER,
+    DEFAULT_PROFILE,
+    CONFIG_DIR,
+    CONFIG_FILE,
+    configPath,
+    readJson,
+    writeJson,
+    loadConfig,
+    saveConfig,
+    saveProfile,
+    resolveAuth,
+};
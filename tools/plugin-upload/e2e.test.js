@@ -0,0 +1,162 @@
+/**
+ * End-to-end test of the CLI against mock-server.js
+ *
+ * Runs index.js as a child process (with its config directory in a temp dir)
+ * through init → upload → cached re-upload → set-params → sync → rollback,
+ * checking the entities the mock server ends up with after each step.
+ *
+ *   npm test
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const net = require("net");
+const { execFile } = require("child_process");
+const { createMockServer } = require("./mock-server");
+
+const CLI = path.join(__dirname, "index.js");
+const API_KEY = "test-key";
+const SPACE = "12345678_1234";
+
+const PLUGIN_V1 = `export class Beacon extends ArrivalScript {
+    static scriptName = "beacon";
+    static properties = { radius: { title: "Radius", min: 0, max: 10 } };
+    radius = 2;
+    color = "#ff0000";
+}
+`;
+const PLUGIN_V2 = PLUGIN_V1.replace("radius = 2;", "radius = 3;");
+
+let tmpDir;
+let server;
+let serverUrl;
+
+/**
+ * A port nothing listens on; the mock server needs it up front for the URLs
+ * it hands out
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once("error", reject);
+        probe.listen(0, "127.0.0.1", () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Run the CLI and resolve with its output, colors stripped. Rejects with the
+ * output when it exits non-zero.
+ */
+function cli(...args) {
+    const env = { ...process.env, XDG_CONFIG_HOME: path.join(tmpDir, "config") };
+    delete env.ARRIVAL_PROFILE;
+    delete env.ARRIVAL_SERVER;
+    delete env.ARRIVAL_API_KEY;
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [CLI, ...args], { cwd: tmpDir, env, timeout: 30000 }, (error, stdout, stderr) => {
+            const output = (stdout + stderr).replace(/\x1b\[[0-9;]*m/g, "");
+            if (error) reject(new Error(`plugin-upload ${args.join(" ")} failed:\n${output}`));
+            else resolve(output);
+        });
+    });
+}
+
+function entities() {
+    const state = JSON.parse(fs.readFileSync(path.join(tmpDir, "mock-data", "state.json"), "utf-8"));
+    return state.spaces[SPACE] || [];
+}
+
+function fileCount() {
+    const state = JSON.parse(fs.readFileSync(path.join(tmpDir, "mock-data", "state.json"), "utf-8"));
+    return Object.keys(state.files).length;
+}
+
+function servedCode(entity) {
+    const resourceKey = entity.entity_data.glbUrl.slice(`${serverUrl}/files/`.length);
+    return fs.readFileSync(path.join(tmpDir, "mock-data", "files", ...resourceKey.split("/")), "utf-8");
+}
+
+before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "plugin-upload-e2e-"));
+    fs.writeFileSync(path.join(tmpDir, "beacon.mjs"), PLUGIN_V1);
+    const port = await freePort();
+    serverUrl = `http://localhost:${port}`;
+    server = createMockServer({ port, dataDir: path.join(tmpDir, "mock-data"), keys: [API_KEY], quiet: true });
+    await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+});
+
+after(async () => {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("init, upload, set-params, sync and rollback against the mock server", async (t) => {
+    let entityId;
+
+    await t.test("init stores the key under a profile", async () => {
+        const out = await cli("init", "--profile", "mock", "--server", serverUrl, "--key", API_KEY);
+        assert.match(out, /API key saved to profile mock/);
+        assert.doesNotMatch(out, /Could not reach/);
+        await cli("config", "--default", "mock");
+    });
+
+    await t.test("upload creates a plugin entity serving the file", async () => {
+        const out = await cli("upload", "beacon.mjs", "--space", SPACE, "-m", "first");
+        const [entity] = entities();
+        assert.ok(entity, "no entity created");
+        entityId = entity.entity_id;
+        assert.match(out, new RegExp(`Plugin created: ${entityId} \\(v1\\)`));
+        assert.equal(servedCode(entity), PLUGIN_V1);
+        assert.equal(fileCount(), 1);
+    });
+
+    await t.test("re-uploading the same content reuses the cached resource_key", async () => {
+        const out = await cli("upload", "beacon.mjs", "--space", SPACE, "--entity", entityId);
+        assert.match(out, /Unchanged since last upload/);
+        assert.match(out, /\(v2\)/);
+        assert.equal(fileCount(), 1);
+        assert.equal(entities().length, 1);
+    });
+
+    await t.test("set-params validates against the deployed code and writes the params", async () => {
+        await cli("set-params", "radius=5", "color=#00ff00", "--space", SPACE, "--entity", entityId);
+        assert.deepEqual(entities()[0].entity_data.params, { radius: 5, color: "#00ff00" });
+
+        await assert.rejects(cli("set-params", "radius=50", "--space", SPACE, "--entity", entityId), /radius/);
+        assert.equal(entities()[0].entity_data.params.radius, 5);
+    });
+
+    await t.test("sync uploads changed code and applies the manifest params", async () => {
+        fs.writeFileSync(path.join(tmpDir, "beacon.mjs"), PLUGIN_V2);
+        fs.writeFileSync(
+            path.join(tmpDir, "manifest.json"),
+            JSON.stringify({ space: SPACE, plugins: [{ file: "beacon.mjs", entity: entityId, params: { radius: 7 } }] }),
+        );
+        await cli("sync", "manifest.json");
+        const [entity] = entities();
+        assert.equal(entities().length, 1);
+        assert.equal(servedCode(entity), PLUGIN_V2);
+        assert.deepEqual(entity.entity_data.params, { radius: 7 });
+        assert.equal(fileCount(), 2);
+
+        const again = await cli("sync", "manifest.json");
+        assert.match(again, /Space already matches the manifest/);
+    });
+
+    await t.test("rollback serves the first version again and keeps the params", async () => {
+        const history = await cli("history", "--entity", entityId);
+        assert.match(history, /v3 /);
+
+        const out = await cli("rollback", "--entity", entityId, "--to", "1");
+        assert.match(out, /recorded as v4/);
+        const [entity] = entities();
+        assert.equal(servedCode(entity), PLUGIN_V1);
+        assert.deepEqual(entity.entity_data.params, { radius: 7 });
+    });
+});
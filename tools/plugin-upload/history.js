@@ -0,0 +1,70 @@
+/**
+ * Plugin Version History
+ *
+ * Local ledger of every resource_key a plugin entity has pointed at, written
+ * by upload, sync and rollback. Versions are numbered from 1 per entity:
+ *
+ *   {
+ *     "https://user.arrival.space": {
+ *       "<entityId>": {
+ *         "space": "12345678_1234",
+ *         "versions": [
+ *           { "version": 1, "resourceKey": "...", "sha256": "...", "fileName": "collectible.mjs",
+ *             "uploadedAt": "...", "message": "first cut" }
+ *         ]
+ *       }
+ *     }
+ *   }
+ *
+ * Only uploads made from this machine are recorded. The ledger is kept next
+ * to the credentials (see config.js).
+ */
+
+const config = require("./config");
+
+function loadHistory() {
+    return config.readJson(config.configPath(".arrival-history.json"));
+}
+
+function saveHistory(history) {
+    config.writeJson(config.configPath(".arrival-history.json"), history);
+}
+
+/**
+ * Recorded versions of an entity, oldest first
+ * @returns {{space: string, versions: object[]}|null}
+ */
+function versionsOf(server, entityId) {
+    return loadHistory()[server]?.[entityId] || null;
+}
+
+/**
+ * Append a version for an entity
+ * @param {object} info - { spaceId, resourceKey, sha256, fileName, message?, rollbackOf? }
+ * @returns {object} The new version entry
+ */
+function recordVersion(server, entityId, info) {
+    const history = loadHistory();
+    history[server] = history[server] || {};
+    const entry = history[server][entityId] || { space: info.spaceId, versions: [] };
+    const version = {
+        version: entry.versions.length + 1,
+        resourceKey: info.resourceKey,
+        sha256: info.sha256,
+        fileName: info.fileName,
+        uploadedAt: new Date().toISOString(),
+    };
+    if (info.message) version.message = info.message;
+    if (info.rollbackOf) version.rollbackOf = info.rollbackOf;
+
+    entry.space = info.spaceId;
+    entry.versions.push(version);
+    history[server][entityId] = entry;
+    saveHistory(history);
+    return version;
+}
+
+module.exports = {
+    versionsOf,
+    recordVersion,
+};
@@ -11,14 +11,55 @@
  * Upload a new plugin:
  *   node index.js upload <file.mjs> --space <spaceId>
  *
+ * Relative imports in the plugin ('./shared/colors.mjs') are inlined before
+ * uploading, so the space receives a single self-contained module.
+ *
  * Update an existing plugin entity:
  *   node index.js upload <file.mjs> --space <spaceId> --entity <entityId>
  *
+ * Content that was uploaded before under the same file name reuses its
+ * resource_key instead of being transferred again (see cache.js); --force
+ * uploads anyway.
+ *
+ * Every upload is recorded per entity in a local ledger (see history.js):
+ *   node index.js upload <file.mjs> --space <spaceId> --entity <entityId> --message "fix spawn radius"
+ *   node index.js history --entity <entityId>
+ *   node index.js rollback --entity <entityId> --to <version>
+ *
+ * Upload a model, splat, texture or audio file (see assets.js) and print its
+ * URL, optionally writing it into a plugin param:
+ *   node index.js asset model.glb
+ *   node index.js asset model.glb --space <spaceId> --entity <entityId> --param modelUrl
+ *
  * List plugins in a space:
  *   node index.js list --space <spaceId>
  *
+ * Make a space match a manifest (see manifest.js for the format):
+ *   node index.js sync <manifest.json> [--space <spaceId>] [--prune] [--dry-run]
+ *
+ * Copy plugin entities (with params and transforms) to another space:
+ *   node index.js clone --from <spaceId> --to <spaceId> [--file a.mjs ...] [--entity <id> ...] [--dry-run]
+ *
+ * Back up a space: download its plugins and write a manifest usable by sync:
+ *   node index.js pull --space <spaceId> <dir>
+ *
+ * Change params or the transform of a plugin entity (checked against the
+ * plugin's declared params, see schema.js):
+ *   node index.js set-params --space <spaceId> --entity <entityId> speed=2 color=#ff0000 offset=0,1,0
+ *   node index.js set-transform --space <spaceId> --entity <entityId> --position 0,1,-5 --scale 2
+ *
+ * Finish an upload that was interrupted while the server processed it:
+ *   node index.js resume [jobId]
+ *
+ * Add --verbose (-v) to any command to log each HTTP request.
+ *
+ * Credentials are stored per user as named profiles (see config.js):
+ *   node index.js init --profile staging --server https://staging.example
+ *   node index.js upload <file.mjs> --space <spaceId> --profile staging
+ *   ARRIVAL_API_KEY=... node index.js list --space <spaceId>      (CI)
+ *
  * Show stored config:
- *   node index.js config
+ *   node index.js config [--default <profile>]
  */
 
 const fs = require("fs");
@@ -29,24 +70,14 @@ const { execSync } = require("child_process");
 const { program } = require("commander");
 
 const pkg = require("./package.json");
-
-// ── Config ──────────────────────────────────────────────────────────────────
-
-const CONFIG_FILE = path.join(__dirname, ".arrival-api.json");
-
-const DEFAULT_SERVER = "https://user.arrival.space";
-
-function loadConfig() {
-    try {
-        return JSON.parse(fs.readFileSync(CONFIG_FILE, "utf-8"));
-    } catch {
-        return {};
-    }
-}
-
-function saveConfig(cfg) {
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(cfg, null, 2) + "\n");
-}
+const { bundlePlugin } = require("../shared/bundle");
+const manifest = require("./manifest");
+const schema = require("./schema");
+const cache = require("./cache");
+const history = require("./history");
+const config = require("./config");
+const client = require("./client");
+const assets = require("./assets");
 
 // ── Colors ──────────────────────────────────────────────────────────────────
 
@@ -80,16 +111,36 @@ async function apiRequest(server, apiKey, method, endpoint, body = null) {
     const opts = { method, headers };
     if (body) opts.body = JSON.stringify(body);
 
-    const res = await fetch(url, opts);
-    const json = await res.json();
+    const res = await client.request(url, opts);
+    const text = await res.text();
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        throw new Error(`${method} ${endpoint}: expected JSON, got ${text.substring(0, 200) || "an empty body"}`);
+    }
 
-    if (!res.ok || json.status === "error") {
+    if (json.status === "error") {
         const msg = json.message || json.msg || `HTTP ${res.status}`;
         throw new Error(msg);
     }
     return json;
 }
 
+async function listEntities(server, apiKey, spaceId) {
+    let cursor = null;
+    let entities = [];
+
+    do {
+        const qs = cursor ? `?limit=200&cursor=${encodeURIComponent(cursor)}` : "?limit=200";
+        const res = await apiRequest(server, apiKey, "GET", `/spaces/${spaceId}/entities${qs}`);
+        entities = entities.concat(res.data.entities);
+        cursor = res.data.hasMore ? res.data.nextCursor : null;
+    } while (cursor);
+
+    return entities;
+}
+
 async function findEntity(server, apiKey, spaceId, entityId) {
     let cursor = null;
 
@@ -104,6 +155,79 @@ async function findEntity(server, apiKey, spaceId, entityId) {
     return null;
 }
 
+/**
+ * Upload a file (steps 1-3 of the upload flow) and return its resource_key
+ * and URL. Content uploaded before under the same name reuses the cached
+ * result unless `force` is set.
+ * @returns {Promise<{resourceKey: string, url: string}>}
+ */
+async function uploadFile(server, apiKey, fileName, fileBuffer, { force = false, contentType = "application/javascript" } = {}) {
+    const hash = cache.hashContent(fileBuffer);
+    const cached = force ? null : cache.lookup(server, hash, fileName);
+    // Entries from before URLs were cached only serve callers that need the key
+    if (cached && (cached.url || contentType === "application/javascript")) {
+        log.dim(`  1-3/4 Unchanged since last upload (sha256 ${hash.substring(0, 12)}), skipping transfer`);
+        log.dim(`  resource_key: ${cached.resourceKey}`);
+        return { resourceKey: cached.resourceKey, url: cached.url };
+    }
+
+    const remember = (resourceKey, url) => {
+        cache.record(server, hash, { fileName, resourceKey, url, size: fileBuffer.length });
+        log.dim(`  resource_key: ${resourceKey}`);
+        return { resourceKey, url };
+    };
+
+    // An earlier run was interrupted while the server processed this content
+    const pending = force ? null : cache.pendingJobs(server).find((job) => job.hash === hash && job.fileName === fileName);
+    if (pending) {
+        log.info(`Resuming processing job ${c.cyan}${pending.jobId}${c.reset} from an interrupted upload...`);
+        const result = await pollJob(server, apiKey, pending.jobId, pending.pollUrl);
+        return remember(result.resource_key, result.url || pending.fileUrl);
+    }
+
+    // ── Step 1: Request presigned upload URL ────────────────────────────
+    log.dim("  1/4 Requesting upload URL...");
+    const uploadRes = await apiRequest(server, apiKey, "POST", "/files/upload", {
+        file_name: fileName,
+        file_size: fileBuffer.length,
+        content_type: contentType,
+    });
+
+    const { params } = uploadRes.data;
+
+    // ── Step 2: PUT file bytes to presigned S3 URL ──────────────────────
+    // Allow at least 100 KB/s for large assets
+    log.dim("  2/4 Uploading to S3...");
+    try {
+        await client.request(params.url, {
+            method: params.method,
+            headers: params.headers,
+            body: fileBuffer,
+            timeoutMs: Math.max(120000, fileBuffer.length / 100),
+        });
+    } catch (e) {
+        throw new Error(`S3 upload failed: ${e.message}`);
+    }
+
+    // ── Step 3: Confirm upload → get resource_key ───────────────────────
+    log.dim("  3/4 Confirming upload...");
+    const fileUrl = params.url.split("?")[0]; // strip presigned query params
+    const completeRes = await apiRequest(server, apiKey, "POST", "/files/upload-complete", {
+        status: "success",
+        extra_info: { file_url: fileUrl },
+    });
+
+    if (completeRes.status === "processing") {
+        const pollUrl = completeRes.data.poll_url;
+        const jobId = completeRes.data.job_id || pollUrl.split("/").pop();
+        cache.recordJob(server, jobId, { pollUrl, fileName, fileUrl, hash, size: fileBuffer.length });
+        log.info(`Server is processing file (job ${c.cyan}${jobId}${c.reset}), polling...`);
+        const result = await pollJob(server, apiKey, jobId, pollUrl);
+        return remember(result.resource_key, result.url || fileUrl);
+    }
+    return remember(completeRes.data.resource_key, completeRes.data.url || fileUrl);
+}
+
 // ── OAuth PKCE helpers ──────────────────────────────────────────────────────
 
 function generateCodeVerifier() {
@@ -139,6 +263,7 @@ function waitForOAuthCallback(port) {
                 const error = url.searchParams.get("error");
 
                 res.writeHead(200, { "Content-Type": "text/html" });
+                clearTimeout(timer);
                 if (code) {
                     res.end("<html><body style='font-family:sans-serif;text-align:center;padding:60px'><h2>Logged in!</h2><p>You can close this tab and return to the terminal.</p></body></html>");
                     resolve(code);
@@ -156,7 +281,7 @@ function waitForOAuthCallback(port) {
         server.listen(port, "127.0.0.1");
 
         // Timeout after 2 minutes
-        setTimeout(() => {
+        const timer = setTimeout(() => {
             server.close();
             reject(new Error("Login timed out (2 minutes). Try again."));
         }, 120000);
@@ -169,24 +294,26 @@ function waitForOAuthCallback(port) {
  * init — OAuth login via browser, saves API key automatically
  */
 async function cmdInit(opts) {
-    const server = opts.server || DEFAULT_SERVER;
+    const { server, profile } = config.resolveAuth({ server: opts.server, profile: opts.profile });
 
     // If --key is provided, just store it directly
     if (opts.key) {
         log.info("Verifying API key...");
         try {
-            const res = await fetch(`${server}/api/v1/files`, {
+            await client.request(`${server}/api/v1/files`, {
                 headers: { Authorization: `Bearer ${opts.key}` },
             });
-            if (res.status === 401 || res.status === 403) {
+        } catch (e) {
+            if (e.status === 401 || e.status === 403) {
                 log.err("Invalid API key.");
                 process.exit(1);
             }
-        } catch {
-            log.warn(`Could not reach ${server} to verify key. Saving anyway.`);
+            if (e.kind === "network" || e.kind === "timeout") {
+                log.warn(`Could not reach ${server} to verify key. Saving anyway.`);
+            }
         }
-        saveConfig({ server, apiKey: opts.key });
-        log.ok("API key saved.");
+        config.saveProfile(profile, { server, apiKey: opts.key });
+        log.ok(`API key saved to profile ${c.cyan}${profile}${c.reset}.`);
         return;
     }
 
@@ -199,20 +326,21 @@ async function cmdInit(opts) {
 
     // Step 1: Register dynamic OAuth client (server generates the client_id)
     log.info("Registering OAuth client...");
-    const regRes = await fetch(`${server}/register`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-            client_name: "Plugin Upload CLI",
-            redirect_uris: [redirectUri],
-            grant_types: ["authorization_code"],
-            response_types: ["code"],
-            token_endpoint_auth_method: "none",
-        }),
-    });
-    if (!regRes.ok) {
-        const text = await regRes.text();
-        throw new Error(`Client registration failed (${regRes.status}): ${text.substring(0, 200)}`);
+    let regRes;
+    try {
+        regRes = await client.request(`${server}/register`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                client_name: "Plugin Upload CLI",
+                redirect_uris: [redirectUri],
+                grant_types: ["authorization_code"],
+                response_types: ["code"],
+                token_endpoint_auth_method: "none",
+            }),
+        });
+    } catch (e) {
+        throw new Error(`Client registration failed: ${e.message}`);
     }
     const regData = await regRes.json();
     const clientId = regData.client_id;
@@ -239,21 +367,21 @@ async function cmdInit(opts) {
 
     // Step 4: Exchange code for access token (= API key)
     log.dim("  Exchanging code for API key...");
-    const tokenRes = await fetch(`${server}/token`, {
-        method: "POST",
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
-        body: new URLSearchParams({
-            grant_type: "authorization_code",
-            code,
-            redirect_uri: redirectUri,
-            client_id: clientId,
-            code_verifier: codeVerifier,
-        }).toString(),
-    });
-
-    if (!tokenRes.ok) {
-        const text = await tokenRes.text();
-        throw new Error(`Token exchange failed (${tokenRes.status}): ${text.substring(0, 200)}`);
+    let tokenRes;
+    try {
+        tokenRes = await client.request(`${server}/token`, {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            body: new URLSearchParams({
+                grant_type: "authorization_code",
+                code,
+                redirect_uri: redirectUri,
+                client_id: clientId,
+                code_verifier: codeVerifier,
+            }).toString(),
+        });
+    } catch (e) {
+        throw new Error(`Token exchange failed: ${e.message}`);
     }
 
     const tokenData = await tokenRes.json();
@@ -263,9 +391,10 @@ async function cmdInit(opts) {
         throw new Error("No access_token in token response");
     }
 
-    saveConfig({ server, apiKey });
+    config.saveProfile(profile, { server, apiKey });
 
-    log.ok("Logged in and API key saved to .arrival-api.json");
+    log.ok(`Logged in and API key saved to profile ${c.cyan}${profile}${c.reset}`);
+    log.dim(`  File   : ${config.CONFIG_FILE}`);
     log.dim(`  Server : ${server}`);
     log.dim(`  Key    : ${apiKey.substring(0, 8)}...`);
 }
@@ -274,16 +403,10 @@ async function cmdInit(opts) {
  * upload — Upload a plugin file and create/update the entity
  */
 async function cmdUpload(filePath, opts) {
-    const cfg = loadConfig();
-    const server = opts.server || cfg.server || DEFAULT_SERVER;
-    const apiKey = opts.key || cfg.apiKey;
+    const { server, apiKey } = requireAuth(opts);
     const spaceId = opts.space;
     const entityId = opts.entity;
 
-    if (!apiKey) {
-        log.err("No API key. Run 'init' first or pass --key.");
-        process.exit(1);
-    }
     if (!spaceId) {
         log.err("--space is required");
         process.exit(1);
@@ -296,51 +419,17 @@ async function cmdUpload(filePath, opts) {
     }
 
     const fileName = path.basename(resolvedPath);
-    const fileBuffer = fs.readFileSync(resolvedPath);
-    const fileSize = fileBuffer.length;
-
-    log.info(`Uploading ${c.cyan}${fileName}${c.reset} (${(fileSize / 1024).toFixed(1)} KB) to space ${c.cyan}${spaceId}${c.reset}`);
-
-    // ── Step 1: Request presigned upload URL ────────────────────────────
-    log.dim("  1/4 Requesting upload URL...");
-    const uploadRes = await apiRequest(server, apiKey, "POST", "/files/upload", {
-        file_name: fileName,
-        file_size: fileSize,
-        content_type: "application/javascript",
-    });
-
-    const { params } = uploadRes.data;
-
-    // ── Step 2: PUT file bytes to presigned S3 URL ──────────────────────
-    log.dim("  2/4 Uploading to S3...");
-    const s3Res = await fetch(params.url, {
-        method: params.method,
-        headers: params.headers,
-        body: fileBuffer,
-    });
-    if (!s3Res.ok) {
-        const text = await s3Res.text();
-        throw new Error(`S3 upload failed (${s3Res.status}): ${text.substring(0, 200)}`);
-    }
-
-    // ── Step 3: Confirm upload → get resource_key ───────────────────────
-    log.dim("  3/4 Confirming upload...");
-    const fileUrl = params.url.split("?")[0]; // strip presigned query params
-    const completeRes = await apiRequest(server, apiKey, "POST", "/files/upload-complete", {
-        status: "success",
-        extra_info: { file_url: fileUrl },
-    });
 
-    let resourceKey;
-    if (completeRes.status === "processing") {
-        const pollUrl = completeRes.data.poll_url;
-        log.info("Server is processing file, polling...");
-        resourceKey = await pollJob(server, apiKey, pollUrl);
-    } else {
-        resourceKey = completeRes.data.resource_key;
+    // Inline local imports so the plugin uploads as a single module
+    const bundle = bundlePlugin(resolvedPath);
+    const fileBuffer = Buffer.from(bundle.code, "utf-8");
+    const fileSize = fileBuffer.length;
+    if (bundle.files.length > 1) {
+        log.dim(`  Bundled ${bundle.files.length - 1} local import(s)`);
     }
 
-    log.dim(`  resource_key: ${resourceKey}`);
+    log.info(`Uploading ${c.cyan}${fileName}${c.reset} (${(fileSize / 1024).toFixed(1)} KB) to space ${c.cyan}${spaceId}${c.reset}`);
+    const { resourceKey } = await uploadFile(server, apiKey, fileName, fileBuffer, { force: opts.force });
 
     // ── Step 4: Create or update entity ─────────────────────────────────
     // Use the create endpoint for both cases — createOrUpdateEntity in the
@@ -366,24 +455,74 @@ async function cmdUpload(filePath, opts) {
 
     const createRes = await apiRequest(server, apiKey, "POST", `/spaces/${spaceId}/entities`, createBody);
     const verb = entityId ? "updated" : "created";
-    log.ok(`Plugin ${verb}: ${c.cyan}${createRes.data.entity_id}${c.reset}`);
+    const version = history.recordVersion(server, createRes.data.entity_id, {
+        spaceId,
+        resourceKey,
+        sha256: cache.hashContent(fileBuffer),
+        fileName,
+        message: opts.message,
+    });
+    log.ok(`Plugin ${verb}: ${c.cyan}${createRes.data.entity_id}${c.reset} ${c.dim}(v${version.version})${c.reset}`);
     log.dim(`  glbUrl: ${createRes.data.entity_data?.glbUrl}`);
     console.log(`\n  ${c.cyan}https://arrival.space/${spaceId}${c.reset}\n`);
 }
 
+/**
+ * asset — Upload a model, splat, texture or audio file and print its URL,
+ * optionally writing the URL into a plugin param
+ */
+async function cmdAsset(filePath, opts) {
+    const { server, apiKey } = requireAuth(opts);
+
+    const resolvedPath = path.resolve(filePath);
+    if (!fs.existsSync(resolvedPath)) {
+        log.err(`File not found: ${resolvedPath}`);
+        process.exit(1);
+    }
+    const fileName = path.basename(resolvedPath);
+    const type = assets.assetType(fileName);
+    if (!type) {
+        const hint = fileName.endsWith(".mjs") ? " Use 'upload' for plugins." : "";
+        log.err(`Unsupported asset type: ${fileName} (supported: ${assets.supportedExtensions()}).${hint}`);
+        process.exit(1);
+    }
+
+    // Check the target param before uploading anything
+    let entity = null;
+    if (opts.param) {
+        if (!opts.space || !opts.entity) {
+            log.err("--param needs --space and --entity");
+            process.exit(1);
+        }
+        entity = await requirePluginEntity(server, apiKey, opts.space, opts.entity);
+        const pluginSchema = await pluginSchemaFor(entity, opts.file);
+        const errors = schema.validateParams(pluginSchema, { [opts.param]: `https://example.com/${fileName}` });
+        if (errors.length > 0) {
+            errors.forEach((error) => log.err(error));
+            process.exit(1);
+        }
+    }
+
+    const fileBuffer = fs.readFileSync(resolvedPath);
+    log.info(`Uploading ${type.kind} ${c.cyan}${fileName}${c.reset} (${(fileBuffer.length / 1024).toFixed(1)} KB, ${type.contentType})`);
+    const { url } = await uploadFile(server, apiKey, fileName, fileBuffer, {
+        force: opts.force,
+        contentType: type.contentType,
+    });
+    log.ok(`Uploaded: ${c.cyan}${url}${c.reset}`);
+
+    if (entity) {
+        await writeParams(server, apiKey, opts.space, entity, { [opts.param]: url });
+    }
+}
+
 /**
  * list — List plugin entities in a space
  */
 async function cmdList(opts) {
-    const cfg = loadConfig();
-    const server = opts.server || cfg.server || DEFAULT_SERVER;
-    const apiKey = opts.key || cfg.apiKey;
+    const { server, apiKey } = requireAuth(opts);
     const spaceId = opts.space;
 
-    if (!apiKey) {
-        log.err("No API key. Run 'init' first or pass --key.");
-        process.exit(1);
-    }
     if (!spaceId) {
         log.err("--space is required");
         process.exit(1);
@@ -391,24 +530,15 @@ async function cmdList(opts) {
 
     log.info(`Listing entities in space ${c.cyan}${spaceId}${c.reset}...`);
 
-    let cursor = null;
-    let allEntities = [];
-
-    do {
-        const qs = cursor ? `?limit=200&cursor=${encodeURIComponent(cursor)}` : "?limit=200";
-        const res = await apiRequest(server, apiKey, "GET", `/spaces/${spaceId}/entities${qs}`);
-        allEntities = allEntities.concat(res.data.entities);
-        cursor = res.data.hasMore ? res.data.nextCursor : null;
-    } while (cursor);
+    const allEntities = await listEntities(server, apiKey, spaceId);
 
     // Filter to UserModelEntity with .mjs glbUrl (plugins)
-    const plugins = allEntities.filter((e) => {
-        if (e.entity_type !== "UserModelEntity") return false;
-        const url = e.entity_data?.glbUrl || "";
-        return url.endsWith(".mjs");
-    });
+    const plugins = allEntities.filter(manifest.isPluginEntity);
+
+    // Model, splat, texture and audio entities, by file extension
+    const assetEntities = allEntities.filter((e) => !plugins.includes(e) && assets.assetType(manifest.pluginFileName(e)));
 
-    const others = allEntities.filter((e) => !plugins.includes(e));
+    const others = allEntities.filter((e) => !plugins.includes(e) && !assetEntities.includes(e));
 
     if (plugins.length === 0) {
         log.warn("No plugin entities (.mjs) found in this space.");
@@ -423,6 +553,15 @@ async function cmdList(opts) {
         }
     }
 
+    if (assetEntities.length > 0) {
+        console.log(`\n${c.bright}Assets (${assetEntities.length}):${c.reset}`);
+        for (const a of assetEntities) {
+            const name = manifest.pluginFileName(a);
+            console.log(`  ${c.cyan}*${c.reset} ${c.bright}${a.entity_id}${c.reset} ${c.dim}(${assets.assetType(name).kind}, ${a.entity_type})${c.reset}`);
+            console.log(`    ${c.dim}file: ${name}${c.reset}`);
+        }
+    }
+
     if (others.length > 0) {
         console.log(`\n${c.dim}Other entities (${others.length}):${c.reset}`);
         for (const e of others) {
@@ -434,95 +573,777 @@ async function cmdList(opts) {
 }
 
 /**
- * config — Show stored configuration
+ * sync — Create, update and (with --prune) delete plugin entities so a space
+ * matches a manifest
+ */
+async function cmdSync(manifestPath, opts) {
+    const { server, apiKey } = requireAuth(opts);
+
+    const resolvedPath = path.resolve(manifestPath);
+    if (!fs.existsSync(resolvedPath)) {
+        log.err(`File not found: ${resolvedPath}`);
+        process.exit(1);
+    }
+    const spec = manifest.loadManifest(resolvedPath);
+    const spaceId = opts.space || spec.space;
+    if (!spaceId) {
+        log.err("--space is required (or set \"space\" in the manifest)");
+        process.exit(1);
+    }
+
+    // Bundle every file once, even when several entries use it
+    const bundles = new Map();
+    for (const entry of spec.plugins) {
+        if (!bundles.has(entry.file)) bundles.set(entry.file, bundlePlugin(entry.file).code);
+    }
+
+    // Check params against each plugin's declarations before touching the space
+    const problems = [];
+    spec.plugins.forEach((entry, i) => {
+        if (!entry.params) return;
+        const errors = schema.validateParams(schema.parseSchema(bundles.get(entry.file)), entry.params);
+        problems.push(...errors.map((error) => `plugins[${i}] (${entry.name}) ${error}`));
+    });
+    if (problems.length > 0) {
+        problems.forEach((problem) => log.err(problem));
+        process.exit(1);
+    }
+
+    log.info(`Comparing ${c.cyan}${path.basename(resolvedPath)}${c.reset} with space ${c.cyan}${spaceId}${c.reset}...`);
+    const entities = await listEntities(server, apiKey, spaceId);
+
+    // Deployed code is compared with the local bundle to decide whether to re-upload
+    const codeChanged = new Map();
+    const localByName = new Map(spec.plugins.map((entry) => [entry.name, bundles.get(entry.file)]));
+    for (const entity of entities.filter(manifest.isPluginEntity)) {
+        const pinned = spec.plugins.find((entry) => entry.entity === entity.entity_id);
+        const local = pinned ? bundles.get(pinned.file) : localByName.get(manifest.pluginFileName(entity));
+        if (local === undefined) continue;
+        try {
+            const res = await client.request(entity.entity_data.glbUrl);
+            codeChanged.set(entity.entity_id, (await res.text()) !== local);
+        } catch {
+            codeChanged.set(entity.entity_id, true);
+        }
+    }
+
+    const plan = manifest.planSync(spec, entities, codeChanged);
+    const deletes = plan.filter((step) => step.action === "delete");
+
+    console.log();
+    for (const step of plan) {
+        const name = step.entry ? path.relative(process.cwd(), step.entry.file) : manifest.pluginFileName(step.entity);
+        const id = step.entity ? ` ${c.dim}${step.entity.entity_id}${c.reset}` : "";
+        if (step.action === "create") {
+            console.log(`  ${c.green}+ create${c.reset}    ${name}`);
+        } else if (step.action === "update") {
+            console.log(`  ${c.yellow}~ update${c.reset}    ${name}${id} ${c.dim}(${step.changes.join("; ")})${c.reset}`);
+        } else if (step.action === "unchanged") {
+            console.log(`  ${c.dim}= unchanged ${name}${c.reset}${id}`);
+        } else if (opts.prune) {
+            console.log(`  ${c.red}- delete${c.reset}    ${name}${id}`);
+        } else {
+            console.log(`  ${c.dim}? extra     ${name}${c.reset}${id} ${c.dim}(not in manifest; --prune deletes it)${c.reset}`);
+        }
+    }
+    console.log();
+
+    const steps = plan.filter((step) => ["create", "update"].includes(step.action) || (step.action === "delete" && opts.prune));
+    if (steps.length === 0) {
+        log.ok("Space already matches the manifest.");
+        return;
+    }
+    if (opts.dryRun) {
+        log.info(`Dry run: ${steps.length} change(s) not applied.`);
+        return;
+    }
+
+    // Files are uploaded once and their resource_key reused across entries
+    const resourceKeys = new Map();
+    const upload = async (entry) => {
+        if (!resourceKeys.has(entry.file)) {
+            log.info(`Uploading ${c.cyan}${entry.name}${c.reset}`);
+            const code = bundles.get(entry.file);
+            const buffer = Buffer.from(code, "utf-8");
+            const { resourceKey } = await uploadFile(server, apiKey, entry.name, buffer, { force: opts.force });
+            resourceKeys.set(entry.file, resourceKey);
+        }
+        return resourceKeys.get(entry.file);
+    };
+
+    const recordUpload = (entityId, entry, resourceKey) =>
+        history.recordVersion(server, entityId, {
+            spaceId,
+            resourceKey,
+            sha256: cache.hashContent(bundles.get(entry.file)),
+            fileName: entry.name,
+            message: opts.message,
+        });
+
+    for (const step of steps) {
+        if (step.action === "create") {
+            const body = {
+                resource_key: await upload(step.entry),
+                entity_data: manifest.entityDataFor(step.entry),
+            };
+            const res = await apiRequest(server, apiKey, "POST", `/spaces/${spaceId}/entities`, body);
+            recordUpload(res.data.entity_id, step.entry, body.resource_key);
+            log.ok(`Created ${step.entry.name}: ${c.cyan}${res.data.entity_id}${c.reset}`);
+        } else if (step.action === "update") {
+            // Same upsert as `upload --entity`; resource_key only when the code changed
+            const body = {
+                entity_id: step.entity.entity_id,
+                entity_data: manifest.entityDataFor(step.entry, step.entity.entity_data),
+            };
+            if (codeChanged.get(step.entity.entity_id)) {
+                body.resource_key = await upload(step.entry);
+            }
+            await apiRequest(server, apiKey, "POST", `/spaces/${spaceId}/entities`, body);
+            if (body.resource_key) recordUpload(step.entity.entity_id, step.entry, body.resource_key);
+            log.ok(`Updated ${step.entry.name}: ${c.cyan}${step.entity.entity_id}${c.reset}`);
+        } else {
+            await apiRequest(server, apiKey, "DELETE", `/spaces/${spaceId}/entities/${step.entity.entity_id}`);
+            log.ok(`Deleted ${manifest.pluginFileName(step.entity)}: ${c.cyan}${step.entity.entity_id}${c.reset}`);
+        }
+    }
+
+    if (deletes.length > 0 && !opts.prune) {
+        log.dim(`  ${deletes.length} plugin entit${deletes.length === 1 ? "y" : "ies"} not in the manifest left in place (use --prune to delete)`);
+    }
+    console.log(`\n  ${c.cyan}https://arrival.space/${spaceId}${c.reset}\n`);
+}
+
+/**
+ * clone — Recreate the plugin entities of one space in another
+ */
+async function cmdClone(opts) {
+    const { server, apiKey } = requireAuth(opts);
+    const from = opts.from;
+    const to = opts.to;
+
+    if (from === to) {
+        log.err("--from and --to must be different spaces");
+        process.exit(1);
+    }
+
+    log.info(`Reading plugins in space ${c.cyan}${from}${c.reset}...`);
+    let plugins = (await listEntities(server, apiKey, from)).filter(manifest.isPluginEntity);
+    if (opts.file) plugins = plugins.filter((e) => opts.file.includes(manifest.pluginFileName(e)));
+    if (opts.entity) {
+        const missing = opts.entity.filter((id) => !plugins.some((e) => e.entity_id === id));
+        if (missing.length > 0) {
+            log.err(`Not a plugin entity in ${from}${opts.file ? " matching --file" : ""}: ${missing.join(", ")}`);
+            process.exit(1);
+        }
+        plugins = plugins.filter((e) => opts.entity.includes(e.entity_id));
+    }
+
+    if (plugins.length === 0) {
+        log.warn("No plugin entities to clone.");
+        return;
+    }
+
+    console.log();
+    for (const entity of plugins) {
+        console.log(`  ${c.green}+ clone${c.reset} ${manifest.pluginFileName(entity)} ${c.dim}${entity.entity_id}${c.reset}`);
+    }
+    console.log();
+    if (opts.dryRun) {
+        log.info(`Dry run: ${plugins.length} plugin(s) not cloned to ${c.cyan}${to}${c.reset}.`);
+        return;
+    }
+
+    const mapping = [];
+    for (const entity of plugins) {
+        const fileName = manifest.pluginFileName(entity);
+        const code = Buffer.from(await (await client.request(entity.entity_data.glbUrl)).text(), "utf-8");
+
+        // Reuse the entity's resource_key when the API exposes it. Otherwise the
+        // deployed code goes through uploadFile, which skips the transfer when
+        // this machine uploaded the same content before.
+        let resourceKey = entity.resource_key || entity.entity_data.resource_key;
+        if (!resourceKey) {
+            log.dim(`  ${fileName}: resolving resource_key`);
+            resourceKey = (await uploadFile(server, apiKey, fileName, code)).resourceKey;
+        }
+
+        // Same upsert as `upload`; params and transforms come along in entity_data
+        const res = await apiRequest(server, apiKey, "POST", `/spaces/${to}/entities`, {
+            resource_key: resourceKey,
+            entity_data: { ...entity.entity_data },
+        });
+        const newId = res.data.entity_id;
+        history.recordVersion(server, newId, {
+            spaceId: to,
+            resourceKey,
+            sha256: cache.hashContent(code),
+            fileName,
+            message: `cloned from ${from}/${entity.entity_id}`,
+        });
+        mapping.push({ from: entity.entity_id, to: newId, file: fileName });
+        log.ok(`Cloned ${fileName}: ${c.cyan}${entity.entity_id}${c.reset} → ${c.cyan}${newId}${c.reset}`);
+    }
+
+    console.log(`\n${c.bright}Entity id mapping (${from} → ${to}):${c.reset}`);
+    for (const { from: oldId, to: newId, file } of mapping) {
+        console.log(`  ${oldId} → ${newId}  ${c.dim}${file}${c.reset}`);
+    }
+    if (opts.map) {
+        fs.writeFileSync(path.resolve(opts.map), JSON.stringify({ from, to, entities: mapping }, null, 2) + "\n");
+        log.dim(`  Mapping written to ${opts.map}`);
+    }
+    console.log(`\n  ${c.cyan}https://arrival.space/${to}${c.reset}\n`);
+}
+
+/**
+ * pull — Download the plugins of a space and write a manifest for `sync`
+ */
+async function cmdPull(dir, opts) {
+    const { server, apiKey } = requireAuth(opts);
+    const spaceId = opts.space;
+
+    const outDir = path.resolve(dir);
+    const manifestPath = path.join(outDir, opts.manifest);
+    log.info(`Pulling plugins of space ${c.cyan}${spaceId}${c.reset} into ${c.cyan}${path.relative(process.cwd(), outDir) || "."}${c.reset}...`);
+    const plugins = (await listEntities(server, apiKey, spaceId)).filter(manifest.isPluginEntity);
+    if (plugins.length === 0) {
+        log.warn("No plugin entities (.mjs) found in this space.");
+        return;
+    }
+
+    // Entities sharing a file name share the file unless their code differs
+    const written = new Map(); // file name → code
+    const entries = [];
+    fs.mkdirSync(outDir, { recursive: true });
+    console.log();
+    for (const entity of plugins) {
+        const code = await (await client.request(entity.entity_data.glbUrl)).text();
+        let fileName = manifest.pluginFileName(entity);
+        if (written.has(fileName) && written.get(fileName) !== code) {
+            fileName = `${path.basename(fileName, ".mjs")}-${entity.entity_id}.mjs`;
+        }
+
+        if (!written.has(fileName)) {
+            written.set(fileName, code);
+            const filePath = path.join(outDir, fileName);
+            const previous = fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf-8") : null;
+            if (previous === code) {
+                console.log(`  ${c.dim}= unchanged ${fileName}${c.reset}`);
+            } else {
+                fs.writeFileSync(filePath, code);
+                const mark = previous === null ? `${c.green}+ new${c.reset}      ` : `${c.yellow}~ updated${c.reset}  `;
+                console.log(`  ${mark}${fileName}`);
+            }
+        }
+
+        const data = entity.entity_data;
+        const entry = { file: `./${fileName}`, entity: entity.entity_id };
+        if (data.params && Object.keys(data.params).length > 0) entry.params = data.params;
+        for (const key of manifest.TRANSFORM_KEYS) {
+            if (data[key] !== undefined) entry[key] = data[key];
+        }
+        entries.push(entry);
+    }
+
+    fs.writeFileSync(manifestPath, JSON.stringify({ space: spaceId, plugins: entries }, null, 2) + "\n");
+    console.log();
+    log.ok(`${entries.length} plugin entit${entries.length === 1 ? "y" : "ies"} in ${written.size} file(s), manifest: ${c.cyan}${path.relative(process.cwd(), manifestPath)}${c.reset}`);
+    log.dim(`  Re-deploy with: node index.js sync ${path.relative(process.cwd(), manifestPath)}`);
+}
+
+/**
+ * Parse "x,y,z" (or a single number when `uniform` is set) into { x, y, z }
+ */
+function parseVec3(raw, uniform = false) {
+    const parts = String(raw).split(",").map((part) => (part.trim() === "" ? NaN : Number(part)));
+    if (uniform && parts.length === 1 && Number.isFinite(parts[0])) {
+        return { x: parts[0], y: parts[0], z: parts[0] };
+    }
+    if (parts.length !== 3 || !parts.every(Number.isFinite)) return null;
+    return { x: parts[0], y: parts[1], z: parts[2] };
+}
+
+/**
+ * Look up a plugin entity for set-params / set-transform, exiting if it is
+ * missing or not a plugin
+ */
+async function requirePluginEntity(server, apiKey, spaceId, entityId) {
+    const entity = await findEntity(server, apiKey, spaceId, entityId);
+    if (!entity) {
+        log.err(`Entity not found: ${entityId}`);
+        process.exit(1);
+    }
+    if (!manifest.isPluginEntity(entity)) {
+        log.err(`Entity ${entityId} is not a plugin (${entity.entity_type})`);
+        process.exit(1);
+    }
+    return entity;
+}
+
+/**
+ * Param schema of a plugin entity, from its deployed code or a local file
+ */
+async function pluginSchemaFor(entity, file) {
+    let code;
+    if (file) {
+        code = bundlePlugin(path.resolve(file)).code;
+    } else {
+        try {
+            code = await (await client.request(entity.entity_data.glbUrl)).text();
+        } catch (e) {
+            throw new Error(`Could not download plugin source: ${e.message}`);
+        }
+    }
+    return schema.parseSchema(code);
+}
+
+/**
+ * Merge params into a plugin entity and print what changed
+ */
+async function writeParams(server, apiKey, spaceId, entity, values) {
+    const before = entity.entity_data.params || {};
+    const params = { ...before, ...values };
+    const changes = manifest.diffParams(before, params);
+    if (changes.length === 0) {
+        log.ok("Params already set, nothing to change.");
+        return;
+    }
+
+    await apiRequest(server, apiKey, "POST", `/spaces/${spaceId}/entities`, {
+        entity_id: entity.entity_id,
+        entity_data: { ...entity.entity_data, params },
+    });
+    log.ok(`Updated ${changes.length} param(s) on ${c.cyan}${entity.entity_id}${c.reset}`);
+    changes.forEach((change) => log.dim(`  ${change}`));
+}
+
+/**
+ * set-params — Validate key=value pairs against the plugin's declared params
+ * and write them to the entity
+ */
+async function cmdSetParams(pairs, opts) {
+    const { server, apiKey } = requireAuth(opts);
+    const spaceId = opts.space;
+    const entityId = opts.entity;
+
+    const raw = {};
+    for (const pair of pairs) {
+        const eq = pair.indexOf("=");
+        if (eq <= 0) {
+            log.err(`Expected key=value, got "${pair}"`);
+            process.exit(1);
+        }
+        raw[pair.slice(0, eq)] = pair.slice(eq + 1);
+    }
+
+    const entity = await requirePluginEntity(server, apiKey, spaceId, entityId);
+    const pluginSchema = await pluginSchemaFor(entity, opts.file);
+
+    const values = {};
+    for (const [name, value] of Object.entries(raw)) {
+        const param = pluginSchema.params[name];
+        values[name] = param ? schema.parseValue(param, value) : value;
+    }
+    const errors = schema.validateParams(pluginSchema, values);
+    if (errors.length > 0) {
+        errors.forEach((error) => log.err(error));
+        process.exit(1);
+    }
+
+    await writeParams(server, apiKey, spaceId, entity, values);
+}
+
+/**
+ * set-transform — Change the position, rotation (degrees) or scale of an entity
+ */
+async function cmdSetTransform(opts) {
+    const { server, apiKey } = requireAuth(opts);
+    const spaceId = opts.space;
+    const entityId = opts.entity;
+
+    const transform = {};
+    for (const key of manifest.TRANSFORM_KEYS) {
+        if (opts[key] === undefined) continue;
+        const value = parseVec3(opts[key], key === "scale");
+        if (!value) {
+            log.err(`--${key} expects x,y,z${key === "scale" ? " or a single number" : ""}, got "${opts[key]}"`);
+            process.exit(1);
+        }
+        transform[key] = value;
+    }
+    if (Object.keys(transform).length === 0) {
+        log.err("Pass at least one of --position, --rotation, --scale");
+        process.exit(1);
+    }
+
+    const entity = await requirePluginEntity(server, apiKey, spaceId, entityId);
+    await apiRequest(server, apiKey, "POST", `/spaces/${spaceId}/entities`, {
+        entity_id: entityId,
+        entity_data: { ...entity.entity_data, ...transform },
+    });
+    log.ok(`Updated transform of ${c.cyan}${entityId}${c.reset}`);
+    for (const [key, v] of Object.entries(transform)) {
+        log.dim(`  ${key}: ${v.x}, ${v.y}, ${v.z}`);
+    }
+}
+
+/**
+ * history — List the recorded versions of a plugin entity
+ */
+function cmdHistory(opts) {
+    const { server } = config.resolveAuth(opts);
+    const record = history.versionsOf(server, opts.entity);
+
+    if (!record) {
+        log.warn(`No recorded versions for ${opts.entity} on ${server}.`);
+        log.dim("  Versions are recorded by upload, sync and rollback on this machine.");
+        return;
+    }
+
+    console.log(`\n${c.bright}${opts.entity}${c.reset} in space ${c.cyan}${record.space}${c.reset}\n`);
+    const latest = record.versions[record.versions.length - 1];
+    for (const v of record.versions) {
+        const when = v.uploadedAt.slice(0, 16).replace("T", " ");
+        const note = v.message || (v.rollbackOf ? `rollback to v${v.rollbackOf}` : "");
+        const current = v === latest ? ` ${c.green}(current)${c.reset}` : "";
+        console.log(`  ${c.cyan}v${String(v.version).padEnd(3)}${c.reset} ${when}  ${v.fileName}  ${c.dim}${v.sha256.substring(0, 12)}${c.reset}  ${note}${current}`);
+        log.dim(`        ${v.resourceKey}`);
+    }
+    console.log();
+}
+
+/**
+ * rollback — Point a plugin entity back at a recorded version, keeping its
+ * current params and transform
+ */
+async function cmdRollback(opts) {
+    const { server, apiKey } = requireAuth(opts);
+    const entityId = opts.entity;
+
+    const record = history.versionsOf(server, entityId);
+    if (!record) {
+        log.err(`No recorded versions for ${entityId} on ${server}`);
+        process.exit(1);
+    }
+    const to = Number(opts.to);
+    const target = record.versions.find((v) => v.version === to);
+    if (!target) {
+        log.err(`No version ${opts.to} for ${entityId} (recorded: v1-v${record.versions.length})`);
+        process.exit(1);
+    }
+
+    const spaceId = opts.space || record.space;
+    const entity = await requirePluginEntity(server, apiKey, spaceId, entityId);
+
+    log.info(`Rolling back ${c.cyan}${entityId}${c.reset} to v${target.version} (${target.fileName}, ${target.uploadedAt.slice(0, 10)})`);
+    const res = await apiRequest(server, apiKey, "POST", `/spaces/${spaceId}/entities`, {
+        entity_id: entityId,
+        resource_key: target.resourceKey,
+        entity_data: { ...entity.entity_data },
+    });
+    const version = history.recordVersion(server, entityId, {
+        spaceId,
+        resourceKey: target.resourceKey,
+        sha256: target.sha256,
+        fileName: target.fileName,
+        message: opts.message,
+        rollbackOf: target.version,
+    });
+    log.ok(`Plugin rolled back: ${c.cyan}${entityId}${c.reset} ${c.dim}(recorded as v${version.version})${c.reset}`);
+    log.dim(`  glbUrl: ${res.data.entity_data?.glbUrl}`);
+}
+
+/**
+ * resume — Finish polling a processing job left by an interrupted upload, or
+ * list the unfinished ones
+ */
+async function cmdResume(jobId, opts) {
+    const { server, apiKey } = requireAuth(opts);
+
+    const pending = cache.pendingJobs(server);
+    if (!jobId) {
+        if (pending.length === 0) {
+            log.ok("No unfinished processing jobs.");
+            return;
+        }
+        console.log(`\n${c.bright}Unfinished processing jobs (${pending.length}):${c.reset}\n`);
+        for (const job of pending) {
+            console.log(`  ${c.cyan}${job.jobId}${c.reset}  ${job.fileName}  ${c.dim}started ${job.startedAt.slice(0, 16).replace("T", " ")}${c.reset}`);
+        }
+        console.log();
+        return;
+    }
+
+    const job = pending.find((j) => j.jobId === jobId);
+    if (!job) {
+        log.err(`No unfinished job ${jobId} on ${server}`);
+        process.exit(1);
+    }
+
+    log.info(`Polling job ${c.cyan}${jobId}${c.reset} (${job.fileName})...`);
+    const result = await pollJob(server, apiKey, jobId, job.pollUrl);
+    const url = result.url || job.fileUrl;
+    cache.record(server, job.hash, { fileName: job.fileName, resourceKey: result.resource_key, url, size: job.size });
+    log.ok(`Job finished: resource_key ${c.cyan}${result.resource_key}${c.reset}`);
+    if (url) log.dim(`  url: ${url}`);
+    log.dim("  Run the upload again to point an entity at it (the transfer is skipped).");
+}
+
+/**
+ * config — Show stored profiles, or change the default one
  */
-function cmdConfig() {
-    const cfg = loadConfig();
-    if (!cfg.apiKey) {
+function cmdConfig(opts) {
+    const cfg = config.loadConfig();
+    const names = Object.keys(cfg.profiles);
+
+    if (opts.default) {
+        if (!cfg.profiles[opts.default]) {
+            log.err(`No profile named "${opts.default}" (known: ${names.join(", ") || "none"})`);
+            process.exit(1);
+        }
+        cfg.defaultProfile = opts.default;
+        config.saveConfig(cfg);
+        log.ok(`Default profile is now ${c.cyan}${opts.default}${c.reset}`);
+        return;
+    }
+
+    if (names.length === 0) {
         log.warn("No config found. Run 'init' first.");
         return;
     }
-    console.log(`\n${c.bright}Stored config:${c.reset} ${CONFIG_FILE}`);
-    console.log(`  Server : ${cfg.server}`);
-    console.log(`  API Key: ${cfg.apiKey.substring(0, 8)}...\n`);
+    console.log(`\n${c.bright}Stored config:${c.reset} ${config.CONFIG_FILE}\n`);
+    for (const name of names) {
+        const profile = cfg.profiles[name];
+        const marker = name === cfg.defaultProfile ? ` ${c.green}(default)${c.reset}` : "";
+        console.log(`  ${c.cyan}${name}${c.reset}${marker}`);
+        console.log(`    Server : ${profile.server}`);
+        console.log(`    API Key: ${profile.apiKey.substring(0, 8)}...`);
+    }
+    const overrides = ["ARRIVAL_PROFILE", "ARRIVAL_SERVER", "ARRIVAL_API_KEY"].filter((name) => process.env[name]);
+    if (overrides.length > 0) {
+        log.dim(`\n  Overridden by environment: ${overrides.join(", ")}`);
+    }
+    console.log();
 }
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
-async function pollJob(server, apiKey, pollUrl, maxWaitMs = 120000) {
+/**
+ * Poll a processing job until it completes and return its result
+ * ({ resource_key, url? }). The job stays in the cache while it may still
+ * finish, so `resume <jobId>` (or uploading the same file again) can pick it
+ * up after a timeout or Ctrl+C.
+ */
+async function pollJob(server, apiKey, jobId, pollUrl, maxWaitMs = 120000) {
     const start = Date.now();
+    let lastProgress = null;
+
     while (Date.now() - start < maxWaitMs) {
         await new Promise((r) => setTimeout(r, 2000));
+
+        let res;
         try {
-            const res = await apiRequest(server, apiKey, "GET", pollUrl.replace("/api/v1", ""));
-            if (res.data?.job_status === "completed") {
-                return res.data.result.resource_key;
-            }
-            if (res.data?.job_status === "failed") {
-                throw new Error(`Job failed: ${res.data.error || "unknown"}`);
-            }
-            log.dim(`  polling... ${res.data?.progress || 0}%`);
+            // Transient failures were already retried by the client
+            res = await apiRequest(server, apiKey, "GET", pollUrl.replace("/api/v1", ""));
         } catch (e) {
-            if (e.message.includes("not found")) {
-                throw new Error("Job disappeared during polling");
+            if (e instanceof client.HttpError && e.status === 404) {
+                cache.finishJob(server, jobId);
+                throw new Error(`Job ${jobId} disappeared during polling`);
             }
+            if (e instanceof client.HttpError && e.kind === "auth") throw e;
+            throw new Error(`${e.message} (resume with: node index.js resume ${jobId})`);
+        }
+
+        const job = res.data || {};
+        if (job.job_status === "completed") {
+            cache.finishJob(server, jobId);
+            return job.result;
+        }
+        if (job.job_status === "failed") {
+            cache.finishJob(server, jobId);
+            throw new Error(`Job ${jobId} failed: ${job.error || "unknown"}`);
+        }
+        if (typeof job.progress === "number" && job.progress !== lastProgress) {
+            lastProgress = job.progress;
+            log.dim(`  processing... ${Math.round(job.progress)}%`);
         }
     }
-    throw new Error("Job timed out");
+    throw new Error(`Job ${jobId} still processing after ${maxWaitMs / 1000}s (resume with: node index.js resume ${jobId})`);
 }
 
-// ── CLI ─────────────────────────────────────────────────────────────────────
+/**
+ * Run a command; if the stored API key turns out to be expired, log in again
+ * with the browser flow and run it once more. Keys from --key or
+ * ARRIVAL_API_KEY are never replaced.
+ */
+async function withLogin(opts, action) {
+    try {
+        return await action();
+    } catch (e) {
+        if (!(e instanceof client.HttpError && e.kind === "auth")) throw e;
+        const auth = config.resolveAuth(opts);
+        const rejected = "API key was rejected (401)";
+        if (auth.keySource === "flag") throw new Error(`${rejected}: check the key passed with --key`);
+        if (auth.keySource === "env") throw new Error(`${rejected}: check ARRIVAL_API_KEY`);
+        if (!process.stdin.isTTY) {
+            throw new Error(`${rejected}: run 'init --profile ${auth.profile}' to log in again`);
+        }
+        log.warn(`API key of profile "${auth.profile}" has expired, logging in again...`);
+        await cmdInit({ profile: auth.profile, server: auth.server });
+        return action();
+    }
+}
 
-program.name("plugin-upload").description("Upload/update Arrival.Space plugins via REST API").version(pkg.version);
+/**
+ * Server and API key for a command, exiting when there is no key
+ */
+function requireAuth(opts) {
+    const auth = config.resolveAuth(opts);
+    if (!auth.apiKey) {
+        log.err("No API key. Run 'init' first or pass --key.");
+        process.exit(1);
+    }
+    return auth;
+}
 
-program
-    .command("init")
-    .description("Login via browser and store API key (one-time setup)")
-    .option("--key <apiKey>", "Manually provide an API key instead of browser login")
-    .option("--server <url>", "Server URL", DEFAULT_SERVER)
-    .action(async (opts) => {
+/**
+ * Command action that prints the error and exits with code 1 on failure
+ */
+function run(action) {
+    return async (...args) => {
         try {
-            await cmdInit(opts);
+            await action(...args);
         } catch (e) {
             log.err(e.message);
             process.exit(1);
         }
-    });
+    };
+}
+
+/**
+ * run() for commands that call the API: when the stored key has expired, log
+ * in again and run the action once more (see withLogin). The options are the
+ * second-to-last argument of a Commander action.
+ */
+function runWithLogin(action) {
+    return run((...args) => withLogin(args[args.length - 2], () => action(...args)));
+}
+
+/**
+ * Command that calls the API, with the --profile / --key / --server options
+ */
+function authCommand(nameAndArgs) {
+    return program
+        .command(nameAndArgs)
+        .option("--profile <name>", "Credential profile (default: the one set with `config --default`)")
+        .option("--key <apiKey>", "API key (overrides stored config)")
+        .option("--server <url>", "Server URL (overrides stored config)");
+}
+
+// ── CLI ─────────────────────────────────────────────────────────────────────
 
 program
-    .command("upload <file>")
+    .name("plugin-upload")
+    .description("Upload/update Arrival.Space plugins via REST API")
+    .version(pkg.version)
+    .option("-v, --verbose", "Log every HTTP request")
+    .hook("preAction", () => client.setVerbose(Boolean(program.opts().verbose)));
+
+program
+    .command("init")
+    .description("Login via browser and store API key (one-time setup)")
+    .option("--key <apiKey>", "Manually provide an API key instead of browser login")
+    .option("--profile <name>", "Profile to store the key under (default: the default profile)")
+    .option("--server <url>", `Server URL (default: ${config.DEFAULT_SERVER})`)
+    .action(run(cmdInit));
+
+authCommand("upload <file>")
     .description("Upload a plugin .mjs file to a space")
     .requiredOption("--space <spaceId>", "Space ID (e.g. 12345678_1234)")
     .option("--entity <entityId>", "Existing entity ID to update (omit to create new)")
-    .option("--key <apiKey>", "API key (overrides stored config)")
-    .option("--server <url>", "Server URL (overrides stored config)")
-    .action(async (file, opts) => {
-        try {
-            await cmdUpload(file, opts);
-        } catch (e) {
-            log.err(e.message);
-            process.exit(1);
-        }
-    });
-
-program
-    .command("list")
+    .option("--force", "Upload even if the same content was uploaded before")
+    .option("-m, --message <text>", "Note stored with this version in the history")
+    .action(runWithLogin(cmdUpload));
+
+authCommand("asset <file>")
+    .description("Upload a model, splat, texture or audio file and print its URL")
+    .option("--param <name>", "Also write the URL into this param of a plugin entity")
+    .option("--space <spaceId>", "Space of the plugin entity (with --param)")
+    .option("--entity <entityId>", "Plugin entity to update (with --param)")
+    .option("--file <path>", "Read the param declarations from this local plugin instead of the deployed code")
+    .option("--force", "Upload even if the same content was uploaded before")
+    .action(runWithLogin(cmdAsset));
+
+authCommand("list")
     .description("List plugin entities in a space")
     .requiredOption("--space <spaceId>", "Space ID (e.g. 12345678_1234)")
-    .option("--key <apiKey>", "API key (overrides stored config)")
+    .action(runWithLogin(cmdList));
+
+authCommand("sync <manifest>")
+    .description("Create, update and delete plugin entities so a space matches a manifest")
+    .option("--space <spaceId>", "Space ID (overrides \"space\" in the manifest)")
+    .option("--prune", "Delete plugin entities that are not in the manifest")
+    .option("--dry-run", "Print the planned changes without applying them")
+    .option("--force", "Upload even if the same content was uploaded before")
+    .option("-m, --message <text>", "Note stored with the uploaded versions in the history")
+    .action(runWithLogin(cmdSync));
+
+authCommand("clone")
+    .description("Recreate the plugin entities of one space in another, with their params and transforms")
+    .requiredOption("--from <spaceId>", "Source space")
+    .requiredOption("--to <spaceId>", "Target space")
+    .option("--file <names...>", "Only plugins with these file names (e.g. collectible.mjs)")
+    .option("--entity <entityIds...>", "Only these source entities")
+    .option("--map <path>", "Also write the old → new entity id mapping as JSON")
+    .option("--dry-run", "List what would be cloned without creating anything")
+    .action(runWithLogin(cmdClone));
+
+authCommand("pull <dir>")
+    .description("Download the plugins of a space and write a manifest with their params and transforms")
+    .requiredOption("--space <spaceId>", "Space ID (e.g. 12345678_1234)")
+    .option("--manifest <name>", "Manifest file name inside <dir>", "manifest.json")
+    .action(runWithLogin(cmdPull));
+
+authCommand("set-params <pairs...>")
+    .description("Set plugin params (key=value) after checking them against the plugin's declared params")
+    .requiredOption("--space <spaceId>", "Space ID (e.g. 12345678_1234)")
+    .requiredOption("--entity <entityId>", "Plugin entity to change")
+    .option("--file <path>", "Read the param declarations from this local plugin instead of the deployed code")
+    .action(runWithLogin(cmdSetParams));
+
+authCommand("set-transform")
+    .description("Set the position, rotation or scale of a plugin entity")
+    .requiredOption("--space <spaceId>", "Space ID (e.g. 12345678_1234)")
+    .requiredOption("--entity <entityId>", "Plugin entity to change")
+    .option("--position <x,y,z>", "World position")
+    .option("--rotation <x,y,z>", "Euler angles in degrees")
+    .option("--scale <s|x,y,z>", "Uniform or per-axis scale")
+    .action(runWithLogin(cmdSetTransform));
+
+program
+    .command("history")
+    .description("List the recorded versions of a plugin entity")
+    .requiredOption("--entity <entityId>", "Plugin entity")
+    .option("--profile <name>", "Credential profile (default: the one set with `config --default`)")
     .option("--server <url>", "Server URL (overrides stored config)")
-    .action(async (opts) => {
-        try {
-            await cmdList(opts);
-        } catch (e) {
-            log.err(e.message);
-            process.exit(1);
-        }
-    });
+    .action((opts) => cmdHistory(opts));
+
+authCommand("rollback")
+    .description("Point a plugin entity at an earlier recorded version, keeping its params")
+    .requiredOption("--entity <entityId>", "Plugin entity to roll back")
+    .requiredOption("--to <version>", "Version number from `history`")
+    .option("--space <spaceId>", "Space ID (defaults to the one recorded in the history)")
+    .option("-m, --message <text>", "Note stored with the rollback in the history")
+    .action(runWithLogin(cmdRollback));
+
+authCommand("resume [jobId]")
+    .description("Finish polling an upload the server was still processing, or list unfinished jobs")
+    .action(runWithLogin(cmdResume));
 
 program
     .command("config")
-    .description("Show stored configuration")
-    .action(() => cmdConfig());
+    .description("Show stored profiles")
+    .option("--default <profile>", "Use this profile when --profile is not given")
+    .action((opts) => cmdConfig(opts));
 
 program.parse();
@@ -0,0 +1,201 @@
+/**
+ * Space Manifests
+ *
+ * A manifest declares the plugin entities one space should contain:
+ *
+ *   {
+ *     "space": "12345678_1234",
+ *     "plugins": [
+ *       { "file": "plugins/start-trigger.mjs", "params": { "radius": 3 }, "position": { "x": 0, "y": 0, "z": 5 } },
+ *       { "file": "plugins/collectible.mjs", "entity": "ab12cd34", "params": { "points": 10 } }
+ *     ]
+ *   }
+ *
+ * File paths are relative to the manifest. "entity" pins an entry to an
+ * existing entity; other entries claim unpinned plugin entities with the same
+ * file name, in list order. params / position / rotation / scale are only
+ * enforced when present, and "params" replaces the entity's params as a whole.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const TRANSFORM_KEYS = ["position", "rotation", "scale"];
+
+/**
+ * Whether a space entity is a plugin (UserModelEntity pointing at a .mjs file)
+ */
+function isPluginEntity(entity) {
+    if (entity.entity_type !== "UserModelEntity") return false;
+    return pluginFileName(entity).endsWith(".mjs");
+}
+
+/**
+ * File name of an entity's glbUrl, without query string
+ */
+function pluginFileName(entity) {
+    const url = entity.entity_data?.glbUrl || "";
+    return url.split("/").pop().split("?")[0];
+}
+
+/**
+ * Read and validate a manifest
+ * @returns {{space: string|undefined, plugins: Array<{file: string, name: string, entity?: string, params?: object}>}}
+ *   `file` is absolute, `name` is its base name
+ */
+function loadManifest(filePath) {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (e) {
+        throw new Error(`Cannot read manifest ${filePath}: ${e.message}`);
+    }
+    if (!manifest || !Array.isArray(manifest.plugins)) {
+        throw new Error(`Manifest ${filePath} needs a "plugins" array`);
+    }
+
+    const baseDir = path.dirname(filePath);
+    const pinned = new Set();
+    const plugins = manifest.plugins.map((entry, i) => {
+        const where = `plugins[${i}]`;
+        if (!entry || typeof entry.file !== "string" || !entry.file) {
+            throw new Error(`${where}: "file" is required`);
+        }
+        const file = path.resolve(baseDir, entry.file);
+        if (!fs.existsSync(file)) {
+            throw new Error(`${where}: file not found: ${file}`);
+        }
+        if (entry.entity !== undefined) {
+            if (typeof entry.entity !== "string" || !entry.entity) throw new Error(`${where}: "entity" must be an entity id`);
+            if (pinned.has(entry.entity)) throw new Error(`${where}: entity ${entry.entity} is listed twice`);
+            pinned.add(entry.entity);
+        }
+        if (entry.params !== undefined && (typeof entry.params !== "object" || entry.params === null || Array.isArray(entry.params))) {
+            throw new Error(`${where}: "params" must be an object`);
+        }
+        for (const key of TRANSFORM_KEYS) {
+            const value = entry[key];
+            if (value === undefined) continue;
+            const ok = value && ["x", "y", "z"].every((axis) => typeof value[axis] === "number");
+            if (!ok) throw new Error(`${where}: "${key}" must be { "x": number, "y": number, "z": number }`);
+        }
+        return { ...entry, file, name: path.basename(file) };
+    });
+
+    return { space: manifest.space, plugins };
+}
+
+/**
+ * JSON comparison that ignores key order
+ */
+function sameValue(a, b) {
+    const normalize = (value) => {
+        if (Array.isArray(value)) return value.map(normalize);
+        if (value && typeof value === "object") {
+            return Object.keys(value).sort().reduce((out, key) => {
+                out[key] = normalize(value[key]);
+                return out;
+            }, {});
+        }
+        return value;
+    };
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Human-readable list of param differences, e.g. ["speed: 1 → 2", "-oldName"]
+ */
+function diffParams(before = {}, after = {}) {
+    const changes = [];
+    for (const key of Object.keys(after)) {
+        if (!(key in before)) changes.push(`+${key}`);
+        else if (!sameValue(before[key], after[key])) changes.push(`${key}: ${JSON.stringify(before[key])} → ${JSON.stringify(after[key])}`);
+    }
+    for (const key of Object.keys(before)) {
+        if (!(key in after)) changes.push(`-${key}`);
+    }
+    return changes;
+}
+
+/**
+ * Work out what has to change so the space matches the manifest
+ * @param {object} manifest - From loadManifest()
+ * @param {object[]} entities - All entities of the space
+ * @param {Map<string, boolean>} codeChanged - entity_id → whether the deployed code differs from the local file
+ * @returns {Array<{action: 'create'|'update'|'unchanged'|'delete', entry?: object, entity?: object, changes: string[]}>}
+ */
+function planSync(manifest, entities, codeChanged) {
+    const plugins = entities.filter(isPluginEntity);
+    const byId = new Map(plugins.map((e) => [e.entity_id, e]));
+    const claimed = new Set();
+    const plan = [];
+
+    // Pinned entries first so they can't be claimed by file name
+    const matches = new Map();
+    for (const entry of manifest.plugins) {
+        if (entry.entity === undefined) continue;
+        const entity = byId.get(entry.entity);
+        if (!entity) {
+            throw new Error(`Entity ${entry.entity} (${entry.name}) is not a plugin entity in this space`);
+        }
+        matches.set(entry, entity);
+        claimed.add(entity.entity_id);
+    }
+    for (const entry of manifest.plugins) {
+        if (entry.entity !== undefined) continue;
+        const entity = plugins.find((e) => !claimed.has(e.entity_id) && pluginFileName(e) === entry.name);
+        if (entity) {
+            matches.set(entry, entity);
+            claimed.add(entity.entity_id);
+        }
+    }
+
+    for (const entry of manifest.plugins) {
+        const entity = matches.get(entry);
+        if (!entity) {
+            plan.push({ action: "create", entry, changes: [] });
+            continue;
+        }
+
+        const data = entity.entity_data || {};
+        const changes = [];
+        if (codeChanged.get(entity.entity_id)) changes.push("code");
+        if (entry.params !== undefined) {
+            const paramChanges = diffParams(data.params, entry.params);
+            if (paramChanges.length) changes.push(`params (${paramChanges.join(", ")})`);
+        }
+        for (const key of TRANSFORM_KEYS) {
+            if (entry[key] !== undefined && !sameValue(data[key], entry[key])) changes.push(key);
+        }
+        plan.push({ action: changes.length ? "update" : "unchanged", entry, entity, changes });
+    }
+
+    for (const entity of plugins) {
+        if (!claimed.has(entity.entity_id)) plan.push({ action: "delete", entity, changes: [] });
+    }
+    return plan;
+}
+
+/**
+ * entity_data for an entry: the existing data with the manifest's params and
+ * transforms applied
+ */
+function entityDataFor(entry, existing = {}) {
+    const data = { ...existing };
+    if (entry.params !== undefined) data.params = entry.params;
+    for (const key of TRANSFORM_KEYS) {
+        if (entry[key] !== undefined) data[key] = entry[key];
+    }
+    return data;
+}
+
+module.exports = {
+    TRANSFORM_KEYS,
+    isPluginEntity,
+    pluginFileName,
+    loadManifest,
+    sameValue,
+    diffParams,
+    planSync,
+    entityDataFor,
+};
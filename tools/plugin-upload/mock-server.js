@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+
+/**
+ * Local Mock of the Arrival.Space REST API
+ *
+ * Offline stand-in for user.arrival.space, covering what plugin-upload uses:
+ *
+ *   POST /register                        OAuth dynamic client registration
+ *   GET  /authorize                       Approves at once, redirects back with a code
+ *   POST /token                           PKCE (S256) code exchange → API key
+ *   GET  /api/v1/files                    Key check used by `init --key`
+ *   POST /api/v1/files/upload             Presigned upload URL (points back here)
+ *   PUT  /s3/<id>/<file>                  Stores the bytes
+ *   POST /api/v1/files/upload-complete    resource_key, or a job with --processing
+ *   GET  /api/v1/jobs/<id>                Job progress / result
+ *   GET  /files/<resource_key>            Serves uploaded files (glbUrl)
+ *   GET  /api/v1/spaces/<id>/entities     limit + cursor pagination
+ *   POST /api/v1/spaces/<id>/entities     Upsert (entity_id, resource_key, entity_data)
+ *   DELETE /api/v1/spaces/<id>/entities/<entityId>
+ *
+ * State (clients, keys, files, jobs, entities) lives in --data, so it
+ * survives restarts; delete the directory to start over.
+ *
+ * Usage:
+ *   node mock-server.js [--port 8787] [--data .mock-data] [--key test-key] [--processing 3000]
+ *   node index.js init --profile mock --server http://localhost:8787 --key test-key
+ *   node index.js upload plugin.mjs --profile mock --space 12345678_1234
+ */
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const { program } = require("commander");
+
+// ── State ───────────────────────────────────────────────────────────────────
+
+function createStore(dataDir) {
+    const stateFile = path.join(dataDir, "state.json");
+    const filesDir = path.join(dataDir, "files");
+    fs.mkdirSync(filesDir, { recursive: true });
+
+    let state;
+    try {
+        state = JSON.parse(fs.readFileSync(stateFile, "utf-8"));
+    } catch {
+        state = { clients: {}, codes: {}, keys: {}, uploads: {}, files: {}, jobs: {}, spaces: {} };
+    }
+
+    return {
+        state,
+        save() {
+            fs.writeFileSync(stateFile, JSON.stringify(state, null, 2) + "\n");
+        },
+        filePath(resourceKey) {
+            return path.join(filesDir, ...resourceKey.split("/"));
+        },
+    };
+}
+
+// ── HTTP helpers ────────────────────────────────────────────────────────────
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message) {
+    sendJson(res, status, { status: "error", message });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => resolve(Buffer.concat(chunks)));
+        req.on("error", reject);
+    });
+}
+
+function parseJson(buffer) {
+    try {
+        return JSON.parse(buffer.toString("utf-8") || "{}");
+    } catch {
+        return null;
+    }
+}
+
+function newId(bytes = 8) {
+    return crypto.randomBytes(bytes).toString("hex");
+}
+
+// ── Server ──────────────────────────────────────────────────────────────────
+
+function createMockServer({ port, dataDir, keys = [], processingMs = 0, quiet = false }) {
+    const store = createStore(dataDir);
+    const { state } = store;
+    const base = `http://localhost:${port}`;
+    for (const key of keys) state.keys[key] = { createdAt: new Date().toISOString() };
+
+    const log = (msg) => {
+        if (!quiet) console.log(msg);
+    };
+
+    const authorized = (req) => {
+        const match = (req.headers.authorization || "").match(/^Bearer (.+)$/);
+        return Boolean(match && state.keys[match[1]]);
+    };
+
+    const entityPage = (spaceId, url) => {
+        const entities = state.spaces[spaceId] || [];
+        const limit = Math.max(1, Math.min(Number(url.searchParams.get("limit")) || 100, 200));
+        const start = Number(url.searchParams.get("cursor")) || 0;
+        const page = entities.slice(start, start + limit);
+        const hasMore = start + limit < entities.length;
+        return { entities: page, hasMore, nextCursor: hasMore ? String(start + limit) : null };
+    };
+
+    const upsertEntity = (spaceId, body) => {
+        const entities = (state.spaces[spaceId] = state.spaces[spaceId] || []);
+        let entity = body.entity_id ? entities.find((e) => e.entity_id === body.entity_id) : null;
+        if (body.entity_id && !entity) return null;
+        if (!entity) {
+            entity = { entity_id: newId(4), entity_type: "UserModelEntity", entity_data: {} };
+            entities.push(entity);
+        }
+        entity.entity_data = { ...(body.entity_data || entity.entity_data) };
+        if (body.resource_key) {
+            entity.entity_data.glbUrl = `${base}/files/${body.resource_key}`;
+        }
+        entity.updated_at = new Date().toISOString();
+        return entity;
+    };
+
+    const jobStatus = (job) => {
+        const progress = Math.min(100, Math.round(((Date.now() - job.startedAt) / processingMs) * 100));
+        if (progress < 100) return { job_id: job.id, job_status: "processing", progress };
+        return { job_id: job.id, job_status: "completed", progress: 100, result: job.result };
+    };
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, base);
+        const body = await readBody(req);
+        const route = `${req.method} ${url.pathname}`;
+        log(`${req.method} ${url.pathname}`);
+
+        // ── OAuth ───────────────────────────────────────────────────────
+        if (route === "POST /register") {
+            const info = parseJson(body);
+            if (!info || !Array.isArray(info.redirect_uris)) return sendError(res, 400, "redirect_uris is required");
+            const clientId = newId();
+            state.clients[clientId] = { name: info.client_name, redirectUris: info.redirect_uris };
+            store.save();
+            return sendJson(res, 201, { client_id: clientId, ...info });
+        }
+        if (route === "GET /authorize") {
+            const q = Object.fromEntries(url.searchParams);
+            const client = state.clients[q.client_id];
+            if (!client) return sendError(res, 400, "Unknown client_id");
+            if (!client.redirectUris.includes(q.redirect_uri)) return sendError(res, 400, "redirect_uri not registered");
+            if (q.code_challenge_method !== "S256" || !q.code_challenge) return sendError(res, 400, "PKCE S256 required");
+            const code = newId();
+            state.codes[code] = { clientId: q.client_id, redirectUri: q.redirect_uri, challenge: q.code_challenge };
+            store.save();
+            const target = new URL(q.redirect_uri);
+            target.searchParams.set("code", code);
+            if (q.state) target.searchParams.set("state", q.state);
+            res.writeHead(302, { Location: target.toString() });
+            return res.end();
+        }
+        if (route === "POST /token") {
+            const form = Object.fromEntries(new URLSearchParams(body.toString("utf-8")));
+            const grant = state.codes[form.code];
+            delete state.codes[form.code];
+            const challenge = crypto.createHash("sha256").update(form.code_verifier || "").digest("base64url");
+            if (!grant || grant.clientId !== form.client_id || grant.redirectUri !== form.redirect_uri || grant.challenge !== challenge) {
+                store.save();
+                return sendJson(res, 400, { error: "invalid_grant" });
+            }
+            const apiKey = `mock_${newId(16)}`;
+            state.keys[apiKey] = { clientId: form.client_id, createdAt: new Date().toISOString() };
+            store.save();
+            return sendJson(res, 200, { access_token: apiKey, token_type: "Bearer" });
+        }
+
+        // ── Storage (stands in for S3 and the CDN) ──────────────────────
+        let match = url.pathname.match(/^\/s3\/([^/]+)\/([^/]+)$/);
+        if (match && req.method === "PUT") {
+            const upload = state.uploads[match[1]];
+            if (!upload || url.searchParams.get("signature") !== upload.signature) {
+                res.writeHead(403, { "Content-Type": "application/xml" });
+                return res.end("<Error><Code>AccessDenied</Code></Error>");
+            }
+            const resourceKey = `${match[1]}/${match[2]}`;
+            fs.mkdirSync(path.dirname(store.filePath(resourceKey)), { recursive: true });
+            fs.writeFileSync(store.filePath(resourceKey), body);
+            upload.size = body.length;
+            store.save();
+            res.writeHead(200);
+            return res.end();
+        }
+        if (req.method === "GET" && url.pathname.startsWith("/files/")) {
+            const resourceKey = decodeURIComponent(url.pathname.slice("/files/".length));
+            const file = state.files[resourceKey];
+            if (!file) return sendError(res, 404, "File not found");
+            res.writeHead(200, { "Content-Type": file.contentType, "Access-Control-Allow-Origin": "*" });
+            return res.end(fs.readFileSync(store.filePath(resourceKey)));
+        }
+
+        // ── API ─────────────────────────────────────────────────────────
+        if (!url.pathname.startsWith("/api/v1/")) return sendError(res, 404, "Not found");
+        if (!authorized(req)) return sendError(res, 401, "Invalid or expired API key");
+
+        if (route === "GET /api/v1/files") {
+            return sendJson(res, 200, { status: "success", data: { files: Object.keys(state.files) } });
+        }
+        if (route === "POST /api/v1/files/upload") {
+            const info = parseJson(body);
+            if (!info || !info.file_name) return sendError(res, 400, "file_name is required");
+            const id = newId();
+            const signature = newId();
+            state.uploads[id] = { fileName: path.basename(info.file_name), contentType: info.content_type || "application/octet-stream", signature };
+            store.save();
+            const uploadUrl = `${base}/s3/${id}/${encodeURIComponent(path.basename(info.file_name))}?signature=${signature}`;
+            return sendJson(res, 200, {
+                status: "success",
+                data: { params: { url: uploadUrl, method: "PUT", headers: { "Content-Type": state.uploads[id].contentType } } },
+            });
+        }
+        if (route === "POST /api/v1/files/upload-complete") {
+            const info = parseJson(body);
+            match = (info?.extra_info?.file_url || "").match(/\/s3\/([^/]+)\/([^/?]+)$/);
+            const upload = match && state.uploads[match[1]];
+            if (!upload || upload.size === undefined) return sendError(res, 400, "No finished upload at file_url");
+            const resourceKey = `${match[1]}/${match[2]}`;
+            state.files[resourceKey] = { contentType: upload.contentType, size: upload.size };
+            delete state.uploads[match[1]];
+            const result = { resource_key: resourceKey, url: `${base}/files/${resourceKey}` };
+
+            if (processingMs > 0) {
+                const job = { id: newId(), startedAt: Date.now(), result };
+                state.jobs[job.id] = job;
+                store.save();
+                return sendJson(res, 200, { status: "processing", data: { job_id: job.id, poll_url: `/api/v1/jobs/${job.id}` } });
+            }
+            store.save();
+            return sendJson(res, 200, { status: "success", data: result });
+        }
+        match = url.pathname.match(/^\/api\/v1\/jobs\/([^/]+)$/);
+        if (match && req.method === "GET") {
+            const job = state.jobs[match[1]];
+            if (!job) return sendError(res, 404, "Job not found");
+            return sendJson(res, 200, { status: "success", data: jobStatus(job) });
+        }
+        match = url.pathname.match(/^\/api\/v1\/spaces\/([^/]+)\/entities(?:\/([^/]+))?$/);
+        if (match && req.method === "GET" && !match[2]) {
+            return sendJson(res, 200, { status: "success", data: entityPage(match[1], url) });
+        }
+        if (match && req.method === "POST" && !match[2]) {
+            const info = parseJson(body);
+            if (!info) return sendError(res, 400, "Invalid JSON body");
+            if (info.resource_key && !state.files[info.resource_key]) return sendError(res, 400, `Unknown resource_key: ${info.resource_key}`);
+            const entity = upsertEntity(match[1], info);
+            if (!entity) return sendError(res, 404, `Entity not found: ${info.entity_id}`);
+            store.save();
+            return sendJson(res, 200, { status: "success", data: entity });
+        }
+        if (match && req.method === "DELETE" && match[2]) {
+            const entities = state.spaces[match[1]] || [];
+            const index = entities.findIndex((e) => e.entity_id === match[2]);
+            if (index === -1) return sendError(res, 404, `Entity not found: ${match[2]}`);
+            entities.splice(index, 1);
+            store.save();
+            return sendJson(res, 200, { status: "success", data: { entity_id: match[2] } });
+        }
+
+        return sendError(res, 404, `No route for ${route}`);
+    };
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch((e) => sendError(res, 500, e.message));
+    });
+}
+
+// ── CLI ─────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+    program
+        .name("mock-server")
+        .description("Local mock of the Arrival.Space REST API for offline plugin-upload testing")
+        .option("-p, --port <port>", "Port to listen on", "8787")
+        .option("--data <dir>", "Directory for uploaded files and state", ".mock-data")
+        .option("--key <apiKey...>", "API keys accepted without going through /token")
+        .option("--processing <ms>", "Answer upload-complete with a job that finishes after <ms>", "0")
+        .option("-q, --quiet", "Do not log requests")
+        .action((opts) => {
+            const port = Number(opts.port);
+            const dataDir = path.resolve(opts.data);
+            const server = createMockServer({
+                port,
+                dataDir,
+                keys: opts.key || [],
+                processingMs: Number(opts.processing),
+                quiet: opts.quiet,
+            });
+            server.listen(port, "127.0.0.1", () => {
+                console.log(`Mock Arrival API on http://localhost:${port} (data: ${dataDir})`);
+            });
+        });
+    program.parse();
+}
+
+module.exports = { createMockServer };
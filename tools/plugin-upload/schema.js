@@ -0,0 +1,249 @@
+/**
+ * Plugin Param Schema
+ *
+ * Reads the editable params of a plugin from its source: public class fields
+ * with a literal default (optionally wrapped in attribute()), plus the keys of
+ * `static properties` with their min / max / options hints. Used to check
+ * param values before they are written to a space.
+ *
+ * Types follow the editor (docs/properties.md):
+ *   number, boolean, string, color ("#rgb", "#rrggbb", "#rrggbbaa"),
+ *   vec3 ({ x, y, z }), any (declared in static properties, default not a literal)
+ */
+
+const acorn = require("acorn");
+
+const RESERVED_NAMES = ["enabled", "app", "entity"];
+const COLOR_RE = /^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/**
+ * Value of a literal expression (numbers, strings, booleans, null, arrays,
+ * plain objects). Returns undefined for anything that needs evaluation.
+ */
+function literalValue(node) {
+    if (!node) return undefined;
+    switch (node.type) {
+        case "Literal":
+            return node.regex ? undefined : node.value;
+        case "TemplateLiteral":
+            return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+        case "UnaryExpression": {
+            const value = literalValue(node.argument);
+            if (typeof value !== "number") return undefined;
+            return node.operator === "-" ? -value : node.operator === "+" ? value : undefined;
+        }
+        case "ArrayExpression": {
+            const items = node.elements.map(literalValue);
+            return items.includes(undefined) ? undefined : items;
+        }
+        case "ObjectExpression": {
+            const out = {};
+            for (const prop of node.properties) {
+                if (prop.type !== "Property" || prop.computed || prop.kind !== "init") return undefined;
+                const key = prop.key.type === "Identifier" ? prop.key.name : String(prop.key.value);
+                const value = literalValue(prop.value);
+                if (value === undefined) return undefined;
+                out[key] = value;
+            }
+            return out;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Editor type of a default value, or null if it is not an editable type
+ */
+function typeOf(value) {
+    if (typeof value === "number") return "number";
+    if (typeof value === "boolean") return "boolean";
+    if (typeof value === "string") return COLOR_RE.test(value) ? "color" : "string";
+    if (value && typeof value === "object" && !Array.isArray(value) &&
+        ["x", "y", "z"].every((axis) => typeof value[axis] === "number")) {
+        return "vec3";
+    }
+    return null;
+}
+
+/**
+ * The exported class that extends ArrivalScript
+ */
+function findPluginClass(ast) {
+    const classes = new Map();
+    for (const node of ast.body) {
+        if (node.type === "ClassDeclaration" && node.id) classes.set(node.id.name, node);
+    }
+    const isPlugin = (cls) => cls?.superClass?.type === "Identifier" && cls.superClass.name === "ArrivalScript";
+
+    for (const node of ast.body) {
+        if (node.type === "ExportNamedDeclaration" && isPlugin(node.declaration)) return node.declaration;
+        if (node.type === "ExportNamedDeclaration" && !node.source) {
+            const cls = node.specifiers.map((spec) => classes.get(spec.local.name)).find(isPlugin);
+            if (cls) return cls;
+        }
+        if (node.type === "ExportDefaultDeclaration") {
+            const decl = node.declaration;
+            const cls = decl.type === "Identifier" ? classes.get(decl.name) : decl;
+            if (isPlugin(cls)) return cls;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse plugin source into its param schema
+ * @param {string} code - Plugin ES module source
+ * @returns {{scriptName: string|null, params: Object<string, {type: string, default?: any, min?: number, max?: number, options?: any[]}>}}
+ */
+function parseSchema(code) {
+    let ast;
+    try {
+        ast = acorn.parse(code, { ecmaVersion: "latest", sourceType: "module" });
+    } catch (e) {
+        throw new Error(`Cannot parse plugin source: ${e.message}`);
+    }
+    const cls = findPluginClass(ast);
+    if (!cls) {
+        throw new Error("No exported class extends ArrivalScript");
+    }
+
+    const params = {};
+    let scriptName = null;
+    let hints = {};
+
+    for (const member of cls.body.body) {
+        if (member.type !== "PropertyDefinition" || member.computed || member.key.type !== "Identifier") continue;
+        const name = member.key.name;
+
+        if (member.static) {
+            if (name === "scriptName") scriptName = literalValue(member.value) ?? null;
+            if (name === "properties") hints = literalValue(member.value) || {};
+            continue;
+        }
+        if (name.startsWith("_") || RESERVED_NAMES.includes(name)) continue;
+
+        // attribute(default, { sync, onChange }) - the first argument is the default
+        let init = member.value;
+        if (init?.type === "CallExpression" && init.callee.type === "Identifier" && init.callee.name === "attribute") {
+            init = init.arguments[0];
+        }
+        const value = literalValue(init);
+        const type = typeOf(value);
+        if (type) params[name] = { type, default: value };
+    }
+
+    for (const [name, hint] of Object.entries(hints)) {
+        if (name.startsWith("_") || RESERVED_NAMES.includes(name)) continue;
+        const param = params[name] || (params[name] = { type: "any" });
+        if (!hint || typeof hint !== "object") continue;
+        if (typeof hint.min === "number") param.min = hint.min;
+        if (typeof hint.max === "number") param.max = hint.max;
+        if (Array.isArray(hint.options)) {
+            param.options = hint.options.map((option) => (option && typeof option === "object" ? option.value : option));
+        }
+    }
+
+    return { scriptName, params };
+}
+
+/**
+ * Check a typed value against a param. Returns an error message or null.
+ */
+function checkValue(param, value) {
+    switch (param.type) {
+        case "number":
+            if (typeof value !== "number" || !Number.isFinite(value)) return `expected a number, got ${JSON.stringify(value)}`;
+            if (param.min !== undefined && value < param.min) return `${value} is below the minimum ${param.min}`;
+            if (param.max !== undefined && value > param.max) return `${value} is above the maximum ${param.max}`;
+            break;
+        case "boolean":
+            if (typeof value !== "boolean") return `expected true or false, got ${JSON.stringify(value)}`;
+            break;
+        case "color":
+            if (typeof value !== "string" || !COLOR_RE.test(value)) return `expected a hex color (#rgb, #rrggbb or #rrggbbaa), got ${JSON.stringify(value)}`;
+            break;
+        case "string":
+            if (typeof value !== "string") return `expected a string, got ${JSON.stringify(value)}`;
+            break;
+        case "vec3":
+            if (typeOf(value) !== "vec3") return `expected { "x", "y", "z" } numbers, got ${JSON.stringify(value)}`;
+            for (const axis of ["x", "y", "z"]) {
+                if (param.min !== undefined && value[axis] < param.min) return `${axis} ${value[axis]} is below the minimum ${param.min}`;
+                if (param.max !== undefined && value[axis] > param.max) return `${axis} ${value[axis]} is above the maximum ${param.max}`;
+            }
+            break;
+    }
+    if (param.options && !param.options.includes(value)) {
+        return `${JSON.stringify(value)} is not one of ${param.options.map((o) => JSON.stringify(o)).join(", ")}`;
+    }
+    return null;
+}
+
+/**
+ * Convert a command-line value to the param's type
+ *   number "1.5", boolean "true", color "#ff0000", vec3 "1,2,3" or JSON,
+ *   string as-is, any as JSON when it parses, otherwise as a string
+ */
+function parseValue(param, raw) {
+    switch (param.type) {
+        case "number": {
+            const value = Number(raw);
+            return raw.trim() !== "" && Number.isFinite(value) ? value : raw;
+        }
+        case "boolean":
+            return raw === "true" ? true : raw === "false" ? false : raw;
+        case "vec3": {
+            if (raw.trim().startsWith("{")) {
+                try {
+                    return JSON.parse(raw);
+                } catch {
+                    return raw;
+                }
+            }
+            const parts = raw.split(",").map((part) => (part.trim() === "" ? NaN : Number(part)));
+            return parts.length === 3 && parts.every(Number.isFinite) ? { x: parts[0], y: parts[1], z: parts[2] } : raw;
+        }
+        case "any":
+            try {
+                return JSON.parse(raw);
+            } catch {
+                return raw;
+            }
+        default:
+            return raw;
+    }
+}
+
+/**
+ * Validate a set of param values against a schema
+ * @param {object} schema - From parseSchema()
+ * @param {Object<string, any>} values - Typed values
+ * @returns {string[]} One message per problem
+ */
+function validateParams(schema, values) {
+    const errors = [];
+    const known = Object.keys(schema.params);
+    for (const [name, value] of Object.entries(values)) {
+        if (RESERVED_NAMES.includes(name)) {
+            errors.push(`${name}: reserved name, cannot be a plugin param`);
+            continue;
+        }
+        const param = schema.params[name];
+        if (!param) {
+            errors.push(`${name}: not a param of ${schema.scriptName || "this plugin"} (known: ${known.join(", ") || "none"})`);
+            continue;
+        }
+        const problem = checkValue(param, value);
+        if (problem) errors.push(`${name}: ${problem}`);
+    }
+    return errors;
+}
+
+module.exports = {
+    RESERVED_NAMES,
+    parseSchema,
+    parseValue,
+    checkValue,
+    validateParams,
+};
@@ -0,0 +1,428 @@
+/**
+ * Plugin Bundler
+ *
+ * Inlines local (relative) imports of an ESM plugin so it can be deployed as a
+ * single module. Shared by arrival-cli and plugin-upload.
+ *
+ * Each imported file is wrapped in a function scope and exposed as a module
+ * object with live getters for its exports, including those it re-exports with
+ * `export *` (all but `default`, as in ES modules). Default and named imports
+ * become `const` copies of those exports, so they are only live for bindings
+ * that never change: importing an `export let` / `export var` by name is an
+ * error, import the module as a namespace (`import * as ns`) to read it. The
+ * entry file is left
+ * as-is apart from its relative import lines, so the exported ArrivalScript
+ * class and its `static scriptName` stay intact and hot-reload matching keeps
+ * working.
+ *
+ * Supported syntax:
+ *   import x from './a.mjs'            export const / let / var name = ...
+ *   import { a, b as c } from './a.mjs'  export function / class name
+ *   import * as ns from './a.mjs'      export default ...
+ *   import './a.mjs'                   export { a, b as c }
+ *   export { a } from './a.mjs'        export * from './a.mjs'
+ *
+ * Non-relative imports (URLs, bare specifiers) are left for the browser to
+ * resolve; those found in helper files are hoisted to the top of the bundle,
+ * minus the bindings the entry or another helper already imports.
+ *
+ * Import and export statements are found with regular expressions, skipping
+ * comments, strings and template literals so that code examples in them are
+ * left alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Import/re-export declarations at the start of a line. The clause only allows
+// identifier characters, braces, commas and '*', so code between two
+// statements can never be swallowed into a match.
+const IMPORT_RE = /^[ \t]*import\s+(?:([\w$*\s{},]+?)\s+from\s+)?(['"])([^'"]+)\2[ \t]*;?/gm;
+const REEXPORT_RE = /^[ \t]*export\s+(\*|\{[\w$\s,]*\})\s+from\s+(['"])([^'"]+)\2[ \t]*;?/gm;
+const EXPORT_LIST_RE = /^[ \t]*export\s+\{([\w$\s,]*)\}[ \t]*;?/gm;
+const EXPORT_DEFAULT_NAMED_RE = /^([ \t]*)export\s+default\s+((?:async\s+)?function\s*\*?\s*|class\s+)([\w$]+)/gm;
+const EXPORT_DEFAULT_RE = /^([ \t]*)export\s+default\s+/gm;
+const EXPORT_DECL_RE = /^([ \t]*)export\s+((?:async\s+)?function\s*\*?\s*|class\s+|(?:const|let|var)\s+)([\w$]+)?/gm;
+
+const EXTENSIONS = ['', '.mjs', '.js', '/index.mjs', '/index.js'];
+
+/**
+ * Whether a specifier points at a local file
+ */
+function isRelative(specifier) {
+    return specifier.startsWith('./') || specifier.startsWith('../');
+}
+
+/**
+ * Resolve a relative specifier against the importing file
+ */
+function resolveImport(specifier, fromFile) {
+    const base = path.resolve(path.dirname(fromFile), specifier);
+    for (const ext of EXTENSIONS) {
+        const candidate = base + ext;
+        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+            return candidate;
+        }
+    }
+    throw new Error(`Cannot resolve '${specifier}' from ${fromFile}`);
+}
+
+/**
+ * Ranges [start, end) of comments, string, template and regex literals, in
+ * source order. Template literals are skipped whole, `${}` parts included.
+ */
+function skippedRanges(code) {
+    const ranges = [];
+    let i = 0;
+
+    // A '/' starts a regex literal unless it follows a value
+    const regexAllowed = (pos) => {
+        let j = pos - 1;
+        while (j >= 0 && /\s/.test(code[j])) j--;
+        if (j < 0) return true;
+        if (/[(,=:[!&|?{};+\-*%<>~^]/.test(code[j])) return true;
+        let k = j;
+        while (k >= 0 && /[\w$]/.test(code[k])) k--;
+        return /^(?:return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)$/.test(code.slice(k + 1, j + 1));
+    };
+
+    const skipQuoted = (quote) => {
+        i++;
+        while (i < code.length && code[i] !== quote && code[i] !== '\n') i += code[i] === '\\' ? 2 : 1;
+        i++;
+    };
+
+    const skipRegex = () => {
+        let inClass = false;
+        i++;
+        while (i < code.length && code[i] !== '\n') {
+            const ch = code[i];
+            if (ch === '\\') i++;
+            else if (ch === '[') inClass = true;
+            else if (ch === ']') inClass = false;
+            else if (ch === '/' && !inClass) break;
+            i++;
+        }
+        i++;
+    };
+
+    // Scan code until an unmatched '}' (the end of a template `${}`) or the end
+    const scanCode = (nested) => {
+        let depth = 0;
+        while (i < code.length) {
+            const ch = code[i];
+            const start = i;
+            if (ch === '/' && code[i + 1] === '/') {
+                while (i < code.length && code[i] !== '\n') i++;
+            } else if (ch === '/' && code[i + 1] === '*') {
+                const end = code.indexOf('*/', i + 2);
+                i = end === -1 ? code.length : end + 2;
+            } else if (ch === '\'' || ch === '"') {
+                skipQuoted(ch);
+            } else if (ch === '`') {
+                skipTemplate();
+            } else if (ch === '/' && regexAllowed(i)) {
+                skipRegex();
+            } else {
+                if (ch === '{') depth++;
+                if (ch === '}' && depth-- === 0 && nested) return;
+                i++;
+                continue;
+            }
+            if (!nested) ranges.push([start, Math.min(i, code.length)]);
+        }
+    };
+
+    const skipTemplate = () => {
+        i++;
+        while (i < code.length && code[i] !== '`') {
+            if (code[i] === '\\') {
+                i += 2;
+            } else if (code[i] === '$' && code[i + 1] === '{') {
+                i += 2;
+                scanCode(true);
+                i++;
+            } else {
+                i++;
+            }
+        }
+        i++;
+    };
+
+    scanCode(false);
+    return ranges;
+}
+
+/**
+ * String.replace() for statement patterns, leaving matches that start inside
+ * a comment or literal untouched
+ */
+function replaceStatements(code, re, replacer) {
+    const ranges = skippedRanges(code);
+    return code.replace(re, (statement, ...args) => {
+        const offset = args[args.length - 2] + statement.search(/\S/);
+        const skipped = ranges.some(([start, end]) => offset >= start && offset < end);
+        return skipped ? statement : replacer(statement, ...args);
+    });
+}
+
+/**
+ * Parse "a, b as c" into [{ imported: 'a', local: 'a' }, { imported: 'b', local: 'c' }]
+ */
+function parseSpecifierList(list) {
+    return list.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const [imported, local] = part.split(/\s+as\s+/);
+        return { imported, local: local || imported };
+    });
+}
+
+/**
+ * Bindings of an import clause: "x, { a, b as c }" ->
+ * [{ imported: 'default', local: 'x' }, { imported: 'a', local: 'a' }, { imported: 'b', local: 'c' }].
+ * A namespace import has imported '*'.
+ */
+function parseImportClause(clause) {
+    if (!clause) return [];
+    const bindings = [];
+    let rest = clause.trim();
+
+    // Default import comes first: "x", "x, { a }", "x, * as ns"
+    const defaultMatch = rest.match(/^([\w$]+)\s*(?:,|$)/);
+    if (defaultMatch) {
+        bindings.push({ imported: 'default', local: defaultMatch[1] });
+        rest = rest.slice(defaultMatch[0].length).trim();
+    }
+
+    const nsMatch = rest.match(/^\*\s+as\s+([\w$]+)$/);
+    const namedMatch = rest.match(/^\{([\s\S]*)\}$/);
+    if (nsMatch) {
+        bindings.push({ imported: '*', local: nsMatch[1] });
+    } else if (namedMatch) {
+        bindings.push(...parseSpecifierList(namedMatch[1]));
+    } else if (rest) {
+        throw new Error(`Unsupported import clause: ${clause}`);
+    }
+    return bindings;
+}
+
+/**
+ * Whether code declares a name with `let` or `var`
+ */
+function declaresMutable(code, name) {
+    const id = name.replace(/\$/g, '\\$');
+    return new RegExp(`(?:^|[^\\w$.])(?:let|var)\\s+${id}(?![\\w$])`).test(code);
+}
+
+/**
+ * Turn an import clause into `const` bindings on a module. Those copy the
+ * exports once, so a `let` / `var` export can only be imported as a namespace.
+ */
+function importBindings(clause, mod, specifier) {
+    const lines = [];
+    const names = [];
+    for (const { imported, local } of parseImportClause(clause)) {
+        if (mod.mutable.has(imported)) {
+            throw new Error(`'${imported}' is a let/var export of '${specifier}' - ` +
+                `import it with 'import * as' so that changes to it are seen`);
+        }
+        if (imported === 'default') lines.push(`const ${local} = ${mod.name}.default;`);
+        else if (imported === '*') lines.push(`const ${local} = ${mod.name};`);
+        else names.push(imported === local ? local : `${imported}: ${local}`);
+    }
+    if (names.length) lines.push(`const { ${names.join(', ')} } = ${mod.name};`);
+    return lines.join(' ');
+}
+
+/**
+ * Import statements for the non-relative imports of helper files, without
+ * the bindings the entry declares itself. Bindings are merged per specifier;
+ * one local name imported from two places is an error.
+ *
+ * @param {Array<{ clause: string, specifier: string }>} imports - Hoisted imports, in order
+ * @param {Array<{ clause: string, specifier: string }>} entryImports - Non-relative imports of the entry
+ * @returns {string[]} Statements
+ */
+function hoistedStatements(imports, entryImports) {
+    const bound = new Map();        // local name -> "specifier imported"
+    const entrySpecifiers = new Set(entryImports.map(i => i.specifier));
+    for (const { clause, specifier } of entryImports) {
+        for (const b of parseImportClause(clause)) bound.set(b.local, `${specifier} ${b.imported}`);
+    }
+
+    const bySpecifier = new Map();  // specifier -> new bindings
+    for (const { clause, specifier } of imports) {
+        if (!bySpecifier.has(specifier)) bySpecifier.set(specifier, []);
+        for (const b of parseImportClause(clause)) {
+            const source = `${specifier} ${b.imported}`;
+            if (!bound.has(b.local)) {
+                bound.set(b.local, source);
+                bySpecifier.get(specifier).push(b);
+            } else if (bound.get(b.local) !== source) {
+                throw new Error(`'${b.local}' is imported from both '${bound.get(b.local).split(' ')[0]}' and '${specifier}'`);
+            }
+        }
+    }
+
+    const statements = [];
+    for (const [specifier, bindings] of bySpecifier) {
+        const from = JSON.stringify(specifier);
+        const named = [];
+        for (const { imported, local } of bindings) {
+            if (imported === 'default') statements.push(`import ${local} from ${from};`);
+            else if (imported === '*') statements.push(`import * as ${local} from ${from};`);
+            else named.push(imported === local ? local : `${imported} as ${local}`);
+        }
+        if (named.length) statements.push(`import { ${named.join(', ')} } from ${from};`);
+        // Side-effect import: keep it once unless the entry loads the module already
+        if (!bindings.length && !entrySpecifiers.has(specifier)) {
+            entrySpecifiers.add(specifier);
+            statements.push(`import ${from};`);
+        }
+    }
+    return statements;
+}
+
+/**
+ * Bundle a plugin entry file and its local imports into one ESM string.
+ *
+ * @param {string} entryPath - Path to the plugin entry (.mjs)
+ * @returns {{ code: string, files: string[] }} Bundled code and every local
+ *   file that went into it (entry first)
+ */
+function bundlePlugin(entryPath) {
+    const entry = path.resolve(entryPath);
+    const modules = new Map();      // file -> { name, exports, mutable, code }
+    const order = [];               // dependency files in evaluation order
+    const hoisted = [];             // non-relative imports found in dependencies
+    const entryImports = [];        // non-relative imports of the entry
+    const visiting = [];
+    let moduleCount = 0;
+
+    /**
+     * Replace the relative imports of a file with bindings to module variables.
+     * Returns the rewritten code.
+     */
+    const rewriteImports = (code, filePath, isEntry) => {
+        return replaceStatements(code, IMPORT_RE, (statement, clause, quote, specifier) => {
+            if (!isRelative(specifier)) {
+                (isEntry ? entryImports : hoisted).push({ clause, specifier });
+                return isEntry ? statement : '';
+            }
+            const dep = visit(resolveImport(specifier, filePath));
+            return importBindings(clause, dep, specifier);
+        });
+    };
+
+    /**
+     * Load a dependency module (depth first, so its own imports come before it)
+     */
+    const visit = (filePath) => {
+        if (modules.has(filePath)) return modules.get(filePath);
+        if (visiting.includes(filePath)) {
+            const cycle = visiting.slice(visiting.indexOf(filePath)).concat(filePath);
+            throw new Error(`Circular import: ${cycle.map(f => path.basename(f)).join(' -> ')}`);
+        }
+        if (filePath === entry) {
+            throw new Error(`Helper modules cannot import the plugin entry (${path.basename(entry)})`);
+        }
+
+        visiting.push(filePath);
+        const name = `__module${moduleCount++}_${path.basename(filePath).replace(/\W+/g, '_')}`;
+        const exportsMap = new Map();   // exported name -> expression
+        const mutable = new Set();      // exported names bound with let / var
+        const starDeps = [];            // modules re-exported with `export *`
+        let code = fs.readFileSync(filePath, 'utf-8');
+
+        code = replaceStatements(code, REEXPORT_RE, (statement, what, quote, specifier) => {
+            if (!isRelative(specifier)) {
+                throw new Error(`Re-exporting '${specifier}' is not supported in ${filePath}`);
+            }
+            const dep = visit(resolveImport(specifier, filePath));
+            if (what === '*') {
+                starDeps.push(dep);
+            } else {
+                for (const s of parseSpecifierList(what.slice(1, -1))) {
+                    exportsMap.set(s.local, `${dep.name}.${s.imported}`);
+                    if (dep.mutable.has(s.imported)) mutable.add(s.local);
+                }
+            }
+            return '';
+        });
+
+        code = rewriteImports(code, filePath, false);
+
+        code = replaceStatements(code, EXPORT_LIST_RE, (statement, list) => {
+            for (const s of parseSpecifierList(list)) {
+                exportsMap.set(s.local, s.imported);
+                if (declaresMutable(code, s.imported)) mutable.add(s.local);
+            }
+            return '';
+        });
+        code = replaceStatements(code, EXPORT_DEFAULT_NAMED_RE, (statement, indent, keyword, id) => {
+            exportsMap.set('default', id);
+            return `${indent}${keyword}${id}`;
+        });
+        code = replaceStatements(code, EXPORT_DEFAULT_RE, (statement, indent) => {
+            exportsMap.set('default', '__default');
+            return `${indent}const __default = `;
+        });
+        code = replaceStatements(code, EXPORT_DECL_RE, (statement, indent, keyword, id) => {
+            if (!id) {
+                throw new Error(`Destructuring exports are not supported in ${filePath}`);
+            }
+            exportsMap.set(id, id);
+            if (/^(?:let|var)\s/.test(keyword)) mutable.add(id);
+            return `${indent}${keyword}${id}`;
+        });
+
+        // `export *` adds the names this file does not export itself
+        for (const dep of starDeps) {
+            for (const exported of dep.exports) {
+                if (exported !== 'default' && !exportsMap.has(exported)) {
+                    exportsMap.set(exported, `${dep.name}.${exported}`);
+                    if (dep.mutable.has(exported)) mutable.add(exported);
+                }
+            }
+        }
+
+        // Getters keep bindings live, like real ES module exports
+        const body = [...exportsMap].map(([exported, local]) =>
+            `get ${JSON.stringify(exported)}() { return ${local}; }`).join(', ');
+
+        const mod = {
+            name,
+            exports: [...exportsMap.keys()],
+            mutable,
+            code: `// ${path.relative(path.dirname(entry), filePath)}\n` +
+                `const ${name} = (() => {\n${code.trim()}\nreturn Object.freeze({ ${body} });\n})();`,
+        };
+        visiting.pop();
+        modules.set(filePath, mod);
+        order.push(filePath);
+        return mod;
+    };
+
+    const source = fs.readFileSync(entry, 'utf-8');
+    replaceStatements(source, REEXPORT_RE, (statement, what, quote, specifier) => {
+        if (isRelative(specifier)) {
+            throw new Error(`The plugin entry cannot re-export from '${specifier}' - import what you need instead`);
+        }
+        return statement;
+    });
+    const entryCode = rewriteImports(source, entry, true);
+
+    // Nothing to inline: deploy the file exactly as written
+    if (order.length === 0) {
+        return { code: source, files: [entry] };
+    }
+
+    const parts = [];
+    const imports = hoistedStatements(hoisted, entryImports);
+    if (imports.length) parts.push(imports.join('\n'));
+    parts.push(...order.map(f => modules.get(f).code));
+    parts.push(`// ${path.basename(entry)}\n${entryCode.trim()}`);
+
+    return { code: parts.join('\n\n') + '\n', files: [entry, ...order] };
+}
+
+module.exports = { bundlePlugin };
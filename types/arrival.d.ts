@@ -10,7 +10,62 @@
 
 // PlayCanvas types (subset used by plugins)
 declare namespace pc {
+    // Constants
+    const ADDRESS_CLAMP_TO_EDGE: number;
+    const ADDRESS_REPEAT: number;
+    const FILTER_NEAREST: number;
+    const FILTER_LINEAR: number;
+    const FILTER_LINEAR_MIPMAP_LINEAR: number;
+    const PIXELFORMAT_R8_G8_B8_A8: number;
+    const PIXELFORMAT_RGBA8: number;
+    const PRIMITIVE_TRIANGLES: number;
+    const CULLFACE_NONE: number;
+    const CULLFACE_BACK: number;
+    const BLEND_NONE: number;
+    const BLEND_NORMAL: number;
+    const BLEND_ADDITIVE: number;
+    const SHADOW_PCF3: number;
+    const CURVE_LINEAR: number;
+    const CURVE_SMOOTHSTEP: number;
+    const BODYTYPE_STATIC: string;
+    const BODYTYPE_DYNAMIC: string;
+    const BODYTYPE_KINEMATIC: string;
+    const BODYSTATE_DISABLE_DEACTIVATION: number;
+    const PARTICLESORT_NONE: number;
+    const PARTICLEORIENTATION_SCREEN: number;
+    const EMITTERSHAPE_BOX: number;
+    const EMITTERSHAPE_SPHERE: number;
+    const EVENT_KEYDOWN: string;
+    const EVENT_KEYUP: string;
+    const KEY_A: number;
+    const KEY_D: number;
+    const KEY_R: number;
+    const KEY_S: number;
+    const KEY_W: number;
+    const KEY_UP: number;
+    const KEY_DOWN: number;
+    const KEY_LEFT: number;
+    const KEY_RIGHT: number;
+    const KEY_SPACE: number;
+    const KEY_ESCAPE: number;
+
+    namespace math {
+        const DEG_TO_RAD: number;
+        const RAD_TO_DEG: number;
+        function clamp(value: number, min: number, max: number): number;
+        function lerp(a: number, b: number, alpha: number): number;
+        function lerpAngle(a: number, b: number, alpha: number): number;
+    }
+
     class Vec3 {
+        static readonly ZERO: Vec3;
+        static readonly ONE: Vec3;
+        static readonly UP: Vec3;
+        static readonly DOWN: Vec3;
+        static readonly FORWARD: Vec3;
+        static readonly BACK: Vec3;
+        static readonly RIGHT: Vec3;
+        static readonly LEFT: Vec3;
         x: number;
         y: number;
         z: number;
@@ -18,14 +73,59 @@ declare namespace pc {
         set(x: number, y: number, z: number): Vec3;
         copy(src: Vec3): Vec3;
         clone(): Vec3;
+        equals(rhs: Vec3): boolean;
         add(rhs: Vec3): Vec3;
+        add2(lhs: Vec3, rhs: Vec3): Vec3;
         sub(rhs: Vec3): Vec3;
+        sub2(lhs: Vec3, rhs: Vec3): Vec3;
+        mul(rhs: Vec3): Vec3;
+        mulScalar(scalar: number): Vec3;
         scale(scalar: number): Vec3;
+        cross(lhs: Vec3, rhs: Vec3): Vec3;
+        dot(rhs: Vec3): number;
+        lerp(lhs: Vec3, rhs: Vec3, alpha: number): Vec3;
         normalize(): Vec3;
         length(): number;
+        lengthSq(): number;
         distance(rhs: Vec3): number;
     }
 
+    class Quat {
+        static readonly IDENTITY: Quat;
+        x: number;
+        y: number;
+        z: number;
+        w: number;
+        constructor(x?: number, y?: number, z?: number, w?: number);
+        set(x: number, y: number, z: number, w: number): Quat;
+        copy(src: Quat): Quat;
+        clone(): Quat;
+        setFromEulerAngles(ex: number | Vec3, ey?: number, ez?: number): Quat;
+        setFromAxisAngle(axis: Vec3, angle: number): Quat;
+        setFromMat4(m: Mat4): Quat;
+        getEulerAngles(eulers?: Vec3): Vec3;
+        transformVector(vec: Vec3, res?: Vec3): Vec3;
+        invert(): Quat;
+        normalize(): Quat;
+        mul(rhs: Quat): Quat;
+        mul2(lhs: Quat, rhs: Quat): Quat;
+        slerp(lhs: Quat, rhs: Quat, alpha: number): Quat;
+    }
+
+    class Mat4 {
+        data: Float32Array;
+        copy(src: Mat4): Mat4;
+        clone(): Mat4;
+        invert(): Mat4;
+        setIdentity(): Mat4;
+        setLookAt(position: Vec3, target: Vec3, up: Vec3): Mat4;
+        setTRS(t: Vec3, r: Quat, s: Vec3): Mat4;
+        mul2(lhs: Mat4, rhs: Mat4): Mat4;
+        getTranslation(t?: Vec3): Vec3;
+        transformPoint(vec: Vec3, res?: Vec3): Vec3;
+        transformVector(vec: Vec3, res?: Vec3): Vec3;
+    }
+
     class Color {
         r: number;
         g: number;
@@ -33,51 +133,120 @@ declare namespace pc {
         a: number;
         constructor(r?: number, g?: number, b?: number, a?: number);
         set(r: number, g: number, b: number, a?: number): Color;
+        copy(src: Color): Color;
+        clone(): Color;
+    }
+
+    class Curve {
+        constructor(keys?: number[]);
+        type: number;
+        value(time: number): number;
+    }
+
+    class CurveSet {
+        constructor(curveKeys?: number[][]);
+        type: number;
+        value(time: number, result?: number[]): number[];
     }
 
-    class Entity {
+    class GraphNode {
+        constructor(name?: string);
         name: string;
         enabled: boolean;
-        parent: Entity | null;
-        children: Entity[];
+        parent: GraphNode | null;
+        children: GraphNode[];
         tags: any;
-        
+        readonly forward: Vec3;
+        readonly right: Vec3;
+        readonly up: Vec3;
+
         // Transform
         getPosition(): Vec3;
-        setPosition(x: number, y: number, z: number): void;
+        setPosition(x: number | Vec3, y?: number, z?: number): void;
         getLocalPosition(): Vec3;
-        setLocalPosition(x: number, y: number, z: number): void;
+        setLocalPosition(x: number | Vec3, y?: number, z?: number): void;
         getEulerAngles(): Vec3;
-        setEulerAngles(x: number, y: number, z: number): void;
+        setEulerAngles(x: number | Vec3, y?: number, z?: number): void;
         getLocalEulerAngles(): Vec3;
-        setLocalEulerAngles(x: number, y: number, z: number): void;
+        setLocalEulerAngles(x: number | Vec3, y?: number, z?: number): void;
+        getRotation(): Quat;
+        setRotation(x: number | Quat, y?: number, z?: number, w?: number): void;
+        getLocalRotation(): Quat;
+        setLocalRotation(x: number | Quat, y?: number, z?: number, w?: number): void;
         getLocalScale(): Vec3;
-        setLocalScale(x: number, y: number, z: number): void;
-        
+        setLocalScale(x: number | Vec3, y?: number, z?: number): void;
+        getWorldTransform(): Mat4;
+
         // Rotation helpers
-        rotate(x: number, y: number, z: number): void;
-        rotateLocal(x: number, y: number, z: number): void;
-        lookAt(target: Vec3): void;
-        
+        rotate(x: number | Vec3, y?: number, z?: number): void;
+        rotateLocal(x: number | Vec3, y?: number, z?: number): void;
+        translate(x: number | Vec3, y?: number, z?: number): void;
+        translateLocal(x: number | Vec3, y?: number, z?: number): void;
+        lookAt(x: number | Vec3, y?: number | Vec3, z?: number, ux?: number, uy?: number, uz?: number): void;
+
         // Hierarchy
-        addChild(entity: Entity): void;
-        removeChild(entity: Entity): void;
+        addChild(node: GraphNode): void;
+        removeChild(node: GraphNode): void;
+        reparent(parent: GraphNode, index?: number): void;
+        find(attr: string | ((node: GraphNode) => boolean), value?: any): GraphNode[];
+        findOne(attr: string | ((node: GraphNode) => boolean), value?: any): GraphNode | null;
+        findByName(name: string): GraphNode | null;
+        findByTag(...tags: string[]): GraphNode[];
+        isDescendantOf(node: GraphNode): boolean;
+    }
+
+    class Entity extends GraphNode {
+        constructor(name?: string, app?: Application);
+        parent: Entity | null;
+        children: Entity[];
+
         findByName(name: string): Entity | null;
-        findByTag(tag: string): Entity[];
-        
+        findByTag(...tags: string[]): Entity[];
+        find(attr: string | ((node: Entity) => boolean), value?: any): Entity[];
+        findOne(attr: string | ((node: Entity) => boolean), value?: any): Entity | null;
+        findComponents(type: string): any[];
+
         // Components
         addComponent(type: string, data?: any): any;
         removeComponent(type: string): void;
-        
+
         // Lifecycle
+        clone(): Entity;
         destroy(): void;
-        
+        /** Set once destroy() ran (engine-internal, but widely checked) */
+        readonly _destroyed?: boolean;
+
+        /**
+         * Per-frame movement of a kinematic body, read by the player's
+         * character controller so it rides along on moving platforms.
+         * Set by the plugin that moves the entity.
+         */
+        _kinematicPosDelta?: Vec3;
+        _kinematicRotDelta?: Quat;
+
+        /** Server-assigned id of a space entity, e.g. "user-model-i2ljc0" */
+        _vibeEntityId?: string;
+
         // Components (when added)
-        render?: any;
+        anim?: any;
+        camera?: any;
         collision?: any;
+        element?: any;
+        gsplat?: any;
+        light?: any;
+        model?: any;
+        particlesystem?: any;
+        render?: any;
         rigidbody?: any;
-        sound?: any;
         script?: any;
+        sound?: any;
+    }
+
+    class Keyboard {
+        isPressed(key: number): boolean;
+        wasPressed(key: number): boolean;
+        on(event: string, callback: Function, scope?: any): void;
+        off(event: string, callback?: Function, scope?: any): void;
     }
 
     class Application {
@@ -85,6 +254,27 @@ declare namespace pc {
         assets: any;
         graphicsDevice: any;
         scene: any;
+        systems: any;
+        /** Always present in Arrival.Space */
+        keyboard: Keyboard;
+        mouse: any;
+        touch: any;
+
+        on(event: string, callback: Function, scope?: any): void;
+        off(event: string, callback?: Function, scope?: any): void;
+        once(event: string, callback: Function, scope?: any): void;
+        fire(event: string, ...args: any[]): void;
+
+        drawLine(start: Vec3, end: Vec3, color?: Color, depthTest?: boolean): void;
+        drawLines(positions: Vec3[], colors: Color | Color[], depthTest?: boolean): void;
+        drawLineArrays(positions: number[], colors: Color | number[], depthTest?: boolean): void;
+
+        // Arrival.Space additions
+        cameraEntity: Entity;
+        localPlayerEntity: Entity;
+        networkManager: any;
+        loadTracker?: { loadingSpace: boolean };
+        customTravelCenter: any;
     }
 
     class Script {
@@ -103,38 +293,119 @@ declare namespace pc {
     }
 
     class StandardMaterial {
+        name: string;
         diffuse: Color;
         emissive: Color;
         emissiveIntensity: number;
         opacity: number;
         metalness: number;
+        useMetalness: boolean;
         gloss: number;
         diffuseMap: any;
         normalMap: any;
         emissiveMap: any;
+        opacityMap: any;
+        opacityMapChannel: string;
+        specular: Color;
+        shininess: number;
+        glossMap: any;
+        glossMapChannel: string;
+        bumpiness: number;
+        alphaTest: number;
         cull: number;
         blendType: number;
+        depthWrite: boolean;
         useLighting: boolean;
+        setParameter(name: string, data: any): void;
+        getShaderChunks?(...args: any[]): any;
         update(): void;
+        destroy(): void;
     }
 
     class Texture {
+        constructor(graphicsDevice: any, options?: any);
+        name: string;
         width: number;
         height: number;
+        format: number;
         mipmaps: boolean;
         anisotropy: number;
+        minFilter: number;
+        magFilter: number;
         addressU: number;
         addressV: number;
+        /** Platform texture (WebGL/WebGPU), engine-internal */
+        readonly impl: any;
+        /** Source per mip level, engine-internal */
+        _levels: any[];
+        setSource(source: any): void;
+        lock(options?: any): any;
+        unlock(): void;
+        upload(): void;
+        destroy(): void;
     }
 
     class Asset {
+        constructor(name: string, type: string, file?: any, data?: any);
         id: number;
         name: string;
         type: string;
+        loaded: boolean;
         resource: any;
+        ready(callback: (asset: Asset) => void): void;
+        /** Release the loaded resource; the asset can be loaded again */
+        unload(): void;
+    }
+
+    class Mesh {
+        constructor(graphicsDevice?: any);
+        setPositions(positions: ArrayLike<number>, componentCount?: number, numVertices?: number): void;
+        setNormals(normals: ArrayLike<number>, componentCount?: number, numVertices?: number): void;
+        setUvs(channel: number, uvs: ArrayLike<number>, componentCount?: number, numVertices?: number): void;
+        setColors32(colors: ArrayLike<number>, numVertices?: number): void;
+        setIndices(indices: ArrayLike<number>, numIndices?: number): void;
+        update(primitiveType?: number, updateBoundingBox?: boolean): void;
+        destroy(): void;
+        aabb: any;
+    }
+
+    class MeshInstance {
+        constructor(mesh: Mesh, material: any, node?: GraphNode);
+        mesh: Mesh;
+        material: any;
+        node: GraphNode;
+        castShadow: boolean;
+        receiveShadow: boolean;
+        cull: boolean;
+    }
+
+    // Gaussian splats, for procedurally generated splat data
+    class GSplatData {
+        constructor(elements: any[], comments?: string[]);
+        numSplats: number;
+        getProp(name: string, element?: string): any;
+    }
+
+    class GSplatResource {
+        constructor(device: any, gsplatData: GSplatData);
+        /** Re-upload positions, rotations and scales after changing the data */
+        updateTransformData(gsplatData: GSplatData): void;
+        /** Re-upload colors and opacity after changing the data */
+        updateColorData(gsplatData: GSplatData): void;
+        /** Re-upload spherical harmonics after changing the data */
+        updateSHData(gsplatData: GSplatData): void;
+        destroy(): void;
+    }
+
+    class GSplatInstance {
+        constructor(resource: GSplatResource, options?: any);
+        destroy(): void;
     }
 
     class SoundSlot {
+        asset: number | null;
+        volume: number;
+        pitch: number;
         play(): void;
         stop(): void;
         pause(): void;
@@ -143,44 +414,105 @@ declare namespace pc {
     }
 }
 
+/** ammo.js, the physics engine behind the rigidbody system (global at runtime) */
+declare const Ammo: any;
+
 // =============================================================================
 // ATTRIBUTE SYSTEM
 // =============================================================================
 
-/**
- * Options for defining an attribute
- */
-interface AttributeOptions {
+/** Who can modify a synced attribute */
+type AttributeAuthority = 'any' | 'owner' | 'self';
+
+/** Signature of an attribute's onChange method (see attribute()) */
+type AttributeChangeHandler<T> = (newValue: T, oldValue: T, isRemote: boolean) => void;
+
+/** Values with a numeric range in the editor: numbers and vec3 (per component) */
+type NumericPropertyValue = number | { x: number; y: number; z: number };
+
+/** A dropdown option: the value itself, or a labeled value */
+type PropertyOption<V> = V | { label: string; value: V };
+
+/** UI hints that apply to every property type */
+interface PropertyHints {
     /** Display name in editor (defaults to property name) */
     title?: string;
-    /** Minimum value (for numbers/vec3) */
-    min?: number;
-    /** Maximum value (for numbers/vec3) */
-    max?: number;
-    /** Step increment (for numbers/vec3) */
-    step?: number;
     /** Show in editor UI (default: true, auto-false if property starts with _) */
     ui?: boolean;
     /** UI grouping/section name */
     group?: string;
     /** UI editor hint (for example: 'asset' for upload-backed string fields) */
     editor?: string;
+    /** Name of a boolean property that enables this one in the UI */
+    enabledBy?: string;
+    /** Placeholder text for empty string fields */
+    placeholder?: string;
+}
+
+/**
+ * UI hints for a property holding a value of type V: min/max/step only for
+ * numbers and vec3, options only for strings and numbers, typed as V.
+ */
+type PropertySchema<V> = PropertyHints &
+    ([V] extends [NumericPropertyValue]
+        ? {
+            /** Minimum value (for numbers/vec3) */
+            min?: number;
+            /** Maximum value (for numbers/vec3) */
+            max?: number;
+            /** Step increment (for numbers/vec3) */
+            step?: number;
+        }
+        : { min?: never; max?: never; step?: never }) &
+    ([V] extends [string | number]
+        ? {
+            /** Dropdown options */
+            options?: PropertyOption<V>[];
+        }
+        : { options?: never });
+
+/**
+ * Type for a plugin's `static properties`: keys must be fields the plugin
+ * declares itself (not methods or ArrivalScript members), and each schema is
+ * checked against the field's value type.
+ *
+ * @example
+ * // In a .mjs plugin
+ * speed = 5;
+ * mode = "off";
+ *
+ * /** @type {PluginProperties<MyPlugin>} *\/
+ * static properties = {
+ *     speed: { min: 0, max: 10 },        // ok
+ *     mode: { options: ["off", "on"] },  // ok
+ *     // mode: { min: 0 }                // error: min on a string field
+ * };
+ */
+type PluginProperties<T> = {
+    [K in Exclude<keyof T, keyof ArrivalScript> as T[K] extends (...args: any[]) => any ? never : K]?: PropertySchema<T[K]>;
+};
+
+/**
+ * Options for defining an attribute holding a value of type T
+ */
+type AttributeOptions<T = any> = PropertySchema<T> & {
     /** Enable network synchronization with automatic late-joiner sync (default: false) */
     sync?: boolean;
     /** Who can modify synced values: 'any' | 'owner' | 'self' (default: 'any') */
-    authority?: 'any' | 'owner' | 'self';
+    authority?: AttributeAuthority;
     /** Min ms between network updates (default: 100) */
     throttle?: number;
-    /** Method name called when value changes */
+    /** Name of the method called when the value changes, with the signature AttributeChangeHandler<T> */
     onChange?: string;
-}
+};
 
 /**
  * Define a plugin attribute with optional UI and sync settings.
  * 
  * @param defaultValue - The default value for this attribute
- * @param options - Attribute options
- * @returns Attribute wrapper (processed during plugin initialization)
+ * @param options - Attribute options, checked against the value type
+ * @returns The value type, so `this.score` is typed from the default
+ *          (the wrapper is processed during plugin initialization)
  * 
  * @example
  * // Local UI property
@@ -197,8 +529,15 @@ interface AttributeOptions {
  * @example
  * // Per-player synced state (each player has their own copy)
  * isReady = attribute(false, { sync: true, authority: 'self' });
+ *
+ * @example
+ * // Change callback (newValue and oldValue have the attribute's type)
+ * health = attribute(100, { sync: true, onChange: 'onHealthChanged' });
+ *
+ * /** @type {AttributeChangeHandler<number>} *\/
+ * onHealthChanged(newValue, oldValue, isRemote) { ... }
  */
-declare function attribute<T>(defaultValue: T, options?: AttributeOptions): T;
+declare function attribute<T>(defaultValue: T, options?: AttributeOptions<T>): T;
 
 // =============================================================================
 // ARRIVAL SCRIPT BASE CLASS
@@ -209,6 +548,12 @@ declare function attribute<T>(defaultValue: T, options?: AttributeOptions): T;
  * Extend this class to create your plugin.
  */
 declare class ArrivalScript extends pc.Script {
+    /** Script name the plugin is registered under (required) */
+    static scriptName: string;
+
+    /** Editor UI hints per property (type it with PluginProperties<YourPlugin> for per-field checks) */
+    static properties?: { [name: string]: PropertySchema<any> };
+
     /** Current space/room */
     readonly space: any;
     
@@ -220,6 +565,15 @@ declare class ArrivalScript extends pc.Script {
     
     /** Euler rotation in degrees (get/set) */
     rotation: pc.Vec3;
+
+    /** Whether the current user owns the current space */
+    readonly isOwner: boolean;
+
+    /** True when running on a touch/mobile device */
+    readonly isMobile: boolean;
+
+    /** Entity the local player is currently standing on */
+    readonly standingObject: pc.Entity | null;
     
     /** Find entity by name in scene */
     find(name: string): pc.Entity | null;
@@ -241,6 +595,125 @@ declare class ArrivalScript extends pc.Script {
      * Works on desktop (W/S/A/D, arrows) and mobile (virtual joystick).
      */
     getMoveInput(): ArrivalSpace.MoveInput;
+
+    /** Log to the console, prefixed with the script name */
+    log(...args: any[]): void;
+
+    /** Warn on the console, prefixed with the script name */
+    warn(...args: any[]): void;
+
+    /** Log an error on the console, prefixed with the script name */
+    error(...args: any[]): void;
+
+    /**
+     * Load a GLB model for this plugin (same options as ArrivalSpace.loadGLB).
+     * Parents to this.entity unless `parent` is given.
+     */
+    createModel(url: string, options?: ArrivalSpace.LoadGLBOptions): Promise<{ entity: pc.Entity; asset: pc.Asset }>;
+
+    /** Horizontal forward direction of the local player's camera, or null without a camera */
+    getPlayerForward(): pc.Vec3 | null;
+
+    // Player helpers
+
+    /** Set the global physics step rate (shared by the whole world, latest call wins) */
+    setPhysicsStepRate(stepHz: number, maxSubSteps?: number): boolean;
+
+    /** Visual offset of the local avatar mesh without affecting physics. Pass 0, 0, 0 to reset. */
+    setPlayerAvatarOffset(x: number, y: number, z: number): boolean;
+
+    /**
+     * Subscribe to changes of the entity the local player stands on.
+     * @returns Unsubscribe function
+     */
+    onStandingObjectChanged(callback: ArrivalSpace.StandingObjectCallback): () => void;
+
+    /** Subscribe once to the next standing-object change */
+    onceStandingObjectChanged(callback: ArrivalSpace.StandingObjectCallback): () => void;
+
+    /** Remove a standing-object listener registered by this script */
+    offStandingObjectChanged(callback: ArrivalSpace.StandingObjectCallback): void;
+
+    // Input helpers
+
+    /**
+     * Listen for a key-down event. `key` is a key string such as "e" or a PlayCanvas key code.
+     * @returns Unsubscribe function
+     */
+    onKeyDown(key: string | number, callback: (event: any) => void): () => void;
+
+    /**
+     * Listen for a key-up event. `key` is a key string such as "e" or a PlayCanvas key code.
+     * @returns Unsubscribe function
+     */
+    onKeyUp(key: string | number, callback: (event: any) => void): () => void;
+
+    /** Lock game pointer input while interacting with UI */
+    lockInput(): void;
+
+    /** Release the pointer lock taken by lockInput() */
+    unlockInput(): void;
+
+    /** Lock movement keys while typing in UI fields (zeroes in-progress movement) */
+    lockKeyboard(): void;
+
+    /** Release the keyboard lock taken by lockKeyboard() */
+    unlockKeyboard(): void;
+
+    /** Left virtual joystick (movement) on mobile, -1..1 per axis; { x: 0, y: 0 } on desktop */
+    getLeftStick(): { x: number; y: number };
+
+    /** Right virtual joystick (camera) on mobile; { x: 0, y: 0 } on desktop */
+    getRightStick(): { x: number; y: number };
+
+    // 2D UI
+
+    /** This script's 2D UI container once getUIContainer() has created it */
+    readonly _uiContainer: HTMLDivElement | null;
+
+    /** Get (or create) this script's 2D UI container */
+    getUIContainer(): HTMLDivElement;
+
+    /** Create a 2D HTML element in this script's UI container */
+    createUI(tagName: string, options?: ArrivalSpace.CreateUIOptions): HTMLElement;
+
+    /** Create a styled fixed-position 2D panel */
+    createPanel(options?: ArrivalSpace.CreatePanelOptions): HTMLElement;
+
+    /** Remove all 2D UI created by this script */
+    removeUI(): void;
+
+    /** Show or hide this script's 2D UI container */
+    setUIVisible(visible: boolean): void;
+
+    // NPC and param schema
+
+    /** Shortcut for ArrivalSpace.createNPC() */
+    createNPC(options?: ArrivalSpace.CreateNPCOptions): Promise<any>;
+
+    /** Make the host editor re-read this plugin's parameter schema */
+    refreshParamSchema(): void;
+
+    /** Replace the dropdown options of a parameter (refreshes the schema unless refresh is false) */
+    setParamOptions(paramName: string, options: any[], refresh?: boolean): void;
+
+    /** Append dropdown options to a parameter, skipping duplicates */
+    appendParamOptions(paramName: string, optionsToAdd: any[], refresh?: boolean): void;
+
+    /** Current dropdown options of a parameter */
+    getParamOptions(paramName: string): any[];
+
+    /**
+     * Per-player values of synced attributes with authority 'self',
+     * keyed by attribute name, then user ID. Maintained by the sync system.
+     */
+    readonly _arrivalPerPlayerState?: Record<string, Record<string, any>>;
+}
+
+
+interface ArrivalScript {
+    /** The plugin's class, so `this.constructor.properties` reads its schema */
+    constructor: typeof ArrivalScript;
 }
 
 /**
@@ -254,27 +727,56 @@ declare namespace ArrivalSpace {
     // PLUGIN EVENT BUS
     // ═══════════════════════════════════════════════════════════════════════════
 
+    /**
+     * Declared plugin event bus events: event name -> listener arguments.
+     *
+     * Empty here. A plugin declares the events it fires once, by merging into
+     * this interface from a .d.ts next to the plugin; fire/on/off/once then
+     * check the payload of those events. Undeclared event names stay untyped.
+     *
+     * @example
+     * // my-plugin.d.ts
+     * declare namespace ArrivalSpace {
+     *     interface Events {
+     *         'myPlugin:scored': [points: number, player: PlayerInfo];
+     *         'myPlugin:reset': [];
+     *     }
+     * }
+     *
+     * // my-plugin.mjs
+     * ArrivalSpace.fire('myPlugin:scored', 10, player);   // ok
+     * ArrivalSpace.fire('myPlugin:scored', '10');         // error
+     * ArrivalSpace.on('myPlugin:scored', (points, player) => { ... });  // typed
+     */
+    interface Events {}
+
+    /** Listener arguments of an event (any[] if not declared in Events) */
+    type EventArgs<E extends string> = E extends keyof Events ? Events[E] : any[];
+
+    /** Listener of an event, typed from Events when declared */
+    type EventCallback<E extends string> = (...args: EventArgs<E>) => void;
+
     /**
      * Fire an event on the plugin event bus.
      * All plugins listening for the event will be notified.
      * @param event - Event name (use namespaced names, e.g. "myPlugin:eventName")
-     * @param args - Arguments passed to listeners
+     * @param args - Arguments passed to listeners (checked if declared in Events)
      */
-    function fire(event: string, ...args: any[]): void;
+    function fire<E extends string>(event: E, ...args: EventArgs<E>): void;
 
     /**
      * Listen for an event on the plugin event bus.
      * @param event - Event name
      * @param callback - Handler function
      */
-    function on(event: string, callback: Function): void;
+    function on<E extends string>(event: E, callback: EventCallback<E>): void;
 
     /**
      * Remove an event listener from the plugin event bus.
      * @param event - Event name
      * @param callback - The same handler function passed to on()
      */
-    function off(event: string, callback: Function): void;
+    function off<E extends string>(event: E, callback: EventCallback<E>): void;
 
     /**
      * Listen for an event once on the plugin event bus.
@@ -282,8 +784,10 @@ declare namespace ArrivalSpace {
      * @param event - Event name
      * @param callback - Handler function
      */
-    function once(event: string, callback: Function): void;
+    function once<E extends string>(event: E, callback: EventCallback<E>): void;
 
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ASSETS, AUDIO & PANELS
     // ═══════════════════════════════════════════════════════════════════════════
 
     interface LoadGLBOptions {
@@ -336,6 +840,8 @@ declare namespace ArrivalSpace {
         rollOffFactor?: number;
         /** Use 3D positional audio */
         positional?: boolean;
+        /** Destroy the sound entity when playback ends (default: true) */
+        autoCleanup?: boolean;
     }
 
     interface CreateMaterialOptions {
@@ -415,6 +921,8 @@ declare namespace ArrivalSpace {
         backgroundColor?: string;
         /** Link click handler */
         onAnchorClick?: (anchor: HTMLAnchorElement) => void;
+        /** Click handler, called with the href of the clicked link (if any) */
+        onClick?: (href?: string) => void;
     }
 
     interface DisposeEntityOptions {
@@ -492,15 +1000,33 @@ declare namespace ArrivalSpace {
     /** Create a material */
     function createMaterial(options?: CreateMaterialOptions): pc.StandardMaterial;
 
+    /** Entity returned by createHTMLPanel() */
+    interface HTMLPanel extends pc.Entity {
+        /** Replace the panel's content (same options as createHTMLPanel) */
+        updateContent(options: Partial<CreateHTMLPanelOptions>): void;
+        /** The iframe plane holding the panel's DOM, engine-internal */
+        _iframePlane?: { htmlElement?: HTMLElement };
+    }
+
+    /** Entity returned by createTexturePanel() */
+    interface TexturePanel extends pc.Entity {
+        /** Re-render the panel with new HTML */
+        updateContent(html: string, options?: Partial<CreateTexturePanelOptions>): void;
+    }
+
     /** Create an HTML panel (opaque background) */
-    function createHTMLPanel(options: CreateHTMLPanelOptions): pc.Entity;
+    function createHTMLPanel(options: CreateHTMLPanelOptions): HTMLPanel;
 
     /** Create a texture panel (supports transparency) */
-    function createTexturePanel(options: CreateTexturePanelOptions): Promise<pc.Entity | null>;
+    function createTexturePanel(options: CreateTexturePanelOptions): Promise<TexturePanel | null>;
 
     /** Safely dispose an entity and its resources */
     function disposeEntity(entity: pc.Entity, options?: DisposeEntityOptions): void;
 
+    // ═══════════════════════════════════════════════════════════════════════════
+    // STATIC GATES & CENTER ASSET
+    // ═══════════════════════════════════════════════════════════════════════════
+
     /**
      * Get all static gates in the current space.
      * Static gates are the 7 predefined gates (0-6) that persist across sessions.
@@ -687,6 +1213,57 @@ declare namespace ArrivalSpace {
      */
     function getPlayer(): pc.Entity | null;
 
+    /**
+     * Get the player's avatar mesh entity (ReadyPlayerMe), which has the `anim` component
+     * @example
+     * const mesh = ArrivalSpace.getPlayerMesh();
+     * mesh?.anim?.setFloat('speed', 0);
+     */
+    function getPlayerMesh(): pc.Entity | null;
+
+    /**
+     * Set the global physics simulation step rate.
+     * Affects the shared physics world, so the latest call wins.
+     * @param stepHz - Physics tick rate in Hz (e.g. 60, 120, 180)
+     * @param maxSubSteps - Maximum Bullet substeps per frame (default: 10)
+     */
+    function setPhysicsStepRate(stepHz: number, maxSubSteps?: number): boolean;
+
+    /**
+     * Apply a visual local offset to the local player's avatar mesh without
+     * affecting physics. Pass 0, 0, 0 to reset.
+     */
+    function setPlayerAvatarOffset(x: number, y: number, z: number): boolean;
+
+    /** Called when the entity the local player stands on changes */
+    type StandingObjectCallback = (current: pc.Entity | null, previous: pc.Entity | null) => void;
+
+    /**
+     * Get the entity the local player is currently standing on
+     * @example
+     * const ground = ArrivalSpace.getStandingObject();
+     */
+    function getStandingObject(): pc.Entity | null;
+
+    /**
+     * Subscribe to standing-object changes
+     * @returns Unsubscribe function
+     * @example
+     * this._unsubStanding = ArrivalSpace.onStandingObjectChanged((current, previous) => {
+     *     this._onBoard = current === this.entity;
+     * });
+     */
+    function onStandingObjectChanged(callback: StandingObjectCallback): () => void;
+
+    /**
+     * Subscribe once to the next standing-object change
+     * @returns Unsubscribe function
+     */
+    function onceStandingObjectChanged(callback: StandingObjectCallback): () => void;
+
+    /** Remove a standing-object change listener */
+    function offStandingObjectChanged(callback: StandingObjectCallback): void;
+
     /** Local player movement input intent (from keyboard, joystick, or gamepad). */
     interface MoveInput {
         /** -1..+1. > 0 = forward (W / up / joystick up), < 0 = back. */
@@ -753,6 +1330,352 @@ declare namespace ArrivalSpace {
      */
     function captureView(width?: number, height?: number): Promise<CaptureViewResult>;
 
+    // ═══════════════════════════════════════════════════════════════════════════
+    // CHARACTER ANIMATION & MOVEMENT
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /** Character animation states that can be replaced */
+    type PlayerAnimationState = 'Idle' | 'Forward' | 'Jumping' | 'Signature1' | 'Signature2' | 'Signature3' | 'Signature4';
+
+    interface SetPlayerAnimationOptions {
+        /** Strip root bone XZ movement so the animation plays in place (default: true) */
+        inPlace?: boolean;
+        /** Start the animation at this time offset in seconds (default: 0) */
+        startTime?: number;
+        /** Pin this bone instead of the root, e.g. a foot standing on a board */
+        inPlaceBoneName?: string;
+        /** Local position the in-place bone is held at */
+        inPlaceBoneTargetLocalPosition?: { x: number; y: number; z: number };
+    }
+
+    /**
+     * Replace a character animation with one loaded from a GLB.
+     * Pass null as the URL to reset to the default animation.
+     * @example
+     * await ArrivalSpace.setPlayerAnimation('Forward', 'https://example.com/zombie_walk.glb');
+     * await ArrivalSpace.setPlayerAnimation('Forward', null); // reset
+     */
+    function setPlayerAnimation(state: PlayerAnimationState | string, url: string | null, options?: SetPlayerAnimationOptions): Promise<boolean>;
+
+    /**
+     * Set the character movement speed multiplier (1 = default).
+     * Also scales walk animation speed unless setPlayerAnimSpeed() overrides it.
+     * @example
+     * ArrivalSpace.setPlayerSpeed(0.3); // wading through mud
+     */
+    function setPlayerSpeed(multiplier: number): void;
+
+    /**
+     * Set the playback speed of an animation state, decoupled from movement speed.
+     * Pass null to remove the override.
+     * @example
+     * ArrivalSpace.setPlayerAnimSpeed('Idle', 0); // freeze idle pose
+     */
+    function setPlayerAnimSpeed(state: 'Idle' | 'Forward' | 'Jumping' | string, speed: number | null): void;
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // PLAYER ATTACHMENT (vehicles, seats, rides)
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /** Camera settings while the player is attached */
+    interface AttachCameraOptions {
+        /** Camera target height offset */
+        heightOffset?: number;
+        /** Camera distance from the target */
+        distance?: number;
+    }
+
+    interface AttachPlayerOptions {
+        /** Seat position in the entity's local space */
+        offset?: { x: number; y: number; z: number };
+        /** Animation GLB URLs per state while attached (restored on detach) */
+        animations?: Partial<Record<PlayerAnimationState, string>>;
+        /** Disable the player's collision while attached (restored on detach) */
+        disableCollision?: boolean;
+        /** Camera settings while attached (restored on detach) */
+        camera?: AttachCameraOptions;
+        /** Rate (per second) at which `extra` is sent to other players */
+        rate?: number;
+        /** Extra state broadcast to other players at `rate`, received with AttachInfo.onExtra() */
+        extra?: () => object;
+        /** Local euler offset (degrees) applied to the avatar mesh each frame, e.g. a lean */
+        meshEuler?: () => { x?: number; y?: number; z?: number };
+        /** Smoothing lag of the avatar mesh rotation, re-read each frame */
+        meshRotationLag?: () => number;
+    }
+
+    /** Returned by attachPlayerToEntity() */
+    interface AttachHandle {
+        /** Detach the player, restore collision, camera and animations, and broadcast the dismount */
+        detach(): void;
+    }
+
+    /** A remote player attached to an entity, passed to onEntityAttachChanged() */
+    interface AttachInfo {
+        /** User ID of the attached player */
+        userId: string;
+        /** Network (socket) ID of the attached player, when known */
+        networkId?: string | null;
+        /** Seat offset the player attached with */
+        offset: { x: number; y: number; z: number };
+        /** Latest entity rotation broadcast by the attached player */
+        quaternion: pc.Quat;
+        /** Receive the `extra` state the attached player broadcasts */
+        onExtra(callback: (extra: any) => void): void;
+    }
+
+    /** Entity state broadcast with a dismount (arrays are [x, y, z] / [x, y, z, w]) */
+    interface DismountData {
+        /** Position */
+        pos?: number[];
+        /** Rotation quaternion */
+        rot?: number[];
+        /** Linear velocity */
+        lv?: number[];
+        /** Angular velocity */
+        av?: number[];
+    }
+
+    /**
+     * Attach the local player to an entity (vehicle, seat, ride).
+     * Handles collision, camera, animations and the network broadcast;
+     * other players see the mount through onEntityAttachChanged().
+     * @example
+     * this._attachHandle = ArrivalSpace.attachPlayerToEntity(this.entity, {
+     *     offset: { x: 0, y: 0.5, z: 0 },
+     *     disableCollision: true,
+     *     camera: { heightOffset: -0.6 },
+     * });
+     * // Later: this._attachHandle.detach();
+     */
+    function attachPlayerToEntity(entity: pc.Entity, options?: AttachPlayerOptions): AttachHandle;
+
+    /**
+     * Entity the local player is attached to, or null
+     * @example
+     * const attached = ArrivalSpace.getLocalAttachedEntity();
+     * if (attached && attached !== this.entity) return; // riding something else
+     */
+    function getLocalAttachedEntity(): pc.Entity | null;
+
+    /**
+     * Listen for remote players attaching to or detaching from an entity.
+     * `info` is null on detach, with the entity state at dismount in `dismountData`.
+     * @returns Unsubscribe function
+     */
+    function onEntityAttachChanged(entity: pc.Entity, callback: (info: AttachInfo | null, dismountData?: DismountData) => void): () => void;
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // CAMERA
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /** Set the camera distance from its target (the player) */
+    function setCameraTargetDistance(distance: number): void;
+
+    /** Set the height offset of the camera target */
+    function setCameraTargetHeightOffset(offset: number): void;
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // NPC HELPERS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    interface CreateNPCOptions {
+        /** Entity name */
+        name?: string;
+        position?: { x: number; y: number; z: number };
+        rotation?: { x: number; y: number; z: number };
+        scale?: number;
+        parent?: pc.Entity;
+        avatarUrl?: string;
+        avatarConfig?: AvatarConfig;
+        avatarParts?: Record<string, string | null>;
+        avatarGender?: AvatarGender;
+        speed?: number;
+        turnSpeed?: number;
+        stopDistance?: number;
+        /** Use a dynamic physics capsule instead of a kinematic one */
+        dynamicCapsule?: boolean;
+        /** Name label shown above the head */
+        headLabel?: string;
+        headLabelColor?: string;
+        /** Custom animation refs */
+        animations?: { idle?: string; walk?: string; jump?: string };
+        /** Set to make the NPC clickable */
+        onClick?: () => void;
+        onHoverEnter?: () => void;
+        onHoverLeave?: () => void;
+    }
+
+    /** Create a controllable NPC with avatar, animation and optional interaction helpers */
+    function createNPC(options?: CreateNPCOptions): Promise<any>;
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // AVATAR CUSTOMIZATION
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    type AvatarGender = 'male' | 'female';
+
+    /** Avatar part categories (see the catalog for the part IDs in each) */
+    type AvatarPartCategory =
+        | 'body' | 'head' | 'teeth' | 'eyeLeft' | 'eyeRight' | 'hair'
+        | 'glasses' | 'headwear' | 'facewear' | 'top' | 'bottom' | 'footwear';
+
+    /** A part in the avatar catalog */
+    interface AvatarPart {
+        id: string;
+        name: string;
+        glbUrl: string;
+        thumbnailUrl: string;
+        appearance: any;
+    }
+
+    interface AvatarCatalog {
+        baseUrl: string;
+        /** Parts per category (body, head, hair, headwear, top, ...) */
+        categories: Record<string, { parts: AvatarPart[] }>;
+    }
+
+    interface AvatarConfig {
+        /** Part ID per category */
+        parts: Record<string, string>;
+        /** Tint colors, e.g. { skinColor: "C87448", hairColor: "2C1810" } */
+        tints: Record<string, string>;
+        gender: string;
+    }
+
+    interface SetAvatarPartsOptions {
+        /** Override tint colors */
+        tints?: { skinColor?: string; hairColor?: string };
+        /** Override gender for part resolution */
+        gender?: AvatarGender;
+    }
+
+    /**
+     * Fetch the full parts catalog (cached after the first call)
+     * @example
+     * const catalog = await ArrivalSpace.getAvatarCatalog();
+     * const helmets = catalog.categories.headwear.parts;
+     */
+    function getAvatarCatalog(gender?: AvatarGender): Promise<AvatarCatalog | null>;
+
+    /** Fetch available avatar animation keys (e.g. "walking.glb", "shooter/rifle_run.glb") */
+    function getAvatarAnimationCatalog(gender?: AvatarGender): Promise<string[] | null>;
+
+    /** Current avatar's parts configuration, or null for non-modular avatars */
+    function getAvatarConfig(): Promise<AvatarConfig | null>;
+
+    /**
+     * Change avatar parts temporarily (not saved to the profile). Set a part to null to remove it.
+     * @example
+     * await ArrivalSpace.setAvatarParts({ headwear: 'headwear-5.glb' });
+     */
+    function setAvatarParts(partsToSet: Partial<Record<AvatarPartCategory, string | null>>, options?: SetAvatarPartsOptions): Promise<{ ok: boolean; error?: string }>;
+
+    /** Reset the avatar to the user's saved state (call from destroy()) */
+    function resetAvatar(): Promise<boolean>;
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // APP UI
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /** Inline style properties; numbers are accepted like in `element.style` */
+    type UIStyle = { [K in keyof CSSStyleDeclaration]?: string | number } | Record<string, string | number>;
+
+    /** Options for ArrivalScript.createUI() */
+    interface CreateUIOptions {
+        id?: string;
+        className?: string;
+        /** CSS text or a style object */
+        style?: string | UIStyle;
+        html?: string;
+        text?: string;
+        /** Parent element (default: the script's UI container) */
+        parent?: HTMLElement;
+    }
+
+    /** Options for ArrivalScript.createPanel() */
+    interface CreatePanelOptions extends CreateUIOptions {
+        /** Screen corner or center */
+        position?: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right' | 'center';
+    }
+
+    /**
+     * Show or hide the app's built-in UI (HUD, overlays, name tags). Same as pressing H.
+     * @param visible - true to show, false to hide
+     * @param keepTouchControls - Keep the mobile touch controls while the UI is hidden
+     * @example
+     * ArrivalSpace.setAppUIVisible(false);
+     * // In destroy():
+     * ArrivalSpace.setAppUIVisible(true);
+     */
+    function setAppUIVisible(visible: boolean, keepTouchControls?: boolean): void;
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // LIGHTING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /** What a localized light probe overrides; omitted sections keep room defaults */
+    interface LocalizedLightProbeConfig {
+        enabled?: boolean;
+        /** Higher priority wins where probes overlap */
+        priority?: number;
+        primaryLight?: {
+            direction: pc.Vec3;
+            /** Hex color, e.g. "#ffffff" */
+            color: string;
+            intensity: number;
+            shadowIntensity?: number;
+        };
+        environment?: {
+            hdrUrl: string | null;
+            hdrEncoding?: 'linear' | 'srgb' | 'rgbm' | 'rgbe' | string;
+            /** Rotation in degrees */
+            rotation?: number;
+            intensity?: number;
+        };
+        postEffects?: PostEffectsParams;
+    }
+
+    interface LocalizedLightProbeVolume {
+        /** Radius of the volume */
+        radius?: number;
+        /** Edge falloff exponent for blending */
+        falloffExponent?: number;
+    }
+
+    /** Returned by createLocalizedLightProbe() */
+    interface LocalizedLightProbe {
+        /** Move the probe volume; false on failure */
+        setPosition(position: pc.Vec3): boolean;
+        /** Replace the configuration and volume; false on failure */
+        update(config: LocalizedLightProbeConfig & LocalizedLightProbeVolume): boolean;
+        /** Remove the probe */
+        destroy(): void;
+    }
+
+    /**
+     * Create a spherical volume that overrides the room's primary light,
+     * environment and post-effects while the player is inside it.
+     * @returns The probe, or null if it could not be created
+     * @example
+     * this._probe = ArrivalSpace.createLocalizedLightProbe(
+     *     { priority: 0, primaryLight: { direction, color: "#ffffff", intensity: 2 } },
+     *     this.position,
+     *     { radius: 2, falloffExponent: 2 }
+     * );
+     * // In destroy(): this._probe?.destroy();
+     */
+    function createLocalizedLightProbe(config: LocalizedLightProbeConfig, position: pc.Vec3, volume?: LocalizedLightProbeVolume): LocalizedLightProbe | null;
+
+    /**
+     * Let dynamic lights on layer 1005 light Gaussian splats.
+     * Call after adding the layer to a light.
+     * @example
+     * light.layers = [0, 1005];
+     * ArrivalSpace.enableSplatLightMaterial();
+     */
+    function enableSplatLightMaterial(): void;
+
     // ═══════════════════════════════════════════════════════════════════════════
     // SPACE LOADING
     // ═══════════════════════════════════════════════════════════════════════════
@@ -936,7 +1859,7 @@ declare namespace ArrivalSpace {
     function removePlugin(pluginId: string, deleteFromServer?: boolean): Promise<boolean>;
 
     /**
-     * Hot-reload a plugin with new code
+     * Hot-reload a plugin with new code.
      * Preserves the plugin's position, rotation, and scale.
      * 
      * @param pluginId - The plugin entity ID
@@ -977,6 +1900,8 @@ declare namespace ArrivalSpace {
         limit?: number;
         /** Override space ID (defaults to current space) */
         spaceId?: string;
+        /** Return the entries of all keys starting with `key` */
+        prefix?: boolean;
     }
 
     interface PluginStoreDeleteOptions {
@@ -985,9 +1910,10 @@ declare namespace ArrivalSpace {
     }
 
     /**
-     * Simple key-value store for plugins, scoped per space + user.
+     * ArrivalSpace.pluginStore (an object type, since `delete` cannot be a
+     * function name in a namespace)
      */
-    namespace pluginStore {
+    interface PluginStore {
         /**
          * Push a value to the store.
          *
@@ -998,7 +1924,7 @@ declare namespace ArrivalSpace {
          * // Save a setting (overwrite)
          * await ArrivalSpace.pluginStore.push("my-setting", "dark-mode");
          */
-        function push(key: string, value: string, options?: PluginStorePushOptions): Promise<object | false>;
+        push(key: string, value: string, options?: PluginStorePushOptions): Promise<object | false>;
 
         /**
          * Get entries for a key in the current space.
@@ -1007,35 +1933,19 @@ declare namespace ArrivalSpace {
          * // Leaderboard: top 10 fastest times
          * const board = await ArrivalSpace.pluginStore.get("best-time", { sort: "asc", limit: 10 });
          */
-        function get(key: string, options?: PluginStoreGetOptions): Promise<PluginStoreEntry[] | false>;
+        get(key: string, options?: PluginStoreGetOptions): Promise<PluginStoreEntry[] | false>;
 
         /**
          * Delete own entry for a key.
          */
-        function delete(key: string, options?: PluginStoreDeleteOptions): Promise<boolean>;
+        delete(key: string, options?: PluginStoreDeleteOptions): Promise<boolean>;
     }
 
-    /**
-     * Per-user persistent key-value storage, accessible across spaces.
-     * Data is scoped by `namespace` (typically the plugin author's space ID).
-     * Only code that knows the namespace can read/write the data.
-     *
-     * @example
-     * const NS = "45637586_1234"; // your space ID = your namespace
-     *
-     * // Save
-     * await ArrivalSpace.userData.set(NS, 'inventory', { items: ['sword'], gold: 100 });
-     *
-     * // Load (auto-parses JSON)
-     * const inv = await ArrivalSpace.userData.get(NS, 'inventory');
-     *
-     * // List keys
-     * const keys = await ArrivalSpace.userData.keys(NS, { prefix: 'inv/' });
-     *
-     * // Read another user's data
-     * const other = await ArrivalSpace.userData.get(NS, 'inventory', { userId: '12345678' });
-     */
-    namespace userData {
+    /** Simple key-value store for plugins, scoped per space + user. */
+    const pluginStore: PluginStore;
+
+    /** ArrivalSpace.userData */
+    interface UserDataStore {
         /**
          * Store a value for the current user. Objects/arrays are auto-JSON-stringified.
          * @param namespace - Access key / namespace (e.g. your space ID)
@@ -1043,7 +1953,7 @@ declare namespace ArrivalSpace {
          * @param value - Any JSON-serialisable value
          * @returns true on success, false on error
          */
-        function set(namespace: string, key: string, value: any): Promise<boolean>;
+        set(namespace: string, key: string, value: any): Promise<boolean>;
 
         /**
          * Read a value. Returns the parsed value, null if not found, or false on error.
@@ -1052,14 +1962,14 @@ declare namespace ArrivalSpace {
          * @param options.userId - Read another user's data
          * @param options.raw - Return raw string instead of auto-parsing JSON
          */
-        function get(namespace: string, key: string, options?: { userId?: string; raw?: boolean }): Promise<any | null | false>;
+        get(namespace: string, key: string, options?: { userId?: string; raw?: boolean }): Promise<any | null | false>;
 
         /**
          * Delete a key for the current user.
          * @param namespace - Access key / namespace
          * @param key - Data key
          */
-        function delete(namespace: string, key: string): Promise<boolean>;
+        delete(namespace: string, key: string): Promise<boolean>;
 
         /**
          * List keys for the current user (or another user).
@@ -1068,9 +1978,31 @@ declare namespace ArrivalSpace {
          * @param options.userId - List another user's keys
          * @param options.limit - Max keys to return (default 100)
          */
-        function keys(namespace: string, options?: { prefix?: string; userId?: string; limit?: number }): Promise<string[] | false>;
+        keys(namespace: string, options?: { prefix?: string; userId?: string; limit?: number }): Promise<string[] | false>;
     }
 
+    /**
+     * Per-user persistent key-value storage, accessible across spaces.
+     * Data is scoped by `namespace` (typically the plugin author's space ID).
+     * Only code that knows the namespace can read/write the data.
+     *
+     * @example
+     * const NS = "45637586_1234"; // your space ID = your namespace
+     *
+     * // Save
+     * await ArrivalSpace.userData.set(NS, 'inventory', { items: ['sword'], gold: 100 });
+     *
+     * // Load (auto-parses JSON)
+     * const inv = await ArrivalSpace.userData.get(NS, 'inventory');
+     *
+     * // List keys
+     * const keys = await ArrivalSpace.userData.keys(NS, { prefix: 'inv/' });
+     *
+     * // Read another user's data
+     * const other = await ArrivalSpace.userData.get(NS, 'inventory', { userId: '12345678' });
+     */
+    const userData: UserDataStore;
+
     // ═══════════════════════════════════════════════════════════════════════════
     // MULTIPLAYER / NETWORK API
     // ═══════════════════════════════════════════════════════════════════════════
@@ -1097,8 +2029,32 @@ declare namespace ArrivalSpace {
         reliable?: boolean;
     }
 
+    /**
+     * Declared network message types: message type -> data payload.
+     *
+     * Works like Events: merge into it from a plugin's .d.ts, and net.send,
+     * net.sendTo, net.on, net.once and net.off check the payload. Undeclared
+     * types stay untyped.
+     *
+     * @example
+     * // tic-tac-toe.d.ts
+     * declare namespace ArrivalSpace {
+     *     interface Messages {
+     *         'TicTacToe:move': { index: number };
+     *     }
+     * }
+     *
+     * // tic-tac-toe.mjs
+     * ArrivalSpace.net.send('TicTacToe:move', { index });
+     * ArrivalSpace.net.on('TicTacToe:move', (data, sender) => this._handleMove(data.index, sender));
+     */
+    interface Messages {}
+
+    /** Payload of a message type (any if not declared in Messages) */
+    type MessageData<T extends string> = T extends keyof Messages ? Messages[T] : any;
+
     /** Message callback type */
-    type MessageCallback = (data: any, sender: PlayerInfo) => void;
+    type MessageCallback<T extends string = string> = (data: MessageData<T>, sender: PlayerInfo) => void;
 
     /**
      * Multiplayer/Network API for real-time communication
@@ -1118,7 +2074,7 @@ declare namespace ArrivalSpace {
          * @example
          * ArrivalSpace.net.send('Chat:message', { text: 'Hello!' });
          */
-        function send(type: string, data?: object, options?: SendOptions): void;
+        function send<T extends string>(type: T, data?: T extends keyof Messages ? Messages[T] : object, options?: SendOptions): void;
 
         /**
          * Send a message to a specific player (direct/private message).
@@ -1135,7 +2091,7 @@ declare namespace ArrivalSpace {
          * // Private game invite
          * ArrivalSpace.net.sendTo(player.userID, 'Game:invite', { gameId: '123' });
          */
-        function sendTo(targetUserId: string, type: string, data?: object): void;
+        function sendTo<T extends string>(targetUserId: string, type: T, data?: T extends keyof Messages ? Messages[T] : object): void;
 
         /**
          * Subscribe to messages of a specific type.
@@ -1150,7 +2106,7 @@ declare namespace ArrivalSpace {
          * });
          * // Later: unsub();
          */
-        function on(type: string, callback: MessageCallback): () => void;
+        function on<T extends string>(type: T, callback: MessageCallback<T>): () => void;
 
         /**
          * Subscribe to a message type once (auto-unsubscribes after first message)
@@ -1159,7 +2115,7 @@ declare namespace ArrivalSpace {
          * @param callback - Called with (data, sender)
          * @returns Unsubscribe function (to cancel before receiving)
          */
-        function once(type: string, callback: MessageCallback): () => void;
+        function once<T extends string>(type: T, callback: MessageCallback<T>): () => void;
 
         /**
          * Unsubscribe from a message type
@@ -1167,7 +2123,7 @@ declare namespace ArrivalSpace {
          * @param type - Message type
          * @param callback - Specific callback to remove (if omitted, removes all)
          */
-        function off(type: string, callback?: MessageCallback): void;
+        function off<T extends string>(type: T, callback?: MessageCallback<T>): void;
 
         /**
          * Get all players currently in the room
@@ -1213,6 +2169,70 @@ declare namespace ArrivalSpace {
         function onDisconnect(callback: () => void): () => void;
     }
 
+    // ═══════════════════════════════════════════════════════════════════════════
+    // XR / PASSTHROUGH
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    type XRMode = 'vr' | 'ar';
+
+    interface XRState {
+        /** Whether WebXR is supported by the browser */
+        supported: boolean;
+        /** Whether an XR session is running */
+        active: boolean;
+        /** Active session mode, or null if inactive */
+        mode: XRMode | null;
+        /** True in AR passthrough mode */
+        passthrough: boolean;
+        /** Whether immersive-vr is available */
+        availableVR: boolean;
+        /** Whether immersive-ar is available */
+        availableAR: boolean;
+    }
+
+    interface XREnterOptions {
+        /** 'vr' (default) or 'ar' for passthrough */
+        mode?: XRMode;
+        /** AR only: hide the skybox and clear to transparent (default: true) */
+        passthrough?: boolean;
+        /** XR reference space (default: 'local-floor' for AR, 'local' for VR) */
+        spaceType?: string;
+    }
+
+    /**
+     * WebXR sessions (VR and AR passthrough)
+     */
+    namespace xr {
+        /** True while any XR session is running */
+        const active: boolean;
+
+        /**
+         * Current XR state
+         * @example
+         * const { active, mode } = ArrivalSpace.xr.getState();
+         */
+        function getState(): XRState;
+
+        /** Whether a mode is available on this device */
+        function isAvailable(mode: XRMode): boolean;
+
+        /**
+         * Enter an XR session
+         * @example
+         * const result = await ArrivalSpace.xr.enter({ mode: "ar" });
+         */
+        function enter(options?: XREnterOptions): Promise<{ success: boolean; error?: string }>;
+
+        /** End the current XR session */
+        function exit(): Promise<{ success: boolean; error?: string }>;
+
+        /**
+         * Listen for XR session start and end
+         * @returns Unsubscribe function
+         */
+        function onStateChange(callback: (state: XRState) => void): () => void;
+    }
+
     // ═══════════════════════════════════════════════════════════════════════════
     // DEBUG API (localhost only - for code execution)
     // ═══════════════════════════════════════════════════════════════════════════
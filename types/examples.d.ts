@@ -0,0 +1,91 @@
+/**
+ * Ambient declarations for the examples type-check only (see tsconfig.json).
+ * Not part of the plugin API: plugins should not reference this file.
+ */
+
+// Plugins build their UI with createUI()/html strings and query it back;
+// everything they look up is an HTMLElement.
+interface ParentNode {
+    querySelector<E extends HTMLElement = HTMLElement>(selectors: string): E | null;
+    querySelectorAll<E extends HTMLElement = HTMLElement>(selectors: string): NodeListOf<E>;
+}
+
+// html-cloth walks a range with NodeFilter.SHOW_TEXT, so every node it gets is a Text
+interface TreeWalker {
+    nextNode(): Text | null;
+}
+
+// Scripts the jsdos-cloth example loads at runtime
+declare const Dosbox: any;
+
+interface Window {
+    $: any;
+    jQuery: any;
+}
+
+// Expando fields the examples keep on engine objects and on their own classes
+declare namespace pc {
+    interface Entity {
+        /** cesium-3d-tiles: local tile position, read back when the origin shifts */
+        _cesiumTileData?: { pos: { x: number; y: number; z: number } };
+    }
+}
+
+declare namespace ArrivalScript {
+    /** vibes-challenge-*: particle texture shared by every instance of the class */
+    let _burstTexture: pc.Texture | undefined;
+}
+
+// Events and network messages the examples exchange, declared the way a
+// plugin would declare its own (see ArrivalSpace.Events / Messages)
+declare namespace ArrivalSpace {
+    interface VibesSlot {
+        letter: string;
+        filled: boolean;
+        collectedBy: string | null;
+    }
+
+    interface VibesParticipant {
+        userName: string;
+        letters: string[];
+    }
+
+    interface VibesState {
+        runId: string;
+        started: boolean;
+        gameComplete: boolean;
+        timeRemaining: number;
+        duration: number;
+        slots: VibesSlot[];
+        /** Keyed by user ID; the main plugin builds it from a plain `{}`, which a bare Record rejects */
+        participants: Record<string, VibesParticipant> | {};
+        allCollected: boolean;
+        challengeWord: string;
+    }
+
+    interface Events {
+        // persistent-inventory
+        'inventory:pickup': [pickup: { inventoryId: string; itemId: string; name: string }];
+        'inventory:change': [change: { inventoryId: string }];
+
+        // ragdoll-physics
+        'ragdoll:activated': [info: { player: pc.Entity }];
+
+        // scavenger-hunt, vibes-challenge-*
+        'scavenger:item:ready': [item: ArrivalScript];
+        'scavenger:item:removed': [item: ArrivalScript];
+        'scavenger:start': [starter?: { userId?: string | null; userName?: string }];
+        'scavenger:complete': [result: { score: number; time: number; items: number }];
+        'scavenger:reset': [];
+        'scavenger:leaderboard:updated': [];
+        'scavenger:leaderboard:reset': [];
+        'vibes:state-updated': [state: VibesState];
+        'vibes:game-reset': [];
+    }
+
+    interface Messages {
+        // simple-chat
+        'SimpleChat:msg': { text: string };
+        'SimpleChat:history': { messages: { text: string; sender: string }[] };
+    }
+}
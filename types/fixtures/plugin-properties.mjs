@@ -0,0 +1,69 @@
+// Type-check fixture for PluginProperties<T> (see tsconfig.json). Not a plugin:
+// every line marked @ts-expect-error must fail the check, or tsc reports it.
+
+export class PropertiesFixture extends ArrivalScript {
+    static scriptName = "propertiesFixture";
+
+    /** @type {PluginProperties<PropertiesFixture>} */
+    static properties = {
+        speed: { title: "Speed", min: 0, max: 10, step: 0.5 },
+        offset: { min: -1, max: 1 },
+        mode: { options: ["off", { label: "On", value: "on" }] },
+        level: { options: [1, 2, 3] },
+        visible: { title: "Visible" },
+        label: { placeholder: "Name", enabledBy: "visible" },
+    };
+
+    speed = 5;
+    offset = new pc.Vec3();
+    mode = "off";
+    level = 1;
+    visible = true;
+    label = "";
+}
+
+export class WrongPropertiesFixture extends ArrivalScript {
+    static scriptName = "wrongPropertiesFixture";
+
+    /** @type {PluginProperties<WrongPropertiesFixture>} */
+    static properties = {
+        // @ts-expect-error - min on a string field
+        mode: { min: 0 },
+        // @ts-expect-error - options on a boolean field
+        visible: { options: [true, false] },
+        // @ts-expect-error - option of another value type
+        level: { options: ["1"] },
+    };
+
+    speed = 5;
+    mode = "off";
+    level = 1;
+    visible = true;
+}
+
+export class MisspelledPropertiesFixture extends ArrivalScript {
+    static scriptName = "misspelledPropertiesFixture";
+
+    /** @type {PluginProperties<MisspelledPropertiesFixture>} */
+    static properties = {
+        // @ts-expect-error - no such field
+        sped: { min: 0 },
+    };
+
+    speed = 5;
+}
+
+export class MethodPropertiesFixture extends ArrivalScript {
+    static scriptName = "methodPropertiesFixture";
+
+    /** @type {PluginProperties<MethodPropertiesFixture>} */
+    static properties = {
+        speed: { min: 0 },
+        // @ts-expect-error - a method, not a field
+        reset: { title: "Reset" },
+    };
+
+    speed = 5;
+
+    reset() {}
+}